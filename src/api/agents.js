@@ -0,0 +1,228 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, validate, sendError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const assignmentManager = require('../orders/assignment');
+
+const router = express.Router();
+
+// Validation schemas
+const agentProfileSchema = Joi.object({
+  serviceCategories: Joi.array().items(Joi.string().max(50)).optional(),
+  skills: Joi.array().items(Joi.string().max(50)).optional(),
+  regions: Joi.array().items(Joi.string().max(50)).optional(),
+  maxActiveOrders: Joi.number().integer().min(0).max(500).optional(),
+  isAvailable: Joi.boolean().optional()
+}).min(1);
+
+function formatProfile(row) {
+  return {
+    serviceCategories: row.service_categories || [],
+    skills: row.skills || [],
+    regions: row.regions || [],
+    maxActiveOrders: row.max_active_orders,
+    isAvailable: row.is_available,
+    lastAssignedAt: row.last_assigned_at
+  };
+}
+
+/**
+ * @swagger
+ * /api/agents/queue:
+ *   get:
+ *     summary: Orders assigned to the agent, highest priority and oldest first
+ *     description: Agents get their own queue; admins can look at any agent's with agentId.
+ *     tags: [Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: agentId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: includeClosed
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include completed and cancelled orders
+ *     responses:
+ *       200:
+ *         description: Queue retrieved successfully
+ */
+router.get('/queue',
+  authenticate,
+  authorize(['agent', 'admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const agentId = req.user.role === 'agent' ? req.user.id : (req.query.agentId || req.user.id);
+      const orders = await assignmentManager.getQueue(agentId, {
+        includeClosed: req.query.includeClosed === 'true'
+      });
+
+      res.json({
+        success: true,
+        agentId,
+        orders: orders.map(order => ({
+          id: order.id,
+          orderNumber: order.order_number,
+          status: order.status,
+          priority: order.priority,
+          region: order.region,
+          service: {
+            id: order.service_id,
+            name: order.service_name,
+            category: order.service_category
+          },
+          client: {
+            id: order.client_id,
+            name: order.business_name || `${order.client_first_name} ${order.client_last_name}`
+          },
+          assignedAt: order.assigned_at,
+          startedAt: order.started_at,
+          estimatedCompletion: order.estimated_completion,
+          createdAt: order.created_at
+        }))
+      });
+
+    } catch (error) {
+      logger.error('Error getting agent queue', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve agent queue',
+        code: 'AGENT_QUEUE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/agents:
+ *   get:
+ *     summary: Agents with their assignment profile and current load
+ *     tags: [Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Workload retrieved successfully
+ */
+router.get('/',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const { unassignedOrders, agents } = await assignmentManager.getWorkload();
+
+      res.json({
+        success: true,
+        strategy: assignmentManager.defaultStrategy,
+        unassignedOrders,
+        agents: agents.map(agent => ({
+          id: agent.user_id,
+          name: `${agent.first_name} ${agent.last_name}`,
+          email: agent.email,
+          isActive: agent.is_active,
+          activeOrders: parseInt(agent.active_orders),
+          // Agents without a profile are never assigned automatically
+          profile: agent.max_active_orders !== null ? formatProfile(agent) : null
+        }))
+      });
+
+    } catch (error) {
+      logger.error('Error getting agent workload', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve agent workload',
+        code: 'AGENT_WORKLOAD_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/agents/{userId}/profile:
+ *   put:
+ *     summary: Set the service categories, skills, regions and capacity an agent is assigned orders by
+ *     description: Empty categories or regions cover all. Fields left out keep their value.
+ *     tags: [Agents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               serviceCategories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               skills:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               regions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               maxActiveOrders:
+ *                 type: integer
+ *               isAvailable:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Profile saved
+ *       400:
+ *         description: User is not an agent
+ *       404:
+ *         description: User not found
+ */
+router.put('/:userId/profile',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(agentProfileSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const profile = await assignmentManager.saveProfile(req.params.userId, req.body);
+
+      res.json({
+        success: true,
+        agentId: req.params.userId,
+        profile: formatProfile(profile)
+      });
+
+    } catch (error) {
+      logger.error('Error saving agent profile', {
+        agentId: req.params.userId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to save agent profile',
+        code: 'AGENT_PROFILE_SAVE_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -12,6 +12,8 @@ const {
 const logger = require('../utils/logger');
 const database = require('../database/connection');
 const redis = require('../utils/redis');
+const referralManager = require('../promotions/referrals');
+const { DEFAULT_CURRENCY, normalizeCurrency } = require('../utils/money');
 
 const router = express.Router();
 
@@ -34,7 +36,10 @@ const registerSchema = Joi.object({
   clientType: Joi.string().valid('individual', 'business', 'dealer').default('individual'),
   vehicleValue: Joi.number().positive().optional(),
   annualIncome: Joi.number().positive().optional(),
-  referralSource: Joi.string().max(100).optional()
+  referralSource: Joi.string().max(100).optional(),
+  referralCode: Joi.string().max(20).optional(),
+  currency: Joi.string().length(3).optional(),
+  region: Joi.string().max(50).optional()
 });
 
 const refreshTokenSchema = Joi.object({
@@ -164,11 +169,20 @@ router.post('/login',
  *                 type: number
  *               referralSource:
  *                 type: string
+ *               referralCode:
+ *                 type: string
+ *                 description: Referral code of the client who referred this one
+ *               currency:
+ *                 type: string
+ *                 description: Billing currency; the default currency when omitted
+ *               region:
+ *                 type: string
+ *                 description: Where the client's services are usually performed, for agent assignment
  *     responses:
  *       201:
  *         description: Registration successful
  *       400:
- *         description: Validation error
+ *         description: Validation error, unknown referral code or unsupported currency
  *       409:
  *         description: User already exists
  */
@@ -178,6 +192,12 @@ router.post('/register',
     const userData = req.body;
     
     try {
+      // Checked first, so a bad code does not leave a half-registered user
+      const referrer = userData.referralCode
+        ? await referralManager.findReferrer(userData.referralCode)
+        : null;
+      const currency = normalizeCurrency(userData.currency || DEFAULT_CURRENCY);
+      
       const user = await register(userData);
       
       // Create client profile with additional data
@@ -187,11 +207,18 @@ router.post('/register',
         vehicle_value: userData.vehicleValue,
         annual_income: userData.annualIncome,
         referral_source: userData.referralSource,
+        currency,
+        region: userData.region || null,
         journey_stage: 'discovery'
       };
       
       await database.update('clients', user.id, clientData);
       
+      if (referrer) {
+        const client = await database.findOne('clients', { user_id: user.id });
+        await referralManager.linkReferral(client.id, referrer);
+      }
+      
       res.status(201).json({
         success: true,
         message: 'Registration successful',
@@ -219,6 +246,15 @@ router.post('/register',
         });
       }
       
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+      
       res.status(400).json({
         success: false,
         error: 'Registration failed',
@@ -0,0 +1,219 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, validate, sendError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const cancellationManager = require('../orders/cancellation');
+const { DEFAULT_CANCELLATION_POLICY, REFUND_METHODS } = require('../orders/cancellation');
+
+const router = express.Router();
+
+const REFUND_STATUSES = ['pending', 'refunded', 'none'];
+
+// Validation schemas
+const policySchema = Joi.object({
+  serviceId: Joi.string().uuid().allow(null).default(null),
+  freeWindowMinutes: Joi.number().integer().min(0).required(),
+  pendingFeePercent: Joi.number().min(0).max(100).required(),
+  startedFeePercent: Joi.number().min(0).max(100).required(),
+  completedFeePercent: Joi.number().min(0).max(100).required(),
+  refundMethod: Joi.string().valid(...REFUND_METHODS).default('original'),
+  isActive: Joi.boolean().default(true)
+});
+
+function formatPolicy(policy) {
+  return {
+    id: policy.id,
+    serviceId: policy.service_id,
+    serviceName: policy.service_name || null,
+    freeWindowMinutes: policy.free_window_minutes,
+    pendingFeePercent: parseFloat(policy.pending_fee_percent),
+    startedFeePercent: parseFloat(policy.started_fee_percent),
+    completedFeePercent: parseFloat(policy.completed_fee_percent),
+    refundMethod: policy.refund_method,
+    isActive: policy.is_active,
+    updatedAt: policy.updated_at
+  };
+}
+
+/**
+ * @swagger
+ * /api/cancellations/policies:
+ *   get:
+ *     summary: Cancellation policies, and the built-in terms used where none applies
+ *     tags: [Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cancellation policies retrieved successfully
+ */
+router.get('/policies',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const policies = await cancellationManager.listPolicies();
+
+      res.json({
+        success: true,
+        policies: policies.map(formatPolicy),
+        defaults: DEFAULT_CANCELLATION_POLICY
+      });
+
+    } catch (error) {
+      logger.error('Error retrieving cancellation policies', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve cancellation policies',
+        code: 'CANCELLATION_POLICIES_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cancellations/policies:
+ *   put:
+ *     summary: Create or replace the cancellation policy of a service
+ *     description: |
+ *       Leave serviceId null for the default of services without their own.
+ *       Fees are a percentage of the order's fee, by the stage the order is
+ *       cancelled at: pending within the free window (no fee), pending,
+ *       started (in progress or failed) or completed.
+ *     tags: [Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - freeWindowMinutes
+ *               - pendingFeePercent
+ *               - startedFeePercent
+ *               - completedFeePercent
+ *             properties:
+ *               serviceId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               freeWindowMinutes:
+ *                 type: integer
+ *                 description: How long after being placed a pending order cancels free
+ *               pendingFeePercent:
+ *                 type: number
+ *               startedFeePercent:
+ *                 type: number
+ *               completedFeePercent:
+ *                 type: number
+ *               refundMethod:
+ *                 type: string
+ *                 enum: [original, credit]
+ *                 default: original
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Cancellation policy saved
+ */
+router.put('/policies',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(policySchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const policy = await cancellationManager.savePolicy(req.body, { userId: req.user.id });
+
+      res.json({
+        success: true,
+        policy: formatPolicy(policy)
+      });
+
+    } catch (error) {
+      logger.error('Error saving cancellation policy', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to save cancellation policy',
+        code: 'CANCELLATION_POLICY_SAVE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cancellations/refunds:
+ *   get:
+ *     summary: Latest cancellation refunds
+ *     description: Pending refunds are waiting on, or retrying, the refund to the original payment.
+ *     tags: [Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, refunded, none]
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully
+ */
+router.get('/refunds',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const status = REFUND_STATUSES.includes(req.query.status) ? req.query.status : null;
+      const refunds = await cancellationManager.listRefunds(status);
+
+      res.json({
+        success: true,
+        refunds: refunds.map(refund => ({
+          id: refund.id,
+          orderId: refund.order_id,
+          orderNumber: refund.order_number,
+          serviceId: refund.service_id,
+          clientId: refund.client_id,
+          stage: refund.stage,
+          currency: refund.currency,
+          amountPaid: parseFloat(refund.amount_paid),
+          feeAmount: parseFloat(refund.fee_amount),
+          feeWaived: refund.fee_waived,
+          refundAmount: parseFloat(refund.refund_amount),
+          creditRestored: parseFloat(refund.credit_restored),
+          cashRefund: parseFloat(refund.cash_refund),
+          refundMethod: refund.refund_method,
+          status: refund.status,
+          stripeRefundId: refund.stripe_refund_id,
+          error: refund.error,
+          processedAt: refund.processed_at,
+          createdAt: refund.created_at
+        }))
+      });
+
+    } catch (error) {
+      logger.error('Error retrieving cancellation refunds', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve cancellation refunds',
+        code: 'CANCELLATION_REFUNDS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,1124 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, validate, sendError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const database = require('../database/connection');
+const offerManager = require('../cascade/offers');
+const ruleManager = require('../cascade/rules');
+
+const router = express.Router();
+
+// Validation schemas
+const simulateSchema = Joi.object({
+  orderId: Joi.string().uuid(),
+  serviceId: Joi.string().uuid(),
+  client: Joi.object(),
+  serviceData: Joi.object().optional(),
+  includeInactive: Joi.boolean().optional(),
+  rules: Joi.array().items(Joi.object({
+    triggeredServiceId: Joi.string().uuid().required(),
+    conversionRate: Joi.number().min(0).max(1).required(),
+    priority: Joi.number().integer().min(1).optional(),
+    conditions: Joi.object().optional(),
+    decisionStrategy: Joi.string().valid('seeded', 'score', 'always').optional()
+  })).optional()
+})
+  .xor('orderId', 'serviceId')
+  .with('serviceId', 'client')
+  .oxor('rules', 'includeInactive');
+
+const ruleFields = {
+  conversionRate: Joi.number().min(0).max(1),
+  priority: Joi.number().integer().min(1),
+  conditions: Joi.object(),
+  decisionStrategy: Joi.string().valid('seeded', 'score', 'always').allow(null),
+  isActive: Joi.boolean()
+};
+
+const createRuleSchema = Joi.object({
+  entryServiceId: Joi.string().uuid().required(),
+  triggeredServiceId: Joi.string().uuid().required(),
+  ...ruleFields,
+  conversionRate: ruleFields.conversionRate.required(),
+  reason: Joi.string().max(500).optional()
+});
+
+const updateRuleSchema = Joi.object({
+  ...ruleFields,
+  version: Joi.number().integer().min(1).optional(),
+  reason: Joi.string().max(500).required()
+}).or('conversionRate', 'priority', 'conditions', 'decisionStrategy', 'isActive');
+
+const deactivateRuleSchema = Joi.object({
+  version: Joi.number().integer().min(1).optional(),
+  reason: Joi.string().max(500).required()
+});
+
+const reorderRulesSchema = Joi.object({
+  entryServiceId: Joi.string().uuid().required(),
+  ruleIds: Joi.array().items(Joi.string().uuid()).min(1).required(),
+  reason: Joi.string().max(500).required()
+});
+
+const rollbackRuleSchema = Joi.object({
+  version: Joi.number().integer().min(1).required(),
+  reason: Joi.string().max(500).optional()
+});
+
+const acceptOfferSchema = Joi.object({
+  vehicleId: Joi.string().uuid().optional(),
+  notes: Joi.string().max(1000).optional()
+});
+
+const declineOfferSchema = Joi.object({
+  reason: Joi.string().max(500).optional()
+});
+
+/**
+ * @swagger
+ * /api/cascade/simulate:
+ *   post:
+ *     summary: Dry-run the cascade engine
+ *     description: |
+ *       Evaluates every cascade rule for a completed order, or for a synthetic
+ *       client profile against an entry service, and reports which conditions
+ *       passed, the threshold check, the trigger probability and the quoted
+ *       price. Nothing is persisted and no notifications are queued.
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *                 format: uuid
+ *               serviceId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Entry service, used with a synthetic client
+ *               client:
+ *                 type: object
+ *                 description: Synthetic client profile (credit_score, vehicle_value, journey_stage, ...)
+ *               serviceData:
+ *                 type: object
+ *               includeInactive:
+ *                 type: boolean
+ *               rules:
+ *                 type: array
+ *                 description: Candidate rules to evaluate instead of the stored ones
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Simulation completed
+ *       400:
+ *         description: Invalid request or rule conditions
+ *       404:
+ *         description: Order or service not found
+ */
+router.post('/simulate',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(simulateSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const cascadeEngine = req.app.get('cascadeEngine');
+      const simulation = await cascadeEngine.simulateCascade(req.body);
+
+      logger.audit('Cascade simulation run', {
+        userId: req.user.id,
+        orderId: req.body.orderId,
+        serviceId: req.body.serviceId,
+        rulesEvaluated: simulation.rules.length
+      });
+
+      res.json({
+        success: true,
+        simulation
+      });
+
+    } catch (error) {
+      logger.error('Error running cascade simulation', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to run cascade simulation',
+        code: 'CASCADE_SIMULATION_FAILED'
+      });
+    }
+  })
+);
+
+// Rule administration
+
+/**
+ * @swagger
+ * /api/cascade/status:
+ *   get:
+ *     summary: Get the cascade rule set this instance is running
+ *     description: |
+ *       Reports the rule-set version loaded by the instance that served the
+ *       request and the latest committed version, so rollouts of rule changes
+ *       across instances can be verified.
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status retrieved successfully
+ */
+router.get('/status',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const cascadeEngine = req.app.get('cascadeEngine');
+      const latestVersion = await ruleManager.getRuleSetVersion();
+      const ruleSet = cascadeEngine.getRuleSetStatus();
+
+      res.json({
+        success: true,
+        ruleSet: {
+          ...ruleSet,
+          latestVersion,
+          upToDate: ruleSet.version === latestVersion
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting cascade status', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve cascade status',
+        code: 'CASCADE_STATUS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+function formatRule(rule, rejectedRules = []) {
+  const rejected = rejectedRules.find(entry => entry.id === rule.id);
+
+  return {
+    id: rule.id,
+    entryService: {
+      id: rule.entry_service_id,
+      name: rule.entry_service_name,
+      slug: rule.entry_service_slug
+    },
+    triggeredService: {
+      id: rule.triggered_service_id,
+      name: rule.triggered_service_name,
+      slug: rule.triggered_service_slug
+    },
+    conversionRate: parseFloat(rule.conversion_rate),
+    priority: rule.priority,
+    conditions: rule.conditions,
+    decisionStrategy: rule.decision_strategy,
+    isActive: rule.is_active,
+    version: rule.version,
+    rejected: rejected ? { error: rejected.error, details: rejected.details } : null,
+    updatedAt: rule.updated_at
+  };
+}
+
+function formatVersion(version) {
+  return {
+    version: version.version,
+    changeType: version.change_type,
+    snapshot: version.snapshot,
+    author: version.author_id ? { id: version.author_id, email: version.author_email } : null,
+    reason: version.reason,
+    createdAt: version.created_at
+  };
+}
+
+/**
+ * @swagger
+ * /api/cascade/rules:
+ *   get:
+ *     summary: List cascade rules
+ *     description: Rules the running engine rejected (e.g. invalid conditions) carry the rejection reason.
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entryServiceId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Rules retrieved successfully
+ */
+router.get('/rules',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const cascadeEngine = req.app.get('cascadeEngine');
+      const rules = await cascadeEngine.queryRules({
+        entryServiceId: req.query.entryServiceId || null,
+        includeInactive: req.query.includeInactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        ruleSetVersion: cascadeEngine.ruleSetVersion,
+        rules: rules.map(rule => formatRule(rule, cascadeEngine.rejectedRules)),
+        totalCount: rules.length
+      });
+
+    } catch (error) {
+      logger.error('Error listing cascade rules', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve cascade rules',
+        code: 'CASCADE_RULES_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cascade/rules:
+ *   post:
+ *     summary: Create a cascade rule
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [entryServiceId, triggeredServiceId, conversionRate]
+ *             properties:
+ *               entryServiceId:
+ *                 type: string
+ *                 format: uuid
+ *               triggeredServiceId:
+ *                 type: string
+ *                 format: uuid
+ *               conversionRate:
+ *                 type: number
+ *               priority:
+ *                 type: integer
+ *               conditions:
+ *                 type: object
+ *               decisionStrategy:
+ *                 type: string
+ *                 enum: [seeded, score, always]
+ *               isActive:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Invalid rule
+ *       409:
+ *         description: A rule already exists for these services
+ */
+router.post('/rules',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(createRuleSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const rule = await ruleManager.createRule(req.body, {
+        authorId: req.user.id,
+        reason: req.body.reason
+      });
+
+      logger.audit('Cascade rule created', {
+        userId: req.user.id,
+        ruleId: rule.id,
+        reason: req.body.reason
+      });
+
+      res.status(201).json({
+        success: true,
+        rule: formatRule(rule)
+      });
+
+    } catch (error) {
+      logger.error('Error creating cascade rule', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to create cascade rule',
+        code: 'CASCADE_RULE_CREATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cascade/rules/reorder:
+ *   post:
+ *     summary: Reorder the active cascade rules of an entry service
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [entryServiceId, ruleIds, reason]
+ *             properties:
+ *               entryServiceId:
+ *                 type: string
+ *                 format: uuid
+ *               ruleIds:
+ *                 type: array
+ *                 description: Every active rule of the entry service, highest priority first
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rules reordered
+ *       400:
+ *         description: Rule list does not match the active rules
+ */
+router.post('/rules/reorder',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(reorderRulesSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { entryServiceId, ruleIds, reason } = req.body;
+      const rules = await ruleManager.reorderRules(entryServiceId, ruleIds, {
+        authorId: req.user.id,
+        reason
+      });
+
+      logger.audit('Cascade rules reordered', {
+        userId: req.user.id,
+        entryServiceId,
+        ruleIds,
+        reason
+      });
+
+      res.json({
+        success: true,
+        rules: rules.map(rule => formatRule(rule)),
+        changedCount: rules.length
+      });
+
+    } catch (error) {
+      logger.error('Error reordering cascade rules', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to reorder cascade rules',
+        code: 'CASCADE_RULES_REORDER_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cascade/rules/{ruleId}:
+ *   get:
+ *     summary: Get a cascade rule with its version history
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rule retrieved successfully
+ *       404:
+ *         description: Rule not found
+ */
+router.get('/rules/:ruleId',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const cascadeEngine = req.app.get('cascadeEngine');
+      const rule = await ruleManager.getRule(req.params.ruleId);
+      const versions = await ruleManager.listVersions(req.params.ruleId);
+
+      res.json({
+        success: true,
+        rule: formatRule(rule, cascadeEngine.rejectedRules),
+        versions: versions.map(formatVersion)
+      });
+
+    } catch (error) {
+      logger.error('Error getting cascade rule', {
+        ruleId: req.params.ruleId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve cascade rule',
+        code: 'CASCADE_RULE_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cascade/rules/{ruleId}:
+ *   put:
+ *     summary: Edit a cascade rule (creates a new version)
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               conversionRate:
+ *                 type: number
+ *               priority:
+ *                 type: integer
+ *               conditions:
+ *                 type: object
+ *               decisionStrategy:
+ *                 type: string
+ *                 enum: [seeded, score, always]
+ *                 nullable: true
+ *               isActive:
+ *                 type: boolean
+ *               version:
+ *                 type: integer
+ *                 description: Version the edit is based on; rejected with 409 if the rule has moved on
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Invalid rule
+ *       409:
+ *         description: Rule changed since the given version
+ */
+router.put('/rules/:ruleId',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(updateRuleSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { version, reason, ...fields } = req.body;
+      const rule = await ruleManager.updateRule(req.params.ruleId, fields, {
+        authorId: req.user.id,
+        reason,
+        expectedVersion: version || null
+      });
+
+      logger.audit('Cascade rule updated', {
+        userId: req.user.id,
+        ruleId: rule.id,
+        version: rule.version,
+        changes: Object.keys(fields),
+        reason
+      });
+
+      res.json({
+        success: true,
+        rule: formatRule(rule)
+      });
+
+    } catch (error) {
+      logger.error('Error updating cascade rule', {
+        ruleId: req.params.ruleId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to update cascade rule',
+        code: 'CASCADE_RULE_UPDATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cascade/rules/{ruleId}/deactivate:
+ *   post:
+ *     summary: Deactivate a cascade rule
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               version:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rule deactivated
+ *       409:
+ *         description: Rule already inactive or changed since the given version
+ */
+router.post('/rules/:ruleId/deactivate',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(deactivateRuleSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const rule = await ruleManager.deactivateRule(req.params.ruleId, {
+        authorId: req.user.id,
+        reason: req.body.reason,
+        expectedVersion: req.body.version || null
+      });
+
+      logger.audit('Cascade rule deactivated', {
+        userId: req.user.id,
+        ruleId: rule.id,
+        version: rule.version,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        rule: formatRule(rule)
+      });
+
+    } catch (error) {
+      logger.error('Error deactivating cascade rule', {
+        ruleId: req.params.ruleId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to deactivate cascade rule',
+        code: 'CASCADE_RULE_DEACTIVATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cascade/rules/{ruleId}/versions:
+ *   get:
+ *     summary: Get the version history of a cascade rule
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Versions retrieved successfully
+ *       404:
+ *         description: Rule not found
+ */
+router.get('/rules/:ruleId/versions',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const versions = await ruleManager.listVersions(req.params.ruleId);
+
+      res.json({
+        success: true,
+        versions: versions.map(formatVersion)
+      });
+
+    } catch (error) {
+      logger.error('Error getting cascade rule versions', {
+        ruleId: req.params.ruleId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve cascade rule versions',
+        code: 'CASCADE_RULE_VERSIONS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cascade/rules/{ruleId}/rate-history:
+ *   get:
+ *     summary: Get the learned conversion rate changes of a cascade rule
+ *     description: Each entry holds the evidence, posterior and credible interval behind the change.
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Rate history retrieved successfully
+ *       404:
+ *         description: Rule not found
+ */
+router.get('/rules/:ruleId/rate-history',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const history = await ruleManager.listRateHistory(req.params.ruleId, limit);
+
+      res.json({
+        success: true,
+        history: history.map(entry => ({
+          ruleVersion: entry.rule_version,
+          previousRate: parseFloat(entry.previous_rate),
+          newRate: parseFloat(entry.new_rate),
+          successes: entry.successes,
+          trials: entry.trials,
+          windowDays: entry.window_days,
+          prior: {
+            alpha: parseFloat(entry.prior_alpha),
+            beta: parseFloat(entry.prior_beta)
+          },
+          posteriorMean: parseFloat(entry.posterior_mean),
+          credibleInterval: {
+            level: parseFloat(entry.credible_level),
+            lower: parseFloat(entry.credible_lower),
+            upper: parseFloat(entry.credible_upper)
+          },
+          createdAt: entry.created_at
+        }))
+      });
+
+    } catch (error) {
+      logger.error('Error getting cascade rule rate history', {
+        ruleId: req.params.ruleId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve rate history',
+        code: 'CASCADE_RATE_HISTORY_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cascade/rules/{ruleId}/rollback:
+ *   post:
+ *     summary: Roll a cascade rule back to an earlier version
+ *     description: The restored state is recorded as a new version.
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version]
+ *             properties:
+ *               version:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rule rolled back
+ *       404:
+ *         description: Rule or version not found
+ */
+router.post('/rules/:ruleId/rollback',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(rollbackRuleSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const rule = await ruleManager.rollbackRule(req.params.ruleId, req.body.version, {
+        authorId: req.user.id,
+        reason: req.body.reason
+      });
+
+      logger.audit('Cascade rule rolled back', {
+        userId: req.user.id,
+        ruleId: rule.id,
+        toVersion: req.body.version,
+        version: rule.version,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        rule: formatRule(rule)
+      });
+
+    } catch (error) {
+      logger.error('Error rolling back cascade rule', {
+        ruleId: req.params.ruleId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to roll back cascade rule',
+        code: 'CASCADE_RULE_ROLLBACK_FAILED'
+      });
+    }
+  })
+);
+
+// Client offers
+
+async function getRequestClient(req, res) {
+  const client = await database.findOne('clients', { user_id: req.user.id });
+  if (!client) {
+    res.status(404).json({
+      success: false,
+      error: 'Client profile not found',
+      code: 'CLIENT_NOT_FOUND'
+    });
+  }
+  return client;
+}
+
+function formatOffer(offer) {
+  return {
+    id: offer.id,
+    status: offer.status,
+    service: offer.service_name ? {
+      id: offer.service_id,
+      name: offer.service_name,
+      slug: offer.service_slug,
+      description: offer.service_description
+    } : { id: offer.service_id },
+    pricing: {
+      basePrice: parseFloat(offer.base_price),
+      quotedPrice: parseFloat(offer.quoted_price),
+      discountAmount: parseFloat(offer.discount_amount) || 0,
+      adjustmentFactors: offer.adjustment_factors || []
+    },
+    entryOrderId: offer.entry_order_id,
+    acceptedOrderId: offer.accepted_order_id,
+    expiresAt: offer.expires_at,
+    viewedAt: offer.viewed_at,
+    respondedAt: offer.responded_at,
+    createdAt: offer.created_at
+  };
+}
+
+/**
+ * @swagger
+ * /api/cascade/offers:
+ *   get:
+ *     summary: List the current client's cascade offers
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [offered, viewed, accepted, declined, expired]
+ *     responses:
+ *       200:
+ *         description: Offers retrieved successfully
+ */
+router.get('/offers',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    try {
+      const client = await getRequestClient(req, res);
+      if (!client) return;
+
+      const offers = await offerManager.listForClient(client.id, req.query.status);
+
+      res.json({
+        success: true,
+        offers: offers.map(formatOffer),
+        totalCount: offers.length
+      });
+
+    } catch (error) {
+      logger.error('Error listing cascade offers', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve offers',
+        code: 'OFFERS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cascade/offers/{offerId}:
+ *   get:
+ *     summary: Get a cascade offer (marks it as viewed)
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Offer retrieved successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Offer not found
+ */
+router.get('/offers/:offerId',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    try {
+      const client = await getRequestClient(req, res);
+      if (!client) return;
+
+      const offer = await offerManager.markViewed(req.params.offerId, client.id);
+
+      res.json({
+        success: true,
+        offer: formatOffer(offer)
+      });
+
+    } catch (error) {
+      logger.error('Error getting cascade offer', {
+        offerId: req.params.offerId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve offer',
+        code: 'OFFER_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cascade/offers/{offerId}/accept:
+ *   post:
+ *     summary: Accept a cascade offer and create the service order
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               vehicleId:
+ *                 type: string
+ *                 format: uuid
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Offer accepted and order created
+ *       409:
+ *         description: Offer is no longer open
+ */
+router.post('/offers/:offerId/accept',
+  authenticate,
+  validate(acceptOfferSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const client = await getRequestClient(req, res);
+      if (!client) return;
+
+      const orderService = req.app.get('orderService');
+      const { offer, serviceOrder } = await offerManager.accept(
+        req.params.offerId,
+        client.id,
+        orderService,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Offer accepted',
+        offer: formatOffer(offer),
+        order: {
+          id: serviceOrder.id,
+          orderNumber: serviceOrder.order_number,
+          status: serviceOrder.status,
+          finalPrice: parseFloat(serviceOrder.final_price)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error accepting cascade offer', {
+        offerId: req.params.offerId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to accept offer',
+        code: 'OFFER_ACCEPT_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/cascade/offers/{offerId}/decline:
+ *   post:
+ *     summary: Decline a cascade offer
+ *     tags: [Cascade]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       409:
+ *         description: Offer is no longer open
+ */
+router.post('/offers/:offerId/decline',
+  authenticate,
+  validate(declineOfferSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const client = await getRequestClient(req, res);
+      if (!client) return;
+
+      const offer = await offerManager.decline(req.params.offerId, client.id, req.body.reason);
+
+      res.json({
+        success: true,
+        message: 'Offer declined',
+        offer: formatOffer(offer)
+      });
+
+    } catch (error) {
+      logger.error('Error declining cascade offer', {
+        offerId: req.params.offerId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to decline offer',
+        code: 'OFFER_DECLINE_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,426 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, validate, sendError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const experimentManager = require('../experiments/manager');
+
+const router = express.Router();
+
+// Validation schemas
+const ruleOverrideSchema = Joi.object({
+  priority: Joi.number().integer().min(1),
+  conversionRate: Joi.number().min(0).max(1),
+  isActive: Joi.boolean(),
+  conditions: Joi.object(),
+  decisionStrategy: Joi.string().valid('seeded', 'score', 'always')
+});
+
+const variantConfigSchema = Joi.object({
+  rules: Joi.object().pattern(Joi.string().uuid(), ruleOverrideSchema),
+  cascadeDelayMs: Joi.number().integer().min(0).max(7 * 24 * 60 * 60 * 1000),
+  pricing: Joi.object({
+    discounts: Joi.object({
+      premium: Joi.number().min(0).max(0.5),
+      excellentCredit: Joi.number().min(0).max(0.5),
+      firstTime: Joi.number().min(0).max(0.5),
+      loyalty: Joi.number().min(0).max(0.5)
+    }),
+    minPriceRatio: Joi.number().min(0).max(1)
+  })
+});
+
+const createExperimentSchema = Joi.object({
+  key: Joi.string().pattern(/^[a-z0-9_-]+$/).max(100).required(),
+  name: Joi.string().max(200).required(),
+  description: Joi.string().max(2000).optional(),
+  entryServiceId: Joi.string().uuid().required(),
+  trafficAllocation: Joi.number().greater(0).max(1).default(1),
+  variants: Joi.array().items(Joi.object({
+    key: Joi.string().pattern(/^[a-z0-9_-]+$/).max(50).required(),
+    name: Joi.string().max(200).optional(),
+    weight: Joi.number().integer().min(1).max(100).default(1),
+    isControl: Joi.boolean().default(false),
+    config: variantConfigSchema.default({})
+  })).min(2).unique('key').required()
+});
+
+function formatExperiment(experiment) {
+  return {
+    id: experiment.id,
+    key: experiment.key,
+    name: experiment.name,
+    description: experiment.description,
+    entryService: {
+      id: experiment.entry_service_id,
+      name: experiment.entry_service_name,
+      slug: experiment.entry_service_slug
+    },
+    status: experiment.status,
+    trafficAllocation: parseFloat(experiment.traffic_allocation),
+    variants: experiment.variants ? experiment.variants.map(variant => ({
+      id: variant.id,
+      key: variant.key,
+      name: variant.name,
+      weight: variant.weight,
+      isControl: variant.is_control,
+      config: variant.config
+    })) : undefined,
+    startedAt: experiment.started_at,
+    stoppedAt: experiment.stopped_at,
+    createdAt: experiment.created_at
+  };
+}
+
+/**
+ * @swagger
+ * /api/experiments:
+ *   get:
+ *     summary: List cascade experiments
+ *     tags: [Experiments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, running, stopped]
+ *     responses:
+ *       200:
+ *         description: Experiments retrieved successfully
+ */
+router.get('/',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const experiments = await experimentManager.listExperiments(req.query.status || null);
+
+      res.json({
+        success: true,
+        experiments: experiments.map(formatExperiment),
+        totalCount: experiments.length
+      });
+
+    } catch (error) {
+      logger.error('Error listing experiments', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve experiments',
+        code: 'EXPERIMENTS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/experiments:
+ *   post:
+ *     summary: Create a cascade experiment (as a draft)
+ *     description: |
+ *       Variants can override cascade rules of the entry service
+ *       (`config.rules.<ruleId>`), the cascade delay (`config.cascadeDelayMs`)
+ *       and the offer discount schedule (`config.pricing`). Exactly one
+ *       variant must be the control.
+ *     tags: [Experiments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [key, name, entryServiceId, variants]
+ *             properties:
+ *               key:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               entryServiceId:
+ *                 type: string
+ *                 format: uuid
+ *               trafficAllocation:
+ *                 type: number
+ *                 description: Share of clients enrolled (0-1]
+ *               variants:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     weight:
+ *                       type: integer
+ *                     isControl:
+ *                       type: boolean
+ *                     config:
+ *                       type: object
+ *     responses:
+ *       201:
+ *         description: Experiment created
+ *       400:
+ *         description: Invalid experiment or variant config
+ *       409:
+ *         description: Experiment key already exists
+ */
+router.post('/',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(createExperimentSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { value } = createExperimentSchema.validate(req.body);
+      const experiment = await experimentManager.createExperiment(value, { authorId: req.user.id });
+
+      logger.audit('Experiment created', {
+        userId: req.user.id,
+        experimentId: experiment.id,
+        key: experiment.key
+      });
+
+      res.status(201).json({
+        success: true,
+        experiment: formatExperiment(experiment)
+      });
+
+    } catch (error) {
+      logger.error('Error creating experiment', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to create experiment',
+        code: 'EXPERIMENT_CREATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/experiments/{experimentId}:
+ *   get:
+ *     summary: Get an experiment with its variants
+ *     tags: [Experiments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: experimentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Experiment retrieved successfully
+ *       404:
+ *         description: Experiment not found
+ */
+router.get('/:experimentId',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const experiment = await experimentManager.getExperiment(req.params.experimentId);
+
+      res.json({
+        success: true,
+        experiment: formatExperiment(experiment)
+      });
+
+    } catch (error) {
+      logger.error('Error getting experiment', {
+        experimentId: req.params.experimentId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve experiment',
+        code: 'EXPERIMENT_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/experiments/{experimentId}/start:
+ *   post:
+ *     summary: Start a draft experiment
+ *     tags: [Experiments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: experimentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Experiment started
+ *       409:
+ *         description: Not a draft, or another experiment is running for the entry service
+ */
+router.post('/:experimentId/start',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const experiment = await experimentManager.startExperiment(req.params.experimentId);
+
+      logger.audit('Experiment started', {
+        userId: req.user.id,
+        experimentId: experiment.id,
+        key: experiment.key
+      });
+
+      res.json({
+        success: true,
+        experiment: formatExperiment(experiment)
+      });
+
+    } catch (error) {
+      logger.error('Error starting experiment', {
+        experimentId: req.params.experimentId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to start experiment',
+        code: 'EXPERIMENT_START_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/experiments/{experimentId}/stop:
+ *   post:
+ *     summary: Stop a running experiment
+ *     tags: [Experiments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: experimentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Experiment stopped
+ *       409:
+ *         description: Experiment is not running
+ */
+router.post('/:experimentId/stop',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const experiment = await experimentManager.stopExperiment(req.params.experimentId);
+
+      logger.audit('Experiment stopped', {
+        userId: req.user.id,
+        experimentId: experiment.id,
+        key: experiment.key
+      });
+
+      res.json({
+        success: true,
+        experiment: formatExperiment(experiment)
+      });
+
+    } catch (error) {
+      logger.error('Error stopping experiment', {
+        experimentId: req.params.experimentId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to stop experiment',
+        code: 'EXPERIMENT_STOP_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/experiments/{experimentId}/results:
+ *   get:
+ *     summary: Get experiment results
+ *     description: |
+ *       Per-variant exposures, conversion rate and revenue per exposure, with
+ *       lift, confidence interval and p-value against the control.
+ *     tags: [Experiments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: experimentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: alpha
+ *         schema:
+ *           type: number
+ *           default: 0.05
+ *         description: Significance level; confidence intervals are at 1 - alpha
+ *     responses:
+ *       200:
+ *         description: Results retrieved successfully
+ *       404:
+ *         description: Experiment not found
+ */
+router.get('/:experimentId/results',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const alpha = parseFloat(req.query.alpha);
+      const results = await experimentManager.getResults(req.params.experimentId, {
+        alpha: alpha > 0 && alpha < 1 ? alpha : 0.05
+      });
+
+      res.json({
+        success: true,
+        results
+      });
+
+    } catch (error) {
+      logger.error('Error getting experiment results', {
+        experimentId: req.params.experimentId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve experiment results',
+        code: 'EXPERIMENT_RESULTS_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, validate, sendError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const outbox = require('../queue/outbox');
+
+const router = express.Router();
+
+// Validation schemas
+const replaySchema = Joi.object({
+  afterEventId: Joi.number().integer().min(0).required()
+});
+
+// BIGSERIAL ids come back from pg as strings
+function formatEvent(event) {
+  return {
+    id: parseInt(event.id),
+    type: event.event_type,
+    aggregateType: event.aggregate_type,
+    aggregateId: event.aggregate_id,
+    payload: event.payload,
+    createdAt: event.created_at
+  };
+}
+
+function formatDeadLetter(deadLetter) {
+  return {
+    id: deadLetter.id,
+    consumer: deadLetter.consumer,
+    eventId: parseInt(deadLetter.event_id),
+    eventType: deadLetter.event_type,
+    aggregateType: deadLetter.aggregate_type,
+    aggregateId: deadLetter.aggregate_id,
+    payload: deadLetter.payload,
+    attempts: deadLetter.attempts,
+    error: deadLetter.error,
+    redeliveredAt: deadLetter.redelivered_at,
+    createdAt: deadLetter.created_at
+  };
+}
+
+/**
+ * @swagger
+ * /api/outbox/consumers:
+ *   get:
+ *     summary: Delivery position, lag and retry state of each outbox consumer
+ *     tags: [Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Consumer offsets retrieved successfully
+ */
+router.get('/consumers',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const stats = await outbox.getStats();
+
+      res.json({
+        success: true,
+        ...stats
+      });
+
+    } catch (error) {
+      logger.error('Error retrieving outbox consumers', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve outbox consumers',
+        code: 'OUTBOX_CONSUMERS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/outbox/consumers/{consumer}/replay:
+ *   post:
+ *     summary: Move a consumer's offset so it next handles the event after afterEventId
+ *     description: Events the consumer already handled are delivered to it again; consumers are idempotent.
+ *     tags: [Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: consumer
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - afterEventId
+ *             properties:
+ *               afterEventId:
+ *                 type: integer
+ *                 minimum: 0
+ *     responses:
+ *       200:
+ *         description: Offset moved
+ *       404:
+ *         description: Consumer not found
+ */
+router.post('/consumers/:consumer/replay',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(replaySchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const offset = await outbox.replay(req.params.consumer, req.body.afterEventId);
+
+      logger.audit('Outbox replay requested', {
+        userId: req.user.id,
+        consumer: req.params.consumer,
+        afterEventId: req.body.afterEventId
+      });
+
+      res.json({
+        success: true,
+        consumer: offset.consumer,
+        lastEventId: parseInt(offset.last_event_id)
+      });
+
+    } catch (error) {
+      logger.error('Error replaying outbox consumer', {
+        consumer: req.params.consumer,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to replay outbox consumer',
+        code: 'OUTBOX_REPLAY_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/outbox/events:
+ *   get:
+ *     summary: Latest outbox events
+ *     tags: [Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: aggregateId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Events retrieved successfully
+ */
+router.get('/events',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const events = await outbox.listEvents({
+        aggregateId: req.query.aggregateId || null,
+        eventType: req.query.type || null,
+        limit: Math.min(parseInt(req.query.limit) || 50, 500)
+      });
+
+      res.json({
+        success: true,
+        events: events.map(formatEvent)
+      });
+
+    } catch (error) {
+      logger.error('Error retrieving outbox events', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve outbox events',
+        code: 'OUTBOX_EVENTS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/outbox/dead-letters:
+ *   get:
+ *     summary: Events consumers gave up on and that have not been redelivered
+ *     tags: [Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: consumer
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dead-lettered events retrieved successfully
+ */
+router.get('/dead-letters',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const deadLetters = await outbox.getDeadLetters(req.query.consumer || null);
+
+      res.json({
+        success: true,
+        deadLetters: deadLetters.map(formatDeadLetter)
+      });
+
+    } catch (error) {
+      logger.error('Error retrieving outbox dead letters', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve dead-lettered events',
+        code: 'OUTBOX_DEAD_LETTERS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/outbox/dead-letters/{deadLetterId}/redeliver:
+ *   post:
+ *     summary: Hand a dead-lettered event to its consumer again
+ *     tags: [Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deadLetterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Event delivered
+ *       404:
+ *         description: Dead-lettered event or its consumer not found
+ *       409:
+ *         description: Event already redelivered
+ *       500:
+ *         description: The consumer failed again
+ */
+router.post('/dead-letters/:deadLetterId/redeliver',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const deadLetter = await outbox.redeliver(req.params.deadLetterId);
+
+      logger.audit('Outbox event redelivered', {
+        userId: req.user.id,
+        deadLetterId: deadLetter.id,
+        consumer: deadLetter.consumer,
+        eventId: deadLetter.event_id
+      });
+
+      res.json({
+        success: true,
+        deadLetter: {
+          id: deadLetter.id,
+          consumer: deadLetter.consumer,
+          eventId: parseInt(deadLetter.event_id),
+          redeliveredAt: deadLetter.redelivered_at
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error redelivering outbox event', {
+        deadLetterId: req.params.deadLetterId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to redeliver event',
+        code: 'OUTBOX_REDELIVERY_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
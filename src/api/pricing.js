@@ -0,0 +1,1378 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, validate, sendError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const pricingService = require('../pricing/pricingService');
+const pricingRuleSetManager = require('../pricing/ruleSets');
+const pricingGuardrails = require('../pricing/guardrails');
+const database = require('../database/connection');
+const { normalizeCurrency } = require('../utils/money');
+
+const router = express.Router();
+
+// Validation schemas
+const factor = Joi.number().min(0.5).max(2);
+
+const monthlyFactors = Joi.object().pattern(Joi.string().pattern(/^([1-9]|1[0-2])$/), factor);
+
+const tableSchemas = {
+  creditScoreMultipliers: Joi.object({
+    excellent: factor, good: factor, fair: factor, poor: factor, bad: factor
+  }),
+  vehicleValueMultipliers: Joi.object({
+    luxury: factor, premium: factor, standard: factor, economy: factor
+  }),
+  loyaltyDiscounts: Joi.object({
+    new: factor, returning: factor, loyal: factor, premium: factor
+  }),
+  volumeDiscounts: Joi.object({
+    single: factor, bundle: factor, package: factor
+  }),
+  urgencyPremiums: Joi.object({
+    standard: factor, expedited: factor, emergency: factor
+  }),
+  seasonalFactors: Joi.object().pattern(Joi.string(), monthlyFactors),
+  marketConditions: Joi.object().pattern(Joi.string(), Joi.object({
+    factor: factor.required(),
+    trend: Joi.string().max(50).optional()
+  }))
+};
+
+// A rule set has every table with every tier; overrides may be partial
+const rulesSchema = Joi.object({
+  creditScoreMultipliers: tableSchemas.creditScoreMultipliers.options({ presence: 'required' }),
+  vehicleValueMultipliers: tableSchemas.vehicleValueMultipliers.options({ presence: 'required' }),
+  loyaltyDiscounts: tableSchemas.loyaltyDiscounts.options({ presence: 'required' }),
+  volumeDiscounts: tableSchemas.volumeDiscounts.options({ presence: 'required' }),
+  urgencyPremiums: tableSchemas.urgencyPremiums.options({ presence: 'required' }),
+  seasonalFactors: tableSchemas.seasonalFactors.required(),
+  marketConditions: tableSchemas.marketConditions.required()
+});
+
+const serviceOverridesSchema = Joi.object().pattern(Joi.string().uuid(), Joi.object(tableSchemas).min(1));
+
+const createRuleSetSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  description: Joi.string().max(2000).optional(),
+  rules: rulesSchema.optional(),
+  serviceOverrides: serviceOverridesSchema.optional(),
+  effectiveFrom: Joi.date().iso().required(),
+  effectiveTo: Joi.date().iso().greater(Joi.ref('effectiveFrom')).optional(),
+  basedOnVersion: Joi.number().integer().min(1).optional()
+}).oxor('rules', 'basedOnVersion');
+
+const updateRuleSetSchema = Joi.object({
+  name: Joi.string().max(100),
+  description: Joi.string().max(2000).allow(null),
+  rules: rulesSchema,
+  serviceOverrides: serviceOverridesSchema,
+  effectiveFrom: Joi.date().iso(),
+  effectiveTo: Joi.date().iso().allow(null)
+}).min(1);
+
+const rejectRuleSetSchema = Joi.object({
+  reason: Joi.string().max(1000).required()
+});
+
+const endRuleSetSchema = Joi.object({
+  effectiveTo: Joi.date().iso().required()
+});
+
+const serviceGuardrailsSchema = Joi.object({
+  floorPrice: Joi.number().min(0).precision(2).allow(null),
+  ceilingPrice: Joi.number().positive().precision(2).allow(null),
+  minimumMargin: Joi.number().min(0).less(1).allow(null)
+}).min(1);
+
+const servicePriceListSchema = Joi.object({
+  basePrice: Joi.number().min(0).precision(2).required(),
+  minimumFee: Joi.number().min(0).precision(2).default(0),
+  maximumFee: Joi.number().positive().precision(2).allow(null).default(null),
+  floorPrice: Joi.number().min(0).precision(2).allow(null).default(null),
+  ceilingPrice: Joi.number().positive().precision(2).allow(null).default(null)
+});
+
+const reviewInterventionSchema = Joi.object({
+  notes: Joi.string().max(2000).optional()
+});
+
+const runRecommendationsSchema = Joi.object({
+  objective: Joi.string().valid('revenue', 'margin').optional()
+});
+
+const reviewRecommendationSchema = Joi.object({
+  notes: Joi.string().max(2000).optional()
+});
+
+function formatRuleSet(ruleSet) {
+  return {
+    id: ruleSet.id,
+    version: ruleSet.version,
+    name: ruleSet.name,
+    description: ruleSet.description,
+    status: ruleSet.status,
+    rules: ruleSet.rules,
+    serviceOverrides: ruleSet.service_overrides,
+    effectiveFrom: ruleSet.effective_from,
+    effectiveTo: ruleSet.effective_to,
+    basedOnVersion: ruleSet.based_on_version,
+    createdBy: ruleSet.created_by_email || ruleSet.created_by,
+    submittedAt: ruleSet.submitted_at,
+    approvedBy: ruleSet.approved_by_email || ruleSet.approved_by,
+    approvedAt: ruleSet.approved_at,
+    rejectionReason: ruleSet.rejection_reason,
+    createdAt: ruleSet.created_at,
+    updatedAt: ruleSet.updated_at
+  };
+}
+
+function formatPriceList(priceList) {
+  const amount = (value) => (value !== null ? parseFloat(value) : null);
+  return {
+    serviceId: priceList.service_id,
+    currency: priceList.currency,
+    basePrice: parseFloat(priceList.base_price),
+    minimumFee: amount(priceList.minimum_fee),
+    maximumFee: amount(priceList.maximum_fee),
+    floorPrice: amount(priceList.floor_price),
+    ceilingPrice: amount(priceList.ceiling_price),
+    updatedAt: priceList.updated_at
+  };
+}
+
+function formatIntervention(intervention) {
+  return {
+    id: intervention.id,
+    guardrail: intervention.guardrail,
+    action: intervention.action,
+    reason: intervention.reason,
+    service: {
+      id: intervention.service_id,
+      name: intervention.service_name,
+      slug: intervention.service_slug
+    },
+    clientId: intervention.client_id,
+    orderId: intervention.order_id,
+    channel: intervention.channel,
+    currency: intervention.currency,
+    priceBefore: parseFloat(intervention.price_before),
+    priceAfter: parseFloat(intervention.price_after),
+    details: intervention.details,
+    ruleSetId: intervention.pricing_rule_set_id,
+    reviewedBy: intervention.reviewed_by,
+    reviewedAt: intervention.reviewed_at,
+    reviewNotes: intervention.review_notes,
+    createdAt: intervention.created_at
+  };
+}
+
+function formatRecommendation(recommendation) {
+  return {
+    id: recommendation.id,
+    service: {
+      id: recommendation.service_id,
+      name: recommendation.service_name,
+      slug: recommendation.service_slug
+    },
+    objective: recommendation.objective,
+    field: recommendation.field,
+    currentValue: parseFloat(recommendation.current_value),
+    recommendedValue: parseFloat(recommendation.recommended_value),
+    confidenceBounds: {
+      lower: parseFloat(recommendation.lower_bound),
+      upper: parseFloat(recommendation.upper_bound)
+    },
+    multiplier: parseFloat(recommendation.multiplier),
+    elasticity: {
+      atCurrentPrice: parseFloat(recommendation.elasticity),
+      lower: parseFloat(recommendation.elasticity_lower),
+      upper: parseFloat(recommendation.elasticity_upper)
+    },
+    observations: recommendation.observations,
+    conversions: recommendation.conversions,
+    expectedLift: recommendation.expected_lift !== null ? parseFloat(recommendation.expected_lift) : null,
+    model: recommendation.model,
+    status: recommendation.status,
+    reviewedBy: recommendation.reviewed_by,
+    reviewedAt: recommendation.reviewed_at,
+    reviewNotes: recommendation.review_notes,
+    appliedAt: recommendation.applied_at,
+    createdAt: recommendation.created_at
+  };
+}
+
+/**
+ * @swagger
+ * /api/pricing/rule-sets:
+ *   get:
+ *     summary: List pricing rule sets
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, pending_approval, approved, rejected]
+ *     responses:
+ *       200:
+ *         description: Rule sets retrieved successfully
+ */
+router.get('/rule-sets',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const ruleSets = await pricingRuleSetManager.listRuleSets(req.query.status || null);
+
+      res.json({
+        success: true,
+        ruleSets: ruleSets.map(formatRuleSet),
+        totalCount: ruleSets.length
+      });
+
+    } catch (error) {
+      logger.error('Error listing pricing rule sets', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve pricing rule sets',
+        code: 'PRICING_RULE_SETS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/rule-sets/active:
+ *   get:
+ *     summary: Get the pricing rule set in effect now
+ *     description: |
+ *       With `serviceId`, `tables` are the rule set's tables with that
+ *       service's overrides applied, as the pricing pipeline sees them.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: serviceId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Active rule set retrieved successfully
+ */
+router.get('/rule-sets/active',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const ruleSet = pricingService.getActiveRuleSet();
+
+      res.json({
+        success: true,
+        ruleSet: ruleSet.id ? formatRuleSet(ruleSet) : null,
+        builtIn: !ruleSet.id,
+        tables: req.query.serviceId
+          ? pricingService.tablesFor(ruleSet, { id: req.query.serviceId })
+          : ruleSet.rules
+      });
+
+    } catch (error) {
+      logger.error('Error getting active pricing rule set', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve active pricing rule set',
+        code: 'PRICING_RULE_SET_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/rule-sets:
+ *   post:
+ *     summary: Draft a pricing rule set
+ *     description: |
+ *       Without `rules`, the draft copies the tables and overrides of
+ *       `basedOnVersion`, or of the rule set in effect now. Service
+ *       overrides are partial tables keyed by service id.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, effectiveFrom]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               rules:
+ *                 type: object
+ *               serviceOverrides:
+ *                 type: object
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date-time
+ *               basedOnVersion:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Rule set drafted
+ *       400:
+ *         description: Invalid tables, dates or unknown override services
+ */
+router.post('/rule-sets',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(createRuleSetSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { value } = createRuleSetSchema.validate(req.body);
+      const ruleSet = await pricingRuleSetManager.createRuleSet(value, { authorId: req.user.id });
+
+      logger.audit('Pricing rule set drafted', {
+        userId: req.user.id,
+        ruleSetId: ruleSet.id,
+        version: ruleSet.version
+      });
+
+      res.status(201).json({
+        success: true,
+        ruleSet: formatRuleSet(ruleSet)
+      });
+
+    } catch (error) {
+      logger.error('Error creating pricing rule set', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to create pricing rule set',
+        code: 'PRICING_RULE_SET_CREATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/rule-sets/{ruleSetId}:
+ *   get:
+ *     summary: Get a pricing rule set
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleSetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rule set retrieved successfully
+ *       404:
+ *         description: Rule set not found
+ */
+router.get('/rule-sets/:ruleSetId',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const ruleSet = await pricingRuleSetManager.getRuleSet(req.params.ruleSetId);
+
+      res.json({
+        success: true,
+        ruleSet: formatRuleSet(ruleSet)
+      });
+
+    } catch (error) {
+      logger.error('Error getting pricing rule set', {
+        ruleSetId: req.params.ruleSetId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve pricing rule set',
+        code: 'PRICING_RULE_SET_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/rule-sets/{ruleSetId}:
+ *   put:
+ *     summary: Edit a draft or rejected pricing rule set
+ *     description: Editing a rejected rule set returns it to draft.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleSetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rule set updated
+ *       409:
+ *         description: Rule set is submitted or approved
+ */
+router.put('/rule-sets/:ruleSetId',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(updateRuleSetSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { value } = updateRuleSetSchema.validate(req.body);
+      const ruleSet = await pricingRuleSetManager.updateRuleSet(req.params.ruleSetId, value);
+
+      logger.audit('Pricing rule set edited', {
+        userId: req.user.id,
+        ruleSetId: ruleSet.id,
+        version: ruleSet.version,
+        fields: Object.keys(value)
+      });
+
+      res.json({
+        success: true,
+        ruleSet: formatRuleSet(ruleSet)
+      });
+
+    } catch (error) {
+      logger.error('Error updating pricing rule set', {
+        ruleSetId: req.params.ruleSetId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to update pricing rule set',
+        code: 'PRICING_RULE_SET_UPDATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/rule-sets/{ruleSetId}/submit:
+ *   post:
+ *     summary: Submit a draft pricing rule set for approval
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleSetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rule set submitted
+ *       409:
+ *         description: Rule set is not a draft
+ */
+router.post('/rule-sets/:ruleSetId/submit',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const ruleSet = await pricingRuleSetManager.submitRuleSet(req.params.ruleSetId, { authorId: req.user.id });
+
+      logger.audit('Pricing rule set submitted', {
+        userId: req.user.id,
+        ruleSetId: ruleSet.id,
+        version: ruleSet.version
+      });
+
+      res.json({
+        success: true,
+        ruleSet: formatRuleSet(ruleSet)
+      });
+
+    } catch (error) {
+      logger.error('Error submitting pricing rule set', {
+        ruleSetId: req.params.ruleSetId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to submit pricing rule set',
+        code: 'PRICING_RULE_SET_SUBMIT_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/rule-sets/{ruleSetId}/approve:
+ *   post:
+ *     summary: Approve a submitted pricing rule set
+ *     description: |
+ *       The approver must not be the author or submitter. The rule set
+ *       prices new quotes and orders from its effective date.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleSetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Rule set approved
+ *       403:
+ *         description: Approver authored or submitted the rule set
+ *       409:
+ *         description: Rule set is not pending approval
+ */
+router.post('/rule-sets/:ruleSetId/approve',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const ruleSet = await pricingRuleSetManager.approveRuleSet(req.params.ruleSetId, { approverId: req.user.id });
+
+      logger.audit('Pricing rule set approved', {
+        userId: req.user.id,
+        ruleSetId: ruleSet.id,
+        version: ruleSet.version,
+        effectiveFrom: ruleSet.effective_from
+      });
+
+      res.json({
+        success: true,
+        ruleSet: formatRuleSet(ruleSet)
+      });
+
+    } catch (error) {
+      logger.error('Error approving pricing rule set', {
+        ruleSetId: req.params.ruleSetId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to approve pricing rule set',
+        code: 'PRICING_RULE_SET_APPROVE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/rule-sets/{ruleSetId}/reject:
+ *   post:
+ *     summary: Reject a submitted pricing rule set
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleSetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rule set rejected
+ *       409:
+ *         description: Rule set is not pending approval
+ */
+router.post('/rule-sets/:ruleSetId/reject',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(rejectRuleSetSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const ruleSet = await pricingRuleSetManager.rejectRuleSet(req.params.ruleSetId, {
+        approverId: req.user.id,
+        reason: req.body.reason
+      });
+
+      logger.audit('Pricing rule set rejected', {
+        userId: req.user.id,
+        ruleSetId: ruleSet.id,
+        version: ruleSet.version,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        ruleSet: formatRuleSet(ruleSet)
+      });
+
+    } catch (error) {
+      logger.error('Error rejecting pricing rule set', {
+        ruleSetId: req.params.ruleSetId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to reject pricing rule set',
+        code: 'PRICING_RULE_SET_REJECT_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/rule-sets/{ruleSetId}/end:
+ *   post:
+ *     summary: Set when an approved pricing rule set stops applying
+ *     description: The rule set before it applies again from then on.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleSetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [effectiveTo]
+ *             properties:
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: End date set
+ *       409:
+ *         description: Rule set is not approved
+ */
+router.post('/rule-sets/:ruleSetId/end',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(endRuleSetSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { value } = endRuleSetSchema.validate(req.body);
+      const ruleSet = await pricingRuleSetManager.endRuleSet(req.params.ruleSetId, value.effectiveTo, {
+        authorId: req.user.id
+      });
+
+      logger.audit('Pricing rule set end date set', {
+        userId: req.user.id,
+        ruleSetId: ruleSet.id,
+        version: ruleSet.version,
+        effectiveTo: ruleSet.effective_to
+      });
+
+      res.json({
+        success: true,
+        ruleSet: formatRuleSet(ruleSet)
+      });
+
+    } catch (error) {
+      logger.error('Error ending pricing rule set', {
+        ruleSetId: req.params.ruleSetId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to end pricing rule set',
+        code: 'PRICING_RULE_SET_END_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/services/{serviceId}/guardrails:
+ *   put:
+ *     summary: Set a service's price limits and minimum margin
+ *     description: Null clears a limit; a null minimum margin uses the default.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               floorPrice:
+ *                 type: number
+ *                 nullable: true
+ *               ceilingPrice:
+ *                 type: number
+ *                 nullable: true
+ *               minimumMargin:
+ *                 type: number
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Guardrails updated
+ *       400:
+ *         description: Floor price above ceiling price
+ *       404:
+ *         description: Service not found
+ */
+router.put('/services/:serviceId/guardrails',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(serviceGuardrailsSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const service = await database.findById('services', req.params.serviceId);
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          error: 'Service not found',
+          code: 'SERVICE_NOT_FOUND'
+        });
+      }
+
+      const { value } = serviceGuardrailsSchema.validate(req.body);
+      const floorPrice = value.floorPrice !== undefined ? value.floorPrice : service.floor_price;
+      const ceilingPrice = value.ceilingPrice !== undefined ? value.ceilingPrice : service.ceiling_price;
+      if (floorPrice !== null && ceilingPrice !== null && parseFloat(floorPrice) > parseFloat(ceilingPrice)) {
+        return res.status(400).json({
+          success: false,
+          error: 'floorPrice must not be above ceilingPrice',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const changes = {};
+      if (value.floorPrice !== undefined) changes.floor_price = value.floorPrice;
+      if (value.ceilingPrice !== undefined) changes.ceiling_price = value.ceilingPrice;
+      if (value.minimumMargin !== undefined) changes.minimum_margin = value.minimumMargin;
+      const updated = await database.update('services', service.id, changes);
+
+      logger.audit('Service pricing guardrails updated', {
+        userId: req.user.id,
+        serviceId: service.id,
+        changes: value
+      });
+
+      res.json({
+        success: true,
+        service: {
+          id: updated.id,
+          name: updated.name,
+          floorPrice: updated.floor_price !== null ? parseFloat(updated.floor_price) : null,
+          ceilingPrice: updated.ceiling_price !== null ? parseFloat(updated.ceiling_price) : null,
+          minimumMargin: updated.minimum_margin !== null ? parseFloat(updated.minimum_margin) : null
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating service pricing guardrails', {
+        serviceId: req.params.serviceId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to update service pricing guardrails',
+        code: 'SERVICE_GUARDRAILS_UPDATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/services/{serviceId}/prices:
+ *   get:
+ *     summary: List a service's price lists in other currencies
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Price lists retrieved successfully
+ *       404:
+ *         description: Service not found
+ */
+router.get('/services/:serviceId/prices',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const service = await database.findById('services', req.params.serviceId);
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          error: 'Service not found',
+          code: 'SERVICE_NOT_FOUND'
+        });
+      }
+
+      const priceLists = await database.findMany('service_prices', { service_id: service.id }, {
+        orderBy: 'currency ASC'
+      });
+
+      res.json({
+        success: true,
+        currency: service.currency,
+        priceLists: priceLists.map(formatPriceList)
+      });
+
+    } catch (error) {
+      logger.error('Error getting service price lists', {
+        serviceId: req.params.serviceId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve service price lists',
+        code: 'PRICE_LISTS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/services/{serviceId}/prices/{currency}:
+ *   put:
+ *     summary: Set a service's prices in another currency
+ *     description: Clients billed in the currency are quoted from these amounts; the service's own amounts are in its own currency.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [basePrice]
+ *             properties:
+ *               basePrice:
+ *                 type: number
+ *               minimumFee:
+ *                 type: number
+ *               maximumFee:
+ *                 type: number
+ *                 nullable: true
+ *               floorPrice:
+ *                 type: number
+ *                 nullable: true
+ *               ceilingPrice:
+ *                 type: number
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Price list set
+ *       400:
+ *         description: Unsupported currency, the service's own currency, or floor price above ceiling price
+ *       404:
+ *         description: Service not found
+ */
+router.put('/services/:serviceId/prices/:currency',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(servicePriceListSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const service = await database.findById('services', req.params.serviceId);
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          error: 'Service not found',
+          code: 'SERVICE_NOT_FOUND'
+        });
+      }
+
+      const { value } = servicePriceListSchema.validate(req.body);
+      const currency = normalizeCurrency(req.params.currency);
+      const priceList = await pricingService.setPriceList(service, currency, value);
+
+      logger.audit('Service price list set', {
+        userId: req.user.id,
+        serviceId: service.id,
+        currency,
+        prices: value
+      });
+
+      res.json({
+        success: true,
+        priceList: formatPriceList(priceList)
+      });
+
+    } catch (error) {
+      logger.error('Error setting service price list', {
+        serviceId: req.params.serviceId,
+        currency: req.params.currency,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to set service price list',
+        code: 'PRICE_LIST_UPDATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/interventions:
+ *   get:
+ *     summary: List pricing guardrail interventions for compliance review
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: guardrail
+ *         schema:
+ *           type: string
+ *           enum: [fair_lending, price_limits, minimum_margin]
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [adjusted, blocked, flagged]
+ *       - in: query
+ *         name: unreviewed
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Interventions retrieved successfully
+ */
+router.get('/interventions',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit);
+      const interventions = await pricingGuardrails.listInterventions({
+        guardrail: req.query.guardrail || null,
+        action: req.query.action || null,
+        unreviewed: req.query.unreviewed === 'true',
+        limit: limit > 0 && limit <= 500 ? limit : 100
+      });
+
+      res.json({
+        success: true,
+        interventions: interventions.map(formatIntervention),
+        totalCount: interventions.length
+      });
+
+    } catch (error) {
+      logger.error('Error listing pricing interventions', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve pricing interventions',
+        code: 'PRICING_INTERVENTIONS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/interventions/{interventionId}/review:
+ *   post:
+ *     summary: Mark a pricing intervention as reviewed
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: interventionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Intervention reviewed
+ *       404:
+ *         description: Intervention not found
+ */
+router.post('/interventions/:interventionId/review',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(reviewInterventionSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const intervention = await pricingGuardrails.reviewIntervention(req.params.interventionId, {
+        reviewerId: req.user.id,
+        notes: req.body.notes || null
+      });
+
+      logger.audit('Pricing intervention reviewed', {
+        userId: req.user.id,
+        interventionId: intervention.id,
+        guardrail: intervention.guardrail
+      });
+
+      res.json({
+        success: true,
+        intervention: formatIntervention(intervention)
+      });
+
+    } catch (error) {
+      logger.error('Error reviewing pricing intervention', {
+        interventionId: req.params.interventionId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to review pricing intervention',
+        code: 'PRICING_INTERVENTION_REVIEW_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/recommendations:
+ *   get:
+ *     summary: List price recommendations from elasticity estimates
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, applied, rejected, superseded]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: Recommendations retrieved successfully
+ */
+router.get('/recommendations',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const revenueOptimizer = req.app.get('revenueOptimizer');
+      const recommendations = await revenueOptimizer.listPriceRecommendations(req.query.status || 'pending');
+
+      res.json({
+        success: true,
+        recommendations: recommendations.map(formatRecommendation),
+        totalCount: recommendations.length
+      });
+
+    } catch (error) {
+      logger.error('Error listing price recommendations', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve price recommendations',
+        code: 'PRICE_RECOMMENDATIONS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/recommendations/run:
+ *   post:
+ *     summary: Estimate price elasticities now and queue recommendations
+ *     description: Runs the weekly estimation on demand. Pending recommendations for a service are superseded by new ones; no prices are changed.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               objective:
+ *                 type: string
+ *                 enum: [revenue, margin]
+ *     responses:
+ *       200:
+ *         description: Estimation summary
+ */
+router.post('/recommendations/run',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(runRecommendationsSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const revenueOptimizer = req.app.get('revenueOptimizer');
+      const summary = await revenueOptimizer.optimizePricing(
+        req.body.objective ? { objective: req.body.objective } : {}
+      );
+      if (!summary) {
+        throw new Error('Pricing optimization failed');
+      }
+
+      logger.audit('Price elasticity estimation run', {
+        userId: req.user.id,
+        objective: req.body.objective || revenueOptimizer.pricingObjective,
+        ...summary
+      });
+
+      res.json({
+        success: true,
+        summary
+      });
+
+    } catch (error) {
+      logger.error('Error running price elasticity estimation', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to run price elasticity estimation',
+        code: 'PRICE_RECOMMENDATIONS_RUN_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/recommendations/{recommendationId}/approve:
+ *   post:
+ *     summary: Approve a price recommendation and apply it to its service
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recommendationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Recommendation applied
+ *       404:
+ *         description: Recommendation not found
+ *       409:
+ *         description: Recommendation is not pending, or the service price has changed since
+ */
+router.post('/recommendations/:recommendationId/approve',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(reviewRecommendationSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const revenueOptimizer = req.app.get('revenueOptimizer');
+      const recommendation = await revenueOptimizer.approvePriceRecommendation(req.params.recommendationId, {
+        reviewerId: req.user.id,
+        notes: req.body.notes || null
+      });
+
+      logger.audit('Price recommendation approved', {
+        userId: req.user.id,
+        recommendationId: recommendation.id,
+        serviceId: recommendation.service_id,
+        field: recommendation.field,
+        previousValue: recommendation.current_value,
+        newValue: recommendation.recommended_value
+      });
+
+      res.json({
+        success: true,
+        recommendation: formatRecommendation(recommendation)
+      });
+
+    } catch (error) {
+      logger.error('Error approving price recommendation', {
+        recommendationId: req.params.recommendationId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to approve price recommendation',
+        code: 'PRICE_RECOMMENDATION_APPROVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing/recommendations/{recommendationId}/reject:
+ *   post:
+ *     summary: Reject a price recommendation
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recommendationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Recommendation rejected
+ *       404:
+ *         description: Recommendation not found
+ *       409:
+ *         description: Recommendation is not pending
+ */
+router.post('/recommendations/:recommendationId/reject',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(reviewRecommendationSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const revenueOptimizer = req.app.get('revenueOptimizer');
+      const recommendation = await revenueOptimizer.rejectPriceRecommendation(req.params.recommendationId, {
+        reviewerId: req.user.id,
+        notes: req.body.notes || null
+      });
+
+      logger.audit('Price recommendation rejected', {
+        userId: req.user.id,
+        recommendationId: recommendation.id,
+        serviceId: recommendation.service_id
+      });
+
+      res.json({
+        success: true,
+        recommendation: formatRecommendation(recommendation)
+      });
+
+    } catch (error) {
+      logger.error('Error rejecting price recommendation', {
+        recommendationId: req.params.recommendationId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to reject price recommendation',
+        code: 'PRICE_RECOMMENDATION_REJECTION_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,876 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, validate, sendError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const database = require('../database/connection');
+const pricingService = require('../pricing/pricingService');
+const promotionManager = require('../promotions/promotions');
+const creditManager = require('../promotions/credits');
+const referralManager = require('../promotions/referrals');
+
+const router = express.Router();
+
+// Validation schemas
+const createPromotionSchema = Joi.object({
+  code: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).min(3).max(40).required(),
+  description: Joi.string().max(1000).optional(),
+  discountType: Joi.string().valid('percentage', 'fixed').required(),
+  discountValue: Joi.number().positive().precision(2).required(),
+  currency: Joi.string().length(3).optional(),
+  serviceIds: Joi.array().items(Joi.string().uuid()).optional(),
+  maxRedemptions: Joi.number().integer().positive().allow(null).optional(),
+  maxRedemptionsPerClient: Joi.number().integer().positive().allow(null).default(1),
+  startsAt: Joi.date().iso().optional(),
+  expiresAt: Joi.date().iso().allow(null).optional()
+});
+
+const updatePromotionSchema = Joi.object({
+  description: Joi.string().max(1000).allow(null),
+  discountType: Joi.string().valid('percentage', 'fixed'),
+  discountValue: Joi.number().positive().precision(2),
+  currency: Joi.string().length(3),
+  serviceIds: Joi.array().items(Joi.string().uuid()).allow(null),
+  maxRedemptions: Joi.number().integer().positive().allow(null),
+  maxRedemptionsPerClient: Joi.number().integer().positive().allow(null),
+  expiresAt: Joi.date().iso().allow(null),
+  isActive: Joi.boolean()
+}).min(1);
+
+const checkPromotionSchema = Joi.object({
+  code: Joi.string().max(40).required(),
+  serviceId: Joi.string().uuid().required(),
+  urgency: Joi.string().valid('standard', 'expedited', 'emergency').default('standard'),
+  underlyingAmount: Joi.number().positive().precision(2).optional()
+});
+
+const issueGiftCertificateSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).max(100000).required(),
+  currency: Joi.string().length(3).optional(),
+  recipientEmail: Joi.string().email().optional(),
+  message: Joi.string().max(1000).optional(),
+  expiresAt: Joi.date().iso().greater('now').optional()
+});
+
+const redeemGiftCertificateSchema = Joi.object({
+  code: Joi.string().max(40).required()
+});
+
+const grantCreditSchema = Joi.object({
+  clientId: Joi.string().uuid().required(),
+  amount: Joi.number().positive().precision(2).max(100000).required(),
+  expiresAt: Joi.date().iso().greater('now').optional(),
+  notes: Joi.string().max(1000).optional()
+});
+
+function formatPromotion(promotion) {
+  return {
+    id: promotion.id,
+    code: promotion.code,
+    description: promotion.description,
+    discountType: promotion.discount_type,
+    discountValue: parseFloat(promotion.discount_value),
+    currency: promotion.currency,
+    serviceIds: promotion.service_ids,
+    maxRedemptions: promotion.max_redemptions,
+    maxRedemptionsPerClient: promotion.max_redemptions_per_client,
+    redemptionCount: promotion.redemption_count,
+    startsAt: promotion.starts_at,
+    expiresAt: promotion.expires_at,
+    isActive: promotion.is_active,
+    createdAt: promotion.created_at
+  };
+}
+
+function formatGiftCertificate(certificate) {
+  return {
+    id: certificate.id,
+    code: certificate.code,
+    amount: parseFloat(certificate.amount),
+    currency: certificate.currency,
+    status: certificate.status,
+    recipientEmail: certificate.recipient_email,
+    message: certificate.message,
+    redeemedBy: certificate.redeemed_by,
+    redeemedAt: certificate.redeemed_at,
+    expiresAt: certificate.expires_at,
+    createdAt: certificate.created_at
+  };
+}
+
+function formatCredit(credit) {
+  return {
+    id: credit.id,
+    kind: credit.kind,
+    promotional: credit.promotional,
+    currency: credit.currency,
+    amount: parseFloat(credit.amount),
+    remaining: parseFloat(credit.remaining),
+    expiresAt: credit.expires_at,
+    notes: credit.notes,
+    createdAt: credit.created_at
+  };
+}
+
+async function getClientProfile(req) {
+  return await database.findOne('clients', { user_id: req.user.id });
+}
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: List promotion codes
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ */
+router.get('/',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const active = req.query.active === undefined ? null : req.query.active === 'true';
+      const promotions = await promotionManager.listPromotions({ active });
+
+      res.json({
+        success: true,
+        promotions: promotions.map(formatPromotion),
+        totalCount: promotions.length
+      });
+
+    } catch (error) {
+      logger.error('Error listing promotions', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve promotions',
+        code: 'PROMOTIONS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Create a promotion code
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, discountType, discountValue]
+ *             properties:
+ *               code:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               discountType:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               discountValue:
+ *                 type: number
+ *                 description: Percent off, or amount off
+ *               currency:
+ *                 type: string
+ *                 description: Currency of a fixed amount off; the default currency when omitted
+ *               serviceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Eligible services; every service when omitted
+ *               maxRedemptions:
+ *                 type: integer
+ *               maxRedemptionsPerClient:
+ *                 type: integer
+ *                 default: 1
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *       409:
+ *         description: Code already exists
+ */
+router.post('/',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(createPromotionSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { value } = createPromotionSchema.validate(req.body);
+      const promotion = await promotionManager.createPromotion(value, { authorId: req.user.id });
+
+      logger.audit('Promotion created', {
+        userId: req.user.id,
+        promotionId: promotion.id,
+        code: promotion.code,
+        discountType: promotion.discount_type,
+        discountValue: promotion.discount_value
+      });
+
+      res.status(201).json({
+        success: true,
+        promotion: formatPromotion(promotion)
+      });
+
+    } catch (error) {
+      logger.error('Error creating promotion', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to create promotion',
+        code: 'PROMOTION_CREATION_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions/report:
+ *   get:
+ *     summary: Promotion redemptions and account credit totals
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Report retrieved successfully
+ */
+router.get('/report',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const [promotions, credits] = await Promise.all([
+        promotionManager.getPromotionReport(),
+        creditManager.getCreditReport()
+      ]);
+
+      res.json({
+        success: true,
+        promotions: promotions.map(row => ({
+          id: row.id,
+          code: row.code,
+          discountType: row.discount_type,
+          discountValue: parseFloat(row.discount_value),
+          isActive: row.is_active,
+          currency: row.currency,
+          redemptions: parseInt(row.redemptions),
+          totalDiscount: parseFloat(row.total_discount),
+          netOrderValue: parseFloat(row.net_order_value)
+        })),
+        credits: credits.map(row => ({
+          currency: row.currency,
+          kind: row.kind,
+          promotional: row.promotional,
+          grants: parseInt(row.grants),
+          granted: parseFloat(row.granted),
+          applied: parseFloat(row.applied),
+          outstanding: parseFloat(row.outstanding)
+        }))
+      });
+
+    } catch (error) {
+      logger.error('Error getting promotion report', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve promotion report',
+        code: 'PROMOTION_REPORT_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions/check:
+ *   post:
+ *     summary: Check a promotion code against a service
+ *     description: Prices the service for the current client with the code applied, without placing an order.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, serviceId]
+ *             properties:
+ *               code:
+ *                 type: string
+ *               serviceId:
+ *                 type: string
+ *                 format: uuid
+ *               urgency:
+ *                 type: string
+ *                 enum: [standard, expedited, emergency]
+ *               underlyingAmount:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Price with the promotion applied
+ *       400:
+ *         description: Code not valid for the service
+ *       409:
+ *         description: Code fully redeemed or already used by the client
+ */
+router.post('/check',
+  authenticate,
+  validate(checkPromotionSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { value } = checkPromotionSchema.validate(req.body);
+      const service = await database.findById('services', value.serviceId);
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          error: 'Service not found',
+          code: 'SERVICE_NOT_FOUND'
+        });
+      }
+
+      const client = await getClientProfile(req);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client profile not found',
+          code: 'CLIENT_NOT_FOUND'
+        });
+      }
+
+      const promotion = await promotionManager.resolve(value.code, { service, clientId: client.id });
+      const pricing = await pricingService.quote(service, client.id, {
+        urgency: value.urgency,
+        underlyingAmount: value.underlyingAmount || null,
+        promotion,
+        recordGuardrails: false
+      });
+
+      res.json({
+        success: true,
+        promotion: pricing.promotion,
+        pricing: {
+          currency: pricing.currency,
+          basePrice: pricing.basePrice,
+          finalPrice: pricing.finalPrice,
+          discountAmount: pricing.discountAmount,
+          clientTotal: pricing.clientTotal
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error checking promotion code', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to check promotion code',
+        code: 'PROMOTION_CHECK_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions/wallet:
+ *   get:
+ *     summary: The current client's account credit and referral code
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Balance, credit grants and referrals
+ */
+router.get('/wallet',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    try {
+      const client = await getClientProfile(req);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client profile not found',
+          code: 'CLIENT_NOT_FOUND'
+        });
+      }
+
+      const [balance, credits, referralCode, referrals] = await Promise.all([
+        creditManager.getBalance(client.id, client.currency),
+        creditManager.listCredits(client.id),
+        referralManager.getReferralCode(client.id),
+        referralManager.getReferralSummary(client)
+      ]);
+      const creditPerReferral = referralManager.creditAmountFor(client.currency);
+
+      res.json({
+        success: true,
+        wallet: {
+          balance,
+          credits: credits.map(formatCredit),
+          referral: {
+            code: referralCode,
+            creditPerReferral: creditPerReferral ? creditPerReferral.toNumber() : null,
+            ...referrals
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting client wallet', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve wallet',
+        code: 'WALLET_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions/gift-certificates:
+ *   get:
+ *     summary: List gift certificates
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, redeemed, void]
+ *     responses:
+ *       200:
+ *         description: Gift certificates retrieved successfully
+ */
+router.get('/gift-certificates',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const certificates = await creditManager.listGiftCertificates(req.query.status || null);
+
+      res.json({
+        success: true,
+        giftCertificates: certificates.map(formatGiftCertificate),
+        totalCount: certificates.length
+      });
+
+    } catch (error) {
+      logger.error('Error listing gift certificates', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve gift certificates',
+        code: 'GIFT_CERTIFICATES_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions/gift-certificates:
+ *   post:
+ *     summary: Issue a prepaid gift certificate
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *                 description: The default currency when omitted
+ *               recipientEmail:
+ *                 type: string
+ *                 format: email
+ *               message:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Gift certificate issued
+ */
+router.post('/gift-certificates',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(issueGiftCertificateSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const certificate = await creditManager.issueGiftCertificate(req.body, { issuerId: req.user.id });
+
+      logger.audit('Gift certificate issued', {
+        userId: req.user.id,
+        giftCertificateId: certificate.id,
+        amount: certificate.amount,
+        currency: certificate.currency
+      });
+
+      res.status(201).json({
+        success: true,
+        giftCertificate: formatGiftCertificate(certificate)
+      });
+
+    } catch (error) {
+      logger.error('Error issuing gift certificate', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to issue gift certificate',
+        code: 'GIFT_CERTIFICATE_ISSUE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions/gift-certificates/redeem:
+ *   post:
+ *     summary: Redeem a gift certificate into the current client's account credit
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Gift certificate redeemed
+ *       404:
+ *         description: Gift certificate not found
+ *       409:
+ *         description: Gift certificate already redeemed, void, expired or in another currency
+ */
+router.post('/gift-certificates/redeem',
+  authenticate,
+  validate(redeemGiftCertificateSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const client = await getClientProfile(req);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client profile not found',
+          code: 'CLIENT_NOT_FOUND'
+        });
+      }
+
+      const credit = await creditManager.redeemGiftCertificate(req.body.code, client);
+      const balance = await creditManager.getBalance(client.id, client.currency);
+
+      logger.audit('Gift certificate redeemed', {
+        userId: req.user.id,
+        clientId: client.id,
+        creditId: credit.id,
+        amount: credit.amount,
+        currency: credit.currency
+      });
+
+      res.json({
+        success: true,
+        credit: formatCredit(credit),
+        balance
+      });
+
+    } catch (error) {
+      logger.error('Error redeeming gift certificate', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to redeem gift certificate',
+        code: 'GIFT_CERTIFICATE_REDEEM_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions/gift-certificates/{giftCertificateId}/void:
+ *   post:
+ *     summary: Void an unredeemed gift certificate
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: giftCertificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Gift certificate voided
+ *       404:
+ *         description: Gift certificate not found
+ *       409:
+ *         description: Gift certificate already redeemed or void
+ */
+router.post('/gift-certificates/:giftCertificateId/void',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const certificate = await creditManager.voidGiftCertificate(req.params.giftCertificateId);
+
+      logger.audit('Gift certificate voided', {
+        userId: req.user.id,
+        giftCertificateId: certificate.id
+      });
+
+      res.json({
+        success: true,
+        giftCertificate: formatGiftCertificate(certificate)
+      });
+
+    } catch (error) {
+      logger.error('Error voiding gift certificate', {
+        giftCertificateId: req.params.giftCertificateId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to void gift certificate',
+        code: 'GIFT_CERTIFICATE_VOID_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions/credits:
+ *   post:
+ *     summary: Grant goodwill account credit to a client
+ *     description: Credit is granted in the client's billing currency.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [clientId, amount]
+ *             properties:
+ *               clientId:
+ *                 type: string
+ *                 format: uuid
+ *               amount:
+ *                 type: number
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Credit granted
+ *       404:
+ *         description: Client not found
+ */
+router.post('/credits',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(grantCreditSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const client = await database.findById('clients', req.body.clientId);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found',
+          code: 'CLIENT_NOT_FOUND'
+        });
+      }
+
+      const credit = await creditManager.grant({
+        clientId: client.id,
+        kind: 'goodwill',
+        amount: req.body.amount,
+        currency: client.currency,
+        expiresAt: req.body.expiresAt || null,
+        notes: req.body.notes || null,
+        createdBy: req.user.id
+      });
+
+      logger.audit('Goodwill credit granted', {
+        userId: req.user.id,
+        clientId: client.id,
+        creditId: credit.id,
+        amount: credit.amount,
+        currency: credit.currency
+      });
+
+      res.status(201).json({
+        success: true,
+        credit: formatCredit(credit)
+      });
+
+    } catch (error) {
+      logger.error('Error granting account credit', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to grant account credit',
+        code: 'CREDIT_GRANT_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions/{promotionId}:
+ *   put:
+ *     summary: Update a promotion code
+ *     description: The discount can only be changed before the code is first redeemed; set isActive false to end a promotion.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: promotionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               discountType:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               discountValue:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *               serviceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               maxRedemptions:
+ *                 type: integer
+ *               maxRedemptionsPerClient:
+ *                 type: integer
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *       404:
+ *         description: Promotion not found
+ *       409:
+ *         description: Discount change on a redeemed promotion
+ */
+router.put('/:promotionId',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(updatePromotionSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const promotion = await promotionManager.updatePromotion(req.params.promotionId, req.body);
+
+      logger.audit('Promotion updated', {
+        userId: req.user.id,
+        promotionId: promotion.id,
+        changes: req.body
+      });
+
+      res.json({
+        success: true,
+        promotion: formatPromotion(promotion)
+      });
+
+    } catch (error) {
+      logger.error('Error updating promotion', {
+        promotionId: req.params.promotionId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to update promotion',
+        code: 'PROMOTION_UPDATE_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -1,28 +1,178 @@
 const express = require('express');
 const Joi = require('joi');
-const { asyncHandler, validate } = require('../middleware/errorHandler');
+const { asyncHandler, validate, sendError, AuthorizationError } = require('../middleware/errorHandler');
 const { authenticate, authorize, authorizeResource } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const database = require('../database/connection');
 const redis = require('../utils/redis');
+const quoteManager = require('../pricing/quotes');
+const bundleCheckout = require('../orders/checkout');
+const { isPercentageModel } = require('../pricing/models');
+const { Money } = require('../utils/money');
+const { ORDER_STATUSES, allowedTransitions } = require('../orders/states');
+const assignmentManager = require('../orders/assignment');
+const { assertAssignee } = require('../orders/assignment');
+const cancellationManager = require('../orders/cancellation');
+const { REFUND_METHODS } = require('../orders/cancellation');
 
 const router = express.Router();
 
+// How a service is priced; commission and cost-plus services need an underlying amount to quote
+function formatPricingModel(service) {
+  const model = service.pricing_model || 'flat';
+  if (model === 'flat') {
+    return { model };
+  }
+  return {
+    model,
+    rate: parseFloat(service.markup_percentage) / 100,
+    minimumFee: parseFloat(service.minimum_fee) || 0,
+    maximumFee: service.maximum_fee !== null ? parseFloat(service.maximum_fee) : null
+  };
+}
+
+function formatQuote(quote) {
+  const pricing = quoteManager.toPricing(quote);
+  return {
+    id: quote.id,
+    serviceId: quote.service_id,
+    status: quote.status,
+    urgency: quote.urgency,
+    bundleSize: quote.bundle_size,
+    currency: pricing.currency,
+    basePrice: pricing.basePrice,
+    finalPrice: pricing.finalPrice,
+    discountAmount: pricing.discountAmount,
+    premiumAmount: pricing.premiumAmount,
+    adjustmentFactors: pricing.adjustmentFactors,
+    underlyingAmount: quote.underlying_amount !== null ? parseFloat(quote.underlying_amount) : null,
+    feeBasis: pricing.feeBasis,
+    clientTotal: pricing.clientTotal,
+    ruleSetId: pricing.ruleSetId,
+    signature: quote.signature,
+    expiresAt: quote.expires_at,
+    orderId: quote.order_id
+  };
+}
+
+function formatBundle(bundle, serviceOrders) {
+  return {
+    id: bundle.id,
+    bundleNumber: bundle.bundle_number,
+    urgency: bundle.urgency,
+    items: serviceOrders.map(order => ({
+      orderId: order.id,
+      orderNumber: order.order_number,
+      status: order.status,
+      service: {
+        id: order.service_id,
+        name: order.service_name,
+        slug: order.service_slug
+      },
+      vehicleId: order.vehicle_id,
+      basePrice: parseFloat(order.base_price),
+      finalPrice: parseFloat(order.final_price),
+      volumeDiscount: parseFloat(order.volume_discount) || 0,
+      adjustmentFactors: order.adjustment_factors || [],
+      underlyingAmount: order.underlying_amount !== null ? parseFloat(order.underlying_amount) : null
+    })),
+    pricing: {
+      currency: bundle.currency,
+      volumeTier: bundle.volume_tier,
+      listPrice: parseFloat(bundle.list_price),
+      volumeDiscount: parseFloat(bundle.volume_discount) || 0,
+      totalPrice: parseFloat(bundle.total_price),
+      passThroughAmount: parseFloat(bundle.pass_through_amount) || 0,
+      creditApplied: parseFloat(bundle.credit_applied) || 0,
+      amountDue: bundleCheckout.amountDue(bundle)
+    },
+    paymentStatus: bundle.payment_status,
+    paidAt: bundle.paid_at,
+    createdAt: bundle.created_at
+  };
+}
+
+function formatRefund(refund) {
+  return {
+    id: refund.id,
+    stage: refund.stage,
+    currency: refund.currency,
+    amountPaid: parseFloat(refund.amount_paid),
+    feeAmount: parseFloat(refund.fee_amount),
+    feeWaived: refund.fee_waived,
+    refundAmount: parseFloat(refund.refund_amount),
+    creditRestored: parseFloat(refund.credit_restored),
+    cashRefund: parseFloat(refund.cash_refund),
+    refundMethod: refund.refund_method,
+    status: refund.status,
+    processedAt: refund.processed_at
+  };
+}
+
+// A bundle with its line items; clients only see their own bundles
+async function getAccessibleBundle(req) {
+  const { bundle, serviceOrders } = await req.app.get('orderService').getBundle(req.params.bundleId);
+
+  if (req.user.role === 'client') {
+    const client = await database.findOne('clients', { user_id: req.user.id });
+    if (!client || bundle.client_id !== client.id) {
+      throw new AuthorizationError('Access denied');
+    }
+  }
+
+  return { bundle, serviceOrders };
+}
+
 // Validation schemas
 const serviceOrderSchema = Joi.object({
   serviceId: Joi.string().uuid().required(),
   vehicleId: Joi.string().uuid().optional(),
   urgency: Joi.string().valid('standard', 'expedited', 'emergency').default('standard'),
   notes: Joi.string().max(1000).optional(),
-  serviceData: Joi.object().optional()
+  serviceData: Joi.object().optional(),
+  quoteId: Joi.string().uuid().optional(),
+  underlyingAmount: Joi.number().positive().precision(2).optional(),
+  promotionCode: Joi.string().max(40).optional(),
+  applyCredit: Joi.boolean().default(false),
+  region: Joi.string().max(50).optional()
+});
+
+const quoteSchema = Joi.object({
+  urgency: Joi.string().valid('standard', 'expedited', 'emergency').default('standard'),
+  underlyingAmount: Joi.number().positive().precision(2).optional()
+});
+
+const bundleOrderSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    serviceId: Joi.string().uuid().required(),
+    vehicleId: Joi.string().uuid().optional(),
+    underlyingAmount: Joi.number().positive().precision(2).optional(),
+    notes: Joi.string().max(1000).optional(),
+    serviceData: Joi.object().optional()
+  })).min(2).max(10).required(),
+  urgency: Joi.string().valid('standard', 'expedited', 'emergency').default('standard'),
+  notes: Joi.string().max(1000).optional(),
+  applyCredit: Joi.boolean().default(false)
+});
+
+const settlementSchema = Joi.object({
+  settledAmount: Joi.number().positive().precision(2).required()
 });
 
 const updateOrderSchema = Joi.object({
-  status: Joi.string().valid('pending', 'in_progress', 'completed', 'cancelled').optional(),
+  status: Joi.string().valid(...ORDER_STATUSES).optional(),
+  reason: Joi.string().max(1000).optional(),
+  waiveFee: Joi.boolean().optional(),
+  refundMethod: Joi.string().valid(...REFUND_METHODS).optional(),
   notes: Joi.string().max(1000).optional(),
   serviceData: Joi.object().optional()
 });
 
+const assignmentSchema = Joi.object({
+  agentId: Joi.string().uuid().allow(null).required(),
+  reason: Joi.string().max(1000).optional()
+});
+
 const creditAnalysisSchema = Joi.object({
   currentScore: Joi.number().min(300).max(850).required(),
   targetScore: Joi.number().min(300).max(850).required(),
@@ -93,7 +243,7 @@ router.get('/',
           AVG(CASE WHEN so.status = 'completed' THEN so.final_price ELSE NULL END) as avg_price,
           SUM(CASE WHEN so.status = 'completed' THEN so.final_price ELSE 0 END) as total_revenue
         FROM services s
-        LEFT JOIN service_orders so ON s.id = so.service_id
+        LEFT JOIN service_orders so ON s.id = so.service_id AND so.currency = s.currency
         WHERE 1=1
       `;
       
@@ -116,17 +266,20 @@ router.get('/',
       
       const result = await database.query(query, params);
       
-      // Get client's pricing for each service
-      const clientId = req.user.id;
-      const revenueOptimizer = req.app.get('revenueOptimizer');
+      // Quote each service for the client (users without a client profile see base prices)
+      const client = await database.findOne('clients', { user_id: req.user.id });
+      const clientId = client ? client.id : null;
       
       const servicesWithPricing = await Promise.all(
         result.rows.map(async (service) => {
+          let quote = null;
           let pricing = null;
           
-          if (revenueOptimizer) {
+          // Commission and cost-plus services are quoted per transaction
+          if (client && !isPercentageModel(service)) {
             try {
-              pricing = await revenueOptimizer.calculateOptimalPrice(service.id, clientId);
+              quote = await quoteManager.issue(service, clientId);
+              pricing = quoteManager.toPricing(quote);
             } catch (error) {
               logger.error('Error calculating pricing for service', {
                 serviceId: service.id,
@@ -142,8 +295,10 @@ router.get('/',
             slug: service.slug,
             description: service.description,
             category: service.service_category,
-            basePrice: parseFloat(service.base_price),
-            finalPrice: pricing?.finalPrice || parseFloat(service.base_price),
+            pricingModel: formatPricingModel(service),
+            currency: pricing ? pricing.currency : service.currency,
+            basePrice: pricing ? pricing.basePrice : parseFloat(service.base_price),
+            finalPrice: pricing ? pricing.finalPrice : parseFloat(service.base_price),
             isActive: service.is_active,
             annualRevenueTarget: parseFloat(service.annual_revenue_target),
             stats: {
@@ -156,6 +311,11 @@ router.get('/',
               premiumAmount: pricing.premiumAmount,
               adjustmentFactors: pricing.adjustmentFactors,
               profitMargin: pricing.profitMargin
+            } : null,
+            quote: quote ? {
+              id: quote.id,
+              signature: quote.signature,
+              expiresAt: quote.expires_at
             } : null
           };
         })
@@ -218,17 +378,19 @@ router.get('/:serviceId',
         });
       }
       
-      // Get pricing for this client
-      const revenueOptimizer = req.app.get('revenueOptimizer');
+      // Quote this service for the client
+      const client = await database.findOne('clients', { user_id: req.user.id });
+      let quote = null;
       let pricing = null;
       
-      if (revenueOptimizer) {
+      if (client && !isPercentageModel(service)) {
         try {
-          pricing = await revenueOptimizer.calculateOptimalPrice(serviceId, req.user.id);
+          quote = await quoteManager.issue(service, client.id);
+          pricing = quoteManager.toPricing(quote);
         } catch (error) {
           logger.error('Error calculating pricing', {
             serviceId,
-            clientId: req.user.id,
+            clientId: client.id,
             error: error.message
           });
         }
@@ -254,8 +416,10 @@ router.get('/:serviceId',
           slug: service.slug,
           description: service.description,
           category: service.service_category,
-          basePrice: parseFloat(service.base_price),
-          finalPrice: pricing?.finalPrice || parseFloat(service.base_price),
+          pricingModel: formatPricingModel(service),
+          currency: pricing ? pricing.currency : service.currency,
+          basePrice: pricing ? pricing.basePrice : parseFloat(service.base_price),
+          finalPrice: pricing ? pricing.finalPrice : parseFloat(service.base_price),
           isActive: service.is_active,
           annualRevenueTarget: parseFloat(service.annual_revenue_target),
           pricing: pricing ? {
@@ -265,6 +429,11 @@ router.get('/:serviceId',
             profitMargin: pricing.profitMargin,
             estimatedCost: pricing.estimatedCost
           } : null,
+          quote: quote ? {
+            id: quote.id,
+            signature: quote.signature,
+            expiresAt: quote.expires_at
+          } : null,
           cascadeRules: cascadeRules.rows.map(rule => ({
             id: rule.id,
             triggeredServiceName: rule.triggered_service_name,
@@ -292,6 +461,154 @@ router.get('/:serviceId',
   })
 );
 
+/**
+ * @swagger
+ * /api/services/{serviceId}/quotes:
+ *   post:
+ *     summary: Get a signed price quote for a service
+ *     description: |
+ *       The quote holds the itemized price for the current client until it
+ *       expires. Pass its id as `quoteId` when creating the order to be
+ *       charged the quoted price. Commission and cost-plus services need
+ *       `underlyingAmount` (the vehicle price or the parts cost).
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               urgency:
+ *                 type: string
+ *                 enum: [standard, expedited, emergency]
+ *               underlyingAmount:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Quote issued
+ *       400:
+ *         description: Underlying amount missing for a commission or cost-plus service
+ *       404:
+ *         description: Service or client profile not found
+ */
+router.post('/:serviceId/quotes',
+  authenticate,
+  validate(quoteSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const service = await database.findById('services', req.params.serviceId);
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          error: 'Service not found',
+          code: 'SERVICE_NOT_FOUND'
+        });
+      }
+      
+      const client = await database.findOne('clients', { user_id: req.user.id });
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client profile not found',
+          code: 'CLIENT_NOT_FOUND'
+        });
+      }
+      
+      const quote = await quoteManager.issue(service, client.id, {
+        urgency: req.body.urgency,
+        underlyingAmount: req.body.underlyingAmount || null
+      });
+      
+      res.status(201).json({
+        success: true,
+        quote: formatQuote(quote)
+      });
+      
+    } catch (error) {
+      logger.error('Error issuing price quote', {
+        serviceId: req.params.serviceId,
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      sendError(res, error, {
+        error: 'Failed to issue price quote',
+        code: 'QUOTE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/services/quotes/{quoteId}:
+ *   get:
+ *     summary: Get one of the current client's price quotes
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Quote with whether it can still be redeemed
+ *       404:
+ *         description: Quote not found
+ */
+router.get('/quotes/:quoteId',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    try {
+      const client = await database.findOne('clients', { user_id: req.user.id });
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client profile not found',
+          code: 'CLIENT_NOT_FOUND'
+        });
+      }
+      
+      const quote = await quoteManager.getQuote(req.params.quoteId, client.id);
+      
+      res.json({
+        success: true,
+        quote: {
+          ...formatQuote(quote),
+          redeemable: quote.status === 'active' &&
+            new Date(quote.expires_at) > new Date() &&
+            quoteManager.verify(quote)
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Error getting price quote', {
+        quoteId: req.params.quoteId,
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      sendError(res, error, {
+        error: 'Failed to retrieve price quote',
+        code: 'QUOTE_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
 /**
  * @swagger
  * /api/services/orders:
@@ -320,20 +637,39 @@ router.get('/:serviceId',
  *                 type: string
  *               serviceData:
  *                 type: object
+ *               quoteId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Unexpired price quote to charge the order at
+ *               underlyingAmount:
+ *                 type: number
+ *                 description: Vehicle price or parts cost for commission and cost-plus services
+ *               promotionCode:
+ *                 type: string
+ *                 description: Promotion code to take off the price (quoted or not)
+ *               applyCredit:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Pay with the client's account credit (gift and referral credit) as far as it goes
+ *               region:
+ *                 type: string
+ *                 description: Where the service is performed, for agent assignment; defaults to the client's region
  *     responses:
  *       201:
  *         description: Service order created successfully
  *       400:
- *         description: Invalid request data
+ *         description: Invalid request data, the quote does not match the order, or the promotion code is not valid for it
  *       404:
- *         description: Service not found
+ *         description: Service or quote not found
+ *       409:
+ *         description: Quote expired or already used, or promotion code fully redeemed
  */
 router.post('/orders',
   authenticate,
   validate(serviceOrderSchema),
   asyncHandler(async (req, res) => {
     try {
-      const { serviceId, vehicleId, urgency, notes, serviceData } = req.body;
+      const { serviceId, vehicleId, urgency, notes, serviceData, quoteId, underlyingAmount, promotionCode, applyCredit, region } = req.body;
       
       // Verify service exists
       const service = await database.findById('services', serviceId);
@@ -355,50 +691,20 @@ router.post('/orders',
         });
       }
       
-      // Calculate optimal pricing
-      const revenueOptimizer = req.app.get('revenueOptimizer');
-      let pricing = {
-        finalPrice: parseFloat(service.base_price),
-        discountAmount: 0
-      };
-      
-      if (revenueOptimizer) {
-        try {
-          pricing = await revenueOptimizer.calculateOptimalPrice(serviceId, client.id, { urgency });
-        } catch (error) {
-          logger.error('Error calculating pricing for order', {
-            serviceId,
-            clientId: client.id,
-            error: error.message
-          });
-        }
-      }
-      
-      // Generate order number
-      const orderNumber = await generateOrderNumber();
-      
-      // Create service order
-      const serviceOrder = await database.create('service_orders', {
-        client_id: client.id,
-        service_id: serviceId,
-        vehicle_id: vehicleId,
-        order_number: orderNumber,
-        status: 'pending',
-        base_price: service.base_price,
-        final_price: pricing.finalPrice,
-        discount_amount: pricing.discountAmount,
-        service_data: serviceData ? JSON.stringify(serviceData) : null,
-        notes
-      });
-      
-      // Log order creation
-      logger.revenue('Service order created', {
-        orderId: serviceOrder.id,
-        clientId: client.id,
-        serviceId,
-        serviceName: service.name,
-        finalPrice: pricing.finalPrice,
-        urgency
+      // Price and create the order
+      const orderService = req.app.get('orderService');
+      const { serviceOrder, pricing } = await orderService.createOrder({
+        service,
+        client,
+        vehicleId,
+        urgency,
+        notes,
+        serviceData,
+        quoteId,
+        underlyingAmount: underlyingAmount || null,
+        promotionCode: promotionCode || null,
+        applyCredit: applyCredit === true,
+        region: region || null
       });
       
       res.status(201).json({
@@ -414,10 +720,23 @@ router.post('/orders',
             slug: service.slug
           },
           pricing: {
-            basePrice: parseFloat(service.base_price),
+            currency: pricing.currency,
+            basePrice: pricing.basePrice,
             finalPrice: pricing.finalPrice,
-            discountAmount: pricing.discountAmount
+            discountAmount: pricing.discountAmount,
+            adjustmentFactors: pricing.adjustmentFactors,
+            feeBasis: pricing.feeBasis,
+            clientTotal: pricing.clientTotal,
+            quoteId: pricing.quoteId || null,
+            ruleSetId: pricing.ruleSetId || null,
+            promotion: pricing.promotion || null,
+            creditApplied: pricing.creditApplied,
+            amountDue: orderService.amountDue(pricing).minus(Money.of(pricing.creditApplied, pricing.currency)).toNumber()
           },
+          region: serviceOrder.region,
+          assignedTo: serviceOrder.assigned_to,
+          urgency: serviceOrder.urgency,
+          startDueAt: serviceOrder.start_due_at,
           createdAt: serviceOrder.created_at
         }
       });
@@ -429,8 +748,7 @@ router.post('/orders',
         serviceId: req.body.serviceId
       });
       
-      res.status(500).json({
-        success: false,
+      sendError(res, error, {
         error: 'Failed to create service order',
         code: 'ORDER_CREATION_FAILED'
       });
@@ -527,6 +845,10 @@ router.get('/orders/:orderId',
         default:
           serviceSpecificData = order.service_data ? JSON.parse(order.service_data) : null;
       }
+
+      const refund = order.status === 'cancelled'
+        ? await database.findOne('order_refunds', { order_id: orderId })
+        : null;
       
       res.json({
         success: true,
@@ -554,16 +876,38 @@ router.get('/orders/:orderId',
             vin: order.vin
           } : null,
           pricing: {
+            currency: order.currency,
             basePrice: parseFloat(order.base_price),
             finalPrice: parseFloat(order.final_price),
             discountAmount: parseFloat(order.discount_amount),
+            promotionDiscount: parseFloat(order.promotion_discount) || 0,
+            creditApplied: parseFloat(order.credit_applied) || 0,
             taxAmount: parseFloat(order.tax_amount) || 0
           },
           serviceData: serviceSpecificData,
+          cascade: {
+            parentOrderId: order.parent_order_id,
+            rootOrderId: order.root_order_id || order.id,
+            depth: order.cascade_depth || 0
+          },
+          assignment: {
+            region: order.region,
+            assignedTo: order.assigned_to,
+            assignedAt: order.assigned_at
+          },
+          sla: {
+            urgency: order.urgency,
+            status: order.sla_status,
+            startDueAt: order.start_due_at,
+            completeDueAt: order.complete_due_at
+          },
+          refund: refund ? formatRefund(refund) : null,
           notes: order.notes,
           createdAt: order.created_at,
           startedAt: order.started_at,
           completedAt: order.completed_at,
+          cancelledAt: order.cancelled_at,
+          cancellationReason: order.cancellation_reason,
           estimatedCompletion: order.estimated_completion
         }
       });
@@ -586,10 +930,11 @@ router.get('/orders/:orderId',
 
 /**
  * @swagger
- * /api/services/orders/{orderId}:
- *   put:
- *     summary: Update service order
- *     tags: [Services]
+ * /api/services/orders/{orderId}/cascade-tree:
+ *   get:
+ *     summary: Get the cascade tree containing a service order
+ *     description: Returns the entry order of the cascade chain and every order it triggered, nested by parent
+ *     tags: [Services, Cascade]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -599,39 +944,22 @@ router.get('/orders/:orderId',
  *         schema:
  *           type: string
  *           format: uuid
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [pending, in_progress, completed, cancelled]
- *               notes:
- *                 type: string
- *               serviceData:
- *                 type: object
  *     responses:
  *       200:
- *         description: Order updated successfully
+ *         description: Cascade tree retrieved successfully
  *       403:
  *         description: Access denied
  *       404:
  *         description: Order not found
  */
-router.put('/orders/:orderId',
+router.get('/orders/:orderId/cascade-tree',
   authenticate,
-  validate(updateOrderSchema),
   asyncHandler(async (req, res) => {
     try {
       const { orderId } = req.params;
-      const { status, notes, serviceData } = req.body;
       
-      // Get current order
-      const currentOrder = await database.findById('service_orders', orderId);
-      if (!currentOrder) {
+      const order = await database.findById('service_orders', orderId);
+      if (!order) {
         return res.status(404).json({
           success: false,
           error: 'Order not found',
@@ -641,73 +969,26 @@ router.put('/orders/:orderId',
       
       // Check authorization
       if (req.user.role === 'client') {
-        // Clients can only update notes and cancel orders
-        if (status && status !== 'cancelled') {
+        const client = await database.findOne('clients', { user_id: req.user.id });
+        if (!client || order.client_id !== client.id) {
           return res.status(403).json({
             success: false,
-            error: 'Clients can only cancel orders',
-            code: 'INSUFFICIENT_PERMISSIONS'
+            error: 'Access denied',
+            code: 'ACCESS_DENIED'
           });
         }
       }
       
-      // Prepare update data
-      const updateData = {};
-      
-      if (status) {
-        updateData.status = status;
-        
-        if (status === 'in_progress' && !currentOrder.started_at) {
-          updateData.started_at = new Date();
-        }
-        
-        if (status === 'completed' && !currentOrder.completed_at) {
-          updateData.completed_at = new Date();
-        }
-        
-        if (status === 'cancelled' && !currentOrder.cancelled_at) {
-          updateData.cancelled_at = new Date();
-        }
-      }
-      
-      if (notes) {
-        updateData.notes = notes;
-      }
-      
-      if (serviceData) {
-        updateData.service_data = JSON.stringify(serviceData);
-      }
-      
-      // Update order
-      const updatedOrder = await database.update('service_orders', orderId, updateData);
-      
-      // Handle service completion
-      if (status === 'completed' && currentOrder.status !== 'completed') {
-        await handleServiceCompletion(orderId, currentOrder.client_id, req.app);
-      }
-      
-      logger.audit('Service order updated', {
-        orderId,
-        previousStatus: currentOrder.status,
-        newStatus: status,
-        updatedBy: req.user.id
-      });
+      const cascadeEngine = req.app.get('cascadeEngine');
+      const cascadeTree = await cascadeEngine.getCascadeTree(orderId);
       
       res.json({
         success: true,
-        message: 'Order updated successfully',
-        order: {
-          id: updatedOrder.id,
-          status: updatedOrder.status,
-          notes: updatedOrder.notes,
-          startedAt: updatedOrder.started_at,
-          completedAt: updatedOrder.completed_at,
-          updatedAt: updatedOrder.updated_at
-        }
+        cascadeTree
       });
       
     } catch (error) {
-      logger.error('Error updating order', {
+      logger.error('Error getting cascade tree', {
         orderId: req.params.orderId,
         error: error.message,
         userId: req.user.id
@@ -715,23 +996,36 @@ router.put('/orders/:orderId',
       
       res.status(500).json({
         success: false,
-        error: 'Failed to update order',
-        code: 'ORDER_UPDATE_FAILED'
+        error: 'Failed to retrieve cascade tree',
+        code: 'CASCADE_TREE_FAILED'
       });
     }
   })
 );
 
-// Service-specific endpoints
-
 /**
  * @swagger
- * /api/services/credit-analysis:
- *   post:
- *     summary: Submit credit analysis request
+ * /api/services/orders/{orderId}:
+ *   put:
+ *     summary: Update service order
+ *     description: |
+ *       Status changes follow the order state machine: pending to
+ *       in_progress or cancelled; in_progress to completed, failed or
+ *       cancelled; failed back to in_progress or to cancelled; completed to
+ *       cancelled by admins only. Cancelled orders are final. Clients can
+ *       only cancel their own pending orders; cancelling or failing an order
+ *       needs a reason. Cancelling charges the service's cancellation fee
+ *       and refunds the rest of what was paid.
  *     tags: [Services]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     requestBody:
  *       required: true
  *       content:
@@ -739,17 +1033,843 @@ router.put('/orders/:orderId',
  *           schema:
  *             type: object
  *             properties:
- *               currentScore:
- *                 type: number
- *                 minimum: 300
- *                 maximum: 850
- *               targetScore:
- *                 type: number
- *                 minimum: 300
- *                 maximum: 850
- *               timelineMonths:
- *                 type: number
- *                 minimum: 1
+ *               status:
+ *                 type: string
+ *                 enum: [pending, in_progress, completed, cancelled, failed]
+ *               reason:
+ *                 type: string
+ *                 description: Why the order is cancelled or failed
+ *               waiveFee:
+ *                 type: boolean
+ *                 description: Cancel without the cancellation fee (admins only)
+ *               refundMethod:
+ *                 type: string
+ *                 enum: [original, credit]
+ *                 description: Refund to the original payment or as account credit; defaults to the policy's
+ *               notes:
+ *                 type: string
+ *               serviceData:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Order updated successfully
+ *       400:
+ *         description: Reason missing for the new status
+ *       403:
+ *         description: Access denied, order assigned to another agent, or transition not allowed for the role
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Transition not allowed from the order's status
+ */
+router.put('/orders/:orderId',
+  authenticate,
+  validate(updateOrderSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { status, reason, notes, serviceData, waiveFee, refundMethod } = req.body;
+      const orderService = req.app.get('orderService');
+      
+      // Get current order
+      const currentOrder = await database.findById('service_orders', orderId);
+      if (!currentOrder) {
+        return res.status(404).json({
+          success: false,
+          error: 'Order not found',
+          code: 'ORDER_NOT_FOUND'
+        });
+      }
+      
+      // Clients can only update their own orders
+      const client = req.user.role === 'client'
+        ? await database.findOne('clients', { user_id: req.user.id })
+        : null;
+      if (req.user.role === 'client' && (!client || currentOrder.client_id !== client.id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied',
+          code: 'ACCESS_DENIED'
+        });
+      }
+      
+      // Agents can only update orders assigned to them
+      assertAssignee(currentOrder, { userId: req.user.id, role: req.user.role });
+      
+      // Prepare update data
+      const updateData = {};
+      
+      if (notes) {
+        updateData.notes = notes;
+      }
+      
+      if (serviceData) {
+        updateData.service_data = JSON.stringify(serviceData);
+      }
+      
+      let updatedOrder = currentOrder;
+      let refund = null;
+      if (status) {
+        const transition = await orderService.transitionOrder(orderId, status, {
+          actor: { userId: req.user.id, role: req.user.role, clientId: client ? client.id : null },
+          reason: reason || null,
+          fields: updateData,
+          cancellation: { waiveFee: waiveFee === true, refundMethod: refundMethod || null }
+        });
+        updatedOrder = transition.order;
+        refund = transition.refund;
+      } else if (Object.keys(updateData).length > 0) {
+        updatedOrder = await database.update('service_orders', orderId, updateData);
+        
+        logger.audit('Service order updated', {
+          orderId,
+          fields: Object.keys(updateData),
+          updatedBy: req.user.id
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Order updated successfully',
+        order: {
+          id: updatedOrder.id,
+          status: updatedOrder.status,
+          notes: updatedOrder.notes,
+          startedAt: updatedOrder.started_at,
+          completedAt: updatedOrder.completed_at,
+          cancelledAt: updatedOrder.cancelled_at,
+          cancellationReason: updatedOrder.cancellation_reason,
+          paymentStatus: updatedOrder.payment_status,
+          allowedTransitions: allowedTransitions(updatedOrder.status, req.user.role),
+          updatedAt: updatedOrder.updated_at
+        },
+        refund: refund ? formatRefund(refund) : null
+      });
+      
+    } catch (error) {
+      logger.error('Error updating order', {
+        orderId: req.params.orderId,
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      sendError(res, error, {
+        error: 'Failed to update order',
+        code: 'ORDER_UPDATE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/services/orders/{orderId}/history:
+ *   get:
+ *     summary: Status history of a service order
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Status changes, oldest first
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Order not found
+ */
+router.get('/orders/:orderId/history',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const order = await database.findById('service_orders', orderId);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          error: 'Order not found',
+          code: 'ORDER_NOT_FOUND'
+        });
+      }
+      
+      if (req.user.role === 'client') {
+        const client = await database.findOne('clients', { user_id: req.user.id });
+        if (!client || order.client_id !== client.id) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied',
+            code: 'ACCESS_DENIED'
+          });
+        }
+      }
+      
+      const history = await req.app.get('orderService').getStatusHistory(orderId);
+      
+      res.json({
+        success: true,
+        orderId,
+        status: order.status,
+        allowedTransitions: allowedTransitions(order.status, req.user.role),
+        history: history.map(entry => ({
+          fromStatus: entry.from_status,
+          toStatus: entry.to_status,
+          reason: entry.reason,
+          changedBy: entry.changed_by_email || entry.changed_by,
+          actorRole: entry.actor_role,
+          changedAt: entry.created_at
+        }))
+      });
+      
+    } catch (error) {
+      logger.error('Error getting order status history', {
+        orderId: req.params.orderId,
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      sendError(res, error, {
+        error: 'Failed to retrieve order status history',
+        code: 'ORDER_HISTORY_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/services/orders/{orderId}/cancellation:
+ *   get:
+ *     summary: The fee and refund of cancelling a service order now
+ *     description: Nothing is cancelled; cancel with PUT /api/services/orders/{orderId}.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: refundMethod
+ *         schema:
+ *           type: string
+ *           enum: [original, credit]
+ *     responses:
+ *       200:
+ *         description: Cancellation terms calculated
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is already cancelled
+ */
+router.get('/orders/:orderId/cancellation',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const order = await database.findById('service_orders', orderId);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          error: 'Order not found',
+          code: 'ORDER_NOT_FOUND'
+        });
+      }
+
+      if (req.user.role === 'client') {
+        const client = await database.findOne('clients', { user_id: req.user.id });
+        if (!client || order.client_id !== client.id) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied',
+            code: 'ACCESS_DENIED'
+          });
+        }
+      }
+      if (order.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          error: 'Order is already cancelled',
+          code: 'ORDER_ALREADY_CANCELLED'
+        });
+      }
+
+      const refundMethod = REFUND_METHODS.includes(req.query.refundMethod) ? req.query.refundMethod : null;
+      const quote = await cancellationManager.quote(order, { refundMethod });
+
+      res.json({
+        success: true,
+        orderId,
+        status: order.status,
+        canCancel: allowedTransitions(order.status, req.user.role).includes('cancelled'),
+        cancellation: {
+          stage: quote.stage,
+          currency: quote.currency,
+          feePercent: quote.feePercent,
+          amountPaid: quote.amountPaid.toNumber(),
+          feeAmount: quote.fee.toNumber(),
+          refundAmount: quote.refund.toNumber(),
+          creditRestored: quote.creditRestored.toNumber(),
+          cashRefund: quote.cashRefund.toNumber(),
+          refundMethod: quote.refundMethod
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error calculating order cancellation', {
+        orderId: req.params.orderId,
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to calculate order cancellation',
+        code: 'ORDER_CANCELLATION_QUOTE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/services/orders/{orderId}/assignment:
+ *   put:
+ *     summary: Assign a service order to an agent by hand, or unassign it
+ *     description: Capacity is not enforced for manual assignment.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [agentId]
+ *             properties:
+ *               agentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Agent to assign; null unassigns the order
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order reassigned
+ *       400:
+ *         description: User is not an active agent
+ *       404:
+ *         description: Order or agent not found
+ *       409:
+ *         description: Order is completed or cancelled, or already assigned to the agent
+ */
+router.put('/orders/:orderId/assignment',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(assignmentSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const order = await assignmentManager.reassign(orderId, req.body.agentId, {
+        actor: { userId: req.user.id, role: req.user.role },
+        reason: req.body.reason || null
+      });
+      
+      res.json({
+        success: true,
+        message: order.assigned_to ? 'Order assigned successfully' : 'Order unassigned successfully',
+        order: {
+          id: order.id,
+          status: order.status,
+          assignedTo: order.assigned_to,
+          assignedAt: order.assigned_at
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Error assigning order', {
+        orderId: req.params.orderId,
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      sendError(res, error, {
+        error: 'Failed to assign order',
+        code: 'ORDER_ASSIGNMENT_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/services/orders/{orderId}/assignments:
+ *   get:
+ *     summary: Assignment history of a service order
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Assignments, oldest first
+ */
+router.get('/orders/:orderId/assignments',
+  authenticate,
+  authorize(['agent', 'admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const history = await assignmentManager.getAssignmentHistory(req.params.orderId);
+      
+      res.json({
+        success: true,
+        orderId: req.params.orderId,
+        assignments: history.map(entry => ({
+          assignedTo: entry.assigned_to_email || entry.assigned_to,
+          previousAssignee: entry.previous_assignee,
+          strategy: entry.strategy,
+          reason: entry.reason,
+          assignedBy: entry.assigned_by_email || entry.assigned_by,
+          assignedAt: entry.created_at
+        }))
+      });
+      
+    } catch (error) {
+      logger.error('Error getting order assignments', {
+        orderId: req.params.orderId,
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      sendError(res, error, {
+        error: 'Failed to retrieve order assignments',
+        code: 'ORDER_ASSIGNMENTS_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/services/orders/{orderId}/settlement:
+ *   post:
+ *     summary: Settle a commission or cost-plus order
+ *     description: |
+ *       Records the final amount of the underlying transaction (the closed
+ *       vehicle sale or purchase price, the invoiced parts cost) and
+ *       re-prices the fee on it. Revenue is tracked once the order is both
+ *       settled and completed.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [settledAmount]
+ *             properties:
+ *               settledAmount:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Order settled
+ *       400:
+ *         description: Order's service is not commission or cost-plus priced
+ *       403:
+ *         description: Order assigned to another agent
+ *       409:
+ *         description: Order already settled, cancelled or failed
+ */
+router.post('/orders/:orderId/settlement',
+  authenticate,
+  authorize(['agent', 'admin', 'super_admin']),
+  validate(settlementSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const orderService = req.app.get('orderService');
+      
+      // Revenue for an order completed before it settled is tracked by the
+      // order.settled consumer
+      const { serviceOrder, pricing } = await orderService.settleOrder(orderId, req.body.settledAmount, {
+        actor: { userId: req.user.id, role: req.user.role }
+      });
+      
+      logger.audit('Service order settled', {
+        orderId,
+        settledAmount: req.body.settledAmount,
+        fee: pricing.finalPrice,
+        settledBy: req.user.id
+      });
+      
+      res.json({
+        success: true,
+        message: 'Order settled successfully',
+        order: {
+          id: serviceOrder.id,
+          status: serviceOrder.status,
+          settledAmount: parseFloat(serviceOrder.settled_amount),
+          settledAt: serviceOrder.settled_at,
+          pricing: {
+            currency: pricing.currency,
+            basePrice: pricing.basePrice,
+            finalPrice: pricing.finalPrice,
+            discountAmount: pricing.discountAmount,
+            adjustmentFactors: pricing.adjustmentFactors,
+            feeBasis: pricing.feeBasis,
+            clientTotal: pricing.clientTotal
+          }
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Error settling order', {
+        orderId: req.params.orderId,
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      sendError(res, error, {
+        error: 'Failed to settle order',
+        code: 'ORDER_SETTLEMENT_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/services/bundles:
+ *   post:
+ *     summary: Order several services together
+ *     description: |
+ *       Creates one bundle with a pending service order per line item. The
+ *       volume discount for the bundle size (2-3 services: bundle, 4+:
+ *       package) is applied to every line through the pricing pipeline, and
+ *       each line carries its share of it. The bundle is paid in one
+ *       checkout, less any account credit applied. Promotion codes apply
+ *       to single orders only.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 10
+ *                 items:
+ *                   type: object
+ *                   required: [serviceId]
+ *                   properties:
+ *                     serviceId:
+ *                       type: string
+ *                       format: uuid
+ *                     vehicleId:
+ *                       type: string
+ *                       format: uuid
+ *                     underlyingAmount:
+ *                       type: number
+ *                       description: Vehicle price or parts cost for commission and cost-plus services
+ *                     notes:
+ *                       type: string
+ *                     serviceData:
+ *                       type: object
+ *               urgency:
+ *                 type: string
+ *                 enum: [standard, expedited, emergency]
+ *               notes:
+ *                 type: string
+ *               applyCredit:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Pay with the client's account credit as far as it goes
+ *     responses:
+ *       201:
+ *         description: Bundle created
+ *       400:
+ *         description: Invalid request data, e.g. a missing underlying amount
+ *       404:
+ *         description: Service or client profile not found
+ */
+router.post('/bundles',
+  authenticate,
+  validate(bundleOrderSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const { value } = bundleOrderSchema.validate(req.body);
+      
+      const client = await database.findOne('clients', { user_id: req.user.id });
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client profile not found',
+          code: 'CLIENT_NOT_FOUND'
+        });
+      }
+      
+      const orderService = req.app.get('orderService');
+      const { bundle } = await orderService.createBundle({
+        client,
+        items: value.items,
+        urgency: value.urgency,
+        notes: value.notes || null,
+        applyCredit: value.applyCredit
+      });
+      const { serviceOrders } = await orderService.getBundle(bundle.id);
+      
+      res.status(201).json({
+        success: true,
+        message: 'Bundle order created successfully',
+        bundle: formatBundle(bundle, serviceOrders)
+      });
+      
+    } catch (error) {
+      logger.error('Error creating bundle order', {
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      sendError(res, error, {
+        error: 'Failed to create bundle order',
+        code: 'BUNDLE_CREATION_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/services/bundles/{bundleId}:
+ *   get:
+ *     summary: Get a bundle with its line items and amount due
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bundleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Bundle retrieved successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Bundle not found
+ */
+router.get('/bundles/:bundleId',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    try {
+      const { bundle, serviceOrders } = await getAccessibleBundle(req);
+      
+      res.json({
+        success: true,
+        bundle: formatBundle(bundle, serviceOrders)
+      });
+      
+    } catch (error) {
+      logger.error('Error getting bundle', {
+        bundleId: req.params.bundleId,
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      sendError(res, error, {
+        error: 'Failed to retrieve bundle',
+        code: 'BUNDLE_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/services/bundles/{bundleId}/checkout:
+ *   post:
+ *     summary: Start the combined checkout for a bundle
+ *     description: |
+ *       Opens (or resumes) one payment for the bundle's amount due: every
+ *       line item's fee plus cost-plus pass-through costs. Returns the
+ *       client secret to complete the payment with.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bundleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Checkout started
+ *       409:
+ *         description: Bundle already paid
+ */
+router.post('/bundles/:bundleId/checkout',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    try {
+      const { bundle } = await getAccessibleBundle(req);
+      const intent = await bundleCheckout.start(bundle);
+      
+      res.json({
+        success: true,
+        checkout: {
+          bundleId: bundle.id,
+          amountDue: bundleCheckout.amountDue(bundle),
+          currency: intent.currency,
+          paymentIntentId: intent.id,
+          clientSecret: intent.client_secret,
+          status: intent.status
+        }
+      });
+      
+    } catch (error) {
+      logger.error('Error starting bundle checkout', {
+        bundleId: req.params.bundleId,
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      sendError(res, error, {
+        error: 'Failed to start checkout',
+        code: 'BUNDLE_CHECKOUT_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/services/bundles/{bundleId}/checkout/confirm:
+ *   post:
+ *     summary: Confirm a bundle's payment
+ *     description: Checks the payment with the processor and marks the bundle and its line items paid.
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bundleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Bundle paid
+ *       409:
+ *         description: Checkout not started, or payment not completed
+ */
+router.post('/bundles/:bundleId/checkout/confirm',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    try {
+      const { bundle } = await getAccessibleBundle(req);
+      const paidBundle = await bundleCheckout.confirm(bundle);
+      const { serviceOrders } = await req.app.get('orderService').getBundle(bundle.id);
+      
+      logger.audit('Order bundle payment confirmed', {
+        bundleId: bundle.id,
+        userId: req.user.id,
+        amountDue: bundleCheckout.amountDue(paidBundle)
+      });
+      
+      res.json({
+        success: true,
+        message: 'Bundle paid successfully',
+        bundle: formatBundle(paidBundle, serviceOrders)
+      });
+      
+    } catch (error) {
+      logger.error('Error confirming bundle checkout', {
+        bundleId: req.params.bundleId,
+        error: error.message,
+        userId: req.user.id
+      });
+      
+      sendError(res, error, {
+        error: 'Failed to confirm checkout',
+        code: 'BUNDLE_CHECKOUT_CONFIRM_FAILED'
+      });
+    }
+  })
+);
+
+// Service-specific endpoints
+
+/**
+ * @swagger
+ * /api/services/credit-analysis:
+ *   post:
+ *     summary: Submit credit analysis request
+ *     tags: [Services]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentScore:
+ *                 type: number
+ *                 minimum: 300
+ *                 maximum: 850
+ *               targetScore:
+ *                 type: number
+ *                 minimum: 300
+ *                 maximum: 850
+ *               timelineMonths:
+ *                 type: number
+ *                 minimum: 1
  *                 maximum: 36
  *               goals:
  *                 type: array
@@ -778,22 +1898,25 @@ router.post('/credit-analysis',
       
       // Get client
       const client = await database.findOne('clients', { user_id: req.user.id });
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client profile not found',
+          code: 'CLIENT_NOT_FOUND'
+        });
+      }
       
-      // Create service order
-      const orderNumber = await generateOrderNumber();
-      const serviceOrder = await database.create('service_orders', {
-        client_id: client.id,
-        service_id: service.id,
-        order_number: orderNumber,
-        status: 'pending',
-        base_price: service.base_price,
-        final_price: service.base_price, // TODO: Apply dynamic pricing
-        service_data: JSON.stringify({
+      // Price and create the service order
+      const orderService = req.app.get('orderService');
+      const { serviceOrder, pricing } = await orderService.createOrder({
+        service,
+        client,
+        serviceData: {
           currentScore,
           targetScore,
           timelineMonths,
           goals
-        })
+        }
       });
       
       // Create credit analysis record
@@ -813,7 +1936,13 @@ router.post('/credit-analysis',
           id: serviceOrder.id,
           orderNumber: serviceOrder.order_number,
           status: serviceOrder.status,
-          finalPrice: parseFloat(serviceOrder.final_price)
+          pricing: {
+            currency: pricing.currency,
+            basePrice: pricing.basePrice,
+            finalPrice: pricing.finalPrice,
+            discountAmount: pricing.discountAmount,
+            adjustmentFactors: pricing.adjustmentFactors
+          }
         },
         analysisId: creditAnalysis.id
       });
@@ -882,23 +2011,26 @@ router.post('/loan-application',
       
       // Get client
       const client = await database.findOne('clients', { user_id: req.user.id });
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client profile not found',
+          code: 'CLIENT_NOT_FOUND'
+        });
+      }
       
-      // Create service order
-      const orderNumber = await generateOrderNumber();
-      const serviceOrder = await database.create('service_orders', {
-        client_id: client.id,
-        service_id: service.id,
-        vehicle_id: vehicleId,
-        order_number: orderNumber,
-        status: 'pending',
-        base_price: service.base_price,
-        final_price: service.base_price, // TODO: Apply dynamic pricing
-        service_data: JSON.stringify({
+      // Price and create the service order
+      const orderService = req.app.get('orderService');
+      const { serviceOrder, pricing } = await orderService.createOrder({
+        service,
+        client,
+        vehicleId,
+        serviceData: {
           loanAmount,
           downPayment,
           termMonths,
           purpose
-        })
+        }
       });
       
       // Create loan application record
@@ -919,7 +2051,13 @@ router.post('/loan-application',
           id: serviceOrder.id,
           orderNumber: serviceOrder.order_number,
           status: serviceOrder.status,
-          finalPrice: parseFloat(serviceOrder.final_price)
+          pricing: {
+            currency: pricing.currency,
+            basePrice: pricing.basePrice,
+            finalPrice: pricing.finalPrice,
+            discountAmount: pricing.discountAmount,
+            adjustmentFactors: pricing.adjustmentFactors
+          }
         },
         applicationId: loanApplication.id
       });
@@ -940,44 +2078,6 @@ router.post('/loan-application',
 );
 
 // Helper functions
-async function generateOrderNumber() {
-  const prefix = 'LAE';
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substr(2, 4).toUpperCase();
-  return `${prefix}-${timestamp}-${random}`;
-}
-
-async function handleServiceCompletion(orderId, clientId, app) {
-  try {
-    // Track revenue
-    const order = await database.findById('service_orders', orderId);
-    const revenueOptimizer = app.get('revenueOptimizer');
-    
-    if (revenueOptimizer) {
-      await revenueOptimizer.trackRevenue(orderId, order.final_price, order.service_id, clientId);
-    }
-    
-    // Trigger service cascade
-    const cascadeEngine = app.get('cascadeEngine');
-    if (cascadeEngine) {
-      await cascadeEngine.triggerCascade(orderId, clientId);
-    }
-    
-    logger.revenue('Service completed', {
-      orderId,
-      clientId,
-      revenue: order.final_price
-    });
-    
-  } catch (error) {
-    logger.error('Error handling service completion', {
-      orderId,
-      clientId,
-      error: error.message
-    });
-  }
-}
-
 async function getCreditAnalysisData(orderId) {
   try {
     const result = await database.query(`
@@ -0,0 +1,211 @@
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, validate, sendError } = require('../middleware/errorHandler');
+const { authenticate, authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const slaManager = require('../orders/sla');
+const { DEFAULT_SLAS, URGENCIES } = require('../orders/sla');
+
+const router = express.Router();
+
+// Validation schemas
+const slaSchema = Joi.object({
+  serviceId: Joi.string().uuid().allow(null).default(null),
+  urgency: Joi.string().valid(...URGENCIES).required(),
+  responseMinutes: Joi.number().integer().min(1).required(),
+  resolutionMinutes: Joi.number().integer().min(1).required(),
+  atRiskRatio: Joi.number().greater(0).max(1).default(0.8),
+  breachCreditPercent: Joi.number().min(0).max(100).default(0),
+  isActive: Joi.boolean().default(true)
+});
+
+function formatSla(sla) {
+  return {
+    id: sla.id,
+    serviceId: sla.service_id,
+    serviceName: sla.service_name || null,
+    urgency: sla.urgency,
+    responseMinutes: sla.response_minutes,
+    resolutionMinutes: sla.resolution_minutes,
+    atRiskRatio: parseFloat(sla.at_risk_ratio),
+    breachCreditPercent: parseFloat(sla.breach_credit_percent),
+    isActive: sla.is_active,
+    updatedAt: sla.updated_at
+  };
+}
+
+/**
+ * @swagger
+ * /api/slas:
+ *   get:
+ *     summary: SLA definitions, and the built-in terms used where none applies
+ *     tags: [SLA]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: SLA definitions retrieved successfully
+ */
+router.get('/',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const slas = await slaManager.listSlas();
+
+      res.json({
+        success: true,
+        slas: slas.map(formatSla),
+        defaults: DEFAULT_SLAS
+      });
+
+    } catch (error) {
+      logger.error('Error retrieving SLA definitions', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve SLA definitions',
+        code: 'SLA_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/slas:
+ *   put:
+ *     summary: Create or replace the SLA for a service and urgency
+ *     description: Leave serviceId null for the default of services without their own. Orders keep the terms they were placed under.
+ *     tags: [SLA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - urgency
+ *               - responseMinutes
+ *               - resolutionMinutes
+ *             properties:
+ *               serviceId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               urgency:
+ *                 type: string
+ *                 enum: [standard, expedited, emergency]
+ *               responseMinutes:
+ *                 type: integer
+ *                 description: Order placed to work started
+ *               resolutionMinutes:
+ *                 type: integer
+ *                 description: Work started to completed
+ *               atRiskRatio:
+ *                 type: number
+ *                 default: 0.8
+ *                 description: Share of a window after which the order is at risk
+ *               breachCreditPercent:
+ *                 type: number
+ *                 default: 0
+ *                 description: Of the order price, granted as goodwill credit on breach
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: SLA saved
+ */
+router.put('/',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  validate(slaSchema),
+  asyncHandler(async (req, res) => {
+    try {
+      const sla = await slaManager.saveSla(req.body, { userId: req.user.id });
+
+      res.json({
+        success: true,
+        sla: formatSla(sla)
+      });
+
+    } catch (error) {
+      logger.error('Error saving SLA definition', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to save SLA definition',
+        code: 'SLA_SAVE_FAILED'
+      });
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/slas/orders:
+ *   get:
+ *     summary: Open orders at risk of missing, or past, their SLA deadlines
+ *     tags: [SLA]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [at_risk, breached]
+ *     responses:
+ *       200:
+ *         description: Escalated orders retrieved successfully
+ */
+router.get('/orders',
+  authenticate,
+  authorize(['admin', 'super_admin']),
+  asyncHandler(async (req, res) => {
+    try {
+      const status = ['at_risk', 'breached'].includes(req.query.status) ? req.query.status : null;
+      const orders = await slaManager.listEscalated(status);
+
+      res.json({
+        success: true,
+        orders: orders.map(order => ({
+          id: order.id,
+          orderNumber: order.order_number,
+          status: order.status,
+          urgency: order.urgency,
+          slaStatus: order.sla_status,
+          service: {
+            id: order.service_id,
+            name: order.service_name
+          },
+          assignedTo: order.assigned_to,
+          assignedToEmail: order.assigned_to_email,
+          startDueAt: order.start_due_at,
+          completeDueAt: order.complete_due_at,
+          startedAt: order.started_at,
+          createdAt: order.created_at
+        }))
+      });
+
+    } catch (error) {
+      logger.error('Error retrieving escalated orders', {
+        error: error.message,
+        userId: req.user.id
+      });
+
+      sendError(res, error, {
+        error: 'Failed to retrieve escalated orders',
+        code: 'SLA_ORDERS_RETRIEVAL_FAILED'
+      });
+    }
+  })
+);
+
+module.exports = router;
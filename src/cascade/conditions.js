@@ -0,0 +1,312 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Rule expressions stored in service_cascades.conditions
+//
+//   { "all": [expr, ...] }                       every child must pass
+//   { "any": [expr, ...] }                       at least one child must pass
+//   { "not": expr }                              negates the child
+//   { "field": "client.credit_score", "op": "gte", "value": 500 }
+//   { "predicate": "financing_needed" }          named business predicate
+//
+// Field paths are rooted in one of the evaluation scopes below. The flat
+// legacy format ({ min_credit_score: 500, financing_needed: true }) is still
+// accepted and normalized into an "all" expression.
+
+const SCOPES = ['client', 'order', 'service_data', 'vehicle', 'history'];
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => isComparable(actual) && Number(actual) > expected,
+  gte: (actual, expected) => isComparable(actual) && Number(actual) >= expected,
+  lt: (actual, expected) => isComparable(actual) && Number(actual) < expected,
+  lte: (actual, expected) => isComparable(actual) && Number(actual) <= expected,
+  in: (actual, expected) => expected.includes(actual),
+  nin: (actual, expected) => !expected.includes(actual),
+  contains: (actual, expected) => Array.isArray(actual) && actual.includes(expected),
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === expected,
+  truthy: (actual, expected) => hasValue(actual) === expected
+};
+
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const LIST_OPERATORS = ['in', 'nin'];
+const BOOLEAN_OPERATORS = ['exists', 'truthy'];
+
+// Named predicates; each receives the evaluation context
+const PREDICATES = {
+  financing_needed: ({ client }) => client.credit_score < 700 || client.vehicle_value > 50000,
+  vehicle_purchase_intent: ({ client }) =>
+    client.journey_stage === 'consideration' || client.journey_stage === 'purchase',
+  business_financing_needed: ({ client }) =>
+    client.client_type === 'business' || Boolean(client.business_name),
+  vehicle_condition_fair_or_below: ({ client }) =>
+    (client.vehicles || []).some(v => ['fair', 'poor'].includes(v.condition)),
+  credit_score_improvement_needed: ({ client }) => client.credit_score < 650,
+  legal_structure_complex: ({ client, history }) =>
+    client.client_type === 'business' || history.total_spent > 100000,
+
+  // Facts recorded on the completed order by the agent handling it
+  pre_purchase_inspection: ctx => serviceFact(ctx, 'pre_purchase_inspection'),
+  title_transfer_needed: ctx => serviceFact(ctx, 'title_transfer_needed'),
+  lender_inspection_required: ctx => serviceFact(ctx, 'lender_inspection_required'),
+  post_work_inspection: ctx => serviceFact(ctx, 'post_work_inspection'),
+  legal_issue_identified: ctx => serviceFact(ctx, 'legal_issue_identified'),
+  issues_found: ctx => serviceFact(ctx, 'issues_found'),
+  parts_needed: ctx => serviceFact(ctx, 'parts_needed'),
+  parts_replacement_needed: ctx => serviceFact(ctx, 'parts_replacement_needed'),
+  vehicle_location_different: ctx => {
+    if (serviceFact(ctx, 'vehicle_location_different')) return true;
+    const destination = ctx.service_data.delivery_location;
+    return Boolean(ctx.vehicle?.current_location && destination &&
+      ctx.vehicle.current_location !== destination);
+  },
+  credit_related_problem: ctx =>
+    serviceFact(ctx, 'credit_related_problem') || ctx.service_data.problem_category === 'credit'
+};
+
+// Flat legacy keys and the expression each one stands for
+const LEGACY_COMPARISONS = {
+  min_credit_score: { field: 'client.credit_score', op: 'gte' },
+  max_credit_score: { field: 'client.credit_score', op: 'lte' },
+  min_vehicle_value: { field: 'client.vehicle_value', op: 'gte' },
+  min_annual_income: { field: 'client.annual_income', op: 'gte' },
+  journey_stage: { field: 'client.journey_stage', op: 'eq' },
+  min_days_since_last_order: { field: 'history.days_since_last_order', op: 'gte' },
+  min_total_spent: { field: 'history.total_spent', op: 'gte' }
+};
+
+function isComparable(value) {
+  return value !== null && value !== undefined && value !== '' && !isNaN(Number(value));
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function serviceFact(ctx, key) {
+  return hasValue(ctx.service_data[key]);
+}
+
+function conditionError(message, path) {
+  return new ValidationError(`Invalid cascade condition at ${path}: ${message}`, { path });
+}
+
+// Translate the flat legacy format into an expression
+function normalizeLegacy(conditions, path) {
+  const children = [];
+
+  for (const [key, value] of Object.entries(conditions)) {
+    if (LEGACY_COMPARISONS[key]) {
+      children.push({ ...LEGACY_COMPARISONS[key], value });
+    } else if (PREDICATES[key]) {
+      // Legacy flags were only ever checked when set
+      if (value === true) {
+        children.push({ predicate: key });
+      } else if (value !== false) {
+        throw conditionError(`flag "${key}" must be a boolean`, `${path}.${key}`);
+      }
+    } else {
+      throw conditionError(`unknown condition "${key}"`, `${path}.${key}`);
+    }
+  }
+
+  return { all: children };
+}
+
+function isExpression(node) {
+  return ['all', 'any', 'not', 'field', 'predicate'].some(key => key in node);
+}
+
+/**
+ * Validate a stored condition document and return its normalized expression.
+ * Throws a ValidationError naming the offending path on any unknown key,
+ * field scope, operator or predicate.
+ */
+function compileConditions(conditions, path = 'conditions') {
+  if (conditions === null || conditions === undefined) {
+    return { all: [] };
+  }
+
+  if (typeof conditions === 'string') {
+    try {
+      conditions = JSON.parse(conditions);
+    } catch (error) {
+      throw conditionError('not valid JSON', path);
+    }
+  }
+
+  if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+    throw conditionError('expected an object', path);
+  }
+
+  if (Object.keys(conditions).length === 0) {
+    return { all: [] };
+  }
+
+  return compileNode(isExpression(conditions) ? conditions : normalizeLegacy(conditions, path), path);
+}
+
+function compileNode(node, path) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw conditionError('expected an expression object', path);
+  }
+
+  const keys = Object.keys(node);
+
+  if ('all' in node || 'any' in node) {
+    const combinator = 'all' in node ? 'all' : 'any';
+    if (keys.length !== 1) {
+      throw conditionError(`"${combinator}" cannot be combined with other keys`, path);
+    }
+    if (!Array.isArray(node[combinator])) {
+      throw conditionError(`"${combinator}" expects an array`, path);
+    }
+    return {
+      [combinator]: node[combinator].map((child, index) =>
+        compileNode(child, `${path}.${combinator}[${index}]`))
+    };
+  }
+
+  if ('not' in node) {
+    if (keys.length !== 1) {
+      throw conditionError('"not" cannot be combined with other keys', path);
+    }
+    return { not: compileNode(node.not, `${path}.not`) };
+  }
+
+  if ('predicate' in node) {
+    if (keys.length !== 1) {
+      throw conditionError('"predicate" cannot be combined with other keys', path);
+    }
+    if (!PREDICATES[node.predicate]) {
+      throw conditionError(`unknown predicate "${node.predicate}"`, path);
+    }
+    return { predicate: node.predicate };
+  }
+
+  if ('field' in node) {
+    const unknownKeys = keys.filter(key => !['field', 'op', 'value'].includes(key));
+    if (unknownKeys.length > 0) {
+      throw conditionError(`unknown keys ${unknownKeys.join(', ')}`, path);
+    }
+
+    const [scope, ...rest] = String(node.field).split('.');
+    if (!SCOPES.includes(scope) || rest.length === 0) {
+      throw conditionError(`field must start with one of ${SCOPES.join(', ')}`, path);
+    }
+
+    const op = node.op || 'eq';
+    if (!OPERATORS[op]) {
+      throw conditionError(`unknown operator "${op}"`, path);
+    }
+
+    let value = node.value;
+    if (NUMERIC_OPERATORS.includes(op) && typeof value !== 'number') {
+      throw conditionError(`"${op}" expects a numeric value`, path);
+    }
+    if (LIST_OPERATORS.includes(op) && !Array.isArray(value)) {
+      throw conditionError(`"${op}" expects an array value`, path);
+    }
+    if (BOOLEAN_OPERATORS.includes(op)) {
+      value = value === undefined ? true : value;
+      if (typeof value !== 'boolean') {
+        throw conditionError(`"${op}" expects a boolean value`, path);
+      }
+    }
+
+    return { field: node.field, op, value };
+  }
+
+  throw conditionError(`unknown condition "${keys[0]}"`, path);
+}
+
+function resolveField(context, field) {
+  return field.split('.').reduce((value, key) =>
+    (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+/**
+ * Evaluate a compiled expression against a context built by
+ * buildConditionContext. Returns a result tree mirroring the expression,
+ * with `passed` on every node, so callers can explain the outcome.
+ */
+function evaluateExpression(node, context) {
+  if (node.all) {
+    const children = node.all.map(child => evaluateExpression(child, context));
+    return { all: children, passed: children.every(child => child.passed) };
+  }
+
+  if (node.any) {
+    const children = node.any.map(child => evaluateExpression(child, context));
+    return { any: children, passed: children.some(child => child.passed) };
+  }
+
+  if (node.not) {
+    const child = evaluateExpression(node.not, context);
+    return { not: child, passed: !child.passed };
+  }
+
+  if (node.predicate) {
+    return { predicate: node.predicate, passed: Boolean(PREDICATES[node.predicate](context)) };
+  }
+
+  const actual = resolveField(context, node.field);
+  return {
+    field: node.field,
+    op: node.op,
+    value: node.value,
+    actual: actual === undefined ? null : actual,
+    passed: OPERATORS[node.op](actual, node.value)
+  };
+}
+
+/**
+ * Assemble the scopes a rule can reference from a client profile (as built
+ * by CascadeEngine.getClientProfile) and the completed entry order.
+ */
+function buildConditionContext(client, serviceOrder = {}) {
+  let serviceData = serviceOrder.service_data || {};
+  if (typeof serviceData === 'string') {
+    try {
+      serviceData = JSON.parse(serviceData);
+    } catch (error) {
+      serviceData = {};
+    }
+  }
+
+  const vehicles = client.vehicles || [];
+  const vehicle = vehicles.find(v => v.id === serviceOrder.vehicle_id) || vehicles[0] || null;
+
+  const serviceHistory = client.serviceHistory || [];
+  const completedServices = serviceHistory
+    .filter(order => order.status === 'completed')
+    .map(order => order.service_slug);
+
+  const lastOrderDate = client.lastOrderDate || client.last_order_date;
+
+  return {
+    client,
+    order: serviceOrder,
+    service_data: serviceData,
+    vehicle,
+    history: {
+      total_orders: client.totalOrders || 0,
+      total_spent: client.totalSpent || 0,
+      avg_order_value: client.avgOrderValue || 0,
+      completed_services: completedServices,
+      days_since_last_order: lastOrderDate
+        ? Math.floor((Date.now() - new Date(lastOrderDate).getTime()) / (24 * 60 * 60 * 1000))
+        : 999
+    }
+  };
+}
+
+module.exports = {
+  compileConditions,
+  evaluateExpression,
+  buildConditionContext,
+  PREDICATES,
+  OPERATORS,
+  SCOPES
+};
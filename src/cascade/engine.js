@@ -1,20 +1,77 @@
 const database = require('../database/connection');
 const redis = require('../utils/redis');
+const jobQueue = require('../queue/jobQueue');
+const offerManager = require('./offers');
+const ruleManager = require('./rules');
+const experimentManager = require('../experiments/manager');
+const fatiguePolicy = require('./fatigue');
+const pricingService = require('../pricing/pricingService');
 const logger = require('../utils/logger');
-const { handleCascadeError } = require('../middleware/errorHandler');
+const { Money, DEFAULT_CURRENCY } = require('../utils/money');
+const { handleCascadeError, NotFoundError } = require('../middleware/errorHandler');
+const { compileConditions, evaluateExpression, buildConditionContext } = require('./conditions');
+const { getDecisionStrategy } = require('./strategies');
+const { estimateRate, DEFAULT_RATE_POLICY } = require('./rates');
 
 class CascadeEngine {
   constructor() {
     this.isInitialized = false;
     this.cascadeRules = new Map();
+    this.rejectedRules = [];
+    this.ruleSetVersion = null;
+    this.rulesLoadedAt = null;
+    this.rulesSyncMs = parseInt(process.env.CASCADE_RULES_SYNC_MS) || 60000;
+    this.rulesSyncTimer = null;
     this.conversionThreshold = parseFloat(process.env.CASCADE_TRIGGER_THRESHOLD) || 0.75;
     this.maxCascadeDepth = 3;
     this.cascadeDelayMs = 5000; // 5 seconds delay between cascades
+    this.queueName = 'cascade';
+    this.notificationChannels = (process.env.CASCADE_NOTIFICATION_CHANNELS || 'in_app')
+      .split(',')
+      .map(channel => channel.trim());
+    this.decisionStrategy = process.env.CASCADE_DECISION_STRATEGY || 'seeded';
+    this.decisionOptions = {
+      seed: process.env.CASCADE_DECISION_SEED || 'cascade',
+      propensityCutoff: parseFloat(process.env.CASCADE_PROPENSITY_CUTOFF) || 0.5
+    };
+    this.ratePolicy = {
+      windowDays: parseInt(process.env.CASCADE_RATE_WINDOW_DAYS) || DEFAULT_RATE_POLICY.windowDays,
+      priorStrength: parseFloat(process.env.CASCADE_RATE_PRIOR_STRENGTH) || DEFAULT_RATE_POLICY.priorStrength,
+      minTrials: parseInt(process.env.CASCADE_RATE_MIN_TRIALS) || DEFAULT_RATE_POLICY.minTrials,
+      credibleLevel: parseFloat(process.env.CASCADE_RATE_CREDIBLE_LEVEL) || DEFAULT_RATE_POLICY.credibleLevel,
+      maxStep: parseFloat(process.env.CASCADE_RATE_MAX_STEP) || DEFAULT_RATE_POLICY.maxStep
+    };
   }
 
   async initialize() {
     try {
+      // Fail fast on a misconfigured default strategy
+      getDecisionStrategy(this.decisionStrategy);
       await this.loadCascadeRules();
+
+      // Reload whenever a newer rule-set version is announced by any instance
+      await redis.subscribe(ruleManager.channel, (change) => {
+        if (!Number.isInteger(change.version)) {
+          logger.warn('Ignoring cascade rule-set announcement without a version', { change });
+          return;
+        }
+        if (this.ruleSetVersion !== null && change.version <= this.ruleSetVersion) {
+          return;
+        }
+        logger.info('Reloading cascade rules for new rule-set version', change);
+        this.loadCascadeRules(change.version).catch((error) => {
+          logger.error('Failed to reload cascade rules', { version: change.version, error: error.message });
+        });
+      });
+
+      // Catch up on announcements missed while the subscriber was disconnected
+      this.rulesSyncTimer = setInterval(() => {
+        this.syncRuleSet().catch((error) => {
+          logger.error('Failed to sync cascade rule-set version', { error: error.message });
+        });
+      }, this.rulesSyncMs);
+      this.rulesSyncTimer.unref();
+
       this.isInitialized = true;
       logger.info('Cascade engine initialized successfully');
     } catch (error) {
@@ -23,51 +80,159 @@ class CascadeEngine {
     }
   }
 
-  async loadCascadeRules() {
+  /**
+   * Load the current rule set, or the announced version from the Redis cache
+   * when another instance has already read it. The new rules are built aside
+   * and swapped in at once, so a cascade evaluated during a reload sees
+   * either the old rule set or the new one, never a mix.
+   */
+  async loadCascadeRules(announcedVersion = null) {
     try {
-      // Load all active cascade rules from database
-      const rules = await database.query(`
-        SELECT 
-          sc.*,
-          es.name as entry_service_name,
-          es.slug as entry_service_slug,
-          ts.name as triggered_service_name,
-          ts.slug as triggered_service_slug
-        FROM service_cascades sc
-        JOIN services es ON sc.entry_service_id = es.id
-        JOIN services ts ON sc.triggered_service_id = ts.id
-        WHERE sc.is_active = true
-        ORDER BY sc.priority ASC, sc.conversion_rate DESC
-      `);
+      let ruleSet = announcedVersion !== null ? await redis.getCascadeRules(announcedVersion) : null;
+      if (!ruleSet) {
+        ruleSet = await this.fetchRuleSet();
+        await redis.cacheCascadeRules(ruleSet.version, ruleSet);
+      }
+
+      // A slower reload must not replace a newer rule set
+      if (this.ruleSetVersion !== null && ruleSet.version < this.ruleSetVersion) {
+        logger.debug('Skipping stale cascade rule set', {
+          version: ruleSet.version,
+          running: this.ruleSetVersion
+        });
+        return;
+      }
 
       // Group rules by entry service
-      this.cascadeRules.clear();
-      for (const rule of rules.rows) {
-        const entryServiceId = rule.entry_service_id;
-        if (!this.cascadeRules.has(entryServiceId)) {
-          this.cascadeRules.set(entryServiceId, []);
+      const cascadeRules = new Map();
+      const rejectedRules = [];
+      for (const row of ruleSet.rows) {
+        // Rules whose conditions do not compile are rejected rather than
+        // loaded with their unknown keys ignored
+        let rule;
+        try {
+          rule = this.mapRule(row);
+        } catch (error) {
+          rejectedRules.push({ id: row.id, error: error.message, details: error.details });
+          logger.error('Rejected cascade rule with invalid conditions', {
+            ruleId: row.id,
+            entryService: row.entry_service_slug,
+            triggeredService: row.triggered_service_slug,
+            error: error.message
+          });
+          continue;
         }
-        
-        this.cascadeRules.get(entryServiceId).push({
-          id: rule.id,
-          entryServiceId: rule.entry_service_id,
-          triggeredServiceId: rule.triggered_service_id,
-          conversionRate: parseFloat(rule.conversion_rate),
-          priority: rule.priority,
-          conditions: rule.conditions ? JSON.parse(rule.conditions) : {},
-          entryServiceName: rule.entry_service_name,
-          entryServiceSlug: rule.entry_service_slug,
-          triggeredServiceName: rule.triggered_service_name,
-          triggeredServiceSlug: rule.triggered_service_slug
-        });
+
+        if (!cascadeRules.has(rule.entryServiceId)) {
+          cascadeRules.set(rule.entryServiceId, []);
+        }
+        cascadeRules.get(rule.entryServiceId).push(rule);
       }
 
-      logger.info(`Loaded ${rules.rows.length} cascade rules for ${this.cascadeRules.size} services`);
+      this.cascadeRules = cascadeRules;
+      this.rejectedRules = rejectedRules;
+      this.ruleSetVersion = ruleSet.version;
+      this.rulesLoadedAt = new Date();
+
+      logger.info(`Loaded ${ruleSet.rows.length - rejectedRules.length} cascade rules for ${cascadeRules.size} services`, {
+        version: ruleSet.version,
+        rejected: rejectedRules.length
+      });
     } catch (error) {
       handleCascadeError(error);
     }
   }
 
+  // Read the rule-set version and its active rules from a single snapshot
+  async fetchRuleSet() {
+    return await database.transaction(async (client) => {
+      await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+      const version = await ruleManager.getRuleSetVersion(client);
+      const rows = await this.queryRules({ executor: client });
+      return { version, rows };
+    });
+  }
+
+  async syncRuleSet() {
+    const latest = await ruleManager.getRuleSetVersion();
+    if (this.ruleSetVersion === null || latest > this.ruleSetVersion) {
+      logger.warn('Cascade rules behind the latest rule-set version, reloading', {
+        running: this.ruleSetVersion,
+        latest
+      });
+      await this.loadCascadeRules(latest);
+    }
+  }
+
+  getRuleSetStatus() {
+    let rulesLoaded = 0;
+    for (const rules of this.cascadeRules.values()) {
+      rulesLoaded += rules.length;
+    }
+
+    return {
+      version: this.ruleSetVersion,
+      loadedAt: this.rulesLoadedAt,
+      rulesLoaded,
+      entryServices: this.cascadeRules.size,
+      rejectedRules: this.rejectedRules
+    };
+  }
+
+  async queryRules({ entryServiceId = null, includeInactive = false, executor = database } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (!includeInactive) {
+      conditions.push('sc.is_active = true');
+    }
+
+    if (entryServiceId) {
+      params.push(entryServiceId);
+      conditions.push(`sc.entry_service_id = $${params.length}`);
+    }
+
+    const result = await executor.query(`
+      SELECT 
+        sc.*,
+        es.name as entry_service_name,
+        es.slug as entry_service_slug,
+        ts.name as triggered_service_name,
+        ts.slug as triggered_service_slug
+      FROM service_cascades sc
+      JOIN services es ON sc.entry_service_id = es.id
+      JOIN services ts ON sc.triggered_service_id = ts.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY sc.priority ASC, sc.conversion_rate DESC
+    `, params);
+
+    return result.rows;
+  }
+
+  // Map a service_cascades row to an engine rule; throws if its conditions do not compile
+  mapRule(row) {
+    return {
+      id: row.id,
+      entryServiceId: row.entry_service_id,
+      triggeredServiceId: row.triggered_service_id,
+      conversionRate: parseFloat(row.conversion_rate),
+      priority: row.priority,
+      isActive: row.is_active,
+      conditions: compileConditions(row.conditions),
+      decisionStrategy: row.decision_strategy ? getDecisionStrategy(row.decision_strategy).name : null,
+      entryServiceName: row.entry_service_name,
+      entryServiceSlug: row.entry_service_slug,
+      triggeredServiceName: row.triggered_service_name,
+      triggeredServiceSlug: row.triggered_service_slug
+    };
+  }
+
+  /**
+   * Evaluate the cascade rules for a completed order. Safe to run again for
+   * the same order (completion events are delivered at least once): rules
+   * already triggered for it are only re-enqueued. Throws if any rule failed,
+   * after the others have run, so the caller can retry.
+   */
   async triggerCascade(serviceOrderId, clientId, depth = 0) {
     try {
       if (!this.isInitialized) {
@@ -87,7 +252,7 @@ class CascadeEngine {
       }
 
       // Get cascade rules for this service
-      const rules = this.cascadeRules.get(serviceOrder.service_id);
+      let rules = this.cascadeRules.get(serviceOrder.service_id);
       if (!rules || rules.length === 0) {
         logger.debug('No cascade rules found for service', { 
           serviceId: serviceOrder.service_id, 
@@ -103,9 +268,36 @@ class CascadeEngine {
         return;
       }
 
+      // Clients enrolled in a running experiment get their variant's rules
+      const assignment = await experimentManager.assign(serviceOrder.service_id, clientId);
+      if (assignment) {
+        rules = experimentManager.applyRuleOverrides(rules, assignment.variant);
+        await experimentManager.recordExposure(assignment, clientId, serviceOrderId);
+      }
+
       // Evaluate each rule
+      const failedRules = [];
       for (const rule of rules) {
         try {
+          // Already triggered by an earlier delivery; the enqueue is a no-op
+          // unless that delivery failed before handing it to the worker
+          const existingTrigger = await database.findOne('cascade_triggers', {
+            entry_order_id: serviceOrderId,
+            cascade_id: rule.id
+          });
+          if (existingTrigger) {
+            await jobQueue.enqueue(this.queueName, {
+              cascadeTriggerId: existingTrigger.id,
+              ruleId: rule.id,
+              clientId,
+              depth
+            }, {
+              jobId: existingTrigger.id,
+              delayMs: fatiguePolicy.quietHoursDelay()
+            });
+            continue;
+          }
+
           // Check if conversion rate meets threshold
           if (rule.conversionRate < this.conversionThreshold) {
             logger.debug('Rule conversion rate below threshold', {
@@ -138,12 +330,24 @@ class CascadeEngine {
             continue;
           }
 
-          // Apply probability-based triggering
-          const shouldTrigger = Math.random() < rule.conversionRate;
-          if (!shouldTrigger) {
-            logger.debug('Cascade not triggered due to probability', {
+          // Frequency caps and cooldowns
+          const fatigue = await fatiguePolicy.checkEligibility(clientId, rule);
+          if (!fatigue.allowed) {
+            logger.debug('Cascade suppressed by fatigue policy', {
               ruleId: rule.id,
-              conversionRate: rule.conversionRate
+              clientId,
+              ...fatigue
+            });
+            continue;
+          }
+
+          // Apply the rule's decision strategy
+          const decision = this.decideTrigger(rule, client, serviceOrder);
+          if (!decision.trigger) {
+            logger.debug('Cascade not triggered by decision strategy', {
+              ruleId: rule.id,
+              strategy: decision.strategy,
+              inputs: decision.inputs
             });
             continue;
           }
@@ -154,13 +358,28 @@ class CascadeEngine {
             entry_order_id: serviceOrderId,
             cascade_id: rule.id,
             triggered_at: new Date(),
-            converted: false
+            converted: false,
+            decision_strategy: decision.strategy,
+            decision_inputs: JSON.stringify(decision.inputs),
+            experiment_variant_id: assignment ? assignment.variant.id : null
           });
 
-          // Delay before triggering to simulate natural progression
-          setTimeout(async () => {
-            await this.createTriggeredService(rule, client, cascadeTrigger, depth);
-          }, this.cascadeDelayMs);
+          // Hand the offer to the cascade worker; the trigger id is the
+          // idempotency key so redelivery cannot create a second offer.
+          // Offers due during quiet hours wait until they end.
+          const delayMs = assignment && assignment.variant.config.cascadeDelayMs !== undefined
+            ? assignment.variant.config.cascadeDelayMs
+            : this.cascadeDelayMs;
+
+          await jobQueue.enqueue(this.queueName, {
+            cascadeTriggerId: cascadeTrigger.id,
+            ruleId: rule.id,
+            clientId,
+            depth
+          }, {
+            jobId: cascadeTrigger.id,
+            delayMs: Math.max(delayMs, fatiguePolicy.quietHoursDelay())
+          });
 
           logger.cascade('Service cascade triggered', {
             clientId,
@@ -171,6 +390,7 @@ class CascadeEngine {
           });
 
         } catch (error) {
+          failedRules.push(rule.id);
           logger.error('Error processing cascade rule', {
             ruleId: rule.id,
             error: error.message,
@@ -180,12 +400,61 @@ class CascadeEngine {
         }
       }
 
+      if (failedRules.length > 0) {
+        throw new Error(`Cascade rules failed for order ${serviceOrderId}: ${failedRules.join(', ')}`);
+      }
+
     } catch (error) {
       handleCascadeError(error);
     }
   }
 
-  async createTriggeredService(rule, client, cascadeTrigger, depth) {
+  // Final gate: the rule's own strategy, or the engine default
+  decideTrigger(rule, client, serviceOrder) {
+    const strategy = getDecisionStrategy(rule.decisionStrategy || this.decisionStrategy);
+    return strategy.decide({ rule, client, serviceOrder }, this.decisionOptions);
+  }
+
+  // Worker entry point for jobs enqueued by triggerCascade
+  async processCascadeJob({ cascadeTriggerId, ruleId, clientId, depth }) {
+    const cascadeTrigger = await database.findById('cascade_triggers', cascadeTriggerId);
+    if (!cascadeTrigger) {
+      logger.warn('Cascade trigger not found for job', { cascadeTriggerId });
+      return;
+    }
+
+    // A previous delivery may already have created the offer
+    const existingOffer = await offerManager.findByTrigger(cascadeTriggerId);
+    if (existingOffer) {
+      logger.debug('Cascade offer already created for trigger', { cascadeTriggerId, offerId: existingOffer.id });
+      return;
+    }
+
+    const rule = this.findRule(ruleId);
+    if (!rule) {
+      logger.warn('Cascade rule no longer active, dropping job', { cascadeTriggerId, ruleId });
+      return;
+    }
+
+    const client = await this.getClientProfile(clientId);
+    if (!client) {
+      throw new Error(`Client ${clientId} not found for cascade trigger ${cascadeTriggerId}`);
+    }
+
+    await this.createTriggeredOffer(rule, client, cascadeTrigger, depth);
+  }
+
+  findRule(ruleId) {
+    for (const rules of this.cascadeRules.values()) {
+      const rule = rules.find(r => r.id === ruleId);
+      if (rule) return rule;
+    }
+    return null;
+  }
+
+  // Offer the triggered service to the client; an order is only created
+  // when the client accepts (see OfferManager.accept)
+  async createTriggeredOffer(rule, client, cascadeTrigger, depth) {
     try {
       // Get service details
       const service = await database.findById('services', rule.triggeredServiceId);
@@ -194,41 +463,24 @@ class CascadeEngine {
         return;
       }
 
-      // Calculate dynamic pricing
-      const pricing = await this.calculateDynamicPricing(service, client);
-
-      // Generate order number
-      const orderNumber = await this.generateOrderNumber();
-
-      // Create service order
-      const serviceOrder = await database.create('service_orders', {
-        client_id: client.id,
-        service_id: service.id,
-        order_number: orderNumber,
-        status: 'pending',
-        base_price: service.base_price,
-        final_price: pricing.finalPrice,
-        discount_amount: pricing.discountAmount,
-        priority: rule.priority,
-        service_data: JSON.stringify({
-          triggeredBy: 'cascade',
-          cascadeTriggerId: cascadeTrigger.id,
-          originalConversionRate: rule.conversionRate,
-          depth: depth + 1
-        }),
-        notes: `Automatically triggered by ${rule.entryServiceName} completion`
-      });
-
-      // Update cascade trigger with the created order
-      await database.update('cascade_triggers', cascadeTrigger.id, {
-        triggered_order_id: serviceOrder.id,
-        converted: true,
-        converted_at: new Date()
+      // Experiment variants quote with their own discount schedule
+      const variant = cascadeTrigger.experiment_variant_id
+        ? await experimentManager.getVariant(cascadeTrigger.experiment_variant_id)
+        : null;
+      const pricing = await this.quoteOffer(service, client, variant ? variant.config.pricing : null);
+
+      const offer = await offerManager.createOffer({
+        cascadeTrigger,
+        rule,
+        client,
+        service,
+        pricing,
+        depth
       });
 
       // Update client journey
       await this.updateClientJourney(client.id, {
-        action: 'service_triggered',
+        action: 'service_offered',
         serviceId: service.id,
         serviceName: service.name,
         triggeredBy: rule.entryServiceName,
@@ -236,40 +488,265 @@ class CascadeEngine {
       });
 
       // Send notifications
-      await this.sendCascadeNotifications(client, service, serviceOrder);
+      await this.sendCascadeNotifications(client, service, offer);
 
-      // Cache the triggered service for quick access
+      // Cache the offered service for quick access
       await redis.set(`triggered_service:${client.id}:${service.id}`, {
-        orderId: serviceOrder.id,
+        offerId: offer.id,
         triggeredAt: new Date().toISOString(),
         conversionRate: rule.conversionRate
       }, 3600);
 
-      logger.cascade('Service cascade conversion successful', {
+      logger.cascade('Service cascade offer sent', {
         clientId: client.id,
         serviceId: service.id,
         serviceName: service.name,
-        orderId: serviceOrder.id,
-        finalPrice: pricing.finalPrice,
+        offerId: offer.id,
+        quotedPrice: pricing.finalPrice,
         cascadeTriggerId: cascadeTrigger.id
       });
 
-      // Trigger next level cascade when this service completes
-      // This will be handled by the service completion webhook
+      // The next level cascades when the accepted order completes: order
+      // completion passes the stored cascade_depth back into triggerCascade
 
     } catch (error) {
-      logger.error('Failed to create triggered service', {
+      logger.error('Failed to create cascade offer', {
         ruleId: rule.id,
         clientId: client.id,
         error: error.message
       });
 
-      // Update cascade trigger with failure
-      await database.update('cascade_triggers', cascadeTrigger.id, {
-        converted: false,
-        revenue_generated: 0
+      // Let the job queue retry or dead-letter the cascade
+      throw error;
+    }
+  }
+
+  /**
+   * Dry-run the cascade for a completed order, or for a synthetic client
+   * profile against an entry service. Every rule is evaluated in full (no
+   * short-circuiting) and nothing is written to cascade_triggers or
+   * service_orders, and no notifications or jobs are queued.
+   *
+   * Candidate rules ({ triggeredServiceId, conversionRate, priority,
+   * conditions }) can be supplied to preview a rule before it is saved.
+   */
+  async simulateCascade(options = {}) {
+    const { orderId, serviceId, client: syntheticClient, serviceData = {}, rules: candidateRules, includeInactive = false } = options;
+
+    let serviceOrder;
+    let client;
+
+    if (orderId) {
+      serviceOrder = await database.findById('service_orders', orderId);
+      if (!serviceOrder) {
+        throw new NotFoundError('Service order not found');
+      }
+      client = await this.getClientProfile(serviceOrder.client_id);
+      if (!client) {
+        throw new NotFoundError('Client not found');
+      }
+    } else {
+      serviceOrder = {
+        id: null,
+        service_id: serviceId,
+        status: 'completed',
+        vehicle_id: null,
+        service_data: serviceData,
+        cascade_depth: 0
+      };
+      client = {
+        vehicles: [],
+        serviceHistory: [],
+        totalOrders: 0,
+        totalSpent: 0,
+        avgOrderValue: 0,
+        ...syntheticClient
+      };
+    }
+
+    const entryService = await database.findById('services', serviceOrder.service_id);
+    if (!entryService) {
+      throw new NotFoundError('Entry service not found');
+    }
+
+    let rules;
+    if (candidateRules) {
+      rules = candidateRules.map((candidate, index) => ({
+        id: null,
+        entryServiceId: entryService.id,
+        triggeredServiceId: candidate.triggeredServiceId,
+        conversionRate: candidate.conversionRate,
+        priority: candidate.priority || 1,
+        isActive: false,
+        conditions: compileConditions(candidate.conditions, `rules[${index}].conditions`),
+        decisionStrategy: candidate.decisionStrategy || null
+      }));
+    } else if (includeInactive) {
+      rules = (await this.queryRules({ entryServiceId: entryService.id, includeInactive: true }))
+        .map(row => this.mapRule(row));
+    } else {
+      rules = this.cascadeRules.get(entryService.id) || [];
+    }
+
+    const depth = serviceOrder.cascade_depth || 0;
+    const warnings = [];
+    if (serviceOrder.status !== 'completed') {
+      warnings.push(`Order status is ${serviceOrder.status}; cascades only run on completion`);
+    }
+    if (depth >= this.maxCascadeDepth) {
+      warnings.push(`Order is at cascade depth ${depth}; maximum is ${this.maxCascadeDepth}`);
+    }
+
+    const evaluations = [];
+    for (const rule of rules) {
+      const triggeredService = await database.findById('services', rule.triggeredServiceId);
+      if (!triggeredService) {
+        evaluations.push({ ruleId: rule.id, triggeredServiceId: rule.triggeredServiceId, error: 'Triggered service not found' });
+        continue;
+      }
+
+      const threshold = {
+        passed: rule.conversionRate >= this.conversionThreshold,
+        conversionRate: rule.conversionRate,
+        threshold: this.conversionThreshold
+      };
+
+      const existingOrder = client.id
+        ? await this.checkExistingService(client.id, rule.triggeredServiceId)
+        : null;
+
+      const fatigue = client.id
+        ? await fatiguePolicy.checkEligibility(client.id, rule)
+        : { allowed: true };
+
+      const conditions = await this.explainConditions(rule.conditions, client, serviceOrder);
+      const pricing = await this.quoteOffer(triggeredService, client, null, { recordGuardrails: false });
+
+      const eligible = threshold.passed && !existingOrder && fatigue.allowed && conditions.passed &&
+        depth < this.maxCascadeDepth;
+      const decision = this.decideTrigger(rule, client, serviceOrder);
+
+      evaluations.push({
+        ruleId: rule.id,
+        isActive: rule.isActive,
+        priority: rule.priority,
+        triggeredService: {
+          id: triggeredService.id,
+          name: triggeredService.name,
+          slug: triggeredService.slug
+        },
+        checks: {
+          threshold,
+          existingService: {
+            passed: !existingOrder,
+            existingOrderId: existingOrder ? existingOrder.id : null
+          },
+          fatigue: {
+            passed: fatigue.allowed,
+            ...fatigue
+          },
+          conditions
+        },
+        probability: rule.conversionRate,
+        decision,
+        eligible,
+        wouldTrigger: eligible && decision.trigger,
+        pricing
+      });
+    }
+
+    return {
+      entryService: {
+        id: entryService.id,
+        name: entryService.name,
+        slug: entryService.slug
+      },
+      orderId: serviceOrder.id,
+      clientId: client.id || null,
+      depth,
+      warnings,
+      rules: evaluations
+    };
+  }
+
+  // Full cascade tree containing the given order, rooted at its entry order
+  async getCascadeTree(orderId) {
+    const order = await database.findById('service_orders', orderId);
+    if (!order) {
+      return null;
+    }
+
+    const rootOrderId = order.root_order_id || order.id;
+
+    const result = await database.query(`
+      SELECT 
+        so.id,
+        so.order_number,
+        so.status,
+        so.parent_order_id,
+        so.cascade_depth,
+        so.final_price,
+        so.currency,
+        so.created_at,
+        so.completed_at,
+        s.id as service_id,
+        s.name as service_name,
+        s.slug as service_slug,
+        ct.id as cascade_trigger_id,
+        ct.cascade_id,
+        ct.triggered_at
+      FROM service_orders so
+      JOIN services s ON so.service_id = s.id
+      LEFT JOIN cascade_triggers ct ON ct.triggered_order_id = so.id
+      WHERE so.id = $1 OR so.root_order_id = $1
+      ORDER BY so.cascade_depth ASC, so.created_at ASC
+    `, [rootOrderId]);
+
+    const nodes = new Map();
+    for (const row of result.rows) {
+      nodes.set(row.id, {
+        orderId: row.id,
+        orderNumber: row.order_number,
+        status: row.status,
+        depth: row.cascade_depth || 0,
+        service: {
+          id: row.service_id,
+          name: row.service_name,
+          slug: row.service_slug
+        },
+        finalPrice: parseFloat(row.final_price),
+        currency: row.currency,
+        cascade: row.cascade_trigger_id ? {
+          triggerId: row.cascade_trigger_id,
+          ruleId: row.cascade_id,
+          triggeredAt: row.triggered_at
+        } : null,
+        createdAt: row.created_at,
+        completedAt: row.completed_at,
+        children: []
       });
     }
+
+    for (const row of result.rows) {
+      if (row.id !== rootOrderId && nodes.has(row.parent_order_id)) {
+        nodes.get(row.parent_order_id).children.push(nodes.get(row.id));
+      }
+    }
+
+    // A chain's orders are one client's, so all in their billing currency
+    const root = nodes.get(rootOrderId);
+    const totalRevenue = Money.sum(result.rows
+      .filter(row => row.status === 'completed')
+      .map(row => row.final_price), root.currency);
+
+    return {
+      rootOrderId,
+      totalOrders: nodes.size,
+      maxDepth: Math.max(...[...nodes.values()].map(node => node.depth)),
+      currency: root.currency,
+      totalRevenue: totalRevenue.toNumber(),
+      tree: root
+    };
   }
 
   async getClientProfile(clientId) {
@@ -346,185 +823,70 @@ class CascadeEngine {
   }
 
   async evaluateConditions(conditions, client, serviceOrder) {
-    try {
-      if (!conditions || Object.keys(conditions).length === 0) {
-        return true; // No conditions means always trigger
-      }
-
-      // Credit score conditions
-      if (conditions.min_credit_score && client.credit_score < conditions.min_credit_score) {
-        return false;
-      }
-
-      if (conditions.max_credit_score && client.credit_score > conditions.max_credit_score) {
-        return false;
-      }
-
-      // Vehicle value conditions
-      if (conditions.min_vehicle_value && client.vehicle_value < conditions.min_vehicle_value) {
-        return false;
-      }
-
-      // Income conditions
-      if (conditions.min_annual_income && client.annual_income < conditions.min_annual_income) {
-        return false;
-      }
-
-      // Journey stage conditions
-      if (conditions.journey_stage && client.journey_stage !== conditions.journey_stage) {
-        return false;
-      }
-
-      // Service-specific conditions
-      if (conditions.financing_needed && !this.hasFinancingNeed(client)) {
-        return false;
-      }
-
-      if (conditions.vehicle_purchase_intent && !this.hasVehiclePurchaseIntent(client)) {
-        return false;
-      }
-
-      if (conditions.business_financing_needed && !this.hasBusinessFinancingNeed(client)) {
-        return false;
-      }
-
-      // Vehicle condition conditions
-      if (conditions.vehicle_condition_fair_or_below && !this.hasVehicleConditionIssues(client)) {
-        return false;
-      }
-
-      // Time-based conditions
-      if (conditions.min_days_since_last_order) {
-        const daysSinceLastOrder = this.getDaysSinceLastOrder(client);
-        if (daysSinceLastOrder < conditions.min_days_since_last_order) {
-          return false;
-        }
-      }
-
-      // Spending conditions
-      if (conditions.min_total_spent && client.totalSpent < conditions.min_total_spent) {
-        return false;
-      }
-
-      // Custom business logic conditions
-      if (conditions.credit_score_improvement_needed && !this.needsCreditImprovement(client)) {
-        return false;
-      }
-
-      if (conditions.legal_structure_complex && !this.hasComplexLegalNeeds(client)) {
-        return false;
-      }
-
-      return true;
+    return (await this.explainConditions(conditions, client, serviceOrder)).passed;
+  }
 
+  // Evaluate conditions and return the per-node result tree
+  async explainConditions(conditions, client, serviceOrder) {
+    try {
+      const context = buildConditionContext(client, serviceOrder);
+      return evaluateExpression(conditions, context);
     } catch (error) {
       logger.error('Error evaluating cascade conditions', {
         conditions,
         clientId: client.id,
         error: error.message
       });
-      return false;
+      return { passed: false, error: error.message };
     }
   }
 
-  // Helper methods for condition evaluation
-  hasFinancingNeed(client) {
-    return client.credit_score < 700 || client.vehicle_value > 50000;
-  }
-
-  hasVehiclePurchaseIntent(client) {
-    return client.journey_stage === 'consideration' || client.journey_stage === 'purchase';
-  }
-
-  hasBusinessFinancingNeed(client) {
-    return client.client_type === 'business' || client.business_name;
-  }
-
-  hasVehicleConditionIssues(client) {
-    return client.vehicles.some(v => ['fair', 'poor'].includes(v.condition));
-  }
-
-  getDaysSinceLastOrder(client) {
-    if (!client.lastOrderDate) return 999;
-    return Math.floor((Date.now() - new Date(client.lastOrderDate).getTime()) / (24 * 60 * 60 * 1000));
-  }
-
-  needsCreditImprovement(client) {
-    return client.credit_score < 650;
-  }
-
-  hasComplexLegalNeeds(client) {
-    return client.client_type === 'business' || client.totalSpent > 100000;
-  }
-
   async checkExistingService(clientId, serviceId) {
     try {
-      const existing = await database.findOne('service_orders', {
+      // Orders cancelled long enough ago no longer block a new offer
+      const orders = await database.findMany('service_orders', {
         client_id: clientId,
         service_id: serviceId
-      });
-      return existing;
+      }, { orderBy: 'created_at DESC' });
+      const existing = orders.find(order => fatiguePolicy.blocksReoffer(order));
+      if (existing) {
+        return existing;
+      }
+
+      // An offer the client has not answered yet also counts
+      return await offerManager.findOpenOffer(clientId, serviceId);
     } catch (error) {
       logger.error('Error checking existing service', { clientId, serviceId, error: error.message });
       return null;
     }
   }
 
-  async calculateDynamicPricing(service, client) {
-    try {
-      let basePrice = parseFloat(service.base_price);
-      let finalPrice = basePrice;
-      let discountAmount = 0;
-
-      // Premium client discount
-      if (client.totalSpent > 50000) {
-        discountAmount = basePrice * 0.1; // 10% discount for premium clients
-      }
-
-      // High credit score discount
-      if (client.credit_score > 750) {
-        discountAmount = Math.max(discountAmount, basePrice * 0.05); // 5% discount for excellent credit
-      }
-
-      // First-time client discount
-      if (client.totalOrders === 0) {
-        discountAmount = Math.max(discountAmount, basePrice * 0.15); // 15% discount for new clients
-      }
-
-      // Volume discount
-      if (client.totalOrders > 5) {
-        discountAmount = Math.max(discountAmount, basePrice * 0.08); // 8% discount for loyal clients
-      }
-
-      finalPrice = Math.max(basePrice - discountAmount, basePrice * 0.5); // Minimum 50% of base price
-
-      return {
-        basePrice,
-        finalPrice,
-        discountAmount,
-        discountPercentage: discountAmount > 0 ? (discountAmount / basePrice) * 100 : 0
-      };
-
-    } catch (error) {
-      logger.error('Error calculating dynamic pricing', { 
-        serviceId: service.id, 
-        clientId: client.id, 
-        error: error.message 
-      });
-      return {
-        basePrice: service.base_price,
-        finalPrice: service.base_price,
-        discountAmount: 0,
-        discountPercentage: 0
-      };
+  // Offers are priced by the shared pipeline, with the cascade incentive
+  // (an experiment variant can replace its discount schedule). Commission
+  // services are estimated on the client's vehicle value; the order is
+  // re-priced when its transaction settles. Simulations pass
+  // recordGuardrails: false, as their prices are never offered.
+  async quoteOffer(service, client, discountSchedule = null, { recordGuardrails = true } = {}) {
+    const options = {
+      channel: 'cascade',
+      discountSchedule,
+      underlyingAmount: service.pricing_model === 'commission' ? parseFloat(client.vehicle_value) || null : null,
+      estimateFee: true,
+      recordGuardrails
+    };
+    if (client.id) {
+      return await pricingService.quote(service, client.id, options);
     }
-  }
 
-  async generateOrderNumber() {
-    const prefix = 'LAE'; // Luxury Automotive Ecosystem
-    const timestamp = Date.now().toString(36).toUpperCase();
-    const random = Math.random().toString(36).substr(2, 4).toUpperCase();
-    return `${prefix}-${timestamp}-${random}`;
+    // Hypothetical clients in a simulation have no stored profile
+    const currency = pricingService.currencyFor(service, client);
+    return pricingService.quoteForProfile(await pricingService.priceListFor(service, currency), {
+      currency,
+      credit_score: client.credit_score,
+      vehicle_value: client.vehicle_value,
+      services_count: client.totalOrders,
+      total_spent: client.totalSpent
+    }, options);
   }
 
   async updateClientJourney(clientId, action) {
@@ -541,31 +903,37 @@ class CascadeEngine {
     }
   }
 
-  async sendCascadeNotifications(client, service, serviceOrder) {
+  async sendCascadeNotifications(client, service, offer) {
     try {
-      // Send to client
+      // Send to client on every configured channel still under its cap
       const clientNotification = {
         type: 'service_recommended',
         title: `New Service Recommended: ${service.name}`,
         message: `Based on your recent activity, we recommend our ${service.name} service.`,
         data: {
           serviceId: service.id,
-          orderId: serviceOrder.id,
-          finalPrice: serviceOrder.final_price
+          offerId: offer.id,
+          quotedPrice: offer.quoted_price,
+          expiresAt: offer.expires_at
         }
       };
 
-      await redis.queueNotification(client.user_id, clientNotification);
+      const channels = await fatiguePolicy.allowedChannels(client.id, this.notificationChannels);
+      for (const channel of channels) {
+        if (await this.deliverNotification(channel, client, clientNotification)) {
+          await fatiguePolicy.recordContact({ clientId: client.id, offerId: offer.id, channel });
+        }
+      }
 
       // Send to admin team
       const adminNotification = {
         type: 'cascade_triggered',
         title: 'Service Cascade Triggered',
-        message: `${client.first_name} ${client.last_name} has been recommended ${service.name}`,
+        message: `${client.first_name} ${client.last_name} has been offered ${service.name}`,
         data: {
           clientId: client.id,
           serviceId: service.id,
-          orderId: serviceOrder.id
+          offerId: offer.id
         }
       };
 
@@ -584,26 +952,64 @@ class CascadeEngine {
     }
   }
 
-  async getCascadeMetrics(timeframe = '30d') {
+  // In-app notifications go to the client's notification list; email and
+  // SMS go to outbound queues drained by the messaging integrations
+  async deliverNotification(channel, client, notification) {
+    switch (channel) {
+      case 'in_app':
+        await redis.queueNotification(client.user_id, notification);
+        return true;
+      case 'email':
+        if (!client.email) return false;
+        await redis.rpush('outbound:email', { to: client.email, ...notification });
+        return true;
+      case 'sms':
+        if (!client.phone) return false;
+        await redis.rpush('outbound:sms', { to: client.phone, ...notification });
+        return true;
+      default:
+        logger.warn('Unknown cascade notification channel', { channel });
+        return false;
+    }
+  }
+
+  async getCascadeMetrics(timeframe = '30d', currency = DEFAULT_CURRENCY) {
     try {
+      // Conversions are accepted offers; the rate is measured over offers the
+      // client has answered (or let expire), not ones still open. Revenue
+      // only adds up within a currency.
       const query = `
         SELECT 
-          COUNT(*) as total_triggers,
-          COUNT(CASE WHEN converted = true THEN 1 END) as successful_conversions,
-          AVG(CASE WHEN converted = true THEN revenue_generated ELSE 0 END) as avg_revenue,
-          SUM(CASE WHEN converted = true THEN revenue_generated ELSE 0 END) as total_revenue
-        FROM cascade_triggers
-        WHERE triggered_at >= NOW() - INTERVAL '${timeframe}'
+          COUNT(ct.id) as total_triggers,
+          COUNT(co.id) as offers_made,
+          COUNT(CASE WHEN co.viewed_at IS NOT NULL THEN 1 END) as offers_viewed,
+          COUNT(CASE WHEN co.status = 'accepted' THEN 1 END) as accepted,
+          COUNT(CASE WHEN co.status = 'declined' THEN 1 END) as declined,
+          COUNT(CASE WHEN co.status = 'expired' THEN 1 END) as expired,
+          COUNT(CASE WHEN co.status IN ('offered', 'viewed') THEN 1 END) as open_offers,
+          AVG(CASE WHEN ct.converted = true AND co.currency = $1 THEN ct.revenue_generated ELSE NULL END) as avg_revenue,
+          SUM(CASE WHEN ct.converted = true AND co.currency = $1 THEN ct.revenue_generated ELSE 0 END) as total_revenue
+        FROM cascade_triggers ct
+        LEFT JOIN cascade_offers co ON co.cascade_trigger_id = ct.id
+        WHERE ct.triggered_at >= NOW() - INTERVAL '${timeframe}'
       `;
 
-      const result = await database.query(query);
+      const result = await database.query(query, [currency]);
       const metrics = result.rows[0];
 
+      const accepted = parseInt(metrics.accepted) || 0;
+      const resolvedOffers = accepted + (parseInt(metrics.declined) || 0) + (parseInt(metrics.expired) || 0);
+
       return {
-        totalTriggers: parseInt(metrics.total_triggers),
-        successfulConversions: parseInt(metrics.successful_conversions),
-        conversionRate: metrics.total_triggers > 0 ? 
-          (metrics.successful_conversions / metrics.total_triggers) * 100 : 0,
+        totalTriggers: parseInt(metrics.total_triggers) || 0,
+        offersMade: parseInt(metrics.offers_made) || 0,
+        offersViewed: parseInt(metrics.offers_viewed) || 0,
+        successfulConversions: accepted,
+        declined: parseInt(metrics.declined) || 0,
+        expired: parseInt(metrics.expired) || 0,
+        openOffers: parseInt(metrics.open_offers) || 0,
+        conversionRate: resolvedOffers > 0 ? (accepted / resolvedOffers) * 100 : 0,
+        currency,
         avgRevenue: parseFloat(metrics.avg_revenue) || 0,
         totalRevenue: parseFloat(metrics.total_revenue) || 0
       };
@@ -612,7 +1018,12 @@ class CascadeEngine {
       logger.error('Error getting cascade metrics', { error: error.message });
       return {
         totalTriggers: 0,
+        offersMade: 0,
+        offersViewed: 0,
         successfulConversions: 0,
+        declined: 0,
+        expired: 0,
+        openOffers: 0,
         conversionRate: 0,
         avgRevenue: 0,
         totalRevenue: 0
@@ -620,52 +1031,84 @@ class CascadeEngine {
     }
   }
 
+  /**
+   * Re-estimate every active rule's conversion rate from its resolved
+   * offers (see ./rates). Rules without triggers in the window are still
+   * evaluated and keep their rate; changed rates go through the rule
+   * manager, so each one is versioned and recorded in cascade_rate_history.
+   */
   async optimizeCascadeRules() {
     try {
-      logger.info('Starting cascade rule optimization...');
+      logger.info('Starting cascade rule optimization...', { policy: this.ratePolicy });
 
-      // Get performance data for each rule
+      // Window filters live in the JOINs so rules with no triggers are kept;
+      // only offers the client has resolved count as trials, and only
+      // acceptances as successes
       const performanceQuery = `
         SELECT 
           sc.id,
-          sc.conversion_rate as expected_rate,
-          COUNT(ct.id) as total_triggers,
-          COUNT(CASE WHEN ct.converted = true THEN 1 END) as successful_conversions,
-          AVG(CASE WHEN ct.converted = true THEN ct.revenue_generated ELSE 0 END) as avg_revenue
+          sc.version,
+          sc.conversion_rate,
+          COUNT(co.id) as trials,
+          COUNT(CASE WHEN co.status = 'accepted' THEN 1 END) as successes
         FROM service_cascades sc
-        LEFT JOIN cascade_triggers ct ON sc.id = ct.cascade_id
-        WHERE ct.triggered_at >= NOW() - INTERVAL '30 days'
-        GROUP BY sc.id, sc.conversion_rate
-        HAVING COUNT(ct.id) >= 10
+        LEFT JOIN cascade_triggers ct ON ct.cascade_id = sc.id
+          AND ct.triggered_at >= NOW() - $1 * INTERVAL '1 day'
+        LEFT JOIN cascade_offers co ON co.cascade_trigger_id = ct.id
+          AND co.status IN ('accepted', 'declined', 'expired')
+        WHERE sc.is_active = true
+        GROUP BY sc.id, sc.version, sc.conversion_rate
       `;
 
-      const results = await database.query(performanceQuery);
+      const results = await database.query(performanceQuery, [this.ratePolicy.windowDays]);
+      const summary = { evaluated: 0, updated: 0, insufficientEvidence: 0, consistent: 0, skipped: 0 };
 
       for (const row of results.rows) {
-        const actualRate = row.total_triggers > 0 ? 
-          row.successful_conversions / row.total_triggers : 0;
-        const expectedRate = parseFloat(row.expected_rate);
-
-        // Update conversion rate if significantly different
-        if (Math.abs(actualRate - expectedRate) > 0.1) {
-          await database.update('service_cascades', row.id, {
-            conversion_rate: actualRate
+        const estimate = estimateRate({
+          currentRate: parseFloat(row.conversion_rate),
+          successes: parseInt(row.successes),
+          trials: parseInt(row.trials)
+        }, this.ratePolicy);
+        summary.evaluated++;
+
+        if (estimate.decision === 'insufficient_evidence') {
+          summary.insufficientEvidence++;
+          continue;
+        }
+        if (estimate.decision === 'consistent' || estimate.newRate === estimate.currentRate) {
+          summary.consistent++;
+          continue;
+        }
+
+        try {
+          await ruleManager.updateConversionRate(row.id, estimate, {
+            windowDays: this.ratePolicy.windowDays,
+            expectedVersion: row.version
           });
+          summary.updated++;
 
           logger.info('Updated cascade rule conversion rate', {
             ruleId: row.id,
-            oldRate: expectedRate,
-            newRate: actualRate,
-            totalTriggers: row.total_triggers,
-            successfulConversions: row.successful_conversions
+            oldRate: estimate.currentRate,
+            newRate: estimate.newRate,
+            posteriorMean: estimate.posterior.mean,
+            credibleInterval: estimate.credibleInterval,
+            trials: estimate.trials,
+            successes: estimate.successes
+          });
+        } catch (error) {
+          // Most likely an admin edited the rule since it was read; the
+          // next run re-evaluates it against the new version
+          summary.skipped++;
+          logger.warn('Skipped cascade rule rate update', {
+            ruleId: row.id,
+            error: error.message
           });
         }
       }
 
-      // Reload rules after optimization
-      await this.loadCascadeRules();
-
-      logger.info('Cascade rule optimization completed');
+      logger.info('Cascade rule optimization completed', summary);
+      return summary;
 
     } catch (error) {
       logger.error('Error optimizing cascade rules', { error: error.message });
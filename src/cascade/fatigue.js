@@ -0,0 +1,185 @@
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+
+// Limits on how often one client hears from the cascade engine:
+//
+//   - frequency caps on cascade triggers per client per day and per week
+//   - cooldowns: a rule is not re-offered to a client within its cooldown,
+//     and a service is not offered again within the service cooldown
+//     (whichever rule recommends it)
+//   - per-channel caps on offer notifications (in_app, email, sms); a
+//     capped channel is skipped while the offer itself is still made
+//   - quiet hours, during which offers are held back until they end
+//
+// A service the client ordered and then cancelled can be offered again
+// once `reofferAfterCancelDays` have passed.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "21-8" -> { start: 21, end: 8 }; empty disables quiet hours
+function parseQuietHours(value) {
+  if (!value) {
+    return null;
+  }
+  const [start, end] = value.split('-').map(hour => parseInt(hour));
+  if (isNaN(start) || isNaN(end) || start === end) {
+    return null;
+  }
+  return { start, end };
+}
+
+// "in_app:5/20,email:1/3" -> { in_app: { daily: 5, weekly: 20 }, email: { daily: 1, weekly: 3 } }
+function parseChannelCaps(value) {
+  const caps = {};
+  for (const entry of (value || '').split(',').filter(Boolean)) {
+    const [channel, limits] = entry.split(':');
+    const [daily, weekly] = (limits || '').split('/').map(limit => parseInt(limit));
+    caps[channel.trim()] = { daily: daily || null, weekly: weekly || null };
+  }
+  return caps;
+}
+
+class FatiguePolicy {
+  constructor() {
+    this.clientDailyCap = parseInt(process.env.CASCADE_CLIENT_DAILY_CAP) || 2;
+    this.clientWeeklyCap = parseInt(process.env.CASCADE_CLIENT_WEEKLY_CAP) || 5;
+    this.ruleCooldownDays = parseInt(process.env.CASCADE_RULE_COOLDOWN_DAYS) || 30;
+    this.serviceCooldownDays = parseInt(process.env.CASCADE_SERVICE_COOLDOWN_DAYS) || 14;
+    this.reofferAfterCancelDays = parseInt(process.env.CASCADE_REOFFER_AFTER_CANCEL_DAYS) || 30;
+    this.channelCaps = parseChannelCaps(process.env.CASCADE_CHANNEL_CAPS || 'in_app:5/20,email:1/3,sms:1/2');
+    this.quietHours = parseQuietHours(process.env.CASCADE_QUIET_HOURS === undefined ? '21-8' : process.env.CASCADE_QUIET_HOURS);
+    this.timezone = process.env.CASCADE_QUIET_HOURS_TZ || 'America/New_York';
+  }
+
+  /**
+   * Whether the client may be offered the rule's service now. Returns the
+   * first limit that blocks it, with the numbers behind it.
+   */
+  async checkEligibility(clientId, rule) {
+    const counts = await database.query(`
+      SELECT
+        COUNT(CASE WHEN triggered_at >= NOW() - INTERVAL '1 day' THEN 1 END) as daily,
+        COUNT(*) as weekly
+      FROM cascade_triggers
+      WHERE client_id = $1 AND triggered_at >= NOW() - INTERVAL '7 days'
+    `, [clientId]);
+
+    const daily = parseInt(counts.rows[0].daily);
+    const weekly = parseInt(counts.rows[0].weekly);
+
+    if (daily >= this.clientDailyCap) {
+      return { allowed: false, reason: 'client_daily_cap', count: daily, limit: this.clientDailyCap };
+    }
+    if (weekly >= this.clientWeeklyCap) {
+      return { allowed: false, reason: 'client_weekly_cap', count: weekly, limit: this.clientWeeklyCap };
+    }
+
+    // Candidate rules in a simulation have no id and no history
+    if (rule.id) {
+      const lastForRule = await database.query(`
+        SELECT MAX(triggered_at) as last_triggered_at
+        FROM cascade_triggers
+        WHERE client_id = $1 AND cascade_id = $2
+      `, [clientId, rule.id]);
+
+      const lastTriggeredAt = lastForRule.rows[0].last_triggered_at;
+      if (lastTriggeredAt && Date.now() - new Date(lastTriggeredAt).getTime() < this.ruleCooldownDays * DAY_MS) {
+        return { allowed: false, reason: 'rule_cooldown', lastTriggeredAt, cooldownDays: this.ruleCooldownDays };
+      }
+    }
+
+    const lastForService = await database.query(`
+      SELECT MAX(created_at) as last_offered_at
+      FROM cascade_offers
+      WHERE client_id = $1 AND service_id = $2
+    `, [clientId, rule.triggeredServiceId]);
+
+    const lastOfferedAt = lastForService.rows[0].last_offered_at;
+    if (lastOfferedAt && Date.now() - new Date(lastOfferedAt).getTime() < this.serviceCooldownDays * DAY_MS) {
+      return { allowed: false, reason: 'service_cooldown', lastOfferedAt, cooldownDays: this.serviceCooldownDays };
+    }
+
+    return { allowed: true, daily, weekly };
+  }
+
+  // Cancelled or failed orders only block the service until the re-offer window has passed
+  blocksReoffer(order) {
+    if (!['cancelled', 'failed'].includes(order.status)) {
+      return true;
+    }
+    const closedAt = new Date(order.updated_at || order.created_at).getTime();
+    return Date.now() - closedAt < this.reofferAfterCancelDays * DAY_MS;
+  }
+
+  // Milliseconds until quiet hours end, or 0 outside quiet hours
+  quietHoursDelay(now = new Date()) {
+    if (!this.quietHours) {
+      return 0;
+    }
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const hour = parseInt(parts.find(part => part.type === 'hour').value);
+    const minute = parseInt(parts.find(part => part.type === 'minute').value);
+
+    const { start, end } = this.quietHours;
+    const inQuietHours = start < end
+      ? hour >= start && hour < end
+      : hour >= start || hour < end;
+    if (!inQuietHours) {
+      return 0;
+    }
+
+    const minutesNow = hour * 60 + minute;
+    const minutesUntilEnd = (end * 60 - minutesNow + 24 * 60) % (24 * 60);
+    return minutesUntilEnd * 60 * 1000;
+  }
+
+  // The requested channels still under their caps for this client
+  async allowedChannels(clientId, channels) {
+    const result = await database.query(`
+      SELECT
+        channel,
+        COUNT(CASE WHEN sent_at >= NOW() - INTERVAL '1 day' THEN 1 END) as daily,
+        COUNT(*) as weekly
+      FROM cascade_contacts
+      WHERE client_id = $1 AND sent_at >= NOW() - INTERVAL '7 days'
+      GROUP BY channel
+    `, [clientId]);
+
+    return channels.filter((channel) => {
+      const caps = this.channelCaps[channel];
+      const row = result.rows.find(r => r.channel === channel);
+      if (!caps || !row) {
+        return true;
+      }
+
+      const capped = (caps.daily && parseInt(row.daily) >= caps.daily) ||
+        (caps.weekly && parseInt(row.weekly) >= caps.weekly);
+      if (capped) {
+        logger.cascade('Cascade notification channel capped', { clientId, channel, caps });
+      }
+      return !capped;
+    });
+  }
+
+  async recordContact({ clientId, offerId, channel }) {
+    await database.create('cascade_contacts', {
+      client_id: clientId,
+      offer_id: offerId,
+      channel,
+      sent_at: new Date()
+    });
+  }
+}
+
+// Create singleton instance
+const fatiguePolicy = new FatiguePolicy();
+
+module.exports = fatiguePolicy;
+module.exports.parseQuietHours = parseQuietHours;
+module.exports.parseChannelCaps = parseChannelCaps;
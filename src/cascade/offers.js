@@ -0,0 +1,230 @@
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+const { NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+
+// Cascade recommendations are offers the client accepts or declines:
+//
+//   offered -> viewed -> accepted | declined | expired
+//
+// Only an accepted offer becomes a service order and counts as a conversion
+// on its cascade_triggers row.
+
+const OPEN_STATUSES = ['offered', 'viewed'];
+
+class OfferManager {
+  constructor() {
+    this.offerTtlDays = parseInt(process.env.CASCADE_OFFER_TTL_DAYS) || 14;
+  }
+
+  async createOffer({ cascadeTrigger, rule, client, service, pricing, depth }) {
+    const expiresAt = new Date(Date.now() + this.offerTtlDays * 24 * 60 * 60 * 1000);
+
+    const offer = await database.create('cascade_offers', {
+      client_id: client.id,
+      cascade_trigger_id: cascadeTrigger.id,
+      cascade_id: rule.id,
+      service_id: service.id,
+      entry_order_id: cascadeTrigger.entry_order_id,
+      cascade_depth: depth + 1,
+      status: 'offered',
+      currency: pricing.currency,
+      base_price: pricing.basePrice,
+      quoted_price: pricing.finalPrice,
+      discount_amount: pricing.discountAmount,
+      adjustment_factors: JSON.stringify(pricing.adjustmentFactors || []),
+      pricing_rule_set_id: pricing.ruleSetId || null,
+      priority: rule.priority,
+      expires_at: expiresAt
+    });
+
+    logger.cascade('Cascade offer created', {
+      offerId: offer.id,
+      clientId: client.id,
+      serviceId: service.id,
+      quotedPrice: pricing.finalPrice,
+      currency: pricing.currency,
+      expiresAt
+    });
+
+    return offer;
+  }
+
+  async findByTrigger(cascadeTriggerId) {
+    return await database.findOne('cascade_offers', { cascade_trigger_id: cascadeTriggerId });
+  }
+
+  async findOpenOffer(clientId, serviceId) {
+    const result = await database.query(`
+      SELECT * FROM cascade_offers
+      WHERE client_id = $1 AND service_id = $2
+        AND status = ANY($3) AND expires_at > NOW()
+      LIMIT 1
+    `, [clientId, serviceId, OPEN_STATUSES]);
+
+    return result.rows[0] || null;
+  }
+
+  async listForClient(clientId, status = null) {
+    const params = [clientId];
+    let query = `
+      SELECT
+        co.*,
+        s.name as service_name,
+        s.slug as service_slug,
+        s.description as service_description
+      FROM cascade_offers co
+      JOIN services s ON co.service_id = s.id
+      WHERE co.client_id = $1
+    `;
+
+    if (status) {
+      params.push(status);
+      query += ` AND co.status = $${params.length}`;
+    }
+
+    query += ' ORDER BY co.priority ASC, co.created_at DESC';
+
+    const result = await database.query(query, params);
+    return result.rows;
+  }
+
+  async getOfferForClient(offerId, clientId) {
+    const offer = await database.findById('cascade_offers', offerId);
+    if (!offer) {
+      throw new NotFoundError('Offer not found');
+    }
+    if (offer.client_id !== clientId) {
+      throw new AuthorizationError('Access denied to this offer');
+    }
+    return offer;
+  }
+
+  // Move an open offer to a new status; returns null if it was no longer open
+  async transition(offerId, toStatus, fields = {}, executor = database) {
+    const values = [offerId, toStatus, OPEN_STATUSES];
+    const assignments = Object.keys(fields).map((column, index) => {
+      values.push(fields[column]);
+      return `${column} = $${index + 4}`;
+    });
+
+    const result = await executor.query(`
+      UPDATE cascade_offers
+      SET status = $2${assignments.length > 0 ? ', ' + assignments.join(', ') : ''}, updated_at = NOW()
+      WHERE id = $1 AND status = ANY($3) AND expires_at > NOW()
+      RETURNING *
+    `, values);
+
+    return result.rows[0] || null;
+  }
+
+  async markViewed(offerId, clientId) {
+    const offer = await this.getOfferForClient(offerId, clientId);
+    if (offer.status !== 'offered') {
+      return offer;
+    }
+
+    return await this.transition(offerId, 'viewed', { viewed_at: new Date() }) || offer;
+  }
+
+  async decline(offerId, clientId, reason = null) {
+    await this.getOfferForClient(offerId, clientId);
+
+    const offer = await this.transition(offerId, 'declined', {
+      responded_at: new Date(),
+      decline_reason: reason
+    });
+    if (!offer) {
+      throw new ConflictError('Offer is no longer open');
+    }
+
+    logger.cascade('Cascade offer declined', { offerId, clientId, reason });
+    return offer;
+  }
+
+  /**
+   * Accept an open offer: claim it, create the order through the normal
+   * order path at the quoted price and record the conversion, in one
+   * transaction, so a failure leaves the offer open and no order behind.
+   */
+  async accept(offerId, clientId, orderService, options = {}) {
+    const current = await this.getOfferForClient(offerId, clientId);
+
+    const service = await database.findById('services', current.service_id);
+    const client = await database.findById('clients', clientId);
+    const entryOrder = await database.findById('service_orders', current.entry_order_id);
+
+    const { offer, serviceOrder } = await database.transaction(async (executor) => {
+      const claimed = await this.transition(offerId, 'accepted', { responded_at: new Date() }, executor);
+      if (!claimed) {
+        throw new ConflictError('Offer is no longer open');
+      }
+
+      const { serviceOrder } = await orderService.createOrder({
+        service,
+        client,
+        vehicleId: options.vehicleId || entryOrder?.vehicle_id || null,
+        notes: options.notes || `Accepted cascade offer after ${entryOrder ? entryOrder.order_number : 'entry order'}`,
+        serviceData: {
+          triggeredBy: 'cascade',
+          cascadeTriggerId: claimed.cascade_trigger_id,
+          cascadeOfferId: claimed.id
+        },
+        pricing: {
+          currency: claimed.currency,
+          basePrice: parseFloat(claimed.base_price),
+          finalPrice: parseFloat(claimed.quoted_price),
+          discountAmount: parseFloat(claimed.discount_amount) || 0,
+          adjustmentFactors: claimed.adjustment_factors || [],
+          ruleSetId: claimed.pricing_rule_set_id
+        },
+        priority: claimed.priority,
+        lineage: {
+          parentOrderId: claimed.entry_order_id,
+          rootOrderId: entryOrder?.root_order_id || claimed.entry_order_id,
+          depth: claimed.cascade_depth
+        }
+      }, executor);
+
+      const accepted = await database.update('cascade_offers', claimed.id, {
+        accepted_order_id: serviceOrder.id
+      }, executor);
+
+      await database.update('cascade_triggers', claimed.cascade_trigger_id, {
+        triggered_order_id: serviceOrder.id,
+        converted: true,
+        converted_at: new Date()
+      }, executor);
+
+      return { offer: accepted, serviceOrder };
+    });
+
+    logger.cascade('Cascade offer accepted', {
+      offerId,
+      clientId,
+      orderId: serviceOrder.id,
+      quotedPrice: parseFloat(offer.quoted_price)
+    });
+
+    return { offer, serviceOrder };
+  }
+
+  async expireOffers() {
+    const result = await database.query(`
+      UPDATE cascade_offers
+      SET status = 'expired', updated_at = NOW()
+      WHERE status = ANY($1) AND expires_at <= NOW()
+      RETURNING id
+    `, [OPEN_STATUSES]);
+
+    if (result.rows.length > 0) {
+      logger.cascade('Cascade offers expired', { count: result.rows.length });
+    }
+
+    return result.rows.length;
+  }
+}
+
+// Create singleton instance
+const offerManager = new OfferManager();
+
+module.exports = offerManager;
@@ -0,0 +1,164 @@
+// Beta-Binomial estimation of cascade conversion rates. A rule's current
+// rate is the prior, worth `priorStrength` pseudo-offers; resolved offers
+// (accepted vs declined or expired) update it to a posterior. The rate only
+// moves when there is enough evidence and the posterior credible interval
+// excludes the current rate, and then only toward the posterior mean by at
+// most `maxStep` per run.
+
+const DEFAULT_RATE_POLICY = {
+  windowDays: 30,
+  priorStrength: 20,
+  minTrials: 30,
+  credibleLevel: 0.95,
+  maxStep: 0.1
+};
+
+// Lanczos approximation of ln(Gamma(x))
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+  9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  x -= 1;
+  let sum = 0.99999999999980993;
+  LANCZOS.forEach((coefficient, index) => {
+    sum += coefficient / (x + index + 1);
+  });
+  const t = x + LANCZOS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < 1e-12) {
+      break;
+    }
+  }
+
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b), the Beta(a, b) CDF at x
+function betaCdf(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Inverse CDF by bisection; the CDF is monotonic on [0, 1]
+function betaQuantile(p, a, b) {
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (betaCdf(mid, a, b) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+function round4(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+/**
+ * Estimate a rule's conversion rate from resolved offers and decide whether
+ * to change it. Returns the evidence, the posterior and its credible
+ * interval, the decision (insufficient_evidence, consistent or update) and
+ * the rate to store.
+ */
+function estimateRate({ currentRate, successes, trials }, policy = {}) {
+  const { priorStrength, minTrials, credibleLevel, maxStep } = { ...DEFAULT_RATE_POLICY, ...policy };
+
+  // Keep both prior parameters positive for rates stored as exactly 0 or 1
+  const priorRate = Math.min(Math.max(currentRate, 0.001), 0.999);
+  const prior = {
+    alpha: priorRate * priorStrength,
+    beta: (1 - priorRate) * priorStrength
+  };
+
+  const alpha = prior.alpha + successes;
+  const beta = prior.beta + (trials - successes);
+  const mean = alpha / (alpha + beta);
+
+  const tail = (1 - credibleLevel) / 2;
+  const lower = betaQuantile(tail, alpha, beta);
+  const upper = betaQuantile(1 - tail, alpha, beta);
+
+  let decision;
+  let newRate = currentRate;
+  if (trials < minTrials) {
+    decision = 'insufficient_evidence';
+  } else if (currentRate >= lower && currentRate <= upper) {
+    decision = 'consistent';
+  } else {
+    decision = 'update';
+    newRate = round4(Math.min(Math.max(mean, currentRate - maxStep), currentRate + maxStep));
+  }
+
+  return {
+    currentRate,
+    successes,
+    trials,
+    observedRate: trials > 0 ? round4(successes / trials) : null,
+    prior: {
+      alpha: round4(prior.alpha),
+      beta: round4(prior.beta)
+    },
+    posterior: {
+      alpha: round4(alpha),
+      beta: round4(beta),
+      mean: round4(mean)
+    },
+    credibleInterval: {
+      level: credibleLevel,
+      lower: round4(lower),
+      upper: round4(upper)
+    },
+    decision,
+    newRate
+  };
+}
+
+module.exports = {
+  estimateRate,
+  betaCdf,
+  betaQuantile,
+  DEFAULT_RATE_POLICY
+};
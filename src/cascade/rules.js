@@ -0,0 +1,377 @@
+const database = require('../database/connection');
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { compileConditions } = require('./conditions');
+const { getDecisionStrategy } = require('./strategies');
+
+// Admin changes to service_cascades rules. Every change is written as a
+// full snapshot to service_cascade_versions with its author and reason, so
+// any earlier version can be restored. Each committed change also bumps the
+// rule-set version (cascade_rule_sets), which is announced on a Redis
+// channel so every running CascadeEngine reloads the same rule set.
+
+// Rule columns captured in a version snapshot
+const SNAPSHOT_FIELDS = [
+  'entry_service_id',
+  'triggered_service_id',
+  'conversion_rate',
+  'priority',
+  'conditions',
+  'decision_strategy',
+  'is_active'
+];
+
+// API field names to service_cascades columns
+const FIELD_COLUMNS = {
+  entryServiceId: 'entry_service_id',
+  triggeredServiceId: 'triggered_service_id',
+  conversionRate: 'conversion_rate',
+  priority: 'priority',
+  conditions: 'conditions',
+  decisionStrategy: 'decision_strategy',
+  isActive: 'is_active'
+};
+
+// Rule changes hold this transaction-scoped advisory lock from drawing a
+// rule-set version until commit, so versions commit in the order they are
+// drawn: an engine that has loaded version N never misses an earlier one
+const RULE_SET_LOCK_KEY = 424202;
+
+class RuleManager {
+  constructor() {
+    this.channel = 'cascade:rules:changed';
+  }
+
+  snapshot(row) {
+    const snapshot = {};
+    for (const field of SNAPSHOT_FIELDS) {
+      snapshot[field] = row[field] === undefined ? null : row[field];
+    }
+    snapshot.conversion_rate = parseFloat(snapshot.conversion_rate);
+    return snapshot;
+  }
+
+  toColumns(fields) {
+    const columns = {};
+    for (const [field, column] of Object.entries(FIELD_COLUMNS)) {
+      if (fields[field] !== undefined) {
+        columns[column] = fields[field];
+      }
+    }
+    return columns;
+  }
+
+  // Reject anything the engine would refuse to load
+  async validateRule(rule) {
+    if (rule.entry_service_id === rule.triggered_service_id) {
+      throw new ValidationError('A cascade rule cannot trigger its own entry service', {
+        field: 'triggeredServiceId'
+      });
+    }
+
+    compileConditions(rule.conditions);
+
+    if (rule.decision_strategy) {
+      try {
+        getDecisionStrategy(rule.decision_strategy);
+      } catch (error) {
+        throw new ValidationError(error.message, { field: 'decisionStrategy' });
+      }
+    }
+
+    const result = await database.query(
+      'SELECT id FROM services WHERE id = ANY($1)',
+      [[rule.entry_service_id, rule.triggered_service_id]]
+    );
+    if (result.rows.length < 2) {
+      throw new NotFoundError('Service not found');
+    }
+  }
+
+  async getRule(ruleId) {
+    const rule = await database.findById('service_cascades', ruleId);
+    if (!rule) {
+      throw new NotFoundError('Cascade rule not found');
+    }
+    return rule;
+  }
+
+  async listVersions(ruleId) {
+    await this.getRule(ruleId);
+
+    const result = await database.query(`
+      SELECT
+        scv.*,
+        u.email as author_email
+      FROM service_cascade_versions scv
+      LEFT JOIN users u ON scv.author_id = u.id
+      WHERE scv.cascade_id = $1
+      ORDER BY scv.version DESC
+    `, [ruleId]);
+
+    return result.rows;
+  }
+
+  async createRule(fields, { authorId = null, reason = null } = {}) {
+    const rule = {
+      priority: 1,
+      conditions: {},
+      decision_strategy: null,
+      is_active: true,
+      ...this.toColumns(fields)
+    };
+    await this.validateRule(rule);
+
+    return await this.commit('create', { authorId }, async (client) => {
+      const existing = await client.query(
+        'SELECT id FROM service_cascades WHERE entry_service_id = $1 AND triggered_service_id = $2',
+        [rule.entry_service_id, rule.triggered_service_id]
+      );
+      if (existing.rows.length > 0) {
+        throw new ConflictError('A cascade rule already exists for these services');
+      }
+
+      const result = await client.query(`
+        INSERT INTO service_cascades
+          (entry_service_id, triggered_service_id, conversion_rate, priority, conditions, decision_strategy, is_active, version)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, 1)
+        RETURNING *
+      `, [
+        rule.entry_service_id,
+        rule.triggered_service_id,
+        rule.conversion_rate,
+        rule.priority,
+        JSON.stringify(rule.conditions),
+        rule.decision_strategy,
+        rule.is_active
+      ]);
+
+      await this.recordVersion(client, result.rows[0], 'create', { authorId, reason });
+      return result.rows[0];
+    });
+  }
+
+  async updateRule(ruleId, fields, meta = {}) {
+    return await this.commit('update', meta,
+      client => this.applyChange(client, ruleId, this.toColumns(fields), 'update', meta)
+    );
+  }
+
+  async deactivateRule(ruleId, meta = {}) {
+    const rule = await this.getRule(ruleId);
+    if (!rule.is_active) {
+      throw new ConflictError('Cascade rule is already inactive');
+    }
+
+    return await this.commit('deactivate', meta,
+      client => this.applyChange(client, ruleId, { is_active: false }, 'deactivate', meta)
+    );
+  }
+
+  /**
+   * Set the priorities of an entry service's active rules to the given
+   * order (first = priority 1). Every active rule must be listed once.
+   */
+  async reorderRules(entryServiceId, ruleIds, meta = {}) {
+    return await this.commit('reorder', meta, async (client) => {
+      const result = await client.query(`
+        SELECT id, priority FROM service_cascades
+        WHERE entry_service_id = $1 AND is_active = true
+        FOR UPDATE
+      `, [entryServiceId]);
+
+      const activeIds = result.rows.map(row => row.id);
+      const sameRules = ruleIds.length === activeIds.length &&
+        new Set(ruleIds).size === ruleIds.length &&
+        ruleIds.every(id => activeIds.includes(id));
+      if (!sameRules) {
+        throw new ValidationError('Reorder must list every active rule of the entry service exactly once', {
+          activeRuleIds: activeIds
+        });
+      }
+
+      const rules = [];
+      for (const [index, ruleId] of ruleIds.entries()) {
+        const current = result.rows.find(row => row.id === ruleId);
+        if (current.priority === index + 1) {
+          continue;
+        }
+        rules.push(await this.applyChange(client, ruleId, { priority: index + 1 }, 'reorder', meta));
+      }
+      return rules;
+    });
+  }
+
+  /**
+   * Apply a conversion rate learned by the optimizer and record the
+   * evidence behind it in cascade_rate_history, in one transaction.
+   * `expectedVersion` keeps it from overwriting a concurrent admin edit.
+   */
+  async updateConversionRate(ruleId, estimate, { windowDays, expectedVersion = null } = {}) {
+    const reason = `Rate learned from ${estimate.successes}/${estimate.trials} resolved offers over ${windowDays} days`;
+
+    return await this.commit('update', {}, async (client) => {
+      const rule = await this.applyChange(client, ruleId, { conversion_rate: estimate.newRate }, 'update', {
+        reason,
+        expectedVersion
+      });
+
+      await client.query(`
+        INSERT INTO cascade_rate_history (
+          cascade_id, rule_version, previous_rate, new_rate, successes, trials, window_days,
+          prior_alpha, prior_beta, posterior_mean, credible_level, credible_lower, credible_upper
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      `, [
+        ruleId,
+        rule.version,
+        estimate.currentRate,
+        estimate.newRate,
+        estimate.successes,
+        estimate.trials,
+        windowDays,
+        estimate.prior.alpha,
+        estimate.prior.beta,
+        estimate.posterior.mean,
+        estimate.credibleInterval.level,
+        estimate.credibleInterval.lower,
+        estimate.credibleInterval.upper
+      ]);
+
+      return rule;
+    });
+  }
+
+  async listRateHistory(ruleId, limit = 50) {
+    await this.getRule(ruleId);
+
+    const result = await database.query(`
+      SELECT * FROM cascade_rate_history
+      WHERE cascade_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [ruleId, limit]);
+
+    return result.rows;
+  }
+
+  // Restore an earlier version; the restore is itself recorded as a new version
+  async rollbackRule(ruleId, toVersion, meta = {}) {
+    const result = await database.query(
+      'SELECT * FROM service_cascade_versions WHERE cascade_id = $1 AND version = $2',
+      [ruleId, toVersion]
+    );
+    const target = result.rows[0];
+    if (!target) {
+      throw new NotFoundError(`Version ${toVersion} of cascade rule not found`);
+    }
+
+    return await this.commit('rollback', meta,
+      client => this.applyChange(client, ruleId, this.snapshot(target.snapshot), 'rollback', {
+        ...meta,
+        reason: meta.reason || `Rolled back to version ${toVersion}`
+      })
+    );
+  }
+
+  // Lock the rule, apply the changes and record the result as the next version
+  async applyChange(client, ruleId, changes, changeType, { authorId = null, reason = null, expectedVersion = null } = {}) {
+    const result = await client.query('SELECT * FROM service_cascades WHERE id = $1 FOR UPDATE', [ruleId]);
+    const current = result.rows[0];
+    if (!current) {
+      throw new NotFoundError('Cascade rule not found');
+    }
+    if (expectedVersion !== null && current.version !== expectedVersion) {
+      throw new ConflictError(`Cascade rule has changed since version ${expectedVersion} (now at version ${current.version})`);
+    }
+
+    const next = { ...this.snapshot(current), ...changes };
+
+    // Deactivating must work even for a rule the engine already rejects
+    if (changeType !== 'deactivate') {
+      await this.validateRule(next);
+    }
+
+    const updated = await client.query(`
+      UPDATE service_cascades
+      SET entry_service_id = $2, triggered_service_id = $3, conversion_rate = $4, priority = $5,
+          conditions = $6, decision_strategy = $7, is_active = $8, version = $9, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [
+      ruleId,
+      next.entry_service_id,
+      next.triggered_service_id,
+      next.conversion_rate,
+      next.priority,
+      JSON.stringify(next.conditions),
+      next.decision_strategy,
+      next.is_active,
+      current.version + 1
+    ]);
+
+    await this.recordVersion(client, updated.rows[0], changeType, { authorId, reason });
+    return updated.rows[0];
+  }
+
+  async recordVersion(client, row, changeType, { authorId = null, reason = null } = {}) {
+    await client.query(`
+      INSERT INTO service_cascade_versions (cascade_id, version, change_type, snapshot, author_id, reason)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [row.id, row.version, changeType, JSON.stringify(this.snapshot(row)), authorId, reason]);
+  }
+
+  /**
+   * Run a rule change in a transaction that also records the next rule-set
+   * version, then announce that version once it is committed. Versions
+   * are drawn under the rule-set lock, so they commit in order. `work`
+   * returns the changed rule row(s); a change that touches no rules does
+   * not create a version.
+   */
+  async commit(changeType, { authorId = null } = {}, work) {
+    const { result, ruleIds, version } = await database.transaction(async (client) => {
+      const result = await work(client);
+      const ruleIds = [].concat(result).map(rule => rule.id);
+      if (ruleIds.length === 0) {
+        return { result, ruleIds, version: null };
+      }
+
+      await client.query('SELECT pg_advisory_xact_lock($1)', [RULE_SET_LOCK_KEY]);
+      const ruleSet = await client.query(`
+        INSERT INTO cascade_rule_sets (change_type, rule_ids, author_id)
+        VALUES ($1, $2, $3)
+        RETURNING version
+      `, [changeType, ruleIds, authorId]);
+
+      return { result, ruleIds, version: ruleSet.rows[0].version };
+    });
+
+    if (version !== null) {
+      await this.announce(version, ruleIds, changeType);
+    }
+    return result;
+  }
+
+  async getRuleSetVersion(executor = database) {
+    const result = await executor.query('SELECT COALESCE(MAX(version), 0) as version FROM cascade_rule_sets');
+    return parseInt(result.rows[0].version);
+  }
+
+  // Tell every engine instance (including this one) to load the new rule set
+  async announce(version, ruleIds, changeType) {
+    await redis.publish(this.channel, {
+      version,
+      ruleIds,
+      changeType,
+      changedAt: new Date().toISOString()
+    });
+
+    logger.cascade('Cascade rule set changed', { version, ruleIds, changeType });
+  }
+}
+
+// Create singleton instance
+const ruleManager = new RuleManager();
+
+module.exports = ruleManager;
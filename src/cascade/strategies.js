@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+// Decision strategies for the final cascade gate. Each one returns whether
+// the rule fires plus the inputs it used, which are stored on the
+// cascade_triggers row so any decision can be reproduced and explained.
+
+// mulberry32: small, fast 32-bit PRNG; identical seeds give identical draws
+function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seedFrom(...parts) {
+  const digest = crypto.createHash('sha256').update(parts.join(':')).digest();
+  return digest.readUInt32BE(0);
+}
+
+function logit(p) {
+  const clamped = Math.min(Math.max(p, 0.001), 0.999);
+  return Math.log(clamped / (1 - clamped));
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+// Seeded draw keyed on client and rule: the same client always gets the
+// same outcome for the same rule (and seed), so behavior is reproducible
+const seeded = {
+  name: 'seeded',
+  decide({ rule, client }, options = {}) {
+    const seed = options.seed || 'cascade';
+    const draw = mulberry32(seedFrom(seed, client.id, rule.id))();
+
+    return {
+      trigger: draw < rule.conversionRate,
+      strategy: 'seeded',
+      inputs: {
+        seed,
+        clientId: client.id,
+        ruleId: rule.id,
+        draw: Math.round(draw * 1e6) / 1e6,
+        conversionRate: rule.conversionRate
+      }
+    };
+  }
+};
+
+// Score-based: adjusts the rule's aggregate conversion rate by client-level
+// propensity features and fires when the result clears a cutoff
+const PROPENSITY_WEIGHTS = {
+  engagement: 0.6,      // scaled by completed orders, capped at 5
+  purchaseStage: 0.4,   // consideration or purchase journey stage
+  recentActivity: 0.3,  // ordered within the last 30 days
+  dormant: -0.7         // no order in over 180 days
+};
+
+const score = {
+  name: 'score',
+  decide({ rule, client }, options = {}) {
+    const cutoff = options.propensityCutoff || 0.5;
+    const completedOrders = (client.serviceHistory || []).filter(order => order.status === 'completed').length;
+    const daysSinceLastOrder = client.lastOrderDate
+      ? Math.floor((Date.now() - new Date(client.lastOrderDate).getTime()) / (24 * 60 * 60 * 1000))
+      : null;
+
+    const features = {
+      engagement: Math.min(completedOrders, 5) / 5,
+      purchaseStage: ['consideration', 'purchase'].includes(client.journey_stage) ? 1 : 0,
+      recentActivity: daysSinceLastOrder !== null && daysSinceLastOrder <= 30 ? 1 : 0,
+      dormant: daysSinceLastOrder !== null && daysSinceLastOrder > 180 ? 1 : 0
+    };
+
+    const adjustment = Object.entries(features)
+      .reduce((sum, [feature, value]) => sum + PROPENSITY_WEIGHTS[feature] * value, 0);
+    const propensity = sigmoid(logit(rule.conversionRate) + adjustment);
+
+    return {
+      trigger: propensity >= cutoff,
+      strategy: 'score',
+      inputs: {
+        conversionRate: rule.conversionRate,
+        features,
+        weights: PROPENSITY_WEIGHTS,
+        propensity: Math.round(propensity * 1e4) / 1e4,
+        cutoff
+      }
+    };
+  }
+};
+
+// Always recommend and let the client decide
+const always = {
+  name: 'always',
+  decide({ rule }) {
+    return {
+      trigger: true,
+      strategy: 'always',
+      inputs: {
+        conversionRate: rule.conversionRate
+      }
+    };
+  }
+};
+
+const STRATEGIES = { seeded, score, always };
+
+function getDecisionStrategy(name) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown cascade decision strategy: ${name}`);
+  }
+  return strategy;
+}
+
+module.exports = {
+  getDecisionStrategy,
+  STRATEGIES,
+  PROPENSITY_WEIGHTS
+};
@@ -157,7 +157,8 @@ class DatabaseConnection {
     return result.rows;
   }
 
-  async create(table, data) {
+  // create() and update() run on `executor` when given (a transaction client)
+  async create(table, data, executor = this) {
     const columns = Object.keys(data);
     const values = Object.values(data);
     const placeholders = values.map((_, index) => `$${index + 1}`).join(', ');
@@ -168,11 +169,11 @@ class DatabaseConnection {
       RETURNING *
     `;
     
-    const result = await this.query(query, values);
+    const result = await executor.query(query, values);
     return result.rows[0];
   }
 
-  async update(table, id, data) {
+  async update(table, id, data, executor = this) {
     const columns = Object.keys(data);
     const values = Object.values(data);
     const setClause = columns.map((col, index) => `${col} = $${index + 1}`).join(', ');
@@ -184,7 +185,7 @@ class DatabaseConnection {
       RETURNING *
     `;
     
-    const result = await this.query(query, [...values, id]);
+    const result = await executor.query(query, [...values, id]);
     return result.rows[0];
   }
 
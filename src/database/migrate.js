@@ -2,6 +2,8 @@ const fs = require('fs');
 const path = require('path');
 const database = require('./connection');
 const logger = require('../utils/logger');
+const ruleManager = require('../cascade/rules');
+const { DEFAULT_PRICING_RULES } = require('../pricing/defaults');
 
 class DatabaseMigrator {
   constructor() {
@@ -27,6 +29,9 @@ class DatabaseMigrator {
       
       // Insert the 14 revenue-generating services
       await this.seedServices();
+
+      // Approve the built-in pricing tables as the first pricing rule set
+      await this.seedPricingRuleSet();
       
       // Setup service cascades
       await this.setupServiceCascades();
@@ -94,6 +99,8 @@ class DatabaseMigrator {
         description: 'Professional parts acquisition and sourcing with quality guarantee',
         base_price: 0.00,
         markup_percentage: 25.00,
+        pricing_model: 'cost_plus',
+        minimum_fee: 50.00,
         annual_revenue_target: 2700000.00,
         service_category: 'parts'
       },
@@ -103,6 +110,9 @@ class DatabaseMigrator {
         description: 'Elite vehicle purchase assistance with negotiation and inspection',
         base_price: 0.00,
         markup_percentage: 3.00,
+        pricing_model: 'commission',
+        minimum_fee: 750.00,
+        maximum_fee: 15000.00,
         annual_revenue_target: 3000000.00,
         service_category: 'purchase'
       },
@@ -112,6 +122,9 @@ class DatabaseMigrator {
         description: 'Professional vehicle consignment with marketing and sales support',
         base_price: 0.00,
         markup_percentage: 7.00,
+        pricing_model: 'commission',
+        minimum_fee: 500.00,
+        maximum_fee: 25000.00,
         annual_revenue_target: 2800000.00,
         service_category: 'sales'
       },
@@ -188,6 +201,25 @@ class DatabaseMigrator {
     logger.info('Services seeding completed');
   }
 
+  async seedPricingRuleSet() {
+    const existing = await database.findOne('pricing_rule_sets', { status: 'approved' });
+    if (existing) {
+      logger.info(`Pricing rule set already exists: version ${existing.version}`);
+      return;
+    }
+
+    await database.create('pricing_rule_sets', {
+      name: 'Default pricing',
+      description: 'Built-in pricing tables, seeded by migration',
+      status: 'approved',
+      rules: JSON.stringify(DEFAULT_PRICING_RULES),
+      service_overrides: JSON.stringify({}),
+      effective_from: new Date(0),
+      approved_at: new Date()
+    });
+    logger.info('Created default pricing rule set');
+  }
+
   async setupServiceCascades() {
     logger.info('Setting up service cascade rules...');
     
@@ -333,6 +365,7 @@ class DatabaseMigrator {
       }
     ];
 
+    const createdRuleIds = [];
     for (const rule of cascadeRules) {
       try {
         const entryServiceId = serviceMap[rule.entry_service];
@@ -345,14 +378,23 @@ class DatabaseMigrator {
           });
           
           if (!existingCascade) {
-            await database.create('service_cascades', {
+            const cascade = await database.create('service_cascades', {
               entry_service_id: entryServiceId,
               triggered_service_id: triggeredServiceId,
               conversion_rate: rule.conversion_rate,
               priority: rule.priority,
               conditions: JSON.stringify(rule.conditions),
-              is_active: true
+              is_active: true,
+              version: 1
+            });
+            await database.create('service_cascade_versions', {
+              cascade_id: cascade.id,
+              version: 1,
+              change_type: 'create',
+              snapshot: JSON.stringify(ruleManager.snapshot(cascade)),
+              reason: 'Seeded by migration'
             });
+            createdRuleIds.push(cascade.id);
             logger.info(`Created cascade: ${rule.entry_service} -> ${rule.triggered_service}`);
           }
         }
@@ -361,6 +403,14 @@ class DatabaseMigrator {
       }
     }
     
+    // Publish the seeded rules as a new rule-set version
+    if (createdRuleIds.length > 0) {
+      await database.create('cascade_rule_sets', {
+        change_type: 'seed',
+        rule_ids: createdRuleIds
+      });
+    }
+    
     logger.info('Service cascade setup completed');
   }
 
@@ -374,8 +424,11 @@ class DatabaseMigrator {
         'revenue_records', 'business_formations', 'legal_consultations',
         'dmv_services', 'vehicle_consignments', 'vehicle_purchases',
         'parts_orders', 'transport_orders', 'vehicle_inspections',
-        'loan_applications', 'credit_analyses', 'cascade_triggers',
-        'service_cascades', 'service_orders', 'services', 'vehicles',
+        'loan_applications', 'credit_analyses', 'order_sla_events', 'order_refunds', 'credit_applications', 'client_credits', 'gift_certificates',
+        'promotion_redemptions', 'price_recommendations', 'pricing_interventions', 'price_quotes', 'cascade_contacts', 'cascade_offers',
+        'cascade_triggers', 'experiment_exposures', 'experiment_variants', 'experiments',
+        'cascade_rate_history', 'cascade_rule_sets', 'service_cascade_versions',
+        'service_cascades', 'outbox_dead_letters', 'outbox_consumer_offsets', 'outbox_events', 'cancellation_policies', 'service_slas', 'order_assignments', 'agent_profiles', 'order_status_history', 'service_orders', 'order_bundles', 'promotions', 'pricing_rule_sets', 'service_prices', 'services', 'vehicles',
         'clients', 'users'
       ];
       
@@ -386,7 +439,9 @@ class DatabaseMigrator {
       // Drop enums
       const enums = [
         'user_role', 'client_status', 'service_status', 'payment_status',
-        'vehicle_condition', 'inspection_type', 'credit_score_range', 'loan_status'
+        'vehicle_condition', 'inspection_type', 'credit_score_range', 'loan_status',
+        'offer_status', 'experiment_status', 'quote_status', 'pricing_rule_set_status',
+        'recommendation_status', 'gift_certificate_status'
       ];
       
       for (const enumType of enums) {
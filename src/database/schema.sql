@@ -15,6 +15,12 @@ CREATE TYPE vehicle_condition AS ENUM ('excellent', 'good', 'fair', 'poor', 'sal
 CREATE TYPE inspection_type AS ENUM ('pre_purchase', 'insurance', 'warranty', 'appraisal', 'accident', 'maintenance', 'emissions', 'safety', 'auction', 'export', 'custom');
 CREATE TYPE credit_score_range AS ENUM ('excellent', 'good', 'fair', 'poor', 'bad');
 CREATE TYPE loan_status AS ENUM ('pending', 'approved', 'declined', 'funded', 'closed');
+CREATE TYPE offer_status AS ENUM ('offered', 'viewed', 'accepted', 'declined', 'expired');
+CREATE TYPE experiment_status AS ENUM ('draft', 'running', 'stopped');
+CREATE TYPE quote_status AS ENUM ('active', 'redeemed');
+CREATE TYPE pricing_rule_set_status AS ENUM ('draft', 'pending_approval', 'approved', 'rejected');
+CREATE TYPE recommendation_status AS ENUM ('pending', 'applied', 'rejected', 'superseded');
+CREATE TYPE gift_certificate_status AS ENUM ('active', 'redeemed', 'void');
 
 -- Users table (authentication and roles)
 CREATE TABLE users (
@@ -47,10 +53,14 @@ CREATE TABLE clients (
     credit_score_range credit_score_range,
     annual_income DECIMAL(12,2),
     journey_stage VARCHAR(50) DEFAULT 'discovery', -- discovery, consideration, purchase, post_purchase
+    currency CHAR(3) NOT NULL DEFAULT 'USD', -- billing currency; orders, credit and lifetime value are in it
     lifetime_value DECIMAL(12,2) DEFAULT 0,
     total_spent DECIMAL(12,2) DEFAULT 0,
     services_count INTEGER DEFAULT 0,
     referral_source VARCHAR(100),
+    referral_code VARCHAR(20) UNIQUE, -- code this client refers others with
+    referred_by UUID REFERENCES clients(id), -- client whose referral code this client signed up with
+    region VARCHAR(50), -- default region of the client's orders, for agent assignment
     hubspot_contact_id VARCHAR(50),
     notes TEXT,
     tags TEXT[],
@@ -86,10 +96,97 @@ CREATE TABLE services (
     slug VARCHAR(100) UNIQUE NOT NULL,
     description TEXT,
     base_price DECIMAL(10,2) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'USD', -- of base_price and the fee and price limits
     markup_percentage DECIMAL(5,2) DEFAULT 0,
+    pricing_model VARCHAR(20) DEFAULT 'flat', -- flat, commission, cost_plus
+    minimum_fee DECIMAL(10,2) DEFAULT 0, -- commission and cost-plus fees only
+    maximum_fee DECIMAL(10,2), -- no cap when null
+    floor_price DECIMAL(10,2), -- guardrail price limits, none when null
+    ceiling_price DECIMAL(10,2),
+    minimum_margin DECIMAL(5,4), -- guardrail margin over estimated cost; default when null
     annual_revenue_target DECIMAL(12,2),
     is_active BOOLEAN DEFAULT true,
     service_category VARCHAR(50),
+    required_skills TEXT[] DEFAULT '{}', -- an agent needs all of them to be assigned the service's orders
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Service price lists in currencies other than the service's own
+CREATE TABLE service_prices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+    currency CHAR(3) NOT NULL,
+    base_price DECIMAL(10,2) NOT NULL,
+    minimum_fee DECIMAL(10,2) DEFAULT 0,
+    maximum_fee DECIMAL(10,2),
+    floor_price DECIMAL(10,2),
+    ceiling_price DECIMAL(10,2),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(service_id, currency)
+);
+
+-- Pricing rule sets (versioned pricing tables with effective dates and approval)
+CREATE TABLE pricing_rule_sets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    version SERIAL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    status pricing_rule_set_status DEFAULT 'draft',
+    rules JSONB NOT NULL, -- multiplier, seasonal and market tables
+    service_overrides JSONB DEFAULT '{}', -- partial tables keyed by service id
+    effective_from TIMESTAMP NOT NULL,
+    effective_to TIMESTAMP, -- open-ended when null
+    based_on_version INTEGER,
+    created_by UUID REFERENCES users(id),
+    submitted_by UUID REFERENCES users(id),
+    submitted_at TIMESTAMP,
+    approved_by UUID REFERENCES users(id), -- approver or rejecter
+    approved_at TIMESTAMP,
+    rejection_reason TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Promotion codes
+CREATE TABLE promotions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(40) UNIQUE NOT NULL, -- stored upper-case
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL, -- percentage, fixed
+    discount_value DECIMAL(10,2) NOT NULL, -- percent off, or amount off
+    currency CHAR(3), -- of a fixed discount, which only applies to orders in it
+    service_ids UUID[], -- eligible services; every service when null
+    max_redemptions INTEGER, -- unlimited when null
+    max_redemptions_per_client INTEGER DEFAULT 1,
+    redemption_count INTEGER DEFAULT 0,
+    starts_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP, -- open-ended when null
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Order bundles (several services ordered and paid for together)
+CREATE TABLE order_bundles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+    bundle_number VARCHAR(20) UNIQUE NOT NULL,
+    urgency VARCHAR(20) DEFAULT 'standard',
+    item_count INTEGER NOT NULL,
+    volume_tier VARCHAR(20), -- single, bundle, package
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    list_price DECIMAL(10,2) NOT NULL, -- line prices before the volume discount
+    volume_discount DECIMAL(10,2) DEFAULT 0,
+    total_price DECIMAL(10,2) NOT NULL, -- sum of the line items' final prices
+    pass_through_amount DECIMAL(12,2) DEFAULT 0, -- cost-plus costs billed at cost
+    credit_applied DECIMAL(10,2) DEFAULT 0, -- account credit applied to the line items
+    payment_status payment_status DEFAULT 'pending',
+    payment_intent_id VARCHAR(255),
+    paid_at TIMESTAMP,
+    notes TEXT,
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -102,24 +199,151 @@ CREATE TABLE service_orders (
     vehicle_id UUID REFERENCES vehicles(id),
     order_number VARCHAR(20) UNIQUE NOT NULL,
     status service_status DEFAULT 'pending',
+    currency CHAR(3) NOT NULL DEFAULT 'USD', -- of every amount on the order
     base_price DECIMAL(10,2) NOT NULL,
     final_price DECIMAL(10,2) NOT NULL,
     discount_amount DECIMAL(10,2) DEFAULT 0,
+    adjustment_factors JSONB DEFAULT '[]', -- itemized pricing breakdown
+    pricing_rule_set_id UUID REFERENCES pricing_rule_sets(id), -- rule set that priced the order
+    underlying_amount DECIMAL(12,2), -- transaction price or cost a commission/cost-plus fee is based on
+    settled_amount DECIMAL(12,2), -- underlying amount once the transaction settled
+    settled_at TIMESTAMP,
     tax_amount DECIMAL(10,2) DEFAULT 0,
     payment_status payment_status DEFAULT 'pending',
     started_at TIMESTAMP,
     completed_at TIMESTAMP,
     cancelled_at TIMESTAMP,
     cancellation_reason TEXT,
-    assigned_to UUID REFERENCES users(id),
+    assigned_to UUID REFERENCES users(id), -- agent working the order (src/orders/assignment.js)
+    assigned_at TIMESTAMP,
+    region VARCHAR(50), -- where the service is performed
+    urgency VARCHAR(20) DEFAULT 'standard', -- standard, expedited, emergency
+    sla JSONB, -- SLA terms when the order was placed (src/orders/sla.js)
+    start_due_at TIMESTAMP, -- response deadline, from created_at
+    complete_due_at TIMESTAMP, -- resolution deadline, from started_at
+    sla_status VARCHAR(20), -- on_track, at_risk, breached, met
     priority INTEGER DEFAULT 1,
     estimated_completion TIMESTAMP,
     service_data JSONB,
     notes TEXT,
+    parent_order_id UUID REFERENCES service_orders(id), -- order whose completion triggered this one
+    root_order_id UUID REFERENCES service_orders(id), -- entry order of the cascade chain
+    cascade_depth INTEGER DEFAULT 0,
+    bundle_id UUID REFERENCES order_bundles(id), -- bundle the order is a line item of
+    volume_discount DECIMAL(10,2) DEFAULT 0, -- this line's share of the bundle discount
+    promotion_id UUID REFERENCES promotions(id), -- promotion code redeemed on the order
+    promotion_discount DECIMAL(10,2) DEFAULT 0, -- taken off final_price by the promotion
+    credit_applied DECIMAL(10,2) DEFAULT 0, -- account credit (gift, referral) paying for the order
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Service order status changes (append-only; transitions in src/orders/states.js)
+CREATE TABLE order_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID REFERENCES service_orders(id) ON DELETE CASCADE,
+    from_status service_status, -- NULL for the order's creation
+    to_status service_status NOT NULL,
+    reason TEXT, -- required for cancellation and failure
+    changed_by UUID REFERENCES users(id),
+    actor_role user_role,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- What an agent can be assigned: empty categories or regions cover all
+CREATE TABLE agent_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    service_categories TEXT[] DEFAULT '{}',
+    skills TEXT[] DEFAULT '{}',
+    regions TEXT[] DEFAULT '{}',
+    max_active_orders INTEGER NOT NULL DEFAULT 10, -- pending, in progress or failed orders
+    is_available BOOLEAN DEFAULT true,
+    last_assigned_at TIMESTAMP, -- round-robin position
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Service order assignment changes
+CREATE TABLE order_assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID REFERENCES service_orders(id) ON DELETE CASCADE,
+    assigned_to UUID REFERENCES users(id), -- NULL when unassigned
+    previous_assignee UUID REFERENCES users(id),
+    strategy VARCHAR(20) NOT NULL, -- round_robin, least_loaded, manual
+    reason TEXT,
+    assigned_by UUID REFERENCES users(id), -- NULL for automatic assignment
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Turnaround targets by service and urgency; a NULL service is the default
+-- for services without their own
+CREATE TABLE service_slas (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+    urgency VARCHAR(20) NOT NULL, -- standard, expedited, emergency
+    response_minutes INTEGER NOT NULL, -- order placed to work started
+    resolution_minutes INTEGER NOT NULL, -- work started to completed
+    at_risk_ratio DECIMAL(3,2) NOT NULL DEFAULT 0.80, -- share of a window after which it is at risk
+    breach_credit_percent DECIMAL(5,2) NOT NULL DEFAULT 0, -- of the order price, credited on breach
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(service_id, urgency)
+);
+
+-- Cancellation fees by service; a NULL service is the default for services
+-- without their own. Fees are a percentage of the order's fee (final_price)
+CREATE TABLE cancellation_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    service_id UUID UNIQUE REFERENCES services(id) ON DELETE CASCADE,
+    free_window_minutes INTEGER NOT NULL DEFAULT 1440, -- pending orders cancel free this long after being placed
+    pending_fee_percent DECIMAL(5,2) NOT NULL DEFAULT 10,
+    started_fee_percent DECIMAL(5,2) NOT NULL DEFAULT 50, -- in progress or failed
+    completed_fee_percent DECIMAL(5,2) NOT NULL DEFAULT 0,
+    refund_method VARCHAR(20) NOT NULL DEFAULT 'original', -- original (payment and credit it came from), credit
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Transactional outbox: events written in the transaction of the change they
+-- describe, delivered to each consumer in id order (see src/queue/outbox.js)
+CREATE TABLE outbox_events (
+    id BIGSERIAL PRIMARY KEY,
+    event_type VARCHAR(50) NOT NULL, -- order.completed, order.settled, ...
+    aggregate_type VARCHAR(50) NOT NULL,
+    aggregate_id UUID NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Per-consumer delivery position and retry state
+CREATE TABLE outbox_consumer_offsets (
+    consumer VARCHAR(50) PRIMARY KEY,
+    last_event_id BIGINT NOT NULL DEFAULT 0, -- last event handled or dead-lettered
+    attempts INTEGER NOT NULL DEFAULT 0, -- failed deliveries of the next event
+    last_error TEXT,
+    next_attempt_at TIMESTAMP,
+    leased_by VARCHAR(100), -- dispatcher process delivering to the consumer
+    lease_expires_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Events a consumer gave up on after its retries
+CREATE TABLE outbox_dead_letters (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    consumer VARCHAR(50) NOT NULL,
+    event_id BIGINT NOT NULL REFERENCES outbox_events(id),
+    attempts INTEGER NOT NULL,
+    error TEXT,
+    redelivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (consumer, event_id)
+);
+
 -- Service cascades table (84% conversion tracking)
 CREATE TABLE service_cascades (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -128,11 +352,93 @@ CREATE TABLE service_cascades (
     conversion_rate DECIMAL(5,4) NOT NULL,
     priority INTEGER DEFAULT 1,
     conditions JSONB, -- JSON conditions for triggering
+    decision_strategy VARCHAR(30), -- seeded, score, always; NULL uses the engine default
     is_active BOOLEAN DEFAULT true,
+    version INTEGER DEFAULT 1, -- current row in service_cascade_versions
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Service cascade rule versions (full snapshot of the rule after every change)
+CREATE TABLE service_cascade_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    cascade_id UUID REFERENCES service_cascades(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    change_type VARCHAR(20) NOT NULL, -- create, update, deactivate, reorder, rollback
+    snapshot JSONB NOT NULL,
+    author_id UUID REFERENCES users(id),
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (cascade_id, version)
+);
+
+-- Conversion rate changes made by the rate optimizer, with their evidence
+CREATE TABLE cascade_rate_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    cascade_id UUID REFERENCES service_cascades(id) ON DELETE CASCADE,
+    rule_version INTEGER NOT NULL, -- service_cascade_versions row written with the change
+    previous_rate DECIMAL(5,4) NOT NULL,
+    new_rate DECIMAL(5,4) NOT NULL,
+    successes INTEGER NOT NULL,
+    trials INTEGER NOT NULL,
+    window_days INTEGER NOT NULL,
+    prior_alpha DECIMAL(10,4) NOT NULL,
+    prior_beta DECIMAL(10,4) NOT NULL,
+    posterior_mean DECIMAL(5,4) NOT NULL,
+    credible_level DECIMAL(4,3) NOT NULL,
+    credible_lower DECIMAL(5,4) NOT NULL,
+    credible_upper DECIMAL(5,4) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Cascade rule-set versions (one row per committed change to service_cascades)
+CREATE TABLE cascade_rule_sets (
+    version SERIAL PRIMARY KEY,
+    change_type VARCHAR(20) NOT NULL, -- create, update, deactivate, reorder, rollback, seed
+    rule_ids UUID[],
+    author_id UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Experiments on the cascade of one entry service
+CREATE TABLE experiments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    key VARCHAR(100) UNIQUE NOT NULL,
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+    entry_service_id UUID NOT NULL REFERENCES services(id),
+    status experiment_status DEFAULT 'draft',
+    traffic_allocation DECIMAL(4,3) DEFAULT 1.000, -- share of clients enrolled
+    created_by UUID REFERENCES users(id),
+    started_at TIMESTAMP,
+    stopped_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE experiment_variants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    experiment_id UUID REFERENCES experiments(id) ON DELETE CASCADE,
+    key VARCHAR(50) NOT NULL,
+    name VARCHAR(200) NOT NULL,
+    weight INTEGER NOT NULL DEFAULT 1,
+    is_control BOOLEAN DEFAULT false,
+    config JSONB DEFAULT '{}', -- rule overrides, cascade delay, discount schedule
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (experiment_id, key)
+);
+
+-- One exposure per entry order evaluated under an experiment
+CREATE TABLE experiment_exposures (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    experiment_id UUID REFERENCES experiments(id) ON DELETE CASCADE,
+    variant_id UUID REFERENCES experiment_variants(id) ON DELETE CASCADE,
+    client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+    entry_order_id UUID REFERENCES service_orders(id),
+    exposed_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (experiment_id, entry_order_id)
+);
+
 -- Cascade triggers table (tracking actual cascades)
 CREATE TABLE cascade_triggers (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -143,7 +449,215 @@ CREATE TABLE cascade_triggers (
     triggered_at TIMESTAMP DEFAULT NOW(),
     converted BOOLEAN DEFAULT false,
     converted_at TIMESTAMP,
-    revenue_generated DECIMAL(10,2) DEFAULT 0
+    revenue_generated DECIMAL(10,2) DEFAULT 0,
+    decision_strategy VARCHAR(30),
+    decision_inputs JSONB, -- everything the strategy used, for reproducing the decision
+    experiment_variant_id UUID REFERENCES experiment_variants(id),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Cascade offers (recommendations the client accepts or declines)
+CREATE TABLE cascade_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+    cascade_trigger_id UUID UNIQUE REFERENCES cascade_triggers(id),
+    cascade_id UUID REFERENCES service_cascades(id),
+    service_id UUID REFERENCES services(id),
+    entry_order_id UUID REFERENCES service_orders(id),
+    cascade_depth INTEGER DEFAULT 1,
+    status offer_status DEFAULT 'offered',
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    base_price DECIMAL(10,2) NOT NULL,
+    quoted_price DECIMAL(10,2) NOT NULL,
+    discount_amount DECIMAL(10,2) DEFAULT 0,
+    adjustment_factors JSONB DEFAULT '[]', -- itemized pricing breakdown
+    pricing_rule_set_id UUID REFERENCES pricing_rule_sets(id),
+    priority INTEGER DEFAULT 1,
+    expires_at TIMESTAMP NOT NULL,
+    viewed_at TIMESTAMP,
+    responded_at TIMESTAMP,
+    decline_reason TEXT,
+    accepted_order_id UUID REFERENCES service_orders(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Cascade offer notifications sent, per channel (for frequency caps)
+CREATE TABLE cascade_contacts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+    offer_id UUID REFERENCES cascade_offers(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL, -- in_app, email, sms
+    sent_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Price quotes (signed, expiring prices an order can be placed at)
+CREATE TABLE price_quotes (
+    id UUID PRIMARY KEY,
+    client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+    service_id UUID REFERENCES services(id),
+    urgency VARCHAR(20) DEFAULT 'standard',
+    bundle_size INTEGER DEFAULT 1,
+    underlying_amount DECIMAL(12,2),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    base_price DECIMAL(10,2) NOT NULL,
+    final_price DECIMAL(10,2) NOT NULL,
+    discount_amount DECIMAL(10,2) DEFAULT 0,
+    premium_amount DECIMAL(10,2) DEFAULT 0,
+    total_adjustment DECIMAL(6,4) DEFAULT 0,
+    estimated_cost DECIMAL(10,2),
+    profit_margin DECIMAL(6,4),
+    adjustment_factors JSONB DEFAULT '[]',
+    fee_basis JSONB,
+    pricing_rule_set_id UUID REFERENCES pricing_rule_sets(id),
+    signature VARCHAR(64) NOT NULL, -- HMAC-SHA256 over the quoted terms
+    status quote_status DEFAULT 'active',
+    expires_at TIMESTAMP NOT NULL,
+    redeemed_at TIMESTAMP,
+    order_id UUID REFERENCES service_orders(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Pricing guardrail interventions, for compliance review
+CREATE TABLE pricing_interventions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    guardrail VARCHAR(50) NOT NULL, -- fair_lending, price_limits, minimum_margin
+    action VARCHAR(20) NOT NULL, -- adjusted, blocked, flagged
+    reason TEXT,
+    service_id UUID REFERENCES services(id),
+    client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES service_orders(id),
+    channel VARCHAR(20), -- direct, cascade, settlement
+    currency CHAR(3),
+    price_before DECIMAL(10,2),
+    price_after DECIMAL(10,2),
+    details JSONB DEFAULT '{}',
+    pricing_rule_set_id UUID REFERENCES pricing_rule_sets(id),
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP,
+    review_notes TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Promotion code redemptions, one per order
+CREATE TABLE promotion_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    promotion_id UUID REFERENCES promotions(id) ON DELETE CASCADE,
+    client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+    order_id UUID UNIQUE REFERENCES service_orders(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Gift certificates (prepaid, redeemed into the client's account credit)
+CREATE TABLE gift_certificates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(40) UNIQUE NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    status gift_certificate_status DEFAULT 'active',
+    recipient_email VARCHAR(255),
+    message TEXT,
+    issued_by UUID REFERENCES users(id),
+    redeemed_by UUID REFERENCES clients(id),
+    redeemed_at TIMESTAMP,
+    expires_at TIMESTAMP, -- carried over to the credit it is redeemed into
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Account credit grants. Promotional credit (referral, goodwill) is a
+-- discount and reported against revenue; gift and refund credit are prepaid money.
+CREATE TABLE client_credits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL, -- gift, refund, referral, goodwill
+    promotional BOOLEAN NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'USD', -- spent only on orders in this currency
+    amount DECIMAL(10,2) NOT NULL,
+    remaining DECIMAL(10,2) NOT NULL,
+    expires_at TIMESTAMP,
+    gift_certificate_id UUID UNIQUE REFERENCES gift_certificates(id),
+    referred_client_id UUID UNIQUE REFERENCES clients(id), -- one referral credit per referred client
+    source_order_id UUID REFERENCES service_orders(id),
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Account credit spent on orders; negative when given back on cancellation
+CREATE TABLE credit_applications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    credit_id UUID REFERENCES client_credits(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES service_orders(id) ON DELETE CASCADE,
+    amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Refund of a cancelled order (src/orders/cancellation.js)
+CREATE TABLE order_refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID UNIQUE REFERENCES service_orders(id) ON DELETE CASCADE,
+    client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    stage VARCHAR(20) NOT NULL, -- free, pending, started, completed
+    policy JSONB NOT NULL, -- cancellation terms applied
+    amount_paid DECIMAL(12,2) NOT NULL DEFAULT 0, -- payment and account credit
+    fee_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    fee_waived BOOLEAN DEFAULT false,
+    refund_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    credit_restored DECIMAL(12,2) NOT NULL DEFAULT 0, -- to the credit grants spent on the order
+    cash_refund DECIMAL(12,2) NOT NULL DEFAULT 0, -- to the payment, or as refund credit
+    refund_method VARCHAR(20) NOT NULL, -- original, credit
+    refund_credit_id UUID REFERENCES client_credits(id),
+    status VARCHAR(20) NOT NULL, -- pending, refunded, none
+    stripe_refund_id VARCHAR(100),
+    error TEXT, -- last failed refund attempt
+    requested_by UUID REFERENCES users(id),
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Service order SLA escalations, once per clock and kind
+CREATE TABLE order_sla_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID REFERENCES service_orders(id) ON DELETE CASCADE,
+    clock VARCHAR(20) NOT NULL, -- response, resolution
+    kind VARCHAR(20) NOT NULL, -- at_risk, breached
+    due_at TIMESTAMP NOT NULL,
+    credit_id UUID REFERENCES client_credits(id), -- goodwill credit granted for the breach
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(order_id, clock, kind)
+);
+
+-- Price recommendations from elasticity estimates, applied only on review
+CREATE TABLE price_recommendations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+    objective VARCHAR(20) NOT NULL, -- revenue, margin
+    field VARCHAR(50) NOT NULL, -- base_price, markup_percentage
+    current_value DECIMAL(10,2) NOT NULL,
+    recommended_value DECIMAL(10,2) NOT NULL,
+    lower_bound DECIMAL(10,2),
+    upper_bound DECIMAL(10,2),
+    multiplier DECIMAL(6,4) NOT NULL,
+    elasticity DECIMAL(8,4),
+    elasticity_lower DECIMAL(8,4),
+    elasticity_upper DECIMAL(8,4),
+    observations INTEGER DEFAULT 0,
+    conversions INTEGER DEFAULT 0,
+    expected_lift DECIMAL(6,4),
+    model JSONB DEFAULT '{}',
+    status recommendation_status DEFAULT 'pending',
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP,
+    review_notes TEXT,
+    applied_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
 );
 
 -- Credit analysis table
@@ -344,6 +858,7 @@ CREATE TABLE revenue_records (
     client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
     service_id UUID REFERENCES services(id),
     order_id UUID REFERENCES service_orders(id),
+    currency CHAR(3) NOT NULL DEFAULT 'USD', -- the order's; totals are only summed per currency
     revenue_amount DECIMAL(10,2) NOT NULL,
     cost_amount DECIMAL(10,2) DEFAULT 0,
     profit_amount DECIMAL(10,2) NOT NULL,
@@ -351,6 +866,9 @@ CREATE TABLE revenue_records (
     payment_method VARCHAR(50),
     stripe_payment_id VARCHAR(100),
     commission_paid DECIMAL(8,2) DEFAULT 0,
+    promotion_amount DECIMAL(10,2) DEFAULT 0, -- promotion discounts and promotional credit; revenue_amount is net of it
+    experiment_variant_id UUID REFERENCES experiment_variants(id),
+    reversal_of UUID UNIQUE REFERENCES revenue_records(id), -- record a cancellation reverses; amounts are negative
     created_at TIMESTAMP DEFAULT NOW()
 );
 
@@ -425,14 +943,52 @@ CREATE INDEX idx_service_orders_service_id ON service_orders(service_id);
 CREATE INDEX idx_service_orders_status ON service_orders(status);
 CREATE INDEX idx_service_orders_created_at ON service_orders(created_at);
 CREATE INDEX idx_service_orders_completed_at ON service_orders(completed_at);
+CREATE INDEX idx_service_orders_parent_order ON service_orders(parent_order_id);
+CREATE INDEX idx_service_orders_root_order ON service_orders(root_order_id);
+CREATE INDEX idx_order_status_history_order ON order_status_history(order_id, created_at);
+CREATE INDEX idx_service_orders_assigned_to ON service_orders(assigned_to, status);
+CREATE INDEX idx_order_assignments_order ON order_assignments(order_id, created_at);
+CREATE INDEX idx_service_orders_sla_status ON service_orders(sla_status, status);
+CREATE UNIQUE INDEX idx_service_slas_default ON service_slas(urgency) WHERE service_id IS NULL;
+CREATE UNIQUE INDEX idx_cancellation_policies_default ON cancellation_policies((true)) WHERE service_id IS NULL;
+CREATE INDEX idx_order_refunds_status ON order_refunds(status, created_at);
+CREATE INDEX idx_outbox_events_type ON outbox_events(event_type, id);
+CREATE INDEX idx_outbox_events_aggregate ON outbox_events(aggregate_type, aggregate_id);
+CREATE INDEX idx_outbox_dead_letters_pending ON outbox_dead_letters(consumer, created_at) WHERE redelivered_at IS NULL;
 
 CREATE INDEX idx_cascade_triggers_client_id ON cascade_triggers(client_id);
 CREATE INDEX idx_cascade_triggers_entry_order ON cascade_triggers(entry_order_id);
 CREATE INDEX idx_cascade_triggers_triggered_at ON cascade_triggers(triggered_at);
 
+CREATE INDEX idx_cascade_triggers_client_cascade ON cascade_triggers(client_id, cascade_id, triggered_at);
+CREATE INDEX idx_cascade_triggers_experiment_variant ON cascade_triggers(experiment_variant_id);
+
+CREATE INDEX idx_experiment_exposures_variant ON experiment_exposures(variant_id);
+
+CREATE INDEX idx_cascade_rate_history_cascade ON cascade_rate_history(cascade_id, created_at);
+CREATE INDEX idx_cascade_offers_client_status ON cascade_offers(client_id, status);
+CREATE INDEX idx_cascade_offers_expires_at ON cascade_offers(expires_at);
+CREATE INDEX idx_cascade_offers_client_service ON cascade_offers(client_id, service_id, created_at);
+CREATE INDEX idx_cascade_contacts_client_sent ON cascade_contacts(client_id, sent_at);
+CREATE INDEX idx_price_quotes_client_service ON price_quotes(client_id, service_id, status, expires_at);
+CREATE INDEX idx_pricing_rule_sets_status_effective ON pricing_rule_sets(status, effective_from);
+CREATE INDEX idx_service_orders_pricing_rule_set ON service_orders(pricing_rule_set_id);
+CREATE INDEX idx_service_orders_bundle ON service_orders(bundle_id);
+CREATE INDEX idx_order_bundles_client_id ON order_bundles(client_id);
+CREATE INDEX idx_pricing_interventions_review ON pricing_interventions(guardrail, reviewed_at, created_at);
+CREATE INDEX idx_price_recommendations_service_status ON price_recommendations(service_id, status);
+CREATE UNIQUE INDEX idx_price_recommendations_pending ON price_recommendations(service_id) WHERE status = 'pending';
+CREATE INDEX idx_promotion_redemptions_promotion_client ON promotion_redemptions(promotion_id, client_id);
+CREATE INDEX idx_client_credits_client ON client_credits(client_id, currency, expires_at);
+CREATE INDEX idx_credit_applications_order ON credit_applications(order_id);
+CREATE INDEX idx_service_orders_promotion ON service_orders(promotion_id);
+
 CREATE INDEX idx_revenue_records_client_id ON revenue_records(client_id);
 CREATE INDEX idx_revenue_records_service_id ON revenue_records(service_id);
 CREATE INDEX idx_revenue_records_revenue_date ON revenue_records(revenue_date);
+CREATE INDEX idx_revenue_records_experiment_variant ON revenue_records(experiment_variant_id);
+CREATE INDEX idx_revenue_records_currency_date ON revenue_records(currency, revenue_date);
+CREATE INDEX idx_revenue_records_order ON revenue_records(order_id);
 
 CREATE INDEX idx_client_journey_client_id ON client_journey(client_id);
 CREATE INDEX idx_client_journey_stage ON client_journey(stage);
@@ -462,4 +1018,43 @@ CREATE TRIGGER update_vehicles_updated_at BEFORE UPDATE ON vehicles
 CREATE TRIGGER update_services_updated_at BEFORE UPDATE ON services
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_service_orders_updated_at BEFORE UPDATE ON service_orders
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); 
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_cascade_offers_updated_at BEFORE UPDATE ON cascade_offers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_experiments_updated_at BEFORE UPDATE ON experiments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_price_quotes_updated_at BEFORE UPDATE ON price_quotes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_pricing_rule_sets_updated_at BEFORE UPDATE ON pricing_rule_sets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_order_bundles_updated_at BEFORE UPDATE ON order_bundles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); 
+CREATE TRIGGER update_price_recommendations_updated_at BEFORE UPDATE ON price_recommendations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_promotions_updated_at BEFORE UPDATE ON promotions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_gift_certificates_updated_at BEFORE UPDATE ON gift_certificates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_client_credits_updated_at BEFORE UPDATE ON client_credits
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_service_prices_updated_at BEFORE UPDATE ON service_prices
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_agent_profiles_updated_at BEFORE UPDATE ON agent_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_service_slas_updated_at BEFORE UPDATE ON service_slas
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_cancellation_policies_updated_at BEFORE UPDATE ON cancellation_policies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_order_refunds_updated_at BEFORE UPDATE ON order_refunds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Status history rows are never rewritten (they go only with their order)
+CREATE OR REPLACE FUNCTION prevent_order_status_history_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'order_status_history is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER order_status_history_append_only BEFORE UPDATE ON order_status_history
+    FOR EACH ROW EXECUTE FUNCTION prevent_order_status_history_update();
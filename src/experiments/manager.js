@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { compileConditions } = require('../cascade/conditions');
+const { getDecisionStrategy } = require('../cascade/strategies');
+const { analyzeExperiment } = require('./stats');
+const { DEFAULT_CURRENCY } = require('../utils/money');
+
+// Experiments on the cascade for one entry service. Clients are assigned
+// deterministically: hashing the experiment and client ids decides both
+// whether a client is in the experiment's traffic and which variant they
+// get, so repeat orders always see the same variant. A variant's config
+// can override rules, the cascade delay and the discount schedule:
+//
+//   {
+//     rules: { <ruleId>: { priority, conversionRate, isActive, conditions, decisionStrategy } },
+//     cascadeDelayMs: 60000,
+//     pricing: { discounts: { firstTime: 0.1 }, minPriceRatio: 0.6 }
+//   }
+
+// Uniform number in [0, 1) from the hash of the parts
+function hashToUnit(...parts) {
+  const digest = crypto.createHash('sha256').update(parts.join(':')).digest();
+  return digest.readUInt32BE(0) / 4294967296;
+}
+
+class ExperimentManager {
+  async createExperiment({ key, name, description = null, entryServiceId, trafficAllocation = 1, variants }, { authorId = null } = {}) {
+    if (variants.filter(variant => variant.isControl).length !== 1) {
+      throw new ValidationError('An experiment needs exactly one control variant', { field: 'variants' });
+    }
+
+    const existing = await database.findOne('experiments', { key });
+    if (existing) {
+      throw new ConflictError(`Experiment ${key} already exists`);
+    }
+
+    const service = await database.findById('services', entryServiceId);
+    if (!service) {
+      throw new NotFoundError('Entry service not found');
+    }
+
+    const rules = await database.findMany('service_cascades', { entry_service_id: entryServiceId });
+    variants.forEach((variant, index) => {
+      this.validateVariantConfig(variant.config || {}, rules.map(rule => rule.id), `variants.${index}.config`);
+    });
+
+    const experiment = await database.transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO experiments (key, name, description, entry_service_id, traffic_allocation, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [key, name, description, entryServiceId, trafficAllocation, authorId]);
+
+      for (const variant of variants) {
+        await client.query(`
+          INSERT INTO experiment_variants (experiment_id, key, name, weight, is_control, config)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [
+          result.rows[0].id,
+          variant.key,
+          variant.name || variant.key,
+          variant.weight || 1,
+          variant.isControl || false,
+          JSON.stringify(variant.config || {})
+        ]);
+      }
+
+      return result.rows[0];
+    });
+
+    logger.info('Experiment created', { experimentId: experiment.id, key, entryServiceId });
+    return await this.getExperiment(experiment.id);
+  }
+
+  // Rule overrides must target rules of the entry service and compile
+  validateVariantConfig(config, ruleIds, path) {
+    for (const [ruleId, override] of Object.entries(config.rules || {})) {
+      if (!ruleIds.includes(ruleId)) {
+        throw new ValidationError(`${path}.rules.${ruleId}: not a cascade rule of the entry service`, {
+          field: `${path}.rules.${ruleId}`
+        });
+      }
+      if (override.conditions !== undefined) {
+        compileConditions(override.conditions, `${path}.rules.${ruleId}.conditions`);
+      }
+      if (override.decisionStrategy) {
+        try {
+          getDecisionStrategy(override.decisionStrategy);
+        } catch (error) {
+          throw new ValidationError(error.message, { field: `${path}.rules.${ruleId}.decisionStrategy` });
+        }
+      }
+    }
+  }
+
+  async getExperiment(experimentId) {
+    const experiment = await database.findById('experiments', experimentId);
+    if (!experiment) {
+      throw new NotFoundError('Experiment not found');
+    }
+
+    experiment.variants = await this.getVariants(experimentId);
+    return experiment;
+  }
+
+  async getVariants(experimentId) {
+    const result = await database.query(`
+      SELECT * FROM experiment_variants
+      WHERE experiment_id = $1
+      ORDER BY is_control DESC, key ASC
+    `, [experimentId]);
+
+    return result.rows;
+  }
+
+  async getVariant(variantId) {
+    return await database.findById('experiment_variants', variantId);
+  }
+
+  async listExperiments(status = null) {
+    const params = [];
+    let query = `
+      SELECT
+        e.*,
+        s.name as entry_service_name,
+        s.slug as entry_service_slug
+      FROM experiments e
+      JOIN services s ON e.entry_service_id = s.id
+    `;
+
+    if (status) {
+      params.push(status);
+      query += ' WHERE e.status = $1';
+    }
+
+    query += ' ORDER BY e.created_at DESC';
+
+    const result = await database.query(query, params);
+    return result.rows;
+  }
+
+  // One running experiment per entry service, so variant configs never mix
+  async startExperiment(experimentId) {
+    const experiment = await this.getExperiment(experimentId);
+    if (experiment.status !== 'draft') {
+      throw new ConflictError(`Experiment is ${experiment.status}; only draft experiments can start`);
+    }
+
+    const running = await this.getRunningExperiment(experiment.entry_service_id);
+    if (running) {
+      throw new ConflictError(`Experiment ${running.key} is already running for this entry service`);
+    }
+
+    const started = await database.update('experiments', experimentId, {
+      status: 'running',
+      started_at: new Date()
+    });
+
+    logger.info('Experiment started', { experimentId, key: experiment.key });
+    return started;
+  }
+
+  async stopExperiment(experimentId) {
+    const experiment = await this.getExperiment(experimentId);
+    if (experiment.status !== 'running') {
+      throw new ConflictError(`Experiment is ${experiment.status}; only running experiments can stop`);
+    }
+
+    const stopped = await database.update('experiments', experimentId, {
+      status: 'stopped',
+      stopped_at: new Date()
+    });
+
+    logger.info('Experiment stopped', { experimentId, key: experiment.key });
+    return stopped;
+  }
+
+  async getRunningExperiment(entryServiceId) {
+    const experiment = await database.findOne('experiments', {
+      entry_service_id: entryServiceId,
+      status: 'running'
+    });
+    if (!experiment) {
+      return null;
+    }
+
+    experiment.variants = await this.getVariants(experiment.id);
+    return experiment;
+  }
+
+  // Deterministic: the same client always lands in the same variant
+  assignVariant(experiment, clientId) {
+    if (hashToUnit(experiment.id, 'traffic', clientId) >= parseFloat(experiment.traffic_allocation)) {
+      return null;
+    }
+
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let point = hashToUnit(experiment.id, 'variant', clientId) * totalWeight;
+    for (const variant of experiment.variants) {
+      point -= variant.weight;
+      if (point < 0) {
+        return variant;
+      }
+    }
+    return experiment.variants[experiment.variants.length - 1];
+  }
+
+  // The running experiment and variant for a client's completed entry order, if any
+  async assign(entryServiceId, clientId) {
+    const experiment = await this.getRunningExperiment(entryServiceId);
+    if (!experiment || experiment.variants.length === 0) {
+      return null;
+    }
+
+    const variant = this.assignVariant(experiment, clientId);
+    return variant ? { experiment, variant } : null;
+  }
+
+  // One exposure per entry order, recorded whether or not anything triggers
+  async recordExposure({ experiment, variant }, clientId, entryOrderId) {
+    await database.query(`
+      INSERT INTO experiment_exposures (experiment_id, variant_id, client_id, entry_order_id)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (experiment_id, entry_order_id) DO NOTHING
+    `, [experiment.id, variant.id, clientId, entryOrderId]);
+  }
+
+  // Apply a variant's rule overrides to the engine's rules for the entry service
+  applyRuleOverrides(rules, variant) {
+    const overrides = (variant.config && variant.config.rules) || {};
+
+    return rules
+      .map((rule) => {
+        const override = overrides[rule.id];
+        if (!override) {
+          return rule;
+        }
+
+        return {
+          ...rule,
+          priority: override.priority !== undefined ? override.priority : rule.priority,
+          conversionRate: override.conversionRate !== undefined ? override.conversionRate : rule.conversionRate,
+          isActive: override.isActive !== undefined ? override.isActive : rule.isActive,
+          conditions: override.conditions !== undefined ? compileConditions(override.conditions) : rule.conditions,
+          decisionStrategy: override.decisionStrategy !== undefined ? override.decisionStrategy : rule.decisionStrategy
+        };
+      })
+      .filter(rule => rule.isActive)
+      .sort((a, b) => a.priority - b.priority || b.conversionRate - a.conversionRate);
+  }
+
+  /**
+   * Per-variant exposures, conversions (an exposure converts when any offer
+   * from its entry order is accepted) and attributed revenue, with lift and
+   * significance against the control. Revenue is compared in the default
+   * currency; orders in other currencies count as conversions only.
+   */
+  async getResults(experimentId, { alpha = 0.05 } = {}) {
+    const experiment = await this.getExperiment(experimentId);
+
+    const result = await database.query(`
+      WITH exposure_outcomes AS (
+        SELECT
+          ee.id,
+          ee.variant_id,
+          COALESCE(BOOL_OR(co.status = 'accepted'), false) as converted,
+          COALESCE(SUM(rr.revenue_amount), 0) as revenue
+        FROM experiment_exposures ee
+        LEFT JOIN cascade_triggers ct ON ct.entry_order_id = ee.entry_order_id
+          AND ct.experiment_variant_id = ee.variant_id
+        LEFT JOIN cascade_offers co ON co.cascade_trigger_id = ct.id
+        LEFT JOIN revenue_records rr ON rr.order_id = ct.triggered_order_id
+          AND rr.experiment_variant_id = ee.variant_id AND rr.currency = $2
+        WHERE ee.experiment_id = $1
+        GROUP BY ee.id, ee.variant_id
+      )
+      SELECT
+        variant_id,
+        COUNT(*) as exposures,
+        COUNT(CASE WHEN converted THEN 1 END) as conversions,
+        SUM(revenue) as revenue,
+        SUM(revenue * revenue) as revenue_squared
+      FROM exposure_outcomes
+      GROUP BY variant_id
+    `, [experimentId, DEFAULT_CURRENCY]);
+
+    const variants = experiment.variants.map((variant) => {
+      const row = result.rows.find(r => r.variant_id === variant.id);
+      return {
+        id: variant.id,
+        key: variant.key,
+        name: variant.name,
+        isControl: variant.is_control,
+        exposures: row ? parseInt(row.exposures) : 0,
+        conversions: row ? parseInt(row.conversions) : 0,
+        revenue: row ? parseFloat(row.revenue) : 0,
+        revenueSquared: row ? parseFloat(row.revenue_squared) : 0
+      };
+    });
+
+    return {
+      experiment: {
+        id: experiment.id,
+        key: experiment.key,
+        name: experiment.name,
+        status: experiment.status,
+        startedAt: experiment.started_at,
+        stoppedAt: experiment.stopped_at
+      },
+      alpha,
+      variants: analyzeExperiment(variants, { alpha })
+    };
+  }
+}
+
+// Create singleton instance
+const experimentManager = new ExperimentManager();
+
+module.exports = experimentManager;
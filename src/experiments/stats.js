@@ -0,0 +1,147 @@
+// Lift and significance for experiment results. Conversion compares
+// proportions with a two-proportion z-test; revenue per exposure compares
+// means with Welch's test using the normal approximation, which holds at
+// the sample sizes experiments are read at. Confidence intervals are at
+// the level matching the significance threshold alpha (1 - alpha).
+
+// Abramowitz-Stegun 7.1.26, accurate to about 1.5e-7
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+    Math.exp(-x * x);
+  return sign * y;
+}
+
+function normalCdf(z) {
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+// Inverse CDF by bisection; the CDF is monotonic
+function normalQuantile(p) {
+  let low = -10;
+  let high = 10;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (normalCdf(mid) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+function twoSidedPValue(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+function round(value, digits = 4) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function relativeLift(treatment, control) {
+  return control > 0 ? round((treatment - control) / control) : null;
+}
+
+function compareConversion(control, variant, alpha) {
+  const pControl = control.exposures > 0 ? control.conversions / control.exposures : 0;
+  const pVariant = variant.exposures > 0 ? variant.conversions / variant.exposures : 0;
+
+  if (control.exposures === 0 || variant.exposures === 0) {
+    return { lift: null, difference: null, pValue: null, significant: false };
+  }
+
+  const pooled = (control.conversions + variant.conversions) / (control.exposures + variant.exposures);
+  const pooledError = Math.sqrt(pooled * (1 - pooled) * (1 / control.exposures + 1 / variant.exposures));
+  const z = pooledError > 0 ? (pVariant - pControl) / pooledError : 0;
+  const pValue = twoSidedPValue(z);
+  const critical = normalQuantile(1 - alpha / 2);
+
+  // Unpooled standard error for the interval on the difference
+  const error = Math.sqrt(
+    pControl * (1 - pControl) / control.exposures + pVariant * (1 - pVariant) / variant.exposures
+  );
+
+  return {
+    lift: relativeLift(pVariant, pControl),
+    difference: round(pVariant - pControl),
+    confidenceInterval: {
+      level: round(1 - alpha),
+      lower: round(pVariant - pControl - critical * error),
+      upper: round(pVariant - pControl + critical * error)
+    },
+    pValue: round(pValue),
+    significant: pValue < alpha
+  };
+}
+
+function revenueMoments({ exposures, revenue, revenueSquared }) {
+  const mean = exposures > 0 ? revenue / exposures : 0;
+  const variance = exposures > 1 ? Math.max((revenueSquared - exposures * mean * mean) / (exposures - 1), 0) : 0;
+  return { mean, variance };
+}
+
+function compareRevenue(control, variant, alpha) {
+  if (control.exposures < 2 || variant.exposures < 2) {
+    return { lift: null, difference: null, pValue: null, significant: false };
+  }
+
+  const c = revenueMoments(control);
+  const v = revenueMoments(variant);
+  const error = Math.sqrt(c.variance / control.exposures + v.variance / variant.exposures);
+  const z = error > 0 ? (v.mean - c.mean) / error : 0;
+  const pValue = twoSidedPValue(z);
+  const critical = normalQuantile(1 - alpha / 2);
+
+  return {
+    lift: relativeLift(v.mean, c.mean),
+    difference: round(v.mean - c.mean, 2),
+    confidenceInterval: {
+      level: round(1 - alpha),
+      lower: round(v.mean - c.mean - critical * error, 2),
+      upper: round(v.mean - c.mean + critical * error, 2)
+    },
+    pValue: round(pValue),
+    significant: pValue < alpha
+  };
+}
+
+/**
+ * Summarize each variant and compare every treatment with the control.
+ * `variants` carry exposures, conversions, revenue and revenueSquared
+ * (sum of squared per-exposure revenue).
+ */
+function analyzeExperiment(variants, { alpha = 0.05 } = {}) {
+  const control = variants.find(variant => variant.isControl);
+
+  return variants.map((variant) => {
+    const summary = {
+      id: variant.id,
+      key: variant.key,
+      name: variant.name,
+      isControl: variant.isControl,
+      exposures: variant.exposures,
+      conversions: variant.conversions,
+      conversionRate: variant.exposures > 0 ? round(variant.conversions / variant.exposures) : 0,
+      revenue: round(variant.revenue, 2),
+      revenuePerExposure: round(revenueMoments(variant).mean, 2)
+    };
+
+    if (control && !variant.isControl) {
+      summary.comparedToControl = {
+        conversion: compareConversion(control, variant, alpha),
+        revenuePerExposure: compareRevenue(control, variant, alpha)
+      };
+    }
+
+    return summary;
+  });
+}
+
+module.exports = {
+  analyzeExperiment,
+  normalCdf,
+  normalQuantile
+};
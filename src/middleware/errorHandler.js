@@ -377,9 +377,29 @@ const paymentErrorHandler = (error) => {
   throw new AppError('Payment processing failed', 500, 'PAYMENT_ERROR');
 };
 
+// Route error response: operational errors (validation, not found, conflict)
+// with their own status, anything else as a 500 with the route's `fallback`
+// error and code
+const sendError = (res, error, fallback) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      details: error.details
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    ...fallback
+  });
+};
+
 module.exports = {
   errorHandler,
   asyncHandler,
+  sendError,
   notFoundHandler,
   validate,
   timeoutHandler,
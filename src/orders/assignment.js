@@ -0,0 +1,329 @@
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+const { ACTIVE_ORDER_STATUSES, isActive } = require('./states');
+
+// Order assignment: each service order is worked by one agent
+// (service_orders.assigned_to). An agent can take an order when their
+// agent_profiles row covers the service's category, the order's region and
+// the service's required skills, and they are under their cap of active
+// (not completed or cancelled) orders. New orders are assigned
+// automatically by a strategy; admins can reassign by hand. Every change is
+// appended to order_assignments.
+
+// Strategies order the eligible agents; the first with room is assigned
+const ASSIGNMENT_STRATEGIES = {
+  // Longest since their last assignment first
+  round_robin: candidates => [...candidates].sort(compareLastAssigned),
+
+  // Smallest share of their capacity in use first; ties go round-robin
+  least_loaded: candidates => [...candidates].sort((a, b) =>
+    (a.activeOrders / a.maxActiveOrders) - (b.activeOrders / b.maxActiveOrders) || compareLastAssigned(a, b))
+};
+
+// Never-assigned agents first, then oldest assignment
+function compareLastAssigned(a, b) {
+  const left = a.lastAssignedAt ? new Date(a.lastAssignedAt).getTime() : 0;
+  const right = b.lastAssignedAt ? new Date(b.lastAssignedAt).getTime() : 0;
+  return left - right || String(a.userId).localeCompare(String(b.userId));
+}
+
+function getAssignmentStrategy(name) {
+  const strategy = ASSIGNMENT_STRATEGIES[name];
+  if (!strategy) {
+    throw new ValidationError(`Unknown assignment strategy ${name}`, { field: 'strategy' });
+  }
+  return strategy;
+}
+
+/**
+ * Agents may only update orders assigned to them; other roles are not
+ * restricted here.
+ */
+function assertAssignee(order, actor) {
+  if (actor.role === 'agent' && order.assigned_to !== actor.userId) {
+    throw new AuthorizationError('Only the agent assigned to this order can update it');
+  }
+}
+
+class AssignmentManager {
+  constructor() {
+    this.defaultStrategy = process.env.ORDER_ASSIGNMENT_STRATEGY || 'least_loaded';
+    this.autoAssign = process.env.ORDER_AUTO_ASSIGN !== 'false';
+    this.defaultMaxActiveOrders = parseInt(process.env.AGENT_MAX_ACTIVE_ORDERS) || 10;
+    getAssignmentStrategy(this.defaultStrategy);
+  }
+
+  /**
+   * Agents who can take an order for `service` in `region`, with their
+   * load. A service without a category or an order without a region
+   * matches every agent; an agent with no categories or regions covers all.
+   */
+  async findCandidates(service, region, executor = database) {
+    const result = await executor.query(`
+      SELECT
+        u.id as user_id, u.first_name, u.last_name, u.email,
+        ap.max_active_orders, ap.last_assigned_at,
+        (SELECT COUNT(*) FROM service_orders so
+          WHERE so.assigned_to = u.id AND so.status = ANY($4)) as active_orders
+      FROM users u
+      JOIN agent_profiles ap ON ap.user_id = u.id
+      WHERE u.role = 'agent' AND u.is_active = true AND ap.is_available = true
+        AND ($1::text IS NULL OR cardinality(ap.service_categories) = 0 OR $1 = ANY(ap.service_categories))
+        AND ($2::text IS NULL OR cardinality(ap.regions) = 0 OR $2 = ANY(ap.regions))
+        AND ap.skills @> $3::text[]
+    `, [service.service_category || null, region || null, service.required_skills || [], ACTIVE_ORDER_STATUSES]);
+
+    return result.rows
+      .map(row => ({
+        userId: row.user_id,
+        name: `${row.first_name} ${row.last_name}`,
+        email: row.email,
+        maxActiveOrders: row.max_active_orders,
+        activeOrders: parseInt(row.active_orders),
+        lastAssignedAt: row.last_assigned_at
+      }))
+      .filter(candidate => candidate.activeOrders < candidate.maxActiveOrders);
+  }
+
+  /**
+   * Assign an unassigned order by strategy inside the caller's transaction.
+   * Each pick is re-checked under a lock on the agent's profile, so
+   * concurrent assignments cannot push an agent over capacity. Returns the
+   * assigned agent's user id, or null when no agent has room (the order
+   * waits for assignPending or an admin).
+   */
+  async assignOrder(order, service, executor, { strategy = this.defaultStrategy } = {}) {
+    const candidates = getAssignmentStrategy(strategy)(await this.findCandidates(service, order.region, executor));
+
+    for (const candidate of candidates) {
+      const profile = await executor.query(
+        'SELECT * FROM agent_profiles WHERE user_id = $1 FOR UPDATE',
+        [candidate.userId]
+      );
+      const load = await executor.query(`
+        SELECT COUNT(*) as active_orders FROM service_orders
+        WHERE assigned_to = $1 AND status = ANY($2)
+      `, [candidate.userId, ACTIVE_ORDER_STATUSES]);
+      if (!profile.rows[0] || parseInt(load.rows[0].active_orders) >= profile.rows[0].max_active_orders) {
+        continue;
+      }
+
+      await this.recordAssignment(order, candidate.userId, { strategy }, executor);
+      return candidate.userId;
+    }
+
+    logger.warn('No agent available for order', {
+      orderId: order.id,
+      serviceCategory: service.service_category,
+      region: order.region,
+      strategy
+    });
+    return null;
+  }
+
+  async recordAssignment(order, agentId, { strategy, reason = null, actor = null }, executor) {
+    await database.update('service_orders', order.id, {
+      assigned_to: agentId,
+      assigned_at: agentId ? new Date() : null
+    }, executor);
+    if (agentId) {
+      await executor.query(
+        'UPDATE agent_profiles SET last_assigned_at = NOW(), updated_at = NOW() WHERE user_id = $1',
+        [agentId]
+      );
+    }
+
+    await database.create('order_assignments', {
+      order_id: order.id,
+      assigned_to: agentId,
+      previous_assignee: order.assigned_to || null,
+      strategy,
+      reason,
+      assigned_by: actor ? actor.userId : null
+    }, executor);
+
+    logger.audit('Service order assigned', {
+      orderId: order.id,
+      assignedTo: agentId,
+      previousAssignee: order.assigned_to || null,
+      strategy,
+      assignedBy: actor ? actor.userId : null
+    });
+  }
+
+  /**
+   * Assign an order to an agent by hand (or unassign it with a null
+   * agentId). Capacity is not enforced: an admin may knowingly overload an
+   * agent. Returns the updated order.
+   */
+  async reassign(orderId, agentId, { actor, reason = null }) {
+    if (agentId) {
+      const agent = await database.findById('users', agentId);
+      if (!agent) {
+        throw new NotFoundError('Agent not found');
+      }
+      if (agent.role !== 'agent' || !agent.is_active) {
+        throw new ValidationError('Orders can only be assigned to active agents', { field: 'agentId' });
+      }
+    }
+
+    return await database.transaction(async (executor) => {
+      const result = await executor.query('SELECT * FROM service_orders WHERE id = $1 FOR UPDATE', [orderId]);
+      const order = result.rows[0];
+      if (!order) {
+        throw new NotFoundError('Order not found');
+      }
+      if (!isActive(order.status)) {
+        throw new ConflictError(`Order is ${order.status} and can no longer be reassigned`);
+      }
+      if ((order.assigned_to || null) === (agentId || null)) {
+        throw new ConflictError(agentId ? 'Order is already assigned to this agent' : 'Order is not assigned');
+      }
+
+      await this.recordAssignment(order, agentId || null, { strategy: 'manual', reason, actor }, executor);
+      const updated = await executor.query('SELECT * FROM service_orders WHERE id = $1', [orderId]);
+      return updated.rows[0];
+    });
+  }
+
+  /**
+   * Assign unassigned active orders, highest priority and oldest first.
+   * Run periodically so orders created while every agent was full are
+   * picked up as agents free up. Returns the number assigned.
+   */
+  async assignPending({ strategy = this.defaultStrategy, limit = 100 } = {}) {
+    const pending = await database.query(`
+      SELECT so.id
+      FROM service_orders so
+      WHERE so.assigned_to IS NULL AND so.status = ANY($1)
+      ORDER BY so.priority DESC, so.created_at ASC
+      LIMIT $2
+    `, [ACTIVE_ORDER_STATUSES, limit]);
+
+    let assigned = 0;
+    for (const { id } of pending.rows) {
+      try {
+        const agentId = await database.transaction(async (executor) => {
+          const result = await executor.query('SELECT * FROM service_orders WHERE id = $1 FOR UPDATE', [id]);
+          const order = result.rows[0];
+          if (!order || order.assigned_to || !isActive(order.status)) {
+            return null;
+          }
+          const service = await database.findById('services', order.service_id);
+          return await this.assignOrder(order, service, executor, { strategy });
+        });
+        if (agentId) {
+          assigned += 1;
+        }
+      } catch (error) {
+        logger.error('Error assigning pending order', { orderId: id, error: error.message });
+      }
+    }
+
+    if (assigned > 0) {
+      logger.info('Pending orders assigned', { assigned, strategy });
+    }
+    return assigned;
+  }
+
+  // An agent's active orders, highest priority and oldest first
+  async getQueue(agentId, { includeClosed = false, limit = 100 } = {}) {
+    const params = [agentId, limit];
+    let statusFilter = '';
+    if (!includeClosed) {
+      params.push(ACTIVE_ORDER_STATUSES);
+      statusFilter = 'AND so.status = ANY($3)';
+    }
+
+    const result = await database.query(`
+      SELECT so.*, s.name as service_name, s.service_category,
+             c.business_name, u.first_name as client_first_name, u.last_name as client_last_name
+      FROM service_orders so
+      JOIN services s ON so.service_id = s.id
+      JOIN clients c ON so.client_id = c.id
+      LEFT JOIN users u ON c.user_id = u.id
+      WHERE so.assigned_to = $1 ${statusFilter}
+      ORDER BY so.priority DESC, so.created_at ASC
+      LIMIT $2
+    `, params);
+    return result.rows;
+  }
+
+  // Every agent with their coverage, capacity and active orders
+  async getWorkload() {
+    const result = await database.query(`
+      SELECT
+        u.id as user_id, u.first_name, u.last_name, u.email, u.is_active,
+        ap.service_categories, ap.skills, ap.regions, ap.max_active_orders, ap.is_available, ap.last_assigned_at,
+        (SELECT COUNT(*) FROM service_orders so
+          WHERE so.assigned_to = u.id AND so.status = ANY($1)) as active_orders
+      FROM users u
+      LEFT JOIN agent_profiles ap ON ap.user_id = u.id
+      WHERE u.role = 'agent'
+      ORDER BY u.last_name, u.first_name
+    `, [ACTIVE_ORDER_STATUSES]);
+
+    const unassigned = await database.query(`
+      SELECT COUNT(*) as unassigned FROM service_orders
+      WHERE assigned_to IS NULL AND status = ANY($1)
+    `, [ACTIVE_ORDER_STATUSES]);
+
+    return {
+      unassignedOrders: parseInt(unassigned.rows[0].unassigned),
+      agents: result.rows
+    };
+  }
+
+  /**
+   * Create or update an agent's assignment profile. Fields not given keep
+   * their current value (or the default for a new profile).
+   */
+  async saveProfile(userId, { serviceCategories, skills, regions, maxActiveOrders, isAvailable }) {
+    const user = await database.findById('users', userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.role !== 'agent') {
+      throw new ValidationError('Assignment profiles are for agents only', { field: 'userId' });
+    }
+
+    const fields = {};
+    if (serviceCategories !== undefined) fields.service_categories = serviceCategories;
+    if (skills !== undefined) fields.skills = skills;
+    if (regions !== undefined) fields.regions = regions;
+    if (maxActiveOrders !== undefined) fields.max_active_orders = maxActiveOrders;
+    if (isAvailable !== undefined) fields.is_available = isAvailable;
+
+    const existing = await database.findOne('agent_profiles', { user_id: userId });
+    const profile = existing
+      ? await database.update('agent_profiles', existing.id, fields)
+      : await database.create('agent_profiles', {
+        user_id: userId,
+        max_active_orders: this.defaultMaxActiveOrders,
+        ...fields
+      });
+
+    logger.audit('Agent assignment profile saved', { userId, fields: Object.keys(fields) });
+    return profile;
+  }
+
+  async getAssignmentHistory(orderId) {
+    const result = await database.query(`
+      SELECT oa.*, u.email as assigned_to_email, a.email as assigned_by_email
+      FROM order_assignments oa
+      LEFT JOIN users u ON oa.assigned_to = u.id
+      LEFT JOIN users a ON oa.assigned_by = a.id
+      WHERE oa.order_id = $1
+      ORDER BY oa.created_at ASC
+    `, [orderId]);
+    return result.rows;
+  }
+}
+
+// Create singleton instance
+const assignmentManager = new AssignmentManager();
+
+module.exports = assignmentManager;
+module.exports.ASSIGNMENT_STRATEGIES = ASSIGNMENT_STRATEGIES;
+module.exports.assertAssignee = assertAssignee;
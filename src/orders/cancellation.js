@@ -0,0 +1,345 @@
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+const { ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const creditManager = require('../promotions/credits');
+const bundleCheckout = require('./checkout');
+const { Money } = require('../utils/money');
+
+// Cancellation fees and refunds. A cancelled order is charged a fee of its
+// service's cancellation policy for the stage it was cancelled at:
+//
+//   free       pending, within the free window after it was placed
+//   pending    pending, after the free window
+//   started    in progress or failed
+//   completed  completed (admins only)
+//
+// The fee is a percentage of the order's fee (final_price); pass-through
+// costs are never kept. What the client paid for the order, by payment and
+// account credit, comes back less the fee: credit first, to the grants it
+// was spent from, then the payment. With the credit refund method the
+// payment part is refunded as account credit instead. All of that is
+// decided and the credit moved in the cancellation's transaction
+// (recordCancellation); the payment is refunded through Stripe by the
+// outbox consumer for order.cancelled (processRefund), and the order's
+// revenue, if it was recorded, is reversed down to the fee
+// (RevenueOptimizer.reverseRevenue).
+
+const REFUND_METHODS = ['original', 'credit'];
+
+// Used where no cancellation_policies row applies
+const DEFAULT_CANCELLATION_POLICY = {
+  freeWindowMinutes: 24 * 60,
+  pendingFeePercent: 10,
+  startedFeePercent: 50,
+  completedFeePercent: 0,
+  refundMethod: 'original'
+};
+
+const STAGE_FEES = {
+  free: null,
+  pending: 'pendingFeePercent',
+  started: 'startedFeePercent',
+  completed: 'completedFeePercent'
+};
+
+function mapPolicy(row) {
+  return {
+    policyId: row.id,
+    freeWindowMinutes: row.free_window_minutes,
+    pendingFeePercent: parseFloat(row.pending_fee_percent),
+    startedFeePercent: parseFloat(row.started_fee_percent),
+    completedFeePercent: parseFloat(row.completed_fee_percent),
+    refundMethod: row.refund_method
+  };
+}
+
+function cancellationStage(order, policy, now) {
+  switch (order.status) {
+    case 'pending':
+      return now.getTime() - new Date(order.created_at).getTime() <= policy.freeWindowMinutes * 60 * 1000
+        ? 'free'
+        : 'pending';
+    case 'in_progress':
+    case 'failed':
+      return 'started';
+    case 'completed':
+      return 'completed';
+    default:
+      throw new ValidationError(`A ${order.status} order cannot be cancelled`, { status: order.status });
+  }
+}
+
+class CancellationManager {
+  // The service's own policy, else the default one, else the built-in terms
+  async policyFor(serviceId, executor = database) {
+    const result = await executor.query(`
+      SELECT * FROM cancellation_policies
+      WHERE is_active = true AND (service_id = $1 OR service_id IS NULL)
+      ORDER BY service_id NULLS LAST
+      LIMIT 1
+    `, [serviceId]);
+
+    if (result.rows[0]) {
+      return mapPolicy(result.rows[0]);
+    }
+    return { policyId: null, ...DEFAULT_CANCELLATION_POLICY };
+  }
+
+  // What the client has paid for the order through a bundle payment (Money)
+  async paymentFor(order, service, executor = database) {
+    const zero = Money.zero(order.currency);
+    if (order.payment_status !== 'paid' || !order.bundle_id) {
+      return zero;
+    }
+    const bundle = await executor.query('SELECT payment_intent_id FROM order_bundles WHERE id = $1', [order.bundle_id]);
+    if (!bundle.rows[0] || !bundle.rows[0].payment_intent_id) {
+      return zero;
+    }
+
+    // Cost-plus clients paid the passed-through cost on top of the fee
+    const billed = service.pricing_model === 'cost_plus' && order.underlying_amount
+      ? Money.sum([order.final_price, order.underlying_amount], order.currency)
+      : Money.of(order.final_price, order.currency);
+    return Money.max(billed.minus(Money.of(order.credit_applied || 0, order.currency)), zero);
+  }
+
+  /**
+   * The fee and refund of cancelling `order` now, without cancelling it.
+   * `waiveFee` drops the fee; `refundMethod` overrides the policy's.
+   */
+  async quote(order, { waiveFee = false, refundMethod = null, now = new Date() } = {}, executor = database) {
+    const service = await executor.query('SELECT * FROM services WHERE id = $1', [order.service_id]);
+    const policy = await this.policyFor(order.service_id, executor);
+    const stage = cancellationStage(order, policy, now);
+    const method = refundMethod || policy.refundMethod;
+    if (!REFUND_METHODS.includes(method)) {
+      throw new ValidationError(`Unknown refund method ${method}`, { field: 'refundMethod' });
+    }
+
+    const currency = order.currency;
+    const creditPaid = Money.of(order.credit_applied || 0, currency);
+    const cashPaid = await this.paymentFor(order, service.rows[0] || {}, executor);
+    const amountPaid = creditPaid.plus(cashPaid);
+
+    const feePercent = STAGE_FEES[stage] && !waiveFee ? policy[STAGE_FEES[stage]] : 0;
+    const fee = Money.of(order.final_price, currency).percentage(feePercent);
+    const refund = Money.max(amountPaid.minus(fee), Money.zero(currency));
+    const creditRestored = Money.min(refund, creditPaid);
+
+    return {
+      stage,
+      policy,
+      currency,
+      feePercent,
+      feeWaived: Boolean(waiveFee),
+      amountPaid,
+      fee,
+      refund,
+      creditRestored,
+      cashRefund: refund.minus(creditRestored),
+      refundMethod: method
+    };
+  }
+
+  /**
+   * Charge the cancellation fee and refund the rest, inside the
+   * cancellation's transaction with `order` (its state before cancelling)
+   * locked. Only admins can waive the fee. Returns { refund, changes }:
+   * the order_refunds row and order columns to set with the cancellation.
+   */
+  async recordCancellation(order, { actor, waiveFee = false, refundMethod = null }, executor) {
+    if (waiveFee && !['admin', 'super_admin'].includes(actor.role)) {
+      throw new AuthorizationError('Only admins can waive a cancellation fee');
+    }
+
+    const quote = await this.quote(order, { waiveFee, refundMethod }, executor);
+
+    if (quote.creditRestored.isPositive()) {
+      await creditManager.restoreFromOrder(order, quote.creditRestored, executor);
+    }
+
+    let refundCredit = null;
+    if (quote.refundMethod === 'credit' && quote.cashRefund.isPositive()) {
+      refundCredit = await creditManager.grant({
+        clientId: order.client_id,
+        kind: 'refund',
+        amount: quote.cashRefund,
+        currency: quote.currency,
+        sourceOrderId: order.id,
+        notes: `Refund for cancelled order ${order.order_number}`,
+        createdBy: actor.userId
+      }, executor);
+    }
+
+    // Only a refund to the original payment is left to the outbox consumer
+    const cashPending = quote.refundMethod === 'original' && quote.cashRefund.isPositive();
+    const refund = await database.create('order_refunds', {
+      order_id: order.id,
+      client_id: order.client_id,
+      currency: quote.currency,
+      stage: quote.stage,
+      policy: JSON.stringify({ ...quote.policy, feePercent: quote.feePercent }),
+      amount_paid: quote.amountPaid.toString(),
+      fee_amount: quote.fee.toString(),
+      fee_waived: quote.feeWaived,
+      refund_amount: quote.refund.toString(),
+      credit_restored: quote.creditRestored.toString(),
+      cash_refund: quote.cashRefund.toString(),
+      refund_method: quote.refundMethod,
+      refund_credit_id: refundCredit ? refundCredit.id : null,
+      status: cashPending ? 'pending' : (quote.refund.isPositive() ? 'refunded' : 'none'),
+      requested_by: actor.userId,
+      processed_at: cashPending ? null : new Date()
+    }, executor);
+
+    logger.revenue('Service order cancellation charged', {
+      orderId: order.id,
+      refundId: refund.id,
+      stage: quote.stage,
+      fee: refund.fee_amount,
+      refund: refund.refund_amount,
+      refundMethod: quote.refundMethod,
+      currency: quote.currency
+    });
+
+    const changes = cashPending ? {} : this.paymentChanges(quote.amountPaid, quote.refund);
+    return { refund, changes };
+  }
+
+  // The order's payment status once `refund` of `amountPaid` is back with the client
+  paymentChanges(amountPaid, refund) {
+    if (!refund.isPositive()) {
+      return {};
+    }
+    return { payment_status: refund.compare(amountPaid) >= 0 ? 'refunded' : 'partial' };
+  }
+
+  /**
+   * Refund the payment part of a cancelled order's refund through Stripe,
+   * against the payment of the bundle it was paid with. Keyed on the
+   * refund, so a redelivered event does not refund twice. Returns the
+   * order_refunds row.
+   */
+  async processRefund(orderId) {
+    const refund = await database.findOne('order_refunds', { order_id: orderId });
+    if (!refund || refund.status !== 'pending') {
+      return refund;
+    }
+
+    const order = await database.findById('service_orders', orderId);
+    const bundle = await database.findById('order_bundles', order.bundle_id);
+    const amount = Money.of(refund.cash_refund, refund.currency);
+
+    let stripeRefund;
+    try {
+      stripeRefund = await bundleCheckout.getStripe().refunds.create({
+        payment_intent: bundle.payment_intent_id,
+        amount: amount.toMinorUnits(),
+        metadata: {
+          orderId,
+          orderNumber: order.order_number,
+          refundId: refund.id
+        }
+      }, {
+        idempotencyKey: `order-refund-${refund.id}`
+      });
+    } catch (error) {
+      await database.update('order_refunds', refund.id, { error: error.message });
+      throw error;
+    }
+
+    const processed = await database.transaction(async (executor) => {
+      const updated = await database.update('order_refunds', refund.id, {
+        status: 'refunded',
+        stripe_refund_id: stripeRefund.id,
+        error: null,
+        processed_at: new Date()
+      }, executor);
+      const changes = this.paymentChanges(
+        Money.of(refund.amount_paid, refund.currency),
+        Money.of(refund.refund_amount, refund.currency)
+      );
+      if (changes.payment_status) {
+        await database.update('service_orders', orderId, changes, executor);
+      }
+      return updated;
+    });
+
+    logger.revenue('Service order refunded', {
+      orderId,
+      refundId: refund.id,
+      stripeRefundId: stripeRefund.id,
+      amount: amount.toNumber(),
+      currency: refund.currency
+    });
+
+    return processed;
+  }
+
+  async listRefunds(status = null) {
+    const params = [];
+    let where = '';
+    if (status) {
+      params.push(status);
+      where = 'WHERE r.status = $1';
+    }
+
+    const result = await database.query(`
+      SELECT r.*, so.order_number, so.service_id
+      FROM order_refunds r
+      JOIN service_orders so ON r.order_id = so.id
+      ${where}
+      ORDER BY r.created_at DESC
+      LIMIT 200
+    `, params);
+    return result.rows;
+  }
+
+  async listPolicies() {
+    const result = await database.query(`
+      SELECT cp.*, s.name as service_name
+      FROM cancellation_policies cp
+      LEFT JOIN services s ON cp.service_id = s.id
+      ORDER BY s.name NULLS FIRST
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Create or replace the cancellation policy of a service (serviceId null
+   * for the default). Applies to orders cancelled from now on.
+   */
+  async savePolicy({ serviceId = null, freeWindowMinutes, pendingFeePercent, startedFeePercent, completedFeePercent, refundMethod = 'original', isActive = true }, { userId = null } = {}) {
+    if (!REFUND_METHODS.includes(refundMethod)) {
+      throw new ValidationError(`Unknown refund method ${refundMethod}`, { field: 'refundMethod' });
+    }
+
+    const fields = {
+      free_window_minutes: freeWindowMinutes,
+      pending_fee_percent: pendingFeePercent,
+      started_fee_percent: startedFeePercent,
+      completed_fee_percent: completedFeePercent,
+      refund_method: refundMethod,
+      is_active: isActive
+    };
+
+    const existing = await database.query(
+      'SELECT * FROM cancellation_policies WHERE service_id IS NOT DISTINCT FROM $1',
+      [serviceId]
+    );
+    const policy = existing.rows[0]
+      ? await database.update('cancellation_policies', existing.rows[0].id, fields)
+      : await database.create('cancellation_policies', { service_id: serviceId, ...fields, created_by: userId });
+
+    logger.audit('Cancellation policy saved', { policyId: policy.id, serviceId, userId });
+    return policy;
+  }
+}
+
+// Create singleton instance
+const cancellationManager = new CancellationManager();
+
+module.exports = cancellationManager;
+module.exports.DEFAULT_CANCELLATION_POLICY = DEFAULT_CANCELLATION_POLICY;
+module.exports.REFUND_METHODS = REFUND_METHODS;
+module.exports.cancellationStage = cancellationStage;
@@ -0,0 +1,134 @@
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+const { ConflictError } = require('../middleware/errorHandler');
+const { Money } = require('../utils/money');
+
+// Combined checkout for order bundles: one Stripe payment for the bundle's
+// amount due (the line items' fees plus cost-plus pass-through costs, less
+// account credit).
+// start() opens or resumes the PaymentIntent the client pays with;
+// confirm() checks it with Stripe and marks the bundle and every line item
+// paid. Fees of commission lines that change at settlement are trued up on
+// the order, not through the bundle payment. The payment is taken in the
+// bundle's currency, in its minor units.
+
+class BundleCheckout {
+  constructor() {
+    this.stripe = null;
+  }
+
+  getStripe() {
+    if (!this.stripe) {
+      if (!process.env.STRIPE_SECRET_KEY) {
+        throw new Error('STRIPE_SECRET_KEY environment variable is required');
+      }
+      this.stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    }
+    return this.stripe;
+  }
+
+  // Line items' fees and pass-through costs, less account credit applied to them (Money)
+  balanceDue(bundle) {
+    return Money.sum([bundle.total_price, bundle.pass_through_amount || 0], bundle.currency)
+      .minus(Money.of(bundle.credit_applied || 0, bundle.currency));
+  }
+
+  amountDue(bundle) {
+    return this.balanceDue(bundle).toNumber();
+  }
+
+  async start(bundle) {
+    if (bundle.payment_status === 'paid') {
+      throw new ConflictError('Order bundle has already been paid');
+    }
+
+    const stripe = this.getStripe();
+    const amount = this.balanceDue(bundle).toMinorUnits();
+    const currency = bundle.currency.toLowerCase();
+
+    if (bundle.payment_intent_id) {
+      const existing = await stripe.paymentIntents.retrieve(bundle.payment_intent_id);
+      if (existing.status !== 'canceled' && existing.amount === amount && existing.currency === currency) {
+        return existing;
+      }
+    }
+
+    // Keyed on the previous intent, so concurrent starts share one payment
+    const intent = await stripe.paymentIntents.create({
+      amount,
+      currency,
+      description: `Order bundle ${bundle.bundle_number}`,
+      metadata: {
+        bundleId: bundle.id,
+        bundleNumber: bundle.bundle_number,
+        clientId: bundle.client_id
+      }
+    }, {
+      idempotencyKey: `bundle-checkout-${bundle.id}-${bundle.payment_intent_id || 'initial'}-${amount}`
+    });
+
+    await database.update('order_bundles', bundle.id, { payment_intent_id: intent.id });
+
+    logger.revenue('Order bundle checkout started', {
+      bundleId: bundle.id,
+      paymentIntentId: intent.id,
+      amountDue: this.amountDue(bundle),
+      currency: bundle.currency
+    });
+
+    return intent;
+  }
+
+  async confirm(bundle) {
+    if (bundle.payment_status === 'paid') {
+      return bundle;
+    }
+    if (!bundle.payment_intent_id) {
+      throw new ConflictError('Checkout has not been started for this order bundle');
+    }
+
+    const intent = await this.getStripe().paymentIntents.retrieve(bundle.payment_intent_id);
+    if (intent.status !== 'succeeded') {
+      throw new ConflictError(`Order bundle payment is ${intent.status}`);
+    }
+    if (intent.currency !== bundle.currency.toLowerCase() ||
+        intent.amount_received < this.balanceDue(bundle).toMinorUnits()) {
+      logger.security('Order bundle payment below amount due', {
+        bundleId: bundle.id,
+        paymentIntentId: intent.id,
+        amountReceived: intent.amount_received,
+        currency: intent.currency
+      });
+      throw new ConflictError('Order bundle payment does not cover the amount due');
+    }
+
+    const paidBundle = await database.transaction(async (executor) => {
+      const paid = await database.update('order_bundles', bundle.id, {
+        payment_status: 'paid',
+        paid_at: new Date()
+      }, executor);
+
+      await executor.query(`
+        UPDATE service_orders
+        SET payment_status = 'paid', updated_at = NOW()
+        WHERE bundle_id = $1
+      `, [bundle.id]);
+
+      return paid;
+    });
+
+    logger.revenue('Order bundle paid', {
+      bundleId: bundle.id,
+      paymentIntentId: intent.id,
+      amountPaid: Money.fromMinor(intent.amount_received, bundle.currency).toNumber(),
+      currency: bundle.currency
+    });
+
+    return paidBundle;
+  }
+}
+
+// Create singleton instance
+const bundleCheckout = new BundleCheckout();
+
+module.exports = bundleCheckout;
@@ -0,0 +1,264 @@
+const axios = require('axios');
+const database = require('../database/connection');
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+const outbox = require('../queue/outbox');
+const referralManager = require('../promotions/referrals');
+const cancellationManager = require('./cancellation');
+const { ORDER_STATUSES } = require('./states');
+
+// Order events and their outbox consumers. OrderService publishes
+// order.<status> with every status change and order.settled with
+// settlement, in the transaction that makes the change; the consumers
+// registered here act on them after commit. The SLA monitor (./sla)
+// publishes order.sla_at_risk and order.sla_breached the same way.
+// Delivery is at-least-once, so each consumer checks for its own earlier
+// effect before acting; notifications are marked sent per event and
+// recipient in Redis (deliverOnce).
+
+const ORDER_EVENTS = {
+  COMPLETED: 'order.completed',
+  CANCELLED: 'order.cancelled',
+  SETTLED: 'order.settled',
+  SLA_AT_RISK: 'order.sla_at_risk',
+  SLA_BREACHED: 'order.sla_breached'
+};
+
+function orderEventType(status) {
+  return `order.${status}`;
+}
+
+const ALL_ORDER_EVENTS = [...ORDER_STATUSES.map(orderEventType), ORDER_EVENTS.SETTLED];
+const SLA_EVENTS = [ORDER_EVENTS.SLA_AT_RISK, ORDER_EVENTS.SLA_BREACHED];
+
+// How long a notification is remembered as sent; a replay further back notifies again
+const NOTIFIED_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const STATUS_MESSAGES = {
+  in_progress: 'is in progress',
+  completed: 'has been completed',
+  failed: 'could not be completed',
+  cancelled: 'has been cancelled'
+};
+
+// Revenue is due at completion, or for commission and cost-plus orders at
+// whichever of completion and settlement comes last
+async function trackOrderRevenue(event, app) {
+  const order = await database.findById('service_orders', event.aggregate_id);
+  if (!order || !await app.get('orderService').isRevenueDue(order)) {
+    return;
+  }
+  if (await database.findOne('revenue_records', { order_id: order.id })) {
+    return;
+  }
+
+  await app.get('revenueOptimizer').trackRevenue(order.id, order.final_price, order.service_id, order.client_id);
+
+  logger.revenue('Service completed', {
+    orderId: order.id,
+    clientId: order.client_id,
+    revenue: order.final_price,
+    currency: order.currency,
+    eventId: event.id
+  });
+}
+
+// A cancelled order keeps only its cancellation fee as revenue. Handled by
+// the revenue consumer, so it comes after the order's completion event
+async function reverseOrderRevenue(event, app) {
+  await app.get('revenueOptimizer').reverseRevenue(event.aggregate_id);
+}
+
+// Offer follow-on services at this order's depth in its cascade chain
+async function triggerOrderCascade(event, app) {
+  const order = await database.findById('service_orders', event.aggregate_id);
+  if (!order) {
+    return;
+  }
+  await app.get('cascadeEngine').triggerCascade(order.id, order.client_id, order.cascade_depth || 0);
+}
+
+// A referred client's first completed order earns the referrer credit
+async function rewardOrderReferral(event) {
+  const order = await database.findById('service_orders', event.aggregate_id);
+  if (!order) {
+    return;
+  }
+  await referralManager.rewardReferral(order);
+}
+
+// Run `send` unless this consumer already notified `recipient` of the event.
+// The mark is set first and cleared if sending fails, so a redelivery
+// neither repeats a notification nor loses one
+async function deliverOnce(consumer, event, recipient, send) {
+  const key = `notified:${consumer}:${event.id}:${recipient}`;
+  if (!await redis.setIfAbsent(key, NOTIFIED_TTL_SECONDS)) {
+    return;
+  }
+  try {
+    await send();
+  } catch (error) {
+    await redis.del(key);
+    throw error;
+  }
+}
+
+// In-app notification for the client, pushed live to their sockets and the admin room
+async function notifyOrderEvent(event, app) {
+  const { payload } = event;
+  const message = event.event_type === ORDER_EVENTS.SETTLED
+    ? 'has been settled'
+    : STATUS_MESSAGES[payload.toStatus];
+  if (!message) {
+    return;
+  }
+
+  const order = await database.findById('service_orders', event.aggregate_id);
+  const client = order ? await database.findById('clients', order.client_id) : null;
+  if (!client) {
+    return;
+  }
+
+  const notification = {
+    type: event.event_type === ORDER_EVENTS.SETTLED ? 'order_settled' : 'order_status_changed',
+    title: `Order ${order.order_number} ${message}`,
+    message: payload.reason ? `Order ${order.order_number} ${message}: ${payload.reason}` : `Order ${order.order_number} ${message}.`,
+    data: {
+      orderId: order.id,
+      status: order.status,
+      eventId: event.id
+    }
+  };
+
+  const io = app.get('io');
+  if (client.user_id) {
+    await deliverOnce('notifications', event, `user_${client.user_id}`, async () => {
+      await redis.queueNotification(client.user_id, notification);
+      if (io) {
+        io.to(`user_${client.user_id}`).emit('order_updated', notification);
+      }
+    });
+  }
+  if (io) {
+    await deliverOnce('notifications', event, 'admin_room', async () => {
+      io.to('admin_room').emit('order_updated', { ...notification, clientId: client.id });
+    });
+  }
+}
+
+// Alert admins, live in the admin room and in their notification lists,
+// and the assigned agent, that an order is about to miss or has missed its SLA
+async function escalateOrderSla(event, app) {
+  const { payload } = event;
+  const breached = event.event_type === ORDER_EVENTS.SLA_BREACHED;
+  const deadline = payload.clock === 'response' ? 'start' : 'completion';
+
+  const notification = {
+    type: breached ? 'order_sla_breached' : 'order_sla_at_risk',
+    title: breached
+      ? `Order ${payload.orderNumber} missed its ${payload.urgency} ${deadline} deadline`
+      : `Order ${payload.orderNumber} is close to its ${payload.urgency} ${deadline} deadline`,
+    message: payload.creditId
+      ? `Due ${new Date(payload.dueAt).toISOString()}. The client was credited ${payload.creditAmount} ${payload.currency}.`
+      : `Due ${new Date(payload.dueAt).toISOString()}.`,
+    data: {
+      orderId: payload.orderId,
+      clock: payload.clock,
+      dueAt: payload.dueAt,
+      assignedTo: payload.assignedTo,
+      creditId: payload.creditId,
+      eventId: event.id
+    }
+  };
+
+  const adminUsers = await database.query(
+    'SELECT id FROM users WHERE role IN (\'admin\', \'super_admin\') AND is_active = true'
+  );
+  const io = app.get('io');
+
+  // Each recipient once, so a retry after a partial failure only reaches the rest
+  for (const admin of adminUsers.rows) {
+    await deliverOnce('escalations', event, `user_${admin.id}`, async () => {
+      await redis.queueNotification(admin.id, notification);
+    });
+  }
+  if (payload.assignedTo) {
+    await deliverOnce('escalations', event, `assignee_${payload.assignedTo}`, async () => {
+      await redis.queueNotification(payload.assignedTo, notification);
+      if (io) {
+        io.to(`user_${payload.assignedTo}`).emit('sla_escalation', notification);
+      }
+    });
+  }
+  if (io) {
+    await deliverOnce('escalations', event, 'admin_room', async () => {
+      io.to('admin_room').emit('sla_escalation', notification);
+    });
+  }
+}
+
+// Forward order events to the Make.com scenario; the event id lets the
+// scenario drop redeliveries
+async function forwardOrderEvent(event, webhookUrl) {
+  const body = {
+    eventId: event.id,
+    type: event.event_type,
+    occurredAt: event.created_at,
+    ...event.payload
+  };
+
+  const log = {
+    integration_type: 'make',
+    action: event.event_type,
+    client_id: event.payload.clientId || null,
+    order_id: event.aggregate_id,
+    request_data: JSON.stringify(body)
+  };
+
+  try {
+    const response = await axios.post(webhookUrl, body, {
+      timeout: parseInt(process.env.MAKE_WEBHOOK_TIMEOUT_MS) || 10000,
+      headers: { 'Idempotency-Key': `outbox-${event.id}` }
+    });
+    await database.create('integration_logs', {
+      ...log,
+      response_data: JSON.stringify({ status: response.status }),
+      status: 'success'
+    });
+  } catch (error) {
+    await database.create('integration_logs', {
+      ...log,
+      status: 'error',
+      error_message: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Register the order consumers with the outbox. Call once the services
+ * they use (orderService, revenueOptimizer, cascadeEngine, io) are set on
+ * the app, before outbox.start().
+ */
+function registerOrderConsumers(app) {
+  outbox.register('revenue', [ORDER_EVENTS.COMPLETED, ORDER_EVENTS.SETTLED, ORDER_EVENTS.CANCELLED], event => (
+    event.event_type === ORDER_EVENTS.CANCELLED ? reverseOrderRevenue(event, app) : trackOrderRevenue(event, app)
+  ));
+  outbox.register('refunds', [ORDER_EVENTS.CANCELLED], event => cancellationManager.processRefund(event.aggregate_id));
+  outbox.register('cascades', [ORDER_EVENTS.COMPLETED], event => triggerOrderCascade(event, app));
+  outbox.register('referrals', [ORDER_EVENTS.COMPLETED], event => rewardOrderReferral(event));
+  outbox.register('notifications', ALL_ORDER_EVENTS, event => notifyOrderEvent(event, app));
+  outbox.register('escalations', SLA_EVENTS, event => escalateOrderSla(event, app));
+
+  if (process.env.MAKE_WEBHOOK_URL) {
+    outbox.register('integrations', [...ALL_ORDER_EVENTS, ...SLA_EVENTS], event => forwardOrderEvent(event, process.env.MAKE_WEBHOOK_URL));
+  }
+}
+
+module.exports = {
+  ORDER_EVENTS,
+  ALL_ORDER_EVENTS,
+  SLA_EVENTS,
+  orderEventType,
+  registerOrderConsumers
+};
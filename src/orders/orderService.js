@@ -0,0 +1,572 @@
+const database = require('../database/connection');
+const { ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+const pricingService = require('../pricing/pricingService');
+const quoteManager = require('../pricing/quotes');
+const pricingGuardrails = require('../pricing/guardrails');
+const { currencyOf, isPercentageModel } = require('../pricing/models');
+const { volumeTier } = require('../pricing/rules');
+const promotionManager = require('../promotions/promotions');
+const creditManager = require('../promotions/credits');
+const { assertTransition, STATE_TIMESTAMPS } = require('./states');
+const { ORDER_EVENTS, orderEventType } = require('./events');
+const outbox = require('../queue/outbox');
+const assignmentManager = require('./assignment');
+const { assertAssignee } = require('./assignment');
+const slaManager = require('./sla');
+const cancellationManager = require('./cancellation');
+const logger = require('../utils/logger');
+const { Money } = require('../utils/money');
+
+// Single path for creating service orders, used by the order API, bundle
+// orders and anything that turns into an order later (accepted cascade
+// offers, ...)
+class OrderService {
+  // Falls back to the base price, with an empty breakdown, if pricing fails
+  // (bad input such as a missing underlying amount is still an error). The
+  // base price is only a fallback for clients billed in the service's currency.
+  async priceOrder(service, client, options = {}) {
+    try {
+      return await pricingService.quote(service, client.id, options);
+    } catch (error) {
+      const currency = currencyOf(service);
+      if (error.isOperational || (client.currency && client.currency !== currency)) {
+        throw error;
+      }
+
+      logger.error('Error calculating pricing for order', {
+        serviceId: service.id,
+        clientId: client.id,
+        error: error.message
+      });
+
+      const basePrice = Money.of(service.base_price, currency).toNumber();
+      return {
+        currency,
+        basePrice,
+        finalPrice: basePrice,
+        adjustmentFactors: [],
+        discountAmount: 0,
+        premiumAmount: 0,
+        totalAdjustment: 0
+      };
+    }
+  }
+
+  /**
+   * Create a pending service order. Pricing is calculated unless an already
+   * agreed price (e.g. from an accepted offer) is passed in, or a price
+   * quote is redeemed for it. Commission and cost-plus services are priced
+   * from `underlyingAmount`. Lineage links the order into a cascade chain.
+   * A promotion code is taken off the price, and with `applyCredit` the
+   * client's account credit pays for as much of the order as it covers.
+   * Given an `executor`, the order is written in the caller's transaction.
+   */
+  async createOrder({
+    service,
+    client,
+    vehicleId = null,
+    urgency = 'standard',
+    notes = null,
+    serviceData = null,
+    pricing = null,
+    priority = 1,
+    lineage = null,
+    quoteId = null,
+    underlyingAmount = null,
+    promotionCode = null,
+    applyCredit = false,
+    region = null
+  }, executor = null) {
+    const promotion = promotionCode
+      ? await promotionManager.resolve(promotionCode, { service, clientId: client.id })
+      : null;
+
+    let orderPricing = pricing;
+    if (!orderPricing && quoteId) {
+      orderPricing = await quoteManager.redeem(quoteId, {
+        clientId: client.id,
+        serviceId: service.id,
+        urgency,
+        underlyingAmount
+      });
+    }
+    if (!orderPricing) {
+      orderPricing = await this.priceOrder(service, client, { urgency, underlyingAmount, promotion });
+    }
+    // Quoted and agreed prices take the promotion on top
+    if (promotion && !orderPricing.promotion) {
+      orderPricing = pricingService.applyPromotion(orderPricing, promotion);
+    }
+
+    let serviceOrder;
+    let creditApplied = Money.zero(orderPricing.currency);
+    const writeOrder = async (executor) => {
+      const order = await this.insertOrder(orderPricing, {
+        service, client, vehicleId, serviceData, notes, priority, lineage, region, urgency
+      }, executor);
+
+      if (orderPricing.promotion) {
+        await promotionManager.redeem(orderPricing.promotion, { clientId: client.id, orderId: order.id }, executor);
+      }
+      if (applyCredit) {
+        creditApplied = await creditManager.applyToOrder(order, this.amountDue(orderPricing), executor);
+      }
+      return { ...order, credit_applied: creditApplied.toNumber() };
+    };
+
+    try {
+      serviceOrder = executor ? await writeOrder(executor) : await database.transaction(writeOrder);
+    } catch (error) {
+      // Give the quote back so the client can retry at the same price
+      if (orderPricing.quoteId) {
+        await quoteManager.release(orderPricing.quoteId);
+      }
+      throw error;
+    }
+
+    if (orderPricing.quoteId) {
+      await quoteManager.attachOrder(orderPricing.quoteId, serviceOrder.id);
+    }
+
+    logger.revenue('Service order created', {
+      orderId: serviceOrder.id,
+      clientId: client.id,
+      serviceId: service.id,
+      serviceName: service.name,
+      finalPrice: orderPricing.finalPrice,
+      currency: orderPricing.currency,
+      quoteId: orderPricing.quoteId || null,
+      promotionCode: orderPricing.promotion ? orderPricing.promotion.code : null,
+      creditApplied: creditApplied.toNumber(),
+      urgency
+    });
+
+    return { serviceOrder, pricing: { ...orderPricing, creditApplied: creditApplied.toNumber() } };
+  }
+
+  // What the client pays (Money): the fee, plus pass-through costs for cost-plus services
+  amountDue(pricing) {
+    return Money.of(pricing.clientTotal !== undefined ? pricing.clientTotal : pricing.finalPrice, pricing.currency);
+  }
+
+  // The order takes its SLA terms for the urgency (./sla) and is assigned
+  // to an agent in the same transaction when one has room (./assignment)
+  async insertOrder(orderPricing, { service, client, vehicleId, serviceData, notes, priority, lineage, bundleId = null, volumeDiscount = 0, region = null, urgency = 'standard' }, executor = database) {
+    const slaFields = await slaManager.startClock(service, urgency, new Date(), executor);
+    const order = await database.create('service_orders', {
+      client_id: client.id,
+      service_id: service.id,
+      vehicle_id: vehicleId,
+      order_number: this.generateOrderNumber(),
+      status: 'pending',
+      currency: orderPricing.currency || currencyOf(service),
+      // A redeemed quote keeps the base price it was quoted against
+      base_price: orderPricing.basePrice !== undefined ? orderPricing.basePrice : service.base_price,
+      final_price: orderPricing.finalPrice,
+      discount_amount: orderPricing.discountAmount,
+      adjustment_factors: JSON.stringify(orderPricing.adjustmentFactors || []),
+      pricing_rule_set_id: orderPricing.ruleSetId || null,
+      underlying_amount: orderPricing.feeBasis ? orderPricing.feeBasis.underlyingAmount || null : null,
+      priority,
+      service_data: serviceData ? JSON.stringify(serviceData) : null,
+      notes,
+      parent_order_id: lineage ? lineage.parentOrderId : null,
+      root_order_id: lineage ? lineage.rootOrderId : null,
+      cascade_depth: lineage ? lineage.depth : 0,
+      bundle_id: bundleId,
+      volume_discount: volumeDiscount,
+      promotion_id: orderPricing.promotion ? orderPricing.promotion.promotionId : null,
+      promotion_discount: orderPricing.promotion ? orderPricing.promotion.discountAmount : 0,
+      region: region || client.region || null,
+      ...slaFields
+    }, executor);
+
+    await this.recordStatusChange(order.id, null, order.status, {}, executor);
+
+    if (assignmentManager.autoAssign) {
+      const agentId = await assignmentManager.assignOrder(order, service, executor);
+      if (agentId) {
+        const assigned = await executor.query('SELECT * FROM service_orders WHERE id = $1', [order.id]);
+        return assigned.rows[0];
+      }
+    }
+    return order;
+  }
+
+  /**
+   * Move an order to `toStatus` (see ./states) for `actor`
+   * ({ userId, role, clientId }); an agent must be the order's assignee.
+   * `reason` is required for cancellation and failure; `fields` are other order columns to update with the change.
+   * The order row is locked for the transition, so of concurrent requests
+   * for the same change only one succeeds. The change is published to the
+   * outbox (order.<status>) in the same transaction; side effects such as
+   * revenue tracking and cascades are its consumers (./events). Starting
+   * and finishing work moves the order's SLA clocks, and a late start or
+   * completion is recorded as a breach (./sla). Cancelling charges the
+   * cancellation fee and refunds the rest (./cancellation); `cancellation`
+   * is { waiveFee, refundMethod } for it.
+   * Returns { order, previousStatus, refund }.
+   */
+  async transitionOrder(orderId, toStatus, { actor, reason = null, fields = {}, cancellation = {} }) {
+    const { order, previousStatus, refund } = await database.transaction(async (executor) => {
+      const result = await executor.query('SELECT * FROM service_orders WHERE id = $1 FOR UPDATE', [orderId]);
+      const current = result.rows[0];
+      if (!current) {
+        throw new NotFoundError('Order not found');
+      }
+      if (actor.role === 'client' && current.client_id !== actor.clientId) {
+        throw new AuthorizationError('Access denied to this order');
+      }
+      assertAssignee(current, actor);
+      assertTransition(current.status, toStatus, actor.role, { reason });
+
+      const changes = { ...fields, status: toStatus };
+      const timestamp = STATE_TIMESTAMPS[toStatus];
+      if (timestamp && !current[timestamp]) {
+        changes[timestamp] = new Date();
+      }
+      let refund = null;
+      if (toStatus === 'cancelled') {
+        changes.cancellation_reason = reason;
+        const cancelled = await cancellationManager.recordCancellation(current, { actor, ...cancellation }, executor);
+        refund = cancelled.refund;
+        Object.assign(changes, cancelled.changes);
+      }
+
+      Object.assign(changes, slaManager.transitionChanges(current, toStatus, changes));
+
+      let updated = await database.update('service_orders', orderId, changes, executor);
+      await this.recordStatusChange(orderId, current.status, toStatus, { actor, reason }, executor);
+      const missedClock = slaManager.missedAt(current, updated);
+      if (missedClock) {
+        await slaManager.escalate(updated, missedClock, 'breached', executor);
+        updated = { ...updated, sla_status: 'breached' };
+      }
+      await outbox.publish({
+        type: orderEventType(toStatus),
+        aggregateType: 'service_order',
+        aggregateId: orderId,
+        payload: {
+          orderId,
+          clientId: current.client_id,
+          serviceId: current.service_id,
+          fromStatus: current.status,
+          toStatus,
+          reason,
+          changedBy: actor.userId,
+          actorRole: actor.role
+        }
+      }, executor);
+      return { order: updated, previousStatus: current.status, refund };
+    });
+
+    logger.audit('Service order status changed', {
+      orderId,
+      previousStatus,
+      newStatus: toStatus,
+      reason,
+      updatedBy: actor.userId
+    });
+
+    return { order, previousStatus, refund };
+  }
+
+  // order_status_history is append-only; the order's creation is its first row
+  async recordStatusChange(orderId, fromStatus, toStatus, { actor = null, reason = null } = {}, executor = database) {
+    return await database.create('order_status_history', {
+      order_id: orderId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      reason,
+      changed_by: actor ? actor.userId : null,
+      actor_role: actor ? actor.role : null
+    }, executor);
+  }
+
+  async getStatusHistory(orderId) {
+    const result = await database.query(`
+      SELECT osh.*, u.email as changed_by_email
+      FROM order_status_history osh
+      LEFT JOIN users u ON osh.changed_by = u.id
+      WHERE osh.order_id = $1
+      ORDER BY osh.created_at ASC
+    `, [orderId]);
+    return result.rows;
+  }
+
+  /**
+   * Price services ordered together. Every line runs through the pricing
+   * pipeline with the bundle size, so the volume discount applies to each
+   * line at its own price; a line's share of the bundle discount is its
+   * stand-alone price minus its bundled price. Every line is priced in the
+   * client's currency, so the bundle totals are too.
+   */
+  async priceBundle(client, items, { urgency = 'standard' } = {}) {
+    const bundleSize = items.length;
+    const lines = [];
+
+    for (const item of items) {
+      const options = { urgency, underlyingAmount: item.underlyingAmount || null };
+      const standalone = await this.priceOrder(item.service, client, { ...options, recordGuardrails: false });
+      const pricing = await this.priceOrder(item.service, client, { ...options, bundleSize });
+      const listPrice = Money.of(standalone.finalPrice, standalone.currency);
+      const volumeDiscount = listPrice.minus(Money.of(pricing.finalPrice, pricing.currency));
+
+      lines.push({
+        ...item,
+        pricing,
+        listPrice: listPrice.toNumber(),
+        volumeDiscount: Money.max(volumeDiscount, Money.zero(pricing.currency)).toNumber()
+      });
+    }
+
+    const currency = lines[0].pricing.currency;
+    const sum = (amount) => Money.sum(lines.map(amount), currency);
+    const totalPrice = sum(line => line.pricing.finalPrice);
+    // Cost-plus lines bill the underlying cost on top of the fee
+    const amountDue = sum(line => this.amountDue(line.pricing));
+
+    return {
+      lines,
+      currency,
+      volumeTier: volumeTier(bundleSize),
+      listPrice: sum(line => line.listPrice).toNumber(),
+      volumeDiscount: sum(line => line.volumeDiscount).toNumber(),
+      totalPrice: totalPrice.toNumber(),
+      passThroughAmount: amountDue.minus(totalPrice).toNumber(),
+      amountDue: amountDue.toNumber()
+    };
+  }
+
+  /**
+   * Create a bundle of service orders: one order_bundles row and a pending
+   * service order per line item, in one transaction. Items are
+   * `{ serviceId, vehicleId, underlyingAmount, notes, serviceData }`. With
+   * `applyCredit`, account credit pays for the line items in order; a
+   * bundle paid for in full by credit needs no checkout.
+   */
+  async createBundle({ client, items, urgency = 'standard', notes = null, applyCredit = false }) {
+    const serviceIds = [...new Set(items.map(item => item.serviceId))];
+    const services = await database.query(
+      'SELECT * FROM services WHERE id = ANY($1) AND is_active = true',
+      [serviceIds]
+    );
+    const missing = serviceIds.filter(id => !services.rows.some(service => service.id === id));
+    if (missing.length > 0) {
+      throw new NotFoundError(`Service not found: ${missing.join(', ')}`);
+    }
+
+    const bundlePricing = await this.priceBundle(client, items.map(item => ({
+      ...item,
+      service: services.rows.find(service => service.id === item.serviceId)
+    })), { urgency });
+
+    const { bundle, serviceOrders } = await database.transaction(async (executor) => {
+      const bundle = await database.create('order_bundles', {
+        client_id: client.id,
+        bundle_number: this.generateOrderNumber('LAB'),
+        currency: bundlePricing.currency,
+        urgency,
+        item_count: items.length,
+        volume_tier: bundlePricing.volumeTier,
+        list_price: bundlePricing.listPrice,
+        volume_discount: bundlePricing.volumeDiscount,
+        total_price: bundlePricing.totalPrice,
+        pass_through_amount: bundlePricing.passThroughAmount,
+        notes
+      }, executor);
+
+      const serviceOrders = [];
+      let creditApplied = Money.zero(bundlePricing.currency);
+      for (const line of bundlePricing.lines) {
+        const order = await this.insertOrder(line.pricing, {
+          service: line.service,
+          client,
+          vehicleId: line.vehicleId || null,
+          serviceData: line.serviceData || null,
+          notes: line.notes || null,
+          priority: 1,
+          bundleId: bundle.id,
+          volumeDiscount: line.volumeDiscount,
+          urgency
+        }, executor);
+
+        if (applyCredit) {
+          creditApplied = creditApplied.plus(await creditManager.applyToOrder(order, this.amountDue(line.pricing), executor));
+        }
+        serviceOrders.push(order);
+      }
+
+      if (creditApplied.isZero()) {
+        return { bundle, serviceOrders };
+      }
+
+      const paidInFull = creditApplied.compare(Money.of(bundlePricing.amountDue, bundlePricing.currency)) >= 0;
+      const creditedBundle = await database.update('order_bundles', bundle.id, {
+        credit_applied: creditApplied.toString(),
+        ...(paidInFull ? { payment_status: 'paid', paid_at: new Date() } : {})
+      }, executor);
+      if (paidInFull) {
+        await executor.query(`
+          UPDATE service_orders
+          SET payment_status = 'paid', updated_at = NOW()
+          WHERE bundle_id = $1
+        `, [bundle.id]);
+      }
+
+      return { bundle: creditedBundle, serviceOrders };
+    });
+
+    logger.revenue('Order bundle created', {
+      bundleId: bundle.id,
+      clientId: client.id,
+      items: items.length,
+      volumeTier: bundlePricing.volumeTier,
+      listPrice: bundlePricing.listPrice,
+      volumeDiscount: bundlePricing.volumeDiscount,
+      totalPrice: bundlePricing.totalPrice,
+      currency: bundlePricing.currency,
+      creditApplied: parseFloat(bundle.credit_applied) || 0
+    });
+
+    return { bundle, serviceOrders, pricing: bundlePricing };
+  }
+
+  // A bundle with its line items (service orders, with service names)
+  async getBundle(bundleId) {
+    const bundle = await database.findById('order_bundles', bundleId);
+    if (!bundle) {
+      throw new NotFoundError('Order bundle not found');
+    }
+
+    const serviceOrders = await database.query(`
+      SELECT so.*, s.name as service_name, s.slug as service_slug, s.pricing_model
+      FROM service_orders so
+      JOIN services s ON so.service_id = s.id
+      WHERE so.bundle_id = $1
+      ORDER BY so.created_at ASC
+    `, [bundleId]);
+
+    return { bundle, serviceOrders: serviceOrders.rows };
+  }
+
+  /**
+   * Record the settled amount of a commission or cost-plus order's
+   * underlying transaction (vehicle sale closed, parts invoiced) and re-price
+   * the fee on it. An agent `actor` must be the order's assignee. Returns
+   * the updated order and its pricing.
+   */
+  async settleOrder(orderId, settledAmount, { actor = null } = {}) {
+    const order = await database.findById('service_orders', orderId);
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    if (actor) {
+      assertAssignee(order, actor);
+    }
+
+    const service = await database.findById('services', order.service_id);
+    if (!isPercentageModel(service)) {
+      throw new ValidationError('Only commission and cost-plus orders are settled', {
+        pricingModel: service.pricing_model || 'flat'
+      });
+    }
+    this.assertSettleable(order);
+
+    // Settled in the currency the order was placed in
+    const pricedService = await pricingService.priceListFor(service, order.currency);
+    const client = await pricingService.getClientProfile(order.client_id);
+    let pricing = pricingService.settleFee(pricedService, order.adjustment_factors, settledAmount, client || {});
+    if (order.promotion_id) {
+      pricing = pricingService.applyPromotion(pricing, await promotionManager.getPromotion(order.promotion_id));
+    }
+    await pricingGuardrails.record(pricing.guardrails, {
+      serviceId: service.id,
+      clientId: order.client_id,
+      orderId,
+      channel: 'settlement',
+      ruleSetId: order.pricing_rule_set_id
+    });
+
+    const settledOrder = await database.transaction(async (executor) => {
+      // Checked again under the row lock, so settlement and completion
+      // agree on which of them makes the revenue due
+      const locked = await executor.query('SELECT * FROM service_orders WHERE id = $1 FOR UPDATE', [orderId]);
+      this.assertSettleable(locked.rows[0]);
+
+      if (pricing.promotion) {
+        await promotionManager.updateRedemption(orderId, pricing.promotion.discountAmount, executor);
+      }
+
+      const updated = await database.update('service_orders', orderId, {
+        base_price: pricing.basePrice,
+        final_price: pricing.finalPrice,
+        discount_amount: pricing.discountAmount,
+        adjustment_factors: JSON.stringify(pricing.adjustmentFactors),
+        promotion_discount: pricing.promotion ? pricing.promotion.discountAmount : 0,
+        settled_amount: settledAmount,
+        settled_at: new Date()
+      }, executor);
+
+      // A completed order's revenue becomes due on settlement
+      await outbox.publish({
+        type: ORDER_EVENTS.SETTLED,
+        aggregateType: 'service_order',
+        aggregateId: orderId,
+        payload: {
+          orderId,
+          clientId: updated.client_id,
+          serviceId: updated.service_id,
+          status: updated.status,
+          settledAmount,
+          fee: pricing.finalPrice,
+          currency: pricing.currency
+        }
+      }, executor);
+      return updated;
+    });
+
+    logger.revenue('Service order settled', {
+      orderId,
+      serviceId: service.id,
+      pricingModel: service.pricing_model,
+      estimatedAmount: order.underlying_amount ? parseFloat(order.underlying_amount) : null,
+      settledAmount,
+      fee: pricing.finalPrice,
+      currency: pricing.currency
+    });
+
+    return { serviceOrder: settledOrder, pricing };
+  }
+
+  assertSettleable(order) {
+    if (order.settled_at) {
+      throw new ConflictError('Order has already been settled');
+    }
+    if (['cancelled', 'failed'].includes(order.status)) {
+      throw new ConflictError(`Order is ${order.status} and cannot be settled`);
+    }
+  }
+
+  /**
+   * Revenue is tracked once an order is completed and its price is final:
+   * at completion for flat-priced services, and for commission and
+   * cost-plus services at completion or settlement, whichever comes last.
+   */
+  async isRevenueDue(order) {
+    if (order.status !== 'completed') {
+      return false;
+    }
+
+    const service = await database.findById('services', order.service_id);
+    return !isPercentageModel(service) || Boolean(order.settled_at);
+  }
+
+  generateOrderNumber(prefix = 'LAE') { // Luxury Automotive Ecosystem
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substr(2, 4).toUpperCase();
+    return `${prefix}-${timestamp}-${random}`;
+  }
+}
+
+module.exports = OrderService;
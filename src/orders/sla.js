@@ -0,0 +1,341 @@
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+const outbox = require('../queue/outbox');
+const creditManager = require('../promotions/credits');
+const { ORDER_EVENTS } = require('./events');
+const { Money } = require('../utils/money');
+
+// Service level agreements: turnaround targets per service and urgency.
+// Each order runs two clocks, and its SLA terms are copied onto it when it
+// is created so later changes to the definitions do not move its deadlines:
+//
+//   response    created_at -> started_at    (start_due_at)
+//   resolution  started_at -> completed_at  (complete_due_at, set on start)
+//
+// An order is at risk once atRiskRatio of a clock's window has passed and
+// breached once its due time has. The SLA monitor (check) records each of
+// these once per clock in order_sla_events and publishes it to the outbox,
+// where the escalation consumer alerts admins. A late start or completion
+// is recorded at the transition itself, in case the monitor had not run.
+// With breachCreditPercent set, a breach earns the client goodwill credit,
+// once per order.
+
+const MINUTE = 60 * 1000;
+
+// Used where no service_slas row applies
+const DEFAULT_SLAS = {
+  standard: { responseMinutes: 24 * 60, resolutionMinutes: 7 * 24 * 60, atRiskRatio: 0.8, breachCreditPercent: 0 },
+  expedited: { responseMinutes: 4 * 60, resolutionMinutes: 48 * 60, atRiskRatio: 0.8, breachCreditPercent: 10 },
+  emergency: { responseMinutes: 60, resolutionMinutes: 12 * 60, atRiskRatio: 0.75, breachCreditPercent: 10 }
+};
+
+const URGENCIES = Object.keys(DEFAULT_SLAS);
+
+const SLA_CLOCKS = {
+  response: { dueColumn: 'start_due_at', windowKey: 'responseMinutes', statuses: ['pending'] },
+  resolution: { dueColumn: 'complete_due_at', windowKey: 'resolutionMinutes', statuses: ['in_progress', 'failed'] }
+};
+
+function dueAt(from, minutes) {
+  return new Date(new Date(from).getTime() + minutes * MINUTE);
+}
+
+// The clock an order in `status` is running, or null once it is final
+function runningClock(status) {
+  return Object.keys(SLA_CLOCKS).find(clock => SLA_CLOCKS[clock].statuses.includes(status)) || null;
+}
+
+// 'breached', 'at_risk' or null for a clock due at `due` with a `windowMinutes` window
+function assess(due, windowMinutes, atRiskRatio, now) {
+  const dueTime = new Date(due).getTime();
+  if (now.getTime() > dueTime) {
+    return 'breached';
+  }
+  const atRiskTime = dueTime - windowMinutes * MINUTE * (1 - atRiskRatio);
+  return now.getTime() >= atRiskTime ? 'at_risk' : null;
+}
+
+function mapSla(row) {
+  return {
+    slaId: row.id,
+    responseMinutes: row.response_minutes,
+    resolutionMinutes: row.resolution_minutes,
+    atRiskRatio: parseFloat(row.at_risk_ratio),
+    breachCreditPercent: parseFloat(row.breach_credit_percent) || 0
+  };
+}
+
+class SlaManager {
+  constructor() {
+    this.breachCreditsEnabled = process.env.SLA_BREACH_CREDITS !== 'false';
+    this.creditTtlDays = parseInt(process.env.SLA_CREDIT_TTL_DAYS) || 365;
+  }
+
+  // The service's own SLA for the urgency, else the default one, else the built-in terms
+  async policyFor(serviceId, urgency = 'standard', executor = database) {
+    const result = await executor.query(`
+      SELECT * FROM service_slas
+      WHERE urgency = $2 AND is_active = true AND (service_id = $1 OR service_id IS NULL)
+      ORDER BY service_id NULLS LAST
+      LIMIT 1
+    `, [serviceId, urgency]);
+
+    if (result.rows[0]) {
+      return mapSla(result.rows[0]);
+    }
+    return { slaId: null, ...(DEFAULT_SLAS[urgency] || DEFAULT_SLAS.standard) };
+  }
+
+  // Columns for a new order: its SLA terms and response due time
+  async startClock(service, urgency, now = new Date(), executor = database) {
+    const sla = await this.policyFor(service.id, urgency, executor);
+    return {
+      urgency,
+      sla: JSON.stringify(sla),
+      start_due_at: dueAt(now, sla.responseMinutes),
+      sla_status: 'on_track'
+    };
+  }
+
+  /**
+   * SLA columns to change with a status transition: starting work starts
+   * the resolution clock (once); completing an order that never breached
+   * marks its SLA met.
+   */
+  transitionChanges(order, toStatus, changes) {
+    const sla = order.sla;
+    if (!sla) {
+      return {};
+    }
+
+    const slaChanges = {};
+    if (toStatus === 'in_progress' && !order.complete_due_at) {
+      slaChanges.complete_due_at = dueAt(changes.started_at || order.started_at || new Date(), sla.resolutionMinutes);
+      if (order.sla_status === 'at_risk') {
+        slaChanges.sla_status = 'on_track';
+      }
+    }
+    if (toStatus === 'completed' && order.sla_status !== 'breached') {
+      slaChanges.sla_status = 'met';
+    }
+    return slaChanges;
+  }
+
+  // The clock `updated` missed by leaving `previous`'s status late, if any
+  missedAt(previous, updated) {
+    const clock = runningClock(previous.status);
+    if (!clock || runningClock(updated.status) === clock) {
+      return null;
+    }
+    const due = previous[SLA_CLOCKS[clock].dueColumn];
+    const leftAt = clock === 'response' ? updated.started_at : updated.completed_at;
+    return due && leftAt && new Date(leftAt) > new Date(due) ? clock : null;
+  }
+
+  /**
+   * Record that an order's clock is at risk or breached, inside the
+   * caller's transaction (with the order locked). A no-op if already
+   * recorded. A breach grants the SLA's credit if the order has had none.
+   * Returns the order_sla_events row, or null.
+   */
+  async escalate(order, clock, kind, executor) {
+    const due = order[SLA_CLOCKS[clock].dueColumn];
+    const inserted = await executor.query(`
+      INSERT INTO order_sla_events (order_id, clock, kind, due_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (order_id, clock, kind) DO NOTHING
+      RETURNING *
+    `, [order.id, clock, kind, due]);
+    let event = inserted.rows[0];
+    if (!event) {
+      return null;
+    }
+
+    // A breach on either clock stands; at risk does not overwrite it
+    if (kind === 'breached' || order.sla_status !== 'breached') {
+      await executor.query(
+        'UPDATE service_orders SET sla_status = $2, updated_at = NOW() WHERE id = $1',
+        [order.id, kind]
+      );
+    }
+
+    let credit = null;
+    if (kind === 'breached') {
+      credit = await this.grantBreachCredit(order, executor);
+      if (credit) {
+        const updated = await executor.query(
+          'UPDATE order_sla_events SET credit_id = $2 WHERE id = $1 RETURNING *',
+          [event.id, credit.id]
+        );
+        event = updated.rows[0];
+      }
+    }
+
+    await outbox.publish({
+      type: kind === 'breached' ? ORDER_EVENTS.SLA_BREACHED : ORDER_EVENTS.SLA_AT_RISK,
+      aggregateType: 'service_order',
+      aggregateId: order.id,
+      payload: {
+        orderId: order.id,
+        orderNumber: order.order_number,
+        clientId: order.client_id,
+        serviceId: order.service_id,
+        assignedTo: order.assigned_to || null,
+        urgency: order.urgency,
+        clock,
+        dueAt: due,
+        creditId: credit ? credit.id : null,
+        creditAmount: credit ? credit.amount : null,
+        currency: credit ? credit.currency : order.currency
+      }
+    }, executor);
+
+    logger.warn(`Service order SLA ${kind}`, {
+      orderId: order.id,
+      clock,
+      dueAt: due,
+      urgency: order.urgency,
+      creditId: credit ? credit.id : null
+    });
+    return event;
+  }
+
+  async grantBreachCredit(order, executor) {
+    const percent = order.sla ? order.sla.breachCreditPercent : 0;
+    if (!this.breachCreditsEnabled || !percent) {
+      return null;
+    }
+
+    const credited = await executor.query(
+      'SELECT 1 FROM order_sla_events WHERE order_id = $1 AND credit_id IS NOT NULL',
+      [order.id]
+    );
+    if (credited.rows.length > 0) {
+      return null;
+    }
+
+    const amount = Money.of(order.final_price, order.currency).percentage(percent);
+    if (!amount.isPositive()) {
+      return null;
+    }
+
+    return await creditManager.grant({
+      clientId: order.client_id,
+      kind: 'goodwill',
+      amount,
+      currency: order.currency,
+      expiresAt: new Date(Date.now() + this.creditTtlDays * 24 * 60 * MINUTE),
+      sourceOrderId: order.id,
+      notes: `Missed ${order.urgency} service level on order ${order.order_number}`
+    }, executor);
+  }
+
+  /**
+   * Flag active orders whose running clock is at risk or breached. Run
+   * periodically; each clock is escalated at most once per kind. Returns
+   * the number of escalations recorded.
+   */
+  async check(now = new Date()) {
+    const result = await database.query(`
+      SELECT so.id, so.status, so.sla, so.start_due_at, so.complete_due_at,
+             COALESCE(ARRAY_AGG(e.clock || ':' || e.kind) FILTER (WHERE e.id IS NOT NULL), '{}') as recorded
+      FROM service_orders so
+      LEFT JOIN order_sla_events e ON e.order_id = so.id
+      WHERE so.sla IS NOT NULL
+        AND ((so.status = 'pending' AND so.start_due_at IS NOT NULL)
+          OR (so.status IN ('in_progress', 'failed') AND so.complete_due_at IS NOT NULL))
+      GROUP BY so.id
+    `);
+
+    let escalated = 0;
+    for (const order of result.rows) {
+      const clock = runningClock(order.status);
+      const { dueColumn, windowKey } = SLA_CLOCKS[clock];
+      const kind = assess(order[dueColumn], order.sla[windowKey], order.sla.atRiskRatio, now);
+      if (!kind || order.recorded.includes(`${clock}:${kind}`)) {
+        continue;
+      }
+
+      try {
+        const event = await database.transaction(async (executor) => {
+          const locked = await executor.query('SELECT * FROM service_orders WHERE id = $1 FOR UPDATE', [order.id]);
+          const current = locked.rows[0];
+          // Moved on since the scan
+          if (!current || runningClock(current.status) !== clock) {
+            return null;
+          }
+          return await this.escalate(current, clock, kind, executor);
+        });
+        if (event) {
+          escalated += 1;
+        }
+      } catch (error) {
+        logger.error('Error escalating order SLA', { orderId: order.id, clock, kind, error: error.message });
+      }
+    }
+
+    return escalated;
+  }
+
+  // Active orders currently at risk or breached, soonest due first
+  async listEscalated(status = null) {
+    const params = [status ? [status] : ['at_risk', 'breached']];
+    const result = await database.query(`
+      SELECT so.*, s.name as service_name, u.email as assigned_to_email
+      FROM service_orders so
+      JOIN services s ON so.service_id = s.id
+      LEFT JOIN users u ON so.assigned_to = u.id
+      WHERE so.sla_status = ANY($1) AND so.status IN ('pending', 'in_progress', 'failed')
+      ORDER BY COALESCE(CASE WHEN so.status = 'pending' THEN so.start_due_at ELSE so.complete_due_at END, so.created_at) ASC
+    `, params);
+    return result.rows;
+  }
+
+  async listSlas() {
+    const result = await database.query(`
+      SELECT sla.*, s.name as service_name
+      FROM service_slas sla
+      LEFT JOIN services s ON sla.service_id = s.id
+      ORDER BY s.name NULLS FIRST, sla.urgency
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Create or replace the SLA for a service and urgency (serviceId null
+   * for the default). Applies to orders created from now on.
+   */
+  async saveSla({ serviceId = null, urgency, responseMinutes, resolutionMinutes, atRiskRatio = 0.8, breachCreditPercent = 0, isActive = true }, { userId = null } = {}) {
+    if (!URGENCIES.includes(urgency)) {
+      throw new ValidationError(`Unknown urgency ${urgency}`, { field: 'urgency' });
+    }
+
+    const fields = {
+      response_minutes: responseMinutes,
+      resolution_minutes: resolutionMinutes,
+      at_risk_ratio: atRiskRatio,
+      breach_credit_percent: breachCreditPercent,
+      is_active: isActive
+    };
+
+    const existing = await database.query(
+      'SELECT * FROM service_slas WHERE urgency = $1 AND service_id IS NOT DISTINCT FROM $2',
+      [urgency, serviceId]
+    );
+    const sla = existing.rows[0]
+      ? await database.update('service_slas', existing.rows[0].id, fields)
+      : await database.create('service_slas', { service_id: serviceId, urgency, ...fields, created_by: userId });
+
+    logger.audit('Service SLA saved', { slaId: sla.id, serviceId, urgency, userId });
+    return sla;
+  }
+}
+
+// Create singleton instance
+const slaManager = new SlaManager();
+
+module.exports = slaManager;
+module.exports.DEFAULT_SLAS = DEFAULT_SLAS;
+module.exports.URGENCIES = URGENCIES;
+module.exports.assess = assess;
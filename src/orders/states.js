@@ -0,0 +1,103 @@
+const { ValidationError, AuthorizationError, ConflictError } = require('../middleware/errorHandler');
+
+// Service order lifecycle:
+//
+//   pending     -> in_progress | cancelled
+//   in_progress -> completed | failed | cancelled
+//   failed      -> in_progress (retried) | cancelled
+//   completed   -> cancelled
+//
+// cancelled is final; once work has started only an admin can cancel, and
+// cancelling a completed order refunds it and reverses its revenue
+// (./cancellation). Each transition names the roles that
+// may make it and the fields it needs; OrderService.transitionOrder applies
+// it under a row lock and appends it to order_status_history.
+
+const STAFF = ['agent', 'admin', 'super_admin'];
+const ADMINS = ['admin', 'super_admin'];
+
+const ORDER_TRANSITIONS = {
+  pending: {
+    in_progress: { roles: STAFF },
+    cancelled: { roles: ['client', ...STAFF], requires: ['reason'] }
+  },
+  in_progress: {
+    completed: { roles: STAFF },
+    failed: { roles: STAFF, requires: ['reason'] },
+    cancelled: { roles: ADMINS, requires: ['reason'] }
+  },
+  failed: {
+    in_progress: { roles: STAFF },
+    cancelled: { roles: ADMINS, requires: ['reason'] }
+  },
+  completed: {
+    cancelled: { roles: ADMINS, requires: ['reason'] }
+  },
+  cancelled: {}
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Timestamp columns set the first time an order enters a state
+const STATE_TIMESTAMPS = {
+  in_progress: 'started_at',
+  completed: 'completed_at',
+  cancelled: 'cancelled_at'
+};
+
+function isFinal(status) {
+  return Object.keys(ORDER_TRANSITIONS[status] || {}).length === 0;
+}
+
+// Orders still being worked, which count towards an agent's load
+const ACTIVE_ORDER_STATUSES = ['pending', 'in_progress', 'failed'];
+
+function isActive(status) {
+  return ACTIVE_ORDER_STATUSES.includes(status);
+}
+
+// The statuses a role can move an order in `status` to
+function allowedTransitions(status, role) {
+  return Object.entries(ORDER_TRANSITIONS[status] || {})
+    .filter(([, transition]) => transition.roles.includes(role))
+    .map(([toStatus]) => toStatus);
+}
+
+/**
+ * Check that `role` may move an order from `fromStatus` to `toStatus` with
+ * `fields` ({ reason }); returns the transition or throws.
+ */
+function assertTransition(fromStatus, toStatus, role, fields = {}) {
+  if (fromStatus === toStatus) {
+    throw new ConflictError(`Order is already ${toStatus}`);
+  }
+
+  const transition = (ORDER_TRANSITIONS[fromStatus] || {})[toStatus];
+  if (!transition) {
+    throw new ConflictError(isFinal(fromStatus)
+      ? `Order is ${fromStatus} and can no longer change status`
+      : `Order cannot go from ${fromStatus} to ${toStatus}`);
+  }
+  if (!transition.roles.includes(role)) {
+    throw new AuthorizationError(`Only ${transition.roles.join(', ')} can move an order from ${fromStatus} to ${toStatus}`);
+  }
+
+  for (const field of transition.requires || []) {
+    if (fields[field] === undefined || fields[field] === null || String(fields[field]).trim() === '') {
+      throw new ValidationError(`A ${field} is required to move an order to ${toStatus}`, { field });
+    }
+  }
+
+  return transition;
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  ORDER_STATUSES,
+  ACTIVE_ORDER_STATUSES,
+  STATE_TIMESTAMPS,
+  isFinal,
+  isActive,
+  allowedTransitions,
+  assertTransition
+};
@@ -0,0 +1,89 @@
+// Built-in pricing tables. They seed the first pricing rule set and are
+// used when no approved rule set is in effect.
+
+const DEFAULT_PRICING_RULES = {
+  creditScoreMultipliers: {
+    excellent: 1.0,    // 750+
+    good: 1.05,        // 650-749
+    fair: 1.1,         // 550-649
+    poor: 1.15,        // 450-549
+    bad: 1.2           // <450
+  },
+  vehicleValueMultipliers: {
+    luxury: 1.15,      // $100k+
+    premium: 1.1,      // $50k-99k
+    standard: 1.0,     // $25k-49k
+    economy: 0.95      // <$25k
+  },
+  loyaltyDiscounts: {
+    new: 0.85,         // First-time clients
+    returning: 0.95,   // 2-3 orders
+    loyal: 0.9,        // 4-10 orders
+    premium: 0.85      // 10+ orders
+  },
+  volumeDiscounts: {
+    single: 1.0,
+    bundle: 0.92,      // 2-3 services
+    package: 0.85      // 4+ services
+  },
+  urgencyPremiums: {
+    standard: 1.0,
+    expedited: 1.25,
+    emergency: 1.5
+  },
+  // Seasonal demand factors by service category and month
+  seasonalFactors: {
+    financial: {
+      1: 1.2,  // January - tax season
+      2: 1.15, // February
+      3: 1.1,  // March
+      4: 1.0,  // April
+      5: 0.95, // May
+      6: 0.9,  // June
+      7: 0.9,  // July
+      8: 0.95, // August
+      9: 1.05, // September
+      10: 1.1, // October
+      11: 1.15, // November - holiday prep
+      12: 1.25  // December - year-end
+    },
+    inspection: {
+      1: 0.9,  // January
+      2: 0.95, // February
+      3: 1.1,  // March - spring prep
+      4: 1.2,  // April - peak season
+      5: 1.15, // May
+      6: 1.1,  // June
+      7: 1.05, // July
+      8: 1.0,  // August
+      9: 1.1,  // September
+      10: 1.15, // October
+      11: 1.0,  // November
+      12: 0.9   // December
+    },
+    transport: {
+      1: 0.9,  // January
+      2: 0.95, // February
+      3: 1.1,  // March
+      4: 1.15, // April
+      5: 1.2,  // May - peak moving season
+      6: 1.25, // June
+      7: 1.2,  // July
+      8: 1.15, // August
+      9: 1.1,  // September
+      10: 1.0, // October
+      11: 0.95, // November
+      12: 0.9   // December
+    }
+  },
+  // Market condition factors by service category
+  marketConditions: {
+    economy: { factor: 1.0, trend: 'stable' },
+    automotive: { factor: 1.05, trend: 'growing' },
+    credit: { factor: 0.98, trend: 'tightening' }
+  }
+};
+
+module.exports = {
+  DEFAULT_PRICING_RULES
+};
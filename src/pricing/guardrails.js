@@ -0,0 +1,228 @@
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { isPercentageModel, serviceAmount } = require('./models');
+const { Money, ROUNDING } = require('../utils/money');
+
+// Guardrails run on a price after the rule pipeline and the adjustment cap,
+// in this order:
+//
+//   fair_lending    on financial services, premiums from client attributes
+//                   that can proxy for protected characteristics (credit
+//                   score, vehicle value) are removed ('block' mode) or left
+//                   in place and flagged for review ('flag' mode): any
+//                   credit-score premium, and proxy premiums that together
+//                   exceed maxProxyFactor
+//   price_limits    the service's floor_price and ceiling_price (and
+//                   maximum_fee for commission and cost-plus services)
+//   minimum_margin  the price is raised to keep the margin over the
+//                   estimated cost at the service's minimum_margin (or the
+//                   default); flagged when the ceiling does not allow it
+//
+// Every intervention is returned with the price and recorded in
+// pricing_interventions for compliance review. Prices and costs are Money in
+// the service row's currency.
+
+const PROXY_FACTORS = ['credit_score', 'vehicle_value'];
+
+function product(factors) {
+  return factors.reduce((total, adjustment) => total * adjustment.factor, 1);
+}
+
+class PricingGuardrails {
+  constructor() {
+    this.fairLendingMode = process.env.FAIR_LENDING_MODE === 'flag' ? 'flag' : 'block';
+    this.fairLendingCategories = (process.env.FAIR_LENDING_CATEGORIES || 'financial')
+      .split(',')
+      .map(category => category.trim());
+    this.maxProxyFactor = parseFloat(process.env.FAIR_LENDING_MAX_PROXY_FACTOR) || 1.1;
+    this.minimumMargin = process.env.PRICING_MIN_MARGIN !== undefined
+      ? parseFloat(process.env.PRICING_MIN_MARGIN)
+      : 0.15;
+  }
+
+  /**
+   * Apply the guardrails to a priced quote. `reprice(factors)` recomputes
+   * the capped price from the base price with a different set of factors.
+   * Returns the guarded price, the factors it is made of and the
+   * interventions.
+   */
+  apply({ service, price, estimatedCost, adjustmentFactors, reprice }) {
+    const interventions = [];
+    let factors = adjustmentFactors;
+
+    if (this.fairLendingCategories.includes(service.service_category)) {
+      const result = this.checkFairLending(factors);
+      if (result) {
+        const priceBefore = price;
+        if (this.fairLendingMode === 'block') {
+          factors = factors.filter(adjustment => !result.premiums.includes(adjustment));
+          price = reprice(factors);
+        }
+        interventions.push({
+          guardrail: 'fair_lending',
+          action: this.fairLendingMode === 'block' ? 'blocked' : 'flagged',
+          reason: result.reasons.join('; '),
+          priceBefore: priceBefore.toNumber(),
+          priceAfter: price.toNumber(),
+          currency: price.currency,
+          details: {
+            factors: result.premiums.map(({ type, factor }) => ({ type, factor })),
+            combinedFactor: Math.round(result.combinedFactor * 10000) / 10000
+          }
+        });
+      }
+    }
+
+    const floorPrice = serviceAmount(service, 'floor_price');
+    const ceilingPrice = [
+      serviceAmount(service, 'ceiling_price'),
+      isPercentageModel(service) ? serviceAmount(service, 'maximum_fee') : null
+    ].filter(limit => limit !== null).reduce((lowest, limit) => (lowest === null ? limit : Money.min(lowest, limit)), null);
+
+    if (floorPrice !== null && price.lessThan(floorPrice)) {
+      interventions.push(this.adjustment('price_limits', `Below floor price ${floorPrice}`, price, floorPrice));
+      price = floorPrice;
+    } else if (ceilingPrice !== null && price.greaterThan(ceilingPrice)) {
+      interventions.push(this.adjustment('price_limits', `Above ceiling price ${ceilingPrice}`, price, ceilingPrice));
+      price = ceilingPrice;
+    }
+
+    const minimumMargin = service.minimum_margin !== null && service.minimum_margin !== undefined
+      ? parseFloat(service.minimum_margin)
+      : this.minimumMargin;
+    // Rounded up, so the margin is met rather than missed by a fraction of a cent
+    const requiredPrice = minimumMargin < 1
+      ? estimatedCost.times(1 / (1 - minimumMargin), ROUNDING.UP)
+      : null;
+
+    if (requiredPrice !== null && price.lessThan(requiredPrice)) {
+      const capped = ceilingPrice !== null && ceilingPrice.lessThan(requiredPrice);
+      const margined = capped ? ceilingPrice : requiredPrice;
+      const reason = `Margin below minimum ${minimumMargin} over estimated cost ${estimatedCost}`;
+      interventions.push(capped
+        ? { ...this.adjustment('minimum_margin', `${reason}; capped by ceiling price ${ceilingPrice}`, price, margined), action: 'flagged' }
+        : this.adjustment('minimum_margin', reason, price, margined));
+      price = margined;
+    }
+
+    return { price, adjustmentFactors: factors, interventions };
+  }
+
+  // The proxy premiums on a quote and why they are a fair-lending concern, or null
+  checkFairLending(adjustmentFactors) {
+    const proxies = adjustmentFactors.filter(adjustment => PROXY_FACTORS.includes(adjustment.type));
+    const premiums = proxies.filter(adjustment => adjustment.factor > 1);
+    const combinedFactor = product(proxies);
+
+    const reasons = [];
+    if (premiums.some(adjustment => adjustment.type === 'credit_score')) {
+      reasons.push('Credit-score premium on a financial service');
+    }
+    if (combinedFactor > this.maxProxyFactor) {
+      reasons.push(`Client-attribute premiums combine to ${combinedFactor.toFixed(4)}, above ${this.maxProxyFactor}`);
+    }
+
+    return reasons.length > 0 ? { premiums, combinedFactor, reasons } : null;
+  }
+
+  adjustment(guardrail, reason, priceBefore, priceAfter) {
+    return {
+      guardrail,
+      action: 'adjusted',
+      reason,
+      priceBefore: priceBefore.toNumber(),
+      priceAfter: priceAfter.toNumber(),
+      currency: priceAfter.currency,
+      details: {}
+    };
+  }
+
+  /**
+   * Record interventions for compliance review. Recording never fails the
+   * quote; errors are logged.
+   */
+  async record(interventions, { serviceId, clientId = null, orderId = null, channel = 'direct', ruleSetId = null }) {
+    for (const intervention of interventions) {
+      try {
+        await database.create('pricing_interventions', {
+          guardrail: intervention.guardrail,
+          action: intervention.action,
+          reason: intervention.reason,
+          service_id: serviceId,
+          client_id: clientId,
+          order_id: orderId,
+          channel,
+          currency: intervention.currency || null,
+          price_before: intervention.priceBefore,
+          price_after: intervention.priceAfter,
+          details: JSON.stringify(intervention.details || {}),
+          pricing_rule_set_id: ruleSetId
+        });
+      } catch (error) {
+        logger.error('Failed to record pricing intervention', {
+          guardrail: intervention.guardrail,
+          serviceId,
+          clientId,
+          error: error.message
+        });
+      }
+    }
+
+    if (interventions.some(intervention => intervention.guardrail === 'fair_lending')) {
+      logger.audit('Fair-lending guardrail intervened', {
+        serviceId,
+        clientId,
+        orderId,
+        mode: this.fairLendingMode
+      });
+    }
+  }
+
+  async listInterventions({ guardrail = null, action = null, unreviewed = false, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (guardrail) {
+      params.push(guardrail);
+      conditions.push(`pi.guardrail = $${params.length}`);
+    }
+    if (action) {
+      params.push(action);
+      conditions.push(`pi.action = $${params.length}`);
+    }
+    if (unreviewed) {
+      conditions.push('pi.reviewed_at IS NULL');
+    }
+    params.push(limit);
+
+    const result = await database.query(`
+      SELECT pi.*, s.name as service_name, s.slug as service_slug
+      FROM pricing_interventions pi
+      LEFT JOIN services s ON pi.service_id = s.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY pi.created_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  async reviewIntervention(interventionId, { reviewerId, notes = null }) {
+    const result = await database.query(`
+      UPDATE pricing_interventions
+      SET reviewed_by = $2, reviewed_at = NOW(), review_notes = $3
+      WHERE id = $1
+      RETURNING *
+    `, [interventionId, reviewerId, notes]);
+    if (!result.rows[0]) {
+      throw new NotFoundError('Pricing intervention not found');
+    }
+    return result.rows[0];
+  }
+}
+
+// Create singleton instance
+const pricingGuardrails = new PricingGuardrails();
+
+module.exports = pricingGuardrails;
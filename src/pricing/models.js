@@ -0,0 +1,103 @@
+const { ValidationError } = require('../middleware/errorHandler');
+const { Money, DEFAULT_CURRENCY } = require('../utils/money');
+
+// How a service's base fee is derived before the rule pipeline adjusts it.
+//
+//   flat        the service's base_price
+//   commission  markup_percentage of the underlying transaction (the vehicle
+//               purchase or sale price)
+//   cost_plus   markup_percentage on top of the underlying cost (the parts
+//               cost); the fee is the markup, the cost itself is passed
+//               through to the client
+//
+// Percentage fees are held between the service's minimum_fee and
+// maximum_fee (no cap when maximum_fee is null). Where the amount is not
+// known yet (a cascade offer), an estimate can fall back to the minimum
+// fee; the order is re-priced when its transaction settles.
+//
+// Amounts are in the service row's currency: its own, or the currency of
+// the price list PricingService.priceListFor() put in its place.
+
+const PRICING_MODELS = ['flat', 'commission', 'cost_plus'];
+
+function isPercentageModel(service) {
+  return (service.pricing_model || 'flat') !== 'flat';
+}
+
+function currencyOf(service) {
+  return service.currency || DEFAULT_CURRENCY;
+}
+
+// A service amount column as Money, or null when it is not set
+function serviceAmount(service, column) {
+  const value = service[column];
+  return value !== null && value !== undefined ? Money.of(value, currencyOf(service)) : null;
+}
+
+// Keep a percentage fee within the service's minimum and maximum
+function clampFee(service, fee) {
+  return fee.clamp(serviceAmount(service, 'minimum_fee'), serviceAmount(service, 'maximum_fee'));
+}
+
+/**
+ * The base fee for a service (Money) and how it was reached. Percentage
+ * models need the underlying amount unless `estimate` is set.
+ */
+function baseFee(service, underlyingAmount = null, { estimate = false } = {}) {
+  const model = service.pricing_model || 'flat';
+  if (!PRICING_MODELS.includes(model)) {
+    throw new Error(`Unknown pricing model ${model} for service ${service.slug || service.id}`);
+  }
+
+  if (model === 'flat') {
+    return {
+      fee: serviceAmount(service, 'base_price'),
+      basis: { model }
+    };
+  }
+
+  const minimum = serviceAmount(service, 'minimum_fee') || Money.zero(currencyOf(service));
+  const minimumFee = minimum.toNumber();
+  const maximum = serviceAmount(service, 'maximum_fee');
+  const maximumFee = maximum ? maximum.toNumber() : null;
+
+  if (underlyingAmount === null || underlyingAmount === undefined || !(underlyingAmount > 0)) {
+    if (estimate) {
+      return {
+        fee: minimum,
+        basis: { model, underlyingAmount: null, estimated: true, minimumFee, maximumFee }
+      };
+    }
+    throw new ValidationError(
+      model === 'commission'
+        ? 'underlyingAmount (the transaction price) is required for commission-priced services'
+        : 'underlyingAmount (the underlying cost) is required for cost-plus services',
+      { field: 'underlyingAmount', pricingModel: model }
+    );
+  }
+
+  const underlying = Money.of(underlyingAmount, currencyOf(service));
+  const rate = parseFloat(service.markup_percentage) / 100;
+  const rawFee = underlying.percentage(parseFloat(service.markup_percentage));
+
+  return {
+    fee: clampFee(service, rawFee),
+    basis: {
+      model,
+      underlyingAmount: underlying.toNumber(),
+      rate,
+      rawFee: rawFee.toNumber(),
+      minimumFee,
+      maximumFee
+    }
+  };
+}
+
+module.exports = {
+  PRICING_MODELS,
+  baseFee,
+  clampFee,
+  currencyOf,
+  serviceAmount,
+  isPercentageModel
+};
@@ -0,0 +1,508 @@
+const database = require('../database/connection');
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+const { handleRevenueError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { DEFAULT_RULES } = require('./rules');
+const { DEFAULT_PRICING_RULES } = require('./defaults');
+const pricingRuleSetManager = require('./ruleSets');
+const { mergeTables } = require('./ruleSets');
+const pricingGuardrails = require('./guardrails');
+const promotionManager = require('../promotions/promotions');
+const { baseFee, clampFee, currencyOf, serviceAmount, isPercentageModel } = require('./models');
+const { Money, normalizeCurrency } = require('../utils/money');
+
+// The one place prices are calculated. Every quote runs the same ordered
+// rule pipeline (see ./rules) over the base price, then the adjustment cap,
+// and returns the same breakdown wherever it is used: service listings,
+// orders from the order API and the service-specific endpoints, and
+// cascade offers. Rules can be added or removed at runtime with addRule()
+// and removeRule(). The base price comes from the service's pricing model
+// (see ./models); commission and cost-plus services are priced from the
+// underlying transaction amount. The rules read their tables from the
+// approved pricing rule set in effect (see ./ruleSets), and every quote
+// records which rule-set version priced it. Guardrails (see ./guardrails)
+// run last, on the capped price.
+//
+// Clients are quoted in their billing currency, from the service's own
+// prices or its price list in that currency (service_prices). Prices are
+// worked out as Money and rounded once, after the rule factors are
+// multiplied together; the breakdown carries them as decimals with the
+// currency.
+
+function productOf(adjustmentFactors) {
+  return adjustmentFactors.reduce((product, adjustment) => product * adjustment.factor, 1);
+}
+
+class PricingService {
+  constructor() {
+    this.isInitialized = false;
+    this.dynamicPricingEnabled = process.env.DYNAMIC_PRICING_ENABLED === 'true';
+    this.priceAdjustmentCap = 0.3; // Max 30% price adjustment
+    this.rules = [...DEFAULT_RULES];
+    this.ruleSets = [];
+    this.rulesSyncMs = parseInt(process.env.PRICING_RULES_SYNC_MS) || 60000;
+    this.rulesSyncTimer = null;
+  }
+
+  async initialize() {
+    try {
+      await this.loadRuleSets();
+
+      // Reload when a rule set is approved or ended on any instance
+      await redis.subscribe(pricingRuleSetManager.channel, (change) => {
+        logger.info('Reloading pricing rule sets', change);
+        this.loadRuleSets().catch((error) => {
+          logger.error('Failed to reload pricing rule sets', { version: change.version, error: error.message });
+        });
+      });
+
+      // Catch up on announcements missed while the subscriber was disconnected
+      this.rulesSyncTimer = setInterval(() => {
+        this.loadRuleSets().catch((error) => {
+          logger.error('Failed to sync pricing rule sets', { error: error.message });
+        });
+      }, this.rulesSyncMs);
+      this.rulesSyncTimer.unref();
+
+      this.isInitialized = true;
+      logger.info('Pricing service initialized', { rules: this.rules.map(rule => rule.name) });
+    } catch (error) {
+      logger.error('Failed to initialize pricing service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a rule to the pipeline. It runs last unless `before` or `after`
+   * names an existing rule. Rule names are unique.
+   */
+  addRule(rule, { before = null, after = null } = {}) {
+    if (!rule.name || typeof rule.apply !== 'function') {
+      throw new Error('A pricing rule needs a name and an apply(context) function');
+    }
+    if (this.rules.some(existing => existing.name === rule.name)) {
+      throw new Error(`Pricing rule ${rule.name} is already registered`);
+    }
+
+    const anchor = before || after;
+    if (!anchor) {
+      this.rules.push(rule);
+      return;
+    }
+
+    const index = this.rules.findIndex(existing => existing.name === anchor);
+    if (index === -1) {
+      throw new Error(`Pricing rule ${anchor} is not registered`);
+    }
+    this.rules.splice(before ? index : index + 1, 0, rule);
+  }
+
+  removeRule(name) {
+    this.rules = this.rules.filter(rule => rule.name !== name);
+  }
+
+  /**
+   * Load the approved rule sets that have not ended. Quotes pick the one in
+   * effect at the time of quoting, so a set approved ahead of its
+   * effective date takes over without another reload.
+   */
+  async loadRuleSets() {
+    try {
+      this.ruleSets = await pricingRuleSetManager.listApproved();
+      const active = this.getActiveRuleSet();
+      logger.info('Pricing rule sets loaded', {
+        approved: this.ruleSets.length,
+        activeVersion: active.version
+      });
+    } catch (error) {
+      logger.error('Error loading pricing rule sets:', error);
+      throw error;
+    }
+  }
+
+  // The rule set in effect at `now`, or the built-in tables when there is none
+  getActiveRuleSet(now = new Date()) {
+    const active = this.ruleSets.find(ruleSet =>
+      new Date(ruleSet.effective_from) <= now &&
+      (!ruleSet.effective_to || new Date(ruleSet.effective_to) > now));
+
+    return active || {
+      id: null,
+      version: null,
+      rules: DEFAULT_PRICING_RULES,
+      service_overrides: {}
+    };
+  }
+
+  // The rule set's tables with the service's overrides applied
+  tablesFor(ruleSet, service) {
+    const overrides = ruleSet.service_overrides || {};
+    return mergeTables(ruleSet.rules, overrides[service.id]);
+  }
+
+  /**
+   * Price a service for a client. `service` is a services row or id.
+   * Options: urgency, bundleSize, underlyingAmount (for commission and
+   * cost-plus services), estimateFee (quote those at their minimum fee
+   * when the amount is not known), channel ('cascade' for cascade offers),
+   * discountSchedule (an experiment variant's cascade schedule) and
+   * recordGuardrails (false for comparison prices that are never charged).
+   */
+  async quote(service, clientId, options = {}) {
+    if (typeof service === 'string') {
+      service = await database.findById('services', service);
+    }
+    if (!service) {
+      throw new NotFoundError('Service not found');
+    }
+
+    const client = await this.getClientProfile(clientId);
+    if (!client) {
+      throw new NotFoundError('Client not found');
+    }
+
+    const pricedService = await this.priceListFor(service, this.currencyFor(service, client, options));
+    const pricing = this.quoteForProfile(pricedService, client, options);
+    if (options.recordGuardrails === false) {
+      return pricing;
+    }
+    await pricingGuardrails.record(pricing.guardrails, {
+      serviceId: service.id,
+      clientId,
+      channel: options.channel || 'direct',
+      ruleSetId: pricing.ruleSetId
+    });
+    return pricing;
+  }
+
+  // The currency a client is quoted in: their billing currency, unless one is asked for
+  currencyFor(service, client, options = {}) {
+    return normalizeCurrency(options.currency || client.currency || currencyOf(service));
+  }
+
+  /**
+   * The service row priced in `currency`: the service itself in its own
+   * currency, otherwise with its price list for the currency in place of
+   * its amounts. A service without a price list in a currency is not sold
+   * in it.
+   */
+  async priceListFor(service, currency) {
+    if (currency === currencyOf(service)) {
+      return { ...service, currency };
+    }
+
+    const priceList = await database.findOne('service_prices', { service_id: service.id, currency });
+    if (!priceList) {
+      throw new ValidationError(`${service.name} is not offered in ${currency}`, {
+        field: 'currency',
+        serviceId: service.id,
+        currency
+      });
+    }
+
+    return {
+      ...service,
+      currency,
+      base_price: priceList.base_price,
+      minimum_fee: priceList.minimum_fee,
+      maximum_fee: priceList.maximum_fee,
+      floor_price: priceList.floor_price,
+      ceiling_price: priceList.ceiling_price
+    };
+  }
+
+  // Set (or replace) a service's price list in a currency other than its own
+  async setPriceList(service, currency, { basePrice, minimumFee = 0, maximumFee = null, floorPrice = null, ceilingPrice = null }) {
+    if (currency === currencyOf(service)) {
+      throw new ValidationError(`${service.name} is priced in ${currency} on the service itself`, { field: 'currency' });
+    }
+    const amount = (value) => (value === null ? null : Money.of(value, currency).toString());
+    if (floorPrice !== null && ceilingPrice !== null && Money.of(floorPrice, currency).greaterThan(Money.of(ceilingPrice, currency))) {
+      throw new ValidationError('floorPrice must not be above ceilingPrice', { field: 'floorPrice' });
+    }
+
+    const result = await database.query(`
+      INSERT INTO service_prices (service_id, currency, base_price, minimum_fee, maximum_fee, floor_price, ceiling_price)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (service_id, currency) DO UPDATE
+      SET base_price = EXCLUDED.base_price,
+          minimum_fee = EXCLUDED.minimum_fee,
+          maximum_fee = EXCLUDED.maximum_fee,
+          floor_price = EXCLUDED.floor_price,
+          ceiling_price = EXCLUDED.ceiling_price,
+          updated_at = NOW()
+      RETURNING *
+    `, [service.id, currency, amount(basePrice), amount(minimumFee), amount(maximumFee), amount(floorPrice), amount(ceilingPrice)]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Price a service for a pricing profile (credit_score, vehicle_value,
+   * services_count, total_spent), e.g. a hypothetical client in a cascade
+   * simulation.
+   */
+  quoteForProfile(service, client, options = {}) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('Pricing service not initialized');
+      }
+
+      const { fee: basePrice, basis } = baseFee(service, options.underlyingAmount, {
+        estimate: options.estimateFee
+      });
+      const now = new Date();
+      const ruleSet = this.getActiveRuleSet(now);
+      // Rules see decimal prices; the running price is not rounded
+      const context = {
+        service,
+        client,
+        options,
+        basePrice: basePrice.toNumber(),
+        price: basePrice.toNumber(),
+        now,
+        tables: this.tablesFor(ruleSet, service)
+      };
+
+      let multiplier = 1;
+      const adjustmentFactors = [];
+      for (const rule of this.rules) {
+        if (rule.dynamic && !this.dynamicPricingEnabled) {
+          continue;
+        }
+
+        const adjustment = rule.apply(context);
+        if (!adjustment) {
+          continue;
+        }
+
+        multiplier *= adjustment.factor;
+        context.price = context.basePrice * multiplier;
+        adjustmentFactors.push({
+          type: rule.name,
+          factor: Math.round(adjustment.factor * 10000) / 10000,
+          description: adjustment.description
+        });
+      }
+
+      const estimatedCost = this.estimateServiceCost(service, client, basePrice);
+      const guarded = pricingGuardrails.apply({
+        service,
+        price: this.capPrice(service, basePrice, basePrice.times(multiplier)),
+        estimatedCost,
+        adjustmentFactors,
+        reprice: factors => this.capPrice(service, basePrice, basePrice.times(productOf(factors)))
+      });
+      const finalPrice = guarded.price;
+
+      // Calculate profit margin
+      const profitMargin = finalPrice.isPositive() ? finalPrice.minus(estimatedCost).ratioTo(finalPrice) : 0;
+
+      const guardedPricing = {
+        ...this.summarize(basePrice, finalPrice, basis),
+        adjustmentFactors: guarded.adjustmentFactors,
+        guardrails: guarded.interventions,
+        estimatedCost: estimatedCost.toNumber(),
+        profitMargin,
+        ruleSetId: ruleSet.id,
+        ruleSetVersion: ruleSet.version
+      };
+      const pricing = options.promotion
+        ? this.applyPromotion(guardedPricing, options.promotion)
+        : guardedPricing;
+
+      logger.revenue('Price calculated', {
+        serviceId: service.id,
+        serviceName: service.name,
+        clientId: client.id,
+        channel: options.channel || 'direct',
+        currency: pricing.currency,
+        basePrice: pricing.basePrice,
+        finalPrice: pricing.finalPrice,
+        profitMargin,
+        adjustmentFactors: guarded.adjustmentFactors.length,
+        guardrails: guarded.interventions.map(intervention => intervention.guardrail),
+        ruleSetVersion: ruleSet.version,
+        promotionCode: pricing.promotion ? pricing.promotion.code : null
+      });
+
+      return pricing;
+
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      handleRevenueError(error);
+    }
+  }
+
+  /**
+   * Re-price a commission or cost-plus order once its underlying
+   * transaction settles. The settled amount replaces the estimate the order
+   * was quoted on; the order's own adjustment factors are kept, so the
+   * client is not re-priced on the day's seasonal or market factors. The
+   * guardrails run again on the settled fee. `service` is priced in the
+   * order's currency (priceListFor).
+   */
+  settleFee(service, adjustmentFactors, settledAmount, client) {
+    const { fee: basePrice, basis } = baseFee(service, settledAmount);
+    const guarded = pricingGuardrails.apply({
+      service,
+      price: this.capPrice(service, basePrice, basePrice.times(productOf(adjustmentFactors || []))),
+      estimatedCost: this.estimateServiceCost(service, client, basePrice),
+      adjustmentFactors: adjustmentFactors || [],
+      reprice: factors => this.capPrice(service, basePrice, basePrice.times(productOf(factors)))
+    });
+
+    return {
+      ...this.summarize(basePrice, guarded.price, basis),
+      adjustmentFactors: guarded.adjustmentFactors,
+      guardrails: guarded.interventions
+    };
+  }
+
+  /**
+   * Take a promotion's discount off a priced quote, redeemed quote or
+   * settled fee: the last step of the pipeline, after the rules and
+   * guardrails. Cost-plus pass-through costs are not discounted.
+   */
+  applyPromotion(pricing, promotion) {
+    const basePrice = Money.of(pricing.basePrice, pricing.currency);
+    const price = Money.of(pricing.finalPrice, pricing.currency);
+    const discount = promotionManager.discountFor(promotion, price);
+    const promoted = {
+      ...pricing,
+      ...this.priceSummary(basePrice, price.minus(discount)),
+      promotion: {
+        promotionId: promotion.id,
+        code: promotion.code,
+        discountType: promotion.discount_type,
+        discountValue: parseFloat(promotion.discount_value),
+        discountAmount: discount.toNumber()
+      }
+    };
+
+    if (pricing.clientTotal !== undefined) {
+      promoted.clientTotal = Money.of(pricing.clientTotal, pricing.currency).minus(discount).toNumber();
+    }
+
+    return promoted;
+  }
+
+  // The adjustment cap, then a percentage fee's minimum and maximum
+  capPrice(service, basePrice, price) {
+    const capped = price.clamp(
+      basePrice.times(1 - this.priceAdjustmentCap),
+      basePrice.times(1 + this.priceAdjustmentCap)
+    );
+    return isPercentageModel(service) ? clampFee(service, capped) : capped;
+  }
+
+  // The price fields of a breakdown, as decimals in the prices' currency
+  priceSummary(basePrice, finalPrice) {
+    const zero = Money.zero(finalPrice.currency);
+    return {
+      currency: finalPrice.currency,
+      basePrice: basePrice.toNumber(),
+      finalPrice: finalPrice.toNumber(),
+      discountAmount: Money.max(basePrice.minus(finalPrice), zero).toNumber(),
+      premiumAmount: Money.max(finalPrice.minus(basePrice), zero).toNumber(),
+      totalAdjustment: basePrice.isPositive() ? finalPrice.minus(basePrice).ratioTo(basePrice) : 0
+    };
+  }
+
+  summarize(basePrice, finalPrice, basis) {
+    const summary = {
+      ...this.priceSummary(basePrice, finalPrice),
+      feeBasis: basis
+    };
+
+    // Cost-plus clients pay the passed-through cost on top of the fee
+    if (basis.model === 'cost_plus' && basis.underlyingAmount !== null) {
+      summary.clientTotal = Money.of(basis.underlyingAmount, finalPrice.currency).plus(finalPrice).toNumber();
+    }
+
+    return summary;
+  }
+
+  estimateServiceCost(service, client, basePrice = serviceAmount(service, 'base_price')) {
+    // Base cost estimation (35% of base price as default)
+    let costRatio = 0.35;
+
+    // Adjust based on service complexity
+    const complexityFactors = {
+      'financial': 1.2,
+      'legal': 1.3,
+      'inspection': 0.8,
+      'transport': 0.9,
+      'administrative': 0.7,
+      'maintenance': 1.1,
+      'parts': 0.6,
+      'purchase': 0.4,
+      'sales': 0.3,
+      'business': 1.4,
+      'support': 1.0
+    };
+
+    const complexityFactor = complexityFactors[service.service_category] || 1.0;
+    costRatio *= complexityFactor;
+
+    // Adjust for client-specific factors
+    if (client.credit_score < 600) {
+      costRatio *= 1.1; // Higher risk = higher cost
+    }
+
+    if (client.vehicle_value > 100000) {
+      costRatio *= 1.15; // Luxury vehicles require specialized handling
+    }
+
+    return basePrice.times(costRatio);
+  }
+
+  async getClientProfile(clientId) {
+    try {
+      // Try cache first
+      const cached = await redis.getRevenueData(clientId);
+      if (cached) {
+        return cached;
+      }
+
+      // Get from database
+      const client = await database.query(`
+        SELECT
+          c.*,
+          COUNT(so.id) as services_count,
+          SUM(CASE WHEN so.status = 'completed' THEN so.final_price ELSE 0 END) as total_spent,
+          AVG(CASE WHEN so.status = 'completed' THEN so.final_price ELSE NULL END) as avg_order_value
+        FROM clients c
+        LEFT JOIN service_orders so ON c.id = so.client_id
+        WHERE c.id = $1
+        GROUP BY c.id
+      `, [clientId]);
+
+      if (client.rows.length === 0) {
+        return null;
+      }
+
+      const profile = {
+        ...client.rows[0],
+        services_count: parseInt(client.rows[0].services_count) || 0,
+        total_spent: parseFloat(client.rows[0].total_spent) || 0,
+        avg_order_value: parseFloat(client.rows[0].avg_order_value) || 0
+      };
+
+      // Cache for 1 hour
+      await redis.cacheRevenueData(clientId, profile, 3600);
+      return profile;
+
+    } catch (error) {
+      logger.error('Error getting client profile for pricing:', error);
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const pricingService = new PricingService();
+
+module.exports = pricingService;
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const database = require('../database/connection');
+const pricingService = require('./pricingService');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { Money } = require('../utils/money');
+
+// Price quotes pin the price a client was shown. A quote stores the full
+// pricing breakdown with an expiry and an HMAC signature over the quoted
+// terms; an order placed with a quote id is charged the quoted price as
+// long as the quote is unexpired, unused, untampered and matches the order.
+
+// Money and factors are normalized so the signature survives the database round trip
+function signedTerms(quote) {
+  const money = (amount) => Money.of(amount, quote.currency).toString();
+  return JSON.stringify([
+    quote.id,
+    quote.client_id,
+    quote.service_id,
+    quote.urgency,
+    Number(quote.bundle_size),
+    quote.currency,
+    quote.underlying_amount === null || quote.underlying_amount === undefined
+      ? null
+      : money(quote.underlying_amount),
+    money(quote.base_price),
+    money(quote.final_price),
+    money(quote.discount_amount),
+    (quote.adjustment_factors || []).map(f => [f.type, Number(f.factor).toFixed(4), f.description]),
+    quote.pricing_rule_set_id || null,
+    new Date(quote.expires_at).getTime()
+  ]);
+}
+
+class QuoteManager {
+  constructor() {
+    this.ttlMinutes = parseInt(process.env.PRICE_QUOTE_TTL_MINUTES) || 30;
+  }
+
+  getSecret() {
+    const secret = process.env.PRICE_QUOTE_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('PRICE_QUOTE_SECRET environment variable is required');
+    }
+    return secret;
+  }
+
+  sign(quote) {
+    return crypto.createHmac('sha256', this.getSecret()).update(signedTerms(quote)).digest('hex');
+  }
+
+  verify(quote) {
+    const expected = Buffer.from(this.sign(quote), 'hex');
+    const actual = Buffer.from(quote.signature || '', 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Quote a service for a client. An open quote for the same terms is
+   * reused while more than half of its lifetime remains, so browsing the
+   * catalogue does not create a quote per page view. Only a quote in the
+   * currency the client would be quoted in now is reused.
+   */
+  async issue(service, clientId, { urgency = 'standard', bundleSize = 1, underlyingAmount = null } = {}) {
+    const client = await pricingService.getClientProfile(clientId);
+    if (!client) {
+      throw new NotFoundError('Client not found');
+    }
+
+    const reusable = await database.query(`
+      SELECT * FROM price_quotes
+      WHERE client_id = $1 AND service_id = $2 AND urgency = $3 AND bundle_size = $4
+        AND underlying_amount IS NOT DISTINCT FROM $5 AND currency = $6
+        AND status = 'active' AND expires_at > NOW() + $7 * INTERVAL '1 minute'
+      ORDER BY expires_at DESC
+      LIMIT 1
+    `, [clientId, service.id, urgency, bundleSize, underlyingAmount, pricingService.currencyFor(service, client), this.ttlMinutes / 2]);
+    if (reusable.rows[0] && this.verify(reusable.rows[0])) {
+      return reusable.rows[0];
+    }
+
+    const pricing = await pricingService.quote(service, clientId, { urgency, bundleSize, underlyingAmount });
+
+    const quote = {
+      id: crypto.randomUUID(),
+      client_id: clientId,
+      service_id: service.id,
+      urgency,
+      bundle_size: bundleSize,
+      underlying_amount: underlyingAmount,
+      currency: pricing.currency,
+      base_price: pricing.basePrice,
+      final_price: pricing.finalPrice,
+      discount_amount: pricing.discountAmount,
+      premium_amount: pricing.premiumAmount,
+      total_adjustment: pricing.totalAdjustment,
+      estimated_cost: pricing.estimatedCost,
+      profit_margin: pricing.profitMargin,
+      adjustment_factors: pricing.adjustmentFactors,
+      fee_basis: pricing.feeBasis,
+      pricing_rule_set_id: pricing.ruleSetId,
+      expires_at: new Date(Date.now() + this.ttlMinutes * 60 * 1000)
+    };
+    quote.signature = this.sign(quote);
+
+    const created = await database.create('price_quotes', {
+      ...quote,
+      adjustment_factors: JSON.stringify(quote.adjustment_factors),
+      fee_basis: JSON.stringify(quote.fee_basis)
+    });
+
+    logger.revenue('Price quote issued', {
+      quoteId: created.id,
+      clientId,
+      serviceId: service.id,
+      finalPrice: pricing.finalPrice,
+      currency: pricing.currency,
+      expiresAt: quote.expires_at
+    });
+
+    return created;
+  }
+
+  // A client's own quote; other clients' quotes are reported as not found
+  async getQuote(quoteId, clientId) {
+    const quote = await database.findById('price_quotes', quoteId);
+    if (!quote || quote.client_id !== clientId) {
+      throw new NotFoundError('Price quote not found');
+    }
+    return quote;
+  }
+
+  /**
+   * Claim a quote for an order and return its pricing. The claim is atomic,
+   * so a quote pays for at most one order; release() gives it back if the
+   * order could not be created.
+   */
+  async redeem(quoteId, { clientId, serviceId, urgency = 'standard', bundleSize = 1, underlyingAmount = null }) {
+    const quote = await this.getQuote(quoteId, clientId);
+
+    if (quote.service_id !== serviceId) {
+      throw new ValidationError('Price quote is for a different service', { field: 'quoteId' });
+    }
+    const quotedAmount = quote.underlying_amount === null ? null : parseFloat(quote.underlying_amount);
+    if (quote.urgency !== urgency || quote.bundle_size !== bundleSize ||
+      (underlyingAmount !== null && underlyingAmount !== quotedAmount)) {
+      throw new ValidationError('Price quote was issued for different order options', {
+        field: 'quoteId',
+        quoted: { urgency: quote.urgency, bundleSize: quote.bundle_size, underlyingAmount: quotedAmount }
+      });
+    }
+    if (!this.verify(quote)) {
+      logger.security('Price quote failed signature verification', { quoteId, clientId });
+      throw new ConflictError('Price quote is no longer valid');
+    }
+    if (new Date(quote.expires_at) <= new Date()) {
+      throw new ConflictError('Price quote has expired');
+    }
+
+    const claimed = await database.query(`
+      UPDATE price_quotes
+      SET status = 'redeemed', redeemed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'active' AND expires_at > NOW()
+      RETURNING *
+    `, [quoteId]);
+    if (!claimed.rows[0]) {
+      throw new ConflictError('Price quote has already been used');
+    }
+
+    return this.toPricing(claimed.rows[0]);
+  }
+
+  async attachOrder(quoteId, orderId) {
+    await database.update('price_quotes', quoteId, { order_id: orderId });
+  }
+
+  async release(quoteId) {
+    await database.update('price_quotes', quoteId, { status: 'active', redeemed_at: null });
+  }
+
+  // The quote in PricingService's pricing shape
+  toPricing(quote) {
+    return {
+      quoteId: quote.id,
+      currency: quote.currency,
+      basePrice: parseFloat(quote.base_price),
+      finalPrice: parseFloat(quote.final_price),
+      adjustmentFactors: quote.adjustment_factors || [],
+      estimatedCost: parseFloat(quote.estimated_cost),
+      profitMargin: parseFloat(quote.profit_margin),
+      discountAmount: parseFloat(quote.discount_amount) || 0,
+      premiumAmount: parseFloat(quote.premium_amount) || 0,
+      totalAdjustment: parseFloat(quote.total_adjustment) || 0,
+      feeBasis: quote.fee_basis,
+      ruleSetId: quote.pricing_rule_set_id,
+      clientTotal: quote.fee_basis && quote.fee_basis.model === 'cost_plus'
+        ? Money.sum([quote.fee_basis.underlyingAmount, quote.final_price], quote.currency).toNumber()
+        : undefined
+    };
+  }
+}
+
+// Create singleton instance
+const quoteManager = new QuoteManager();
+
+module.exports = quoteManager;
@@ -0,0 +1,269 @@
+const database = require('../database/connection');
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+
+// Versioned pricing rule sets (the multiplier, seasonal and market tables
+// the pricing pipeline reads). A rule set is drafted, submitted and then
+// approved by a second admin, or rejected; approved sets are immutable.
+// The set in effect at a given time is the approved set with the latest
+// effective_from that has started and not yet ended (effective_to), so a
+// set with an end date temporarily replaces the one before it.
+//
+// Per-service overrides replace parts of the tables for one service:
+//
+//   { <serviceId>: { urgencyPremiums: { emergency: 1.3 }, seasonalFactors: { financial: { 12: 1.1 } } } }
+
+// Statuses a rule set can still be edited in
+const EDITABLE_STATUSES = ['draft', 'rejected'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merge an override into the tables, table by table and category by category
+function mergeTables(tables, override) {
+  const merged = { ...tables };
+  for (const [table, values] of Object.entries(override || {})) {
+    if (!isPlainObject(values)) {
+      merged[table] = values;
+      continue;
+    }
+    merged[table] = { ...tables[table] };
+    for (const [key, value] of Object.entries(values)) {
+      merged[table][key] = isPlainObject(value) && isPlainObject(merged[table][key])
+        ? { ...merged[table][key], ...value }
+        : value;
+    }
+  }
+  return merged;
+}
+
+class PricingRuleSetManager {
+  constructor() {
+    this.channel = 'pricing:rules:changed';
+  }
+
+  async getRuleSet(ruleSetId) {
+    const ruleSet = await database.findById('pricing_rule_sets', ruleSetId);
+    if (!ruleSet) {
+      throw new NotFoundError('Pricing rule set not found');
+    }
+    return ruleSet;
+  }
+
+  async listRuleSets(status = null) {
+    const params = [];
+    let query = `
+      SELECT
+        prs.*,
+        author.email as created_by_email,
+        approver.email as approved_by_email
+      FROM pricing_rule_sets prs
+      LEFT JOIN users author ON prs.created_by = author.id
+      LEFT JOIN users approver ON prs.approved_by = approver.id
+    `;
+
+    if (status) {
+      params.push(status);
+      query += ' WHERE prs.status = $1';
+    }
+
+    query += ' ORDER BY prs.version DESC';
+
+    const result = await database.query(query, params);
+    return result.rows;
+  }
+
+  // Approved sets that have not ended, newest effective date first
+  async listApproved(executor = database) {
+    const result = await executor.query(`
+      SELECT * FROM pricing_rule_sets
+      WHERE status = 'approved' AND (effective_to IS NULL OR effective_to > NOW())
+      ORDER BY effective_from DESC, version DESC
+    `);
+    return result.rows;
+  }
+
+  // Overrides may only name existing services
+  async validateOverrides(serviceOverrides) {
+    const serviceIds = Object.keys(serviceOverrides || {});
+    if (serviceIds.length === 0) {
+      return;
+    }
+
+    const result = await database.query('SELECT id FROM services WHERE id = ANY($1)', [serviceIds]);
+    const unknown = serviceIds.filter(id => !result.rows.some(row => row.id === id));
+    if (unknown.length > 0) {
+      throw new ValidationError('Service overrides name unknown services', {
+        field: 'serviceOverrides',
+        serviceIds: unknown
+      });
+    }
+  }
+
+  validateDates(effectiveFrom, effectiveTo) {
+    if (effectiveTo && new Date(effectiveTo) <= new Date(effectiveFrom)) {
+      throw new ValidationError('effectiveTo must be after effectiveFrom', { field: 'effectiveTo' });
+    }
+  }
+
+  /**
+   * Create a draft. Without `rules`, the draft starts from the tables of
+   * `basedOnVersion` (or the set in effect now), so an edit can be a small
+   * change to the current pricing.
+   */
+  async createRuleSet({ name, description = null, rules = null, serviceOverrides = null, effectiveFrom, effectiveTo = null, basedOnVersion = null }, { authorId = null } = {}) {
+    let base = null;
+    if (!rules || !serviceOverrides) {
+      base = basedOnVersion
+        ? await database.findOne('pricing_rule_sets', { version: basedOnVersion })
+        : (await this.listApproved()).find(ruleSet => new Date(ruleSet.effective_from) <= new Date());
+      if (basedOnVersion && !base) {
+        throw new NotFoundError(`Pricing rule set version ${basedOnVersion} not found`);
+      }
+    }
+
+    const draft = {
+      rules: rules || (base && base.rules),
+      serviceOverrides: serviceOverrides || (base && base.service_overrides) || {}
+    };
+    if (!draft.rules) {
+      throw new ValidationError('rules are required when there is no rule set to start from', { field: 'rules' });
+    }
+
+    this.validateDates(effectiveFrom, effectiveTo);
+    await this.validateOverrides(draft.serviceOverrides);
+
+    const ruleSet = await database.create('pricing_rule_sets', {
+      name,
+      description,
+      rules: JSON.stringify(draft.rules),
+      service_overrides: JSON.stringify(draft.serviceOverrides),
+      effective_from: effectiveFrom,
+      effective_to: effectiveTo,
+      based_on_version: base ? base.version : null,
+      created_by: authorId
+    });
+
+    logger.info('Pricing rule set drafted', { ruleSetId: ruleSet.id, version: ruleSet.version, authorId });
+    return ruleSet;
+  }
+
+  async updateRuleSet(ruleSetId, fields) {
+    const ruleSet = await this.getRuleSet(ruleSetId);
+    if (!EDITABLE_STATUSES.includes(ruleSet.status)) {
+      throw new ConflictError(`Pricing rule set is ${ruleSet.status}; only draft or rejected sets can be edited`);
+    }
+
+    const effectiveFrom = fields.effectiveFrom || ruleSet.effective_from;
+    const effectiveTo = fields.effectiveTo !== undefined ? fields.effectiveTo : ruleSet.effective_to;
+    this.validateDates(effectiveFrom, effectiveTo);
+    if (fields.serviceOverrides) {
+      await this.validateOverrides(fields.serviceOverrides);
+    }
+
+    const changes = { status: 'draft', rejection_reason: null };
+    if (fields.name !== undefined) changes.name = fields.name;
+    if (fields.description !== undefined) changes.description = fields.description;
+    if (fields.rules !== undefined) changes.rules = JSON.stringify(fields.rules);
+    if (fields.serviceOverrides !== undefined) changes.service_overrides = JSON.stringify(fields.serviceOverrides);
+    if (fields.effectiveFrom !== undefined) changes.effective_from = fields.effectiveFrom;
+    if (fields.effectiveTo !== undefined) changes.effective_to = fields.effectiveTo;
+
+    return await database.update('pricing_rule_sets', ruleSetId, changes);
+  }
+
+  async submitRuleSet(ruleSetId, { authorId = null } = {}) {
+    const ruleSet = await this.getRuleSet(ruleSetId);
+    if (ruleSet.status !== 'draft') {
+      throw new ConflictError(`Pricing rule set is ${ruleSet.status}; only drafts can be submitted`);
+    }
+
+    const submitted = await database.update('pricing_rule_sets', ruleSetId, {
+      status: 'pending_approval',
+      submitted_by: authorId,
+      submitted_at: new Date()
+    });
+
+    logger.info('Pricing rule set submitted for approval', { ruleSetId, version: ruleSet.version, authorId });
+    return submitted;
+  }
+
+  // Four eyes: the approver cannot be the author or the submitter
+  async approveRuleSet(ruleSetId, { approverId }) {
+    const ruleSet = await this.getRuleSet(ruleSetId);
+    if (ruleSet.status !== 'pending_approval') {
+      throw new ConflictError(`Pricing rule set is ${ruleSet.status}; only submitted sets can be approved`);
+    }
+    if (approverId === ruleSet.created_by || approverId === ruleSet.submitted_by) {
+      throw new AuthorizationError('A pricing rule set must be approved by someone other than its author');
+    }
+
+    const approved = await database.update('pricing_rule_sets', ruleSetId, {
+      status: 'approved',
+      approved_by: approverId,
+      approved_at: new Date()
+    });
+
+    await this.announce(approved, 'approve');
+    return approved;
+  }
+
+  async rejectRuleSet(ruleSetId, { approverId, reason }) {
+    const ruleSet = await this.getRuleSet(ruleSetId);
+    if (ruleSet.status !== 'pending_approval') {
+      throw new ConflictError(`Pricing rule set is ${ruleSet.status}; only submitted sets can be rejected`);
+    }
+
+    const rejected = await database.update('pricing_rule_sets', ruleSetId, {
+      status: 'rejected',
+      approved_by: approverId,
+      rejection_reason: reason
+    });
+
+    logger.info('Pricing rule set rejected', { ruleSetId, version: ruleSet.version, approverId });
+    return rejected;
+  }
+
+  /**
+   * End an approved set early (or change when it ends). The set before it
+   * is back in effect from then on.
+   */
+  async endRuleSet(ruleSetId, effectiveTo, { authorId = null } = {}) {
+    const ruleSet = await this.getRuleSet(ruleSetId);
+    if (ruleSet.status !== 'approved') {
+      throw new ConflictError(`Pricing rule set is ${ruleSet.status}; only approved sets can be ended`);
+    }
+    this.validateDates(ruleSet.effective_from, effectiveTo);
+
+    const ended = await database.update('pricing_rule_sets', ruleSetId, { effective_to: effectiveTo });
+    logger.info('Pricing rule set end date changed', { ruleSetId, version: ruleSet.version, effectiveTo, authorId });
+
+    await this.announce(ended, 'end');
+    return ended;
+  }
+
+  // Tell every PricingService instance to reload its approved sets
+  async announce(ruleSet, changeType) {
+    await redis.publish(this.channel, {
+      ruleSetId: ruleSet.id,
+      version: ruleSet.version,
+      changeType,
+      effectiveFrom: ruleSet.effective_from,
+      effectiveTo: ruleSet.effective_to
+    });
+
+    logger.revenue('Pricing rule set changed', {
+      ruleSetId: ruleSet.id,
+      version: ruleSet.version,
+      changeType
+    });
+  }
+}
+
+// Create singleton instance
+const pricingRuleSetManager = new PricingRuleSetManager();
+
+module.exports = pricingRuleSetManager;
+module.exports.mergeTables = mergeTables;
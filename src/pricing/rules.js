@@ -0,0 +1,200 @@
+// The pricing pipeline's rules, applied in order. Each rule looks at the
+// quote context and returns a multiplicative adjustment
+// `{ factor, description }`, or null when it does not apply. Rules marked
+// `dynamic` only run when dynamic pricing is enabled.
+//
+// The context carries the service, the client's pricing profile, the quote
+// options (urgency, bundleSize, channel, discountSchedule), the pricing
+// tables of the rule set in effect (with the service's overrides applied)
+// and the running price.
+
+// Default incentive schedule for cascade offers; experiment variants can
+// override any part of it through `options.discountSchedule`
+const CASCADE_DISCOUNT_SCHEDULE = {
+  discounts: {
+    premium: 0.1,          // clients who have spent over $50k
+    excellentCredit: 0.05, // credit score over 750
+    firstTime: 0.15,       // no previous orders
+    loyalty: 0.08          // more than 5 orders
+  },
+  minPriceRatio: 0.5       // never quote below half the base price
+};
+
+function creditTier(creditScore) {
+  if (creditScore >= 750) return 'excellent';
+  if (creditScore >= 650) return 'good';
+  if (creditScore >= 550) return 'fair';
+  if (creditScore >= 450) return 'poor';
+  return 'bad';
+}
+
+function vehicleTier(vehicleValue) {
+  if (vehicleValue >= 100000) return 'luxury';
+  if (vehicleValue >= 50000) return 'premium';
+  if (vehicleValue >= 25000) return 'standard';
+  return 'economy';
+}
+
+function loyaltyTier(servicesCount) {
+  if (!servicesCount) return 'new';
+  if (servicesCount <= 3) return 'returning';
+  if (servicesCount <= 10) return 'loyal';
+  return 'premium';
+}
+
+function volumeTier(bundleSize) {
+  if (bundleSize >= 4) return 'package';
+  if (bundleSize >= 2) return 'bundle';
+  return 'single';
+}
+
+const creditScoreRule = {
+  name: 'credit_score',
+  dynamic: true,
+  apply({ client, tables }) {
+    if (!client.credit_score) {
+      return null;
+    }
+    return {
+      factor: tables.creditScoreMultipliers[creditTier(client.credit_score)],
+      description: `Credit score: ${client.credit_score}`
+    };
+  }
+};
+
+const vehicleValueRule = {
+  name: 'vehicle_value',
+  dynamic: true,
+  apply({ client, tables }) {
+    if (!client.vehicle_value) {
+      return null;
+    }
+    return {
+      factor: tables.vehicleValueMultipliers[vehicleTier(client.vehicle_value)],
+      description: `Vehicle value: $${Number(client.vehicle_value).toLocaleString()}`
+    };
+  }
+};
+
+const loyaltyRule = {
+  name: 'loyalty',
+  dynamic: true,
+  apply({ client, tables }) {
+    return {
+      factor: tables.loyaltyDiscounts[loyaltyTier(client.services_count)],
+      description: `${client.services_count} previous services`
+    };
+  }
+};
+
+const seasonalRule = {
+  name: 'seasonal',
+  dynamic: true,
+  apply({ service, tables, now }) {
+    const factors = tables.seasonalFactors[service.service_category];
+    const factor = factors ? factors[now.getMonth() + 1] : null;
+    if (!factor) {
+      return null;
+    }
+    return {
+      factor,
+      description: `${service.service_category} seasonal demand`
+    };
+  }
+};
+
+const marketRule = {
+  name: 'market',
+  dynamic: true,
+  apply({ service, tables }) {
+    const conditions = tables.marketConditions[service.service_category];
+    if (!conditions) {
+      return null;
+    }
+    return {
+      factor: conditions.factor,
+      description: `Market conditions for ${service.service_category}`
+    };
+  }
+};
+
+const urgencyRule = {
+  name: 'urgency',
+  dynamic: true,
+  apply({ options, tables }) {
+    if (!options.urgency) {
+      return null;
+    }
+    return {
+      factor: tables.urgencyPremiums[options.urgency] || 1.0,
+      description: `${options.urgency} service`
+    };
+  }
+};
+
+// Bundle discount; published pricing, so it applies with dynamic pricing off
+const volumeRule = {
+  name: 'volume',
+  dynamic: false,
+  apply({ options, tables }) {
+    if (!options.bundleSize || options.bundleSize <= 1) {
+      return null;
+    }
+    return {
+      factor: tables.volumeDiscounts[volumeTier(options.bundleSize)],
+      description: `Bundle of ${options.bundleSize} services`
+    };
+  }
+};
+
+// Incentive on cascade offers: the largest discount the client qualifies
+// for, never taking the price below `minPriceRatio` of the base price
+const cascadeIncentiveRule = {
+  name: 'cascade_incentive',
+  dynamic: false,
+  apply({ client, options, basePrice, price }) {
+    if (options.channel !== 'cascade') {
+      return null;
+    }
+
+    const schedule = options.discountSchedule || {};
+    const discounts = { ...CASCADE_DISCOUNT_SCHEDULE.discounts, ...schedule.discounts };
+    const minPriceRatio = schedule.minPriceRatio !== undefined
+      ? schedule.minPriceRatio
+      : CASCADE_DISCOUNT_SCHEDULE.minPriceRatio;
+
+    const qualifying = [
+      client.total_spent > 50000 && { key: 'premium', label: 'Premium client' },
+      client.credit_score > 750 && { key: 'excellentCredit', label: 'Excellent credit' },
+      client.services_count === 0 && { key: 'firstTime', label: 'First-time client' },
+      client.services_count > 5 && { key: 'loyalty', label: 'Loyal client' }
+    ].filter(Boolean);
+    if (qualifying.length === 0) {
+      return null;
+    }
+
+    const best = qualifying.reduce((a, b) => (discounts[b.key] > discounts[a.key] ? b : a));
+    const factor = Math.max(1 - discounts[best.key], (basePrice * minPriceRatio) / price);
+    return {
+      factor,
+      description: `${best.label} cascade offer discount`
+    };
+  }
+};
+
+const DEFAULT_RULES = [
+  creditScoreRule,
+  vehicleValueRule,
+  loyaltyRule,
+  seasonalRule,
+  marketRule,
+  urgencyRule,
+  volumeRule,
+  cascadeIncentiveRule
+];
+
+module.exports = {
+  DEFAULT_RULES,
+  CASCADE_DISCOUNT_SCHEDULE,
+  volumeTier
+};
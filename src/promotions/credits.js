@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { Money, DEFAULT_CURRENCY, normalizeCurrency } = require('../utils/money');
+
+// Account credit: grants of credit to a client, spent on orders oldest
+// expiry first. Gift credit comes from redeemed gift certificates and
+// refund credit from cancelled orders refunded to the account; both are
+// prepaid money. Referral and goodwill credit are promotional, so revenue
+// is reported net of them (RevenueOptimizer.trackRevenue). Credit is held
+// in a currency and only spent on orders in it.
+
+const CREDIT_KINDS = ['gift', 'refund', 'referral', 'goodwill'];
+const PREPAID_KINDS = ['gift', 'refund'];
+
+// No 0/O or 1/I, so codes survive being read out or typed
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateCode(length, prefix = null) {
+  const bytes = crypto.randomBytes(length);
+  const code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return prefix ? `${prefix}-${code}` : code;
+}
+
+class CreditManager {
+  constructor() {
+    this.giftCertificateTtlDays = parseInt(process.env.GIFT_CERTIFICATE_TTL_DAYS) || 1825;
+  }
+
+  // Unexpired credit left in a currency, in total and by kind
+  async getBalance(clientId, currency = DEFAULT_CURRENCY) {
+    const result = await database.query(`
+      SELECT kind, SUM(remaining) as remaining
+      FROM client_credits
+      WHERE client_id = $1 AND currency = $2 AND remaining > 0 AND (expires_at IS NULL OR expires_at > NOW())
+      GROUP BY kind
+    `, [clientId, currency]);
+
+    const byKind = {};
+    for (const row of result.rows) {
+      byKind[row.kind] = Money.of(row.remaining, currency).toNumber();
+    }
+    return {
+      currency,
+      total: Money.sum(result.rows.map(row => row.remaining), currency).toNumber(),
+      byKind
+    };
+  }
+
+  async listCredits(clientId) {
+    const result = await database.query(`
+      SELECT * FROM client_credits
+      WHERE client_id = $1
+      ORDER BY created_at DESC
+    `, [clientId]);
+    return result.rows;
+  }
+
+  async grant({ clientId, kind, amount, currency = DEFAULT_CURRENCY, expiresAt = null, giftCertificateId = null, referredClientId = null, sourceOrderId = null, notes = null, createdBy = null }, executor = database) {
+    if (!CREDIT_KINDS.includes(kind)) {
+      throw new ValidationError(`Unknown credit kind ${kind}`, { field: 'kind' });
+    }
+    const value = Money.of(amount, currency);
+    if (!value.isPositive()) {
+      throw new ValidationError('Credit amount must be positive', { field: 'amount' });
+    }
+
+    const credit = await database.create('client_credits', {
+      client_id: clientId,
+      kind,
+      promotional: !PREPAID_KINDS.includes(kind),
+      currency: value.currency,
+      amount: value.toString(),
+      remaining: value.toString(),
+      expires_at: expiresAt,
+      gift_certificate_id: giftCertificateId,
+      referred_client_id: referredClientId,
+      source_order_id: sourceOrderId,
+      notes,
+      created_by: createdBy
+    }, executor);
+
+    logger.revenue('Account credit granted', {
+      creditId: credit.id,
+      clientId,
+      kind,
+      amount: credit.amount,
+      currency: credit.currency
+    });
+
+    return credit;
+  }
+
+  /**
+   * Spend the client's credit in the order's currency on an order, up to
+   * `amountDue` (Money), inside the order's transaction. Credits are locked
+   * and used soonest-expiring first. Returns the amount applied (Money).
+   */
+  async applyToOrder(order, amountDue, executor) {
+    const credits = await executor.query(`
+      SELECT * FROM client_credits
+      WHERE client_id = $1 AND currency = $2 AND remaining > 0 AND (expires_at IS NULL OR expires_at > NOW())
+      ORDER BY expires_at ASC NULLS LAST, created_at ASC
+      FOR UPDATE
+    `, [order.client_id, amountDue.currency]);
+
+    let outstanding = amountDue;
+    for (const credit of credits.rows) {
+      if (!outstanding.isPositive()) {
+        break;
+      }
+
+      const remaining = Money.of(credit.remaining, amountDue.currency);
+      const amount = Money.min(remaining, outstanding);
+      await database.update('client_credits', credit.id, {
+        remaining: remaining.minus(amount).toString()
+      }, executor);
+      await database.create('credit_applications', {
+        credit_id: credit.id,
+        order_id: order.id,
+        amount: amount.toString()
+      }, executor);
+      outstanding = outstanding.minus(amount);
+    }
+
+    const applied = amountDue.minus(outstanding);
+    if (applied.isPositive()) {
+      await database.update('service_orders', order.id, { credit_applied: applied.toString() }, executor);
+    }
+    return applied;
+  }
+
+  /**
+   * Give back up to `amount` (Money) of the credit spent on an order, to
+   * the grants it was spent from, most recently applied first, inside the
+   * cancellation's transaction. Restored credit keeps its grant's expiry.
+   * Each restoration is a negative credit application. Returns the amount
+   * restored (Money).
+   */
+  async restoreFromOrder(order, amount, executor) {
+    const applications = await executor.query(`
+      SELECT ca.credit_id, SUM(ca.amount) as amount, MAX(ca.created_at) as applied_at
+      FROM credit_applications ca
+      WHERE ca.order_id = $1
+      GROUP BY ca.credit_id
+      HAVING SUM(ca.amount) > 0
+      ORDER BY applied_at DESC
+    `, [order.id]);
+
+    let outstanding = amount;
+    for (const application of applications.rows) {
+      if (!outstanding.isPositive()) {
+        break;
+      }
+
+      const locked = await executor.query('SELECT * FROM client_credits WHERE id = $1 FOR UPDATE', [application.credit_id]);
+      const credit = locked.rows[0];
+      const restored = Money.min(Money.of(application.amount, amount.currency), outstanding);
+      await database.update('client_credits', credit.id, {
+        remaining: Money.of(credit.remaining, amount.currency).plus(restored).toString()
+      }, executor);
+      await database.create('credit_applications', {
+        credit_id: credit.id,
+        order_id: order.id,
+        amount: restored.negate().toString()
+      }, executor);
+      outstanding = outstanding.minus(restored);
+    }
+
+    return amount.minus(outstanding);
+  }
+
+  // Promotional credit (referral, goodwill) spent on an order, in its currency
+  async promotionalCreditForOrder(orderId, currency = DEFAULT_CURRENCY) {
+    const result = await database.query(`
+      SELECT COALESCE(SUM(ca.amount), 0) as amount
+      FROM credit_applications ca
+      JOIN client_credits cc ON ca.credit_id = cc.id
+      WHERE ca.order_id = $1 AND cc.promotional = true
+    `, [orderId]);
+    return Money.of(result.rows[0].amount, currency);
+  }
+
+  async issueGiftCertificate({ amount, currency = DEFAULT_CURRENCY, recipientEmail = null, message = null, expiresAt = null }, { issuerId = null } = {}) {
+    const value = Money.of(amount, normalizeCurrency(currency));
+    const certificate = await database.create('gift_certificates', {
+      code: generateCode(12, 'GIFT'),
+      amount: value.toString(),
+      currency: value.currency,
+      recipient_email: recipientEmail,
+      message,
+      issued_by: issuerId,
+      expires_at: expiresAt || new Date(Date.now() + this.giftCertificateTtlDays * 24 * 60 * 60 * 1000)
+    });
+
+    logger.revenue('Gift certificate issued', {
+      giftCertificateId: certificate.id,
+      amount: certificate.amount,
+      currency: certificate.currency,
+      issuerId
+    });
+
+    return certificate;
+  }
+
+  async listGiftCertificates(status = null) {
+    const params = [];
+    let query = 'SELECT * FROM gift_certificates';
+    if (status) {
+      params.push(status);
+      query += ' WHERE status = $1';
+    }
+    query += ' ORDER BY created_at DESC';
+
+    const result = await database.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Redeem a gift certificate into a client's account credit. The credit
+   * expires when the certificate would have. Certificates in another
+   * currency than the client is billed in cannot be spent, so are refused.
+   */
+  async redeemGiftCertificate(code, client) {
+    return await database.transaction(async (executor) => {
+      const result = await executor.query(
+        'SELECT * FROM gift_certificates WHERE code = $1 FOR UPDATE',
+        [String(code || '').trim().toUpperCase()]
+      );
+      const certificate = result.rows[0];
+      if (!certificate) {
+        throw new NotFoundError('Gift certificate not found');
+      }
+      if (certificate.status !== 'active') {
+        throw new ConflictError(`Gift certificate is ${certificate.status}`);
+      }
+      if (certificate.expires_at && new Date(certificate.expires_at) <= new Date()) {
+        throw new ConflictError('Gift certificate has expired');
+      }
+      if (certificate.currency !== (client.currency || DEFAULT_CURRENCY)) {
+        throw new ConflictError(`Gift certificate is in ${certificate.currency}; this account is billed in ${client.currency || DEFAULT_CURRENCY}`);
+      }
+
+      await database.update('gift_certificates', certificate.id, {
+        status: 'redeemed',
+        redeemed_by: client.id,
+        redeemed_at: new Date()
+      }, executor);
+
+      return await this.grant({
+        clientId: client.id,
+        kind: 'gift',
+        amount: certificate.amount,
+        currency: certificate.currency,
+        expiresAt: certificate.expires_at,
+        giftCertificateId: certificate.id
+      }, executor);
+    });
+  }
+
+  async voidGiftCertificate(giftCertificateId) {
+    const result = await database.query(`
+      UPDATE gift_certificates
+      SET status = 'void', updated_at = NOW()
+      WHERE id = $1 AND status = 'active'
+      RETURNING *
+    `, [giftCertificateId]);
+
+    if (!result.rows[0]) {
+      const certificate = await database.findById('gift_certificates', giftCertificateId);
+      if (!certificate) {
+        throw new NotFoundError('Gift certificate not found');
+      }
+      throw new ConflictError(`Gift certificate is ${certificate.status} and cannot be voided`);
+    }
+    return result.rows[0];
+  }
+
+  // Credit granted, spent and outstanding by currency and kind, for reporting
+  async getCreditReport() {
+    const result = await database.query(`
+      SELECT
+        cc.currency,
+        cc.kind,
+        cc.promotional,
+        COUNT(*) as grants,
+        SUM(cc.amount) as granted,
+        SUM(cc.amount - cc.remaining) as applied,
+        SUM(CASE WHEN cc.expires_at IS NULL OR cc.expires_at > NOW() THEN cc.remaining ELSE 0 END) as outstanding
+      FROM client_credits cc
+      GROUP BY cc.currency, cc.kind, cc.promotional
+      ORDER BY cc.currency, cc.kind
+    `);
+    return result.rows;
+  }
+}
+
+// Create singleton instance
+const creditManager = new CreditManager();
+
+module.exports = creditManager;
+module.exports.generateCode = generateCode;
+module.exports.CREDIT_KINDS = CREDIT_KINDS;
+module.exports.PREPAID_KINDS = PREPAID_KINDS;
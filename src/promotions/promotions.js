@@ -0,0 +1,230 @@
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { Money, DEFAULT_CURRENCY, normalizeCurrency } = require('../utils/money');
+
+// Promotion codes: a percentage or fixed amount off an order's price,
+// optionally limited to some services, to a number of redemptions overall
+// and per client, and to a date range. The discount is the last step of
+// the pricing pipeline (PricingService.applyPromotion), taken off the
+// price after the rules and guardrails; a redemption is recorded in the
+// same transaction as the order it was used on. A fixed discount is an
+// amount in one currency and only applies to orders in that currency.
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+class PromotionManager {
+  async getPromotion(promotionId) {
+    const promotion = await database.findById('promotions', promotionId);
+    if (!promotion) {
+      throw new NotFoundError('Promotion not found');
+    }
+    return promotion;
+  }
+
+  async listPromotions({ active = null } = {}) {
+    const params = [];
+    let query = 'SELECT * FROM promotions';
+    if (active !== null) {
+      params.push(active);
+      query += ' WHERE is_active = $1';
+    }
+    query += ' ORDER BY created_at DESC';
+
+    const result = await database.query(query, params);
+    return result.rows;
+  }
+
+  validateDiscount(discountType, discountValue) {
+    if (!DISCOUNT_TYPES.includes(discountType)) {
+      throw new ValidationError(`Unknown discount type ${discountType}`, { field: 'discountType' });
+    }
+    if (discountType === 'percentage' && !(discountValue > 0 && discountValue <= 100)) {
+      throw new ValidationError('A percentage discount must be between 0 and 100', { field: 'discountValue' });
+    }
+  }
+
+  async createPromotion({ code, description = null, discountType, discountValue, currency = null, serviceIds = null, maxRedemptions = null, maxRedemptionsPerClient = 1, startsAt = null, expiresAt = null }, { authorId = null } = {}) {
+    this.validateDiscount(discountType, discountValue);
+    if (expiresAt && startsAt && new Date(expiresAt) <= new Date(startsAt)) {
+      throw new ValidationError('expiresAt must be after startsAt', { field: 'expiresAt' });
+    }
+
+    const existing = await database.findOne('promotions', { code: normalizeCode(code) });
+    if (existing) {
+      throw new ConflictError(`Promotion code ${normalizeCode(code)} already exists`);
+    }
+
+    const promotion = await database.create('promotions', {
+      code: normalizeCode(code),
+      description,
+      discount_type: discountType,
+      discount_value: discountValue,
+      currency: discountType === 'fixed' ? normalizeCurrency(currency || DEFAULT_CURRENCY) : null,
+      service_ids: serviceIds && serviceIds.length > 0 ? serviceIds : null,
+      max_redemptions: maxRedemptions,
+      max_redemptions_per_client: maxRedemptionsPerClient,
+      starts_at: startsAt || new Date(),
+      expires_at: expiresAt,
+      created_by: authorId
+    });
+
+    logger.info('Promotion created', { promotionId: promotion.id, code: promotion.code, authorId });
+    return promotion;
+  }
+
+  // The discount terms of a promotion that has been redeemed are fixed
+  async updatePromotion(promotionId, fields) {
+    const promotion = await this.getPromotion(promotionId);
+
+    const changes = {};
+    if (fields.description !== undefined) changes.description = fields.description;
+    if (fields.serviceIds !== undefined) changes.service_ids = fields.serviceIds && fields.serviceIds.length > 0 ? fields.serviceIds : null;
+    if (fields.maxRedemptions !== undefined) changes.max_redemptions = fields.maxRedemptions;
+    if (fields.maxRedemptionsPerClient !== undefined) changes.max_redemptions_per_client = fields.maxRedemptionsPerClient;
+    if (fields.expiresAt !== undefined) changes.expires_at = fields.expiresAt;
+    if (fields.isActive !== undefined) changes.is_active = fields.isActive;
+
+    if (fields.discountType !== undefined || fields.discountValue !== undefined || fields.currency !== undefined) {
+      if (promotion.redemption_count > 0) {
+        throw new ConflictError('The discount of a promotion that has been redeemed cannot be changed');
+      }
+      const discountType = fields.discountType || promotion.discount_type;
+      const discountValue = fields.discountValue !== undefined ? fields.discountValue : parseFloat(promotion.discount_value);
+      this.validateDiscount(discountType, discountValue);
+      changes.discount_type = discountType;
+      changes.discount_value = discountValue;
+      changes.currency = discountType === 'fixed'
+        ? normalizeCurrency(fields.currency || promotion.currency || DEFAULT_CURRENCY)
+        : null;
+    }
+
+    return await database.update('promotions', promotionId, changes);
+  }
+
+  /**
+   * Look up a code for an order of `service` by `clientId` and check that
+   * it can be used: active, started, unexpired, eligible for the service
+   * and under its limits. Limits are checked again when the redemption is
+   * recorded.
+   */
+  async resolve(code, { service, clientId }) {
+    const promotion = await database.findOne('promotions', { code: normalizeCode(code) });
+    const now = new Date();
+
+    if (!promotion || !promotion.is_active || new Date(promotion.starts_at) > now) {
+      throw new ValidationError('Promotion code is not valid', { field: 'promotionCode' });
+    }
+    if (promotion.expires_at && new Date(promotion.expires_at) <= now) {
+      throw new ValidationError('Promotion code has expired', { field: 'promotionCode' });
+    }
+    if (promotion.service_ids && !promotion.service_ids.includes(service.id)) {
+      throw new ValidationError('Promotion code does not apply to this service', {
+        field: 'promotionCode',
+        serviceId: service.id
+      });
+    }
+
+    if (promotion.max_redemptions !== null && promotion.redemption_count >= promotion.max_redemptions) {
+      throw new ConflictError('Promotion code has been fully redeemed');
+    }
+    await this.checkClientLimit(promotion, clientId);
+    return promotion;
+  }
+
+  async checkClientLimit(promotion, clientId, executor = database) {
+    if (promotion.max_redemptions_per_client !== null) {
+      const result = await executor.query(
+        'SELECT COUNT(*) as redemptions FROM promotion_redemptions WHERE promotion_id = $1 AND client_id = $2',
+        [promotion.id, clientId]
+      );
+      if (parseInt(result.rows[0].redemptions) >= promotion.max_redemptions_per_client) {
+        throw new ConflictError('Promotion code has already been used by this client');
+      }
+    }
+  }
+
+  // The amount a promotion takes off a price (Money); never more than the price
+  discountFor(promotion, price) {
+    if (promotion.discount_type === 'percentage') {
+      return Money.min(price.percentage(parseFloat(promotion.discount_value)), price);
+    }
+
+    const currency = promotion.currency || DEFAULT_CURRENCY;
+    if (currency !== price.currency) {
+      throw new ValidationError(`Promotion code only applies to orders in ${currency}`, {
+        field: 'promotionCode',
+        currency: price.currency
+      });
+    }
+    return Money.min(Money.of(promotion.discount_value, currency), price);
+  }
+
+  /**
+   * Record the redemption of a promotion on an order, inside the order's
+   * transaction. The redemption count is claimed with a conditional update
+   * so concurrent orders cannot exceed max_redemptions.
+   */
+  async redeem(pricingPromotion, { clientId, orderId }, executor) {
+    const claimed = await executor.query(`
+      UPDATE promotions
+      SET redemption_count = redemption_count + 1, updated_at = NOW()
+      WHERE id = $1 AND is_active = true
+        AND (max_redemptions IS NULL OR redemption_count < max_redemptions)
+      RETURNING *
+    `, [pricingPromotion.promotionId]);
+    if (!claimed.rows[0]) {
+      throw new ConflictError('Promotion code has been fully redeemed');
+    }
+
+    // Counted after the claim, so the row lock serializes this client's redemptions
+    await this.checkClientLimit(claimed.rows[0], clientId, executor);
+
+    return await database.create('promotion_redemptions', {
+      promotion_id: pricingPromotion.promotionId,
+      client_id: clientId,
+      order_id: orderId,
+      discount_amount: pricingPromotion.discountAmount
+    }, executor);
+  }
+
+  // A re-priced order (settlement) keeps its promotion at the new discount
+  async updateRedemption(orderId, discountAmount, executor = database) {
+    await executor.query(
+      'UPDATE promotion_redemptions SET discount_amount = $2 WHERE order_id = $1',
+      [orderId, discountAmount]
+    );
+  }
+
+  // Redemptions and discounts per promotion and order currency, for reporting
+  async getPromotionReport() {
+    const result = await database.query(`
+      SELECT
+        p.id,
+        p.code,
+        p.discount_type,
+        p.discount_value,
+        p.is_active,
+        so.currency,
+        COUNT(pr.id) as redemptions,
+        COALESCE(SUM(pr.discount_amount), 0) as total_discount,
+        COALESCE(SUM(so.final_price), 0) as net_order_value
+      FROM promotions p
+      LEFT JOIN promotion_redemptions pr ON pr.promotion_id = p.id
+      LEFT JOIN service_orders so ON pr.order_id = so.id
+      GROUP BY p.id, p.code, p.discount_type, p.discount_value, p.is_active, so.currency
+      ORDER BY so.currency, total_discount DESC
+    `);
+    return result.rows;
+  }
+}
+
+// Create singleton instance
+const promotionManager = new PromotionManager();
+
+module.exports = promotionManager;
+module.exports.normalizeCode = normalizeCode;
@@ -0,0 +1,169 @@
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+const creditManager = require('./credits');
+const { generateCode } = require('./credits');
+const { Money, DEFAULT_CURRENCY, normalizeCurrency } = require('../utils/money');
+
+// Referrals: every client gets a referral code on first use; a client who
+// signs up with it is linked to the referrer (clients.referred_by), and the
+// referrer is granted account credit when the referred client's first order
+// completes. The unique referred_client_id on client_credits keeps that to
+// one credit per referred client, however often completion is handled.
+
+// REFERRAL_CREDIT_AMOUNT is an amount in the default currency ("50") or
+// amounts per currency ("USD:50,EUR:45"); the credit is granted in the
+// referrer's billing currency
+function parseCreditAmounts(setting) {
+  const amounts = {};
+  for (const entry of setting.split(',')) {
+    const [currency, amount] = entry.includes(':') ? entry.split(':') : [DEFAULT_CURRENCY, entry];
+    const code = normalizeCurrency(currency);
+    amounts[code] = Money.of(amount.trim(), code);
+  }
+  return amounts;
+}
+
+class ReferralManager {
+  constructor() {
+    this.creditAmounts = parseCreditAmounts(process.env.REFERRAL_CREDIT_AMOUNT || '50');
+    this.creditTtlDays = parseInt(process.env.REFERRAL_CREDIT_TTL_DAYS) || 365;
+  }
+
+  // The credit a referral earns in a currency, or null when none is configured
+  creditAmountFor(currency) {
+    return this.creditAmounts[currency || DEFAULT_CURRENCY] || null;
+  }
+
+  async getReferralCode(clientId) {
+    const client = await database.findById('clients', clientId);
+    if (client.referral_code) {
+      return client.referral_code;
+    }
+
+    // Set only if still unset, so concurrent first uses agree on one code
+    const result = await database.query(`
+      UPDATE clients
+      SET referral_code = COALESCE(referral_code, $2), updated_at = NOW()
+      WHERE id = $1
+      RETURNING referral_code
+    `, [clientId, generateCode(8)]);
+    return result.rows[0].referral_code;
+  }
+
+  // The client a referral code belongs to; a bad code is a validation error
+  async findReferrer(referralCode) {
+    const referrer = await database.findOne('clients', {
+      referral_code: String(referralCode).trim().toUpperCase()
+    });
+    if (!referrer) {
+      throw new ValidationError('Referral code is not valid', { field: 'referralCode' });
+    }
+    return referrer;
+  }
+
+  async linkReferral(clientId, referrer) {
+    if (referrer.id === clientId) {
+      return;
+    }
+
+    await database.query(`
+      UPDATE clients
+      SET referred_by = $2, referral_source = COALESCE(referral_source, 'referral'), updated_at = NOW()
+      WHERE id = $1 AND referred_by IS NULL
+    `, [clientId, referrer.id]);
+
+    logger.info('Client referral linked', { clientId, referrerId: referrer.id });
+  }
+
+  /**
+   * Credit the referrer once a referred client's first order completes.
+   * Returns the credit, or null when there is nothing to reward.
+   */
+  async rewardReferral(order) {
+    const client = await database.findById('clients', order.client_id);
+    if (!client || !client.referred_by) {
+      return null;
+    }
+
+    // Completed before this one, so a late redelivery of the first
+    // completion still finds it first
+    const completed = await database.query(`
+      SELECT COUNT(*) as completed
+      FROM service_orders
+      WHERE client_id = $1 AND status = 'completed' AND id <> $2
+        AND (completed_at < $3 OR (completed_at = $3 AND id < $2))
+    `, [client.id, order.id, order.completed_at]);
+    if (parseInt(completed.rows[0].completed) > 0) {
+      return null;
+    }
+
+    const existing = await database.findOne('client_credits', { referred_client_id: client.id });
+    if (existing) {
+      return null;
+    }
+
+    const referrer = await database.findById('clients', client.referred_by);
+    const amount = referrer ? this.creditAmountFor(referrer.currency) : null;
+    if (!amount) {
+      logger.warn('No referral credit configured for the referrer\'s currency', {
+        referrerId: client.referred_by,
+        currency: referrer ? referrer.currency : null
+      });
+      return null;
+    }
+
+    try {
+      const credit = await creditManager.grant({
+        clientId: client.referred_by,
+        kind: 'referral',
+        amount,
+        currency: amount.currency,
+        expiresAt: new Date(Date.now() + this.creditTtlDays * 24 * 60 * 60 * 1000),
+        referredClientId: client.id,
+        sourceOrderId: order.id,
+        notes: 'Referral credit for a referred client\'s first completed order'
+      });
+
+      logger.revenue('Referral credit issued', {
+        referrerId: client.referred_by,
+        referredClientId: client.id,
+        orderId: order.id,
+        amount: amount.toNumber(),
+        currency: amount.currency
+      });
+      return credit;
+    } catch (error) {
+      // Unique referred_client_id: a concurrent completion already issued it
+      if (error.code === '23505') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Referral credit is granted in the referrer's currency, so it sums in it
+  async getReferralSummary(client) {
+    const result = await database.query(`
+      SELECT
+        COUNT(c.id) as referred_clients,
+        COUNT(cc.id) as rewarded_referrals,
+        COALESCE(SUM(cc.amount), 0) as credit_earned
+      FROM clients c
+      LEFT JOIN client_credits cc ON cc.referred_client_id = c.id
+      WHERE c.referred_by = $1
+    `, [client.id]);
+
+    const row = result.rows[0];
+    return {
+      referredClients: parseInt(row.referred_clients),
+      rewardedReferrals: parseInt(row.rewarded_referrals),
+      creditEarned: Money.of(row.credit_earned, client.currency || DEFAULT_CURRENCY).toNumber()
+    };
+  }
+}
+
+// Create singleton instance
+const referralManager = new ReferralManager();
+
+module.exports = referralManager;
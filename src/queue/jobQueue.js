@@ -0,0 +1,245 @@
+const redis = require('../utils/redis');
+const logger = require('../utils/logger');
+
+// Atomically lease the next due job: it stays in the schedule with its score
+// pushed out by the visibility timeout, so a worker that dies mid-job lets
+// the job become due again (at-least-once delivery).
+const CLAIM_SCRIPT = `
+  local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, 1)
+  if #ids == 0 then
+    return nil
+  end
+  redis.call('ZADD', KEYS[1], ARGV[2], ids[1])
+  return ids[1]
+`;
+
+// Write a job and its schedule entry together, unless the job id has
+// completed or is already pending. Two round trips could leave a job body
+// with no schedule entry, which every later enqueue of the id would then
+// take for pending.
+const ENQUEUE_SCRIPT = `
+  if redis.call('EXISTS', KEYS[1]) == 1 then
+    return 'completed'
+  end
+  if not redis.call('SET', KEYS[2], ARGV[1], 'NX') then
+    return 'pending'
+  end
+  redis.call('ZADD', KEYS[3], ARGV[2], ARGV[3])
+  return 'enqueued'
+`;
+
+class JobQueue {
+  constructor() {
+    this.visibilityTimeoutMs = parseInt(process.env.JOB_VISIBILITY_TIMEOUT_MS) || 60000;
+    this.defaultMaxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+    this.backoffBaseMs = parseInt(process.env.JOB_BACKOFF_BASE_MS) || 10000;
+    this.backoffMaxMs = 60 * 60 * 1000; // 1 hour
+    this.completedTtlSeconds = 7 * 24 * 60 * 60; // Remember finished job ids for 7 days
+    this.workers = new Map();
+  }
+
+  // Key layout
+  scheduleKey(queue) {
+    return `queue:${queue}:scheduled`;
+  }
+
+  jobKey(queue, jobId) {
+    return `queue:${queue}:job:${jobId}`;
+  }
+
+  completedKey(queue, jobId) {
+    return `queue:${queue}:completed:${jobId}`;
+  }
+
+  deadLetterKey(queue) {
+    return `queue:${queue}:dead`;
+  }
+
+  /**
+   * Schedule a job. The job id doubles as the idempotency key: enqueueing an
+   * id that is already pending or has completed is a no-op.
+   */
+  async enqueue(queue, payload, options = {}) {
+    const { jobId, delayMs = 0, maxAttempts = this.defaultMaxAttempts } = options;
+
+    if (!jobId) {
+      throw new Error('Job id is required for idempotent enqueue');
+    }
+
+    const job = {
+      id: jobId,
+      queue,
+      payload,
+      attempts: 0,
+      maxAttempts,
+      enqueuedAt: new Date().toISOString(),
+      lastError: null
+    };
+
+    const outcome = await redis.client.eval(ENQUEUE_SCRIPT, {
+      keys: [this.completedKey(queue, jobId), this.jobKey(queue, jobId), this.scheduleKey(queue)],
+      arguments: [JSON.stringify(job), String(Date.now() + delayMs), jobId]
+    });
+    if (outcome !== 'enqueued') {
+      logger.debug(`Job already ${outcome}, skipping enqueue`, { queue, jobId });
+      return { jobId, enqueued: false };
+    }
+
+    logger.debug('Job enqueued', { queue, jobId, delayMs });
+    return { jobId, enqueued: true };
+  }
+
+  // Lease the next due job, or return null when nothing is due
+  async claim(queue) {
+    const now = Date.now();
+    const jobId = await redis.client.eval(CLAIM_SCRIPT, {
+      keys: [this.scheduleKey(queue)],
+      arguments: [String(now), String(now + this.visibilityTimeoutMs)]
+    });
+
+    if (!jobId) {
+      return null;
+    }
+
+    const raw = await redis.client.get(this.jobKey(queue, jobId));
+    if (!raw) {
+      // Orphaned schedule entry; the job body is gone
+      await redis.client.zRem(this.scheduleKey(queue), jobId);
+      return null;
+    }
+
+    const job = JSON.parse(raw);
+    job.attempts += 1;
+    job.claimedAt = new Date().toISOString();
+    await redis.client.set(this.jobKey(queue, jobId), JSON.stringify(job));
+
+    return job;
+  }
+
+  async complete(queue, job) {
+    await redis.client.set(this.completedKey(queue, job.id), new Date().toISOString(), {
+      EX: this.completedTtlSeconds
+    });
+    await redis.client.zRem(this.scheduleKey(queue), job.id);
+    await redis.client.del(this.jobKey(queue, job.id));
+  }
+
+  async fail(queue, job, error) {
+    job.lastError = error.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      await redis.client.rPush(this.deadLetterKey(queue), JSON.stringify({
+        ...job,
+        failedAt: new Date().toISOString()
+      }));
+      await redis.client.zRem(this.scheduleKey(queue), job.id);
+      await redis.client.del(this.jobKey(queue, job.id));
+
+      logger.error('Job moved to dead-letter list', {
+        queue,
+        jobId: job.id,
+        attempts: job.attempts,
+        error: error.message
+      });
+      return;
+    }
+
+    const delay = this.getBackoffDelay(job.attempts);
+    await redis.client.set(this.jobKey(queue, job.id), JSON.stringify(job));
+    await redis.client.zAdd(this.scheduleKey(queue), {
+      score: Date.now() + delay,
+      value: job.id
+    });
+
+    logger.warn('Job failed, retry scheduled', {
+      queue,
+      jobId: job.id,
+      attempts: job.attempts,
+      retryInMs: delay,
+      error: error.message
+    });
+  }
+
+  // Exponential backoff with jitter, capped at backoffMaxMs
+  getBackoffDelay(attempts) {
+    const exponential = this.backoffBaseMs * Math.pow(2, attempts - 1);
+    const jitter = Math.floor(Math.random() * this.backoffBaseMs);
+    return Math.min(exponential + jitter, this.backoffMaxMs);
+  }
+
+  /**
+   * Poll a queue and hand each due job to the handler. A handler that throws
+   * causes a retry; once maxAttempts is reached the job is dead-lettered.
+   */
+  process(queue, handler, options = {}) {
+    const pollIntervalMs = options.pollIntervalMs || 1000;
+    const worker = { running: true, current: null, timer: null };
+
+    const tick = async () => {
+      if (!worker.running) return;
+
+      let job = null;
+      try {
+        job = await this.claim(queue);
+        if (job) {
+          worker.current = Promise.resolve(handler(job));
+          await worker.current;
+          await this.complete(queue, job);
+        }
+      } catch (error) {
+        if (job) {
+          await this.fail(queue, job, error).catch(failError => {
+            logger.error('Failed to record job failure', { queue, jobId: job.id, error: failError.message });
+          });
+        } else {
+          logger.error('Job queue poll failed', { queue, error: error.message });
+        }
+      } finally {
+        worker.current = null;
+      }
+
+      if (worker.running) {
+        // Drain back-to-back while there is work, otherwise wait
+        worker.timer = setTimeout(tick, job ? 0 : pollIntervalMs);
+      }
+    };
+
+    this.workers.set(queue, worker);
+    tick();
+    logger.info('Job queue worker started', { queue, pollIntervalMs });
+  }
+
+  // Stop polling and wait for the in-flight job, if any
+  async stop(queue) {
+    const worker = this.workers.get(queue);
+    if (!worker) return;
+
+    worker.running = false;
+    clearTimeout(worker.timer);
+    if (worker.current) {
+      await worker.current.catch(() => {});
+    }
+    this.workers.delete(queue);
+    logger.info('Job queue worker stopped', { queue });
+  }
+
+  async getStats(queue) {
+    const now = Date.now();
+    const [scheduled, due, deadLettered] = await Promise.all([
+      redis.client.zCard(this.scheduleKey(queue)),
+      redis.client.zCount(this.scheduleKey(queue), '-inf', now),
+      redis.client.lLen(this.deadLetterKey(queue))
+    ]);
+
+    return { queue, scheduled, due, deadLettered };
+  }
+
+  async getDeadLetters(queue, limit = 50) {
+    return await redis.lrange(this.deadLetterKey(queue), 0, limit - 1);
+  }
+}
+
+// Create singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
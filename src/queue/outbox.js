@@ -0,0 +1,397 @@
+const os = require('os');
+const database = require('../database/connection');
+const logger = require('../utils/logger');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+// Transactional outbox: an event is written in the same transaction as the
+// change it describes, so it exists if and only if the change commits. The
+// dispatcher delivers events in id order to every registered consumer and
+// keeps an offset per consumer (the last event id it has handled).
+//
+// Delivery is at-least-once, so consumers must be idempotent. A consumer
+// whose handler throws is retried with backoff and its later events wait;
+// once maxAttempts is reached the event is dead-lettered for that consumer
+// and it moves on. Offsets can be rewound to replay events, and
+// dead-lettered events redelivered one by one.
+
+// Writers hold this transaction-scoped advisory lock from the insert until
+// commit, so event ids become visible in order and a consumer offset can
+// never pass an id that has yet to commit
+const OUTBOX_LOCK_KEY = 424201;
+
+class Outbox {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.OUTBOX_POLL_MS) || 1000;
+    this.batchSize = parseInt(process.env.OUTBOX_BATCH_SIZE) || 50;
+    this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+    this.backoffBaseMs = parseInt(process.env.OUTBOX_BACKOFF_BASE_MS) || 5000;
+    this.backoffMaxMs = 60 * 60 * 1000; // 1 hour
+    this.leaseMs = parseInt(process.env.OUTBOX_LEASE_MS) || 60000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.consumers = new Map();
+    this.worker = null;
+  }
+
+  /**
+   * Write an event inside the caller's transaction. Call it last in the
+   * transaction: the outbox lock it takes is held until commit.
+   */
+  async publish({ type, aggregateType, aggregateId, payload = {} }, executor) {
+    await executor.query('SELECT pg_advisory_xact_lock($1)', [OUTBOX_LOCK_KEY]);
+    return await database.create('outbox_events', {
+      event_type: type,
+      aggregate_type: aggregateType,
+      aggregate_id: aggregateId,
+      payload: JSON.stringify(payload)
+    }, executor);
+  }
+
+  /**
+   * Register a consumer for event types. The handler gets the event row
+   * and must be idempotent.
+   */
+  register(name, eventTypes, handler) {
+    if (this.consumers.has(name)) {
+      throw new Error(`Outbox consumer ${name} is already registered`);
+    }
+    this.consumers.set(name, { name, eventTypes, handler });
+  }
+
+  // A consumer seen for the first time starts after the latest event;
+  // earlier events are reached by replaying
+  async ensureOffsets() {
+    for (const name of this.consumers.keys()) {
+      await database.query(`
+        INSERT INTO outbox_consumer_offsets (consumer, last_event_id)
+        SELECT $1, COALESCE(MAX(id), 0) FROM outbox_events
+        ON CONFLICT (consumer) DO NOTHING
+      `, [name]);
+    }
+  }
+
+  async start() {
+    if (this.worker) return;
+    await this.ensureOffsets();
+
+    const worker = { running: true, current: null, timer: null };
+    const tick = async () => {
+      if (!worker.running) return;
+
+      let delivered = 0;
+      try {
+        worker.current = this.dispatchAll();
+        delivered = await worker.current;
+      } catch (error) {
+        logger.error('Outbox dispatch failed', { error: error.message });
+      } finally {
+        worker.current = null;
+      }
+
+      if (worker.running) {
+        // Drain back-to-back while there is work, otherwise wait
+        worker.timer = setTimeout(tick, delivered > 0 ? 0 : this.pollIntervalMs);
+      }
+    };
+
+    this.worker = worker;
+    tick();
+    logger.info('Outbox dispatcher started', {
+      consumers: Array.from(this.consumers.keys()),
+      pollIntervalMs: this.pollIntervalMs
+    });
+  }
+
+  // Stop polling and wait for the in-flight batch, if any
+  async stop() {
+    const worker = this.worker;
+    if (!worker) return;
+
+    worker.running = false;
+    clearTimeout(worker.timer);
+    if (worker.current) {
+      await worker.current.catch(() => {});
+    }
+    this.worker = null;
+    logger.info('Outbox dispatcher stopped');
+  }
+
+  async dispatchAll() {
+    let delivered = 0;
+    for (const consumer of this.consumers.values()) {
+      delivered += await this.dispatch(consumer);
+    }
+    return delivered;
+  }
+
+  /**
+   * Deliver the next batch of events to one consumer. The consumer's offset
+   * row is leased first, so across processes only one delivers to it at a
+   * time. Returns the number of events handled.
+   */
+  async dispatch(consumer) {
+    const lease = await database.query(`
+      UPDATE outbox_consumer_offsets
+      SET leased_by = $2, lease_expires_at = NOW() + $3 * INTERVAL '1 millisecond', updated_at = NOW()
+      WHERE consumer = $1
+        AND (lease_expires_at IS NULL OR lease_expires_at < NOW())
+        AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+      RETURNING *
+    `, [consumer.name, this.workerId, this.leaseMs]);
+    const offset = lease.rows[0];
+    if (!offset) {
+      return 0;
+    }
+
+    let delivered = 0;
+    let attempts = offset.attempts;
+    try {
+      const events = await database.query(`
+        SELECT * FROM outbox_events
+        WHERE id > $1 AND event_type = ANY($2)
+        ORDER BY id
+        LIMIT $3
+      `, [offset.last_event_id, consumer.eventTypes, this.batchSize]);
+
+      for (const event of events.rows) {
+        try {
+          await consumer.handler(event);
+        } catch (error) {
+          attempts += 1;
+          if (attempts >= this.maxAttempts) {
+            await this.deadLetter(consumer.name, event, attempts, error);
+            attempts = 0;
+            delivered += 1;
+            continue;
+          }
+
+          const delay = this.getBackoffDelay(attempts);
+          await database.query(`
+            UPDATE outbox_consumer_offsets
+            SET attempts = $2, last_error = $3, next_attempt_at = NOW() + $4 * INTERVAL '1 millisecond', updated_at = NOW()
+            WHERE consumer = $1
+          `, [consumer.name, attempts, error.message, delay]);
+
+          logger.warn('Outbox delivery failed, retry scheduled', {
+            consumer: consumer.name,
+            eventId: event.id,
+            eventType: event.event_type,
+            attempts,
+            retryInMs: delay,
+            error: error.message
+          });
+          break;
+        }
+
+        if (!await this.advance(consumer.name, event.id)) {
+          // The lease ran out mid-batch and another process took the consumer over
+          logger.warn('Outbox consumer lease lost', { consumer: consumer.name, eventId: event.id });
+          break;
+        }
+        attempts = 0;
+        delivered += 1;
+      }
+    } finally {
+      await database.query(`
+        UPDATE outbox_consumer_offsets
+        SET leased_by = NULL, lease_expires_at = NULL
+        WHERE consumer = $1 AND leased_by = $2
+      `, [consumer.name, this.workerId]);
+    }
+
+    return delivered;
+  }
+
+  // Move the offset past a handled event and extend the lease; false if
+  // this process no longer holds the lease
+  async advance(consumerName, eventId) {
+    const result = await database.query(`
+      UPDATE outbox_consumer_offsets
+      SET last_event_id = $2, attempts = 0, last_error = NULL, next_attempt_at = NULL,
+          lease_expires_at = NOW() + $4 * INTERVAL '1 millisecond', updated_at = NOW()
+      WHERE consumer = $1 AND leased_by = $3
+      RETURNING consumer
+    `, [consumerName, eventId, this.workerId, this.leaseMs]);
+    return result.rows.length > 0;
+  }
+
+  // Park the event for this consumer and move its offset past it
+  async deadLetter(consumerName, event, attempts, error) {
+    await database.transaction(async (executor) => {
+      await executor.query(`
+        INSERT INTO outbox_dead_letters (consumer, event_id, attempts, error)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (consumer, event_id)
+        DO UPDATE SET attempts = EXCLUDED.attempts, error = EXCLUDED.error, redelivered_at = NULL, created_at = NOW()
+      `, [consumerName, event.id, attempts, error.message]);
+      await executor.query(`
+        UPDATE outbox_consumer_offsets
+        SET last_event_id = $2, attempts = 0, last_error = NULL, next_attempt_at = NULL, updated_at = NOW()
+        WHERE consumer = $1
+      `, [consumerName, event.id]);
+    });
+
+    logger.error('Outbox event dead-lettered', {
+      consumer: consumerName,
+      eventId: event.id,
+      eventType: event.event_type,
+      attempts,
+      error: error.message
+    });
+  }
+
+  // Exponential backoff with jitter, capped at backoffMaxMs
+  getBackoffDelay(attempts) {
+    const exponential = this.backoffBaseMs * Math.pow(2, attempts - 1);
+    const jitter = Math.floor(Math.random() * this.backoffBaseMs);
+    return Math.min(exponential + jitter, this.backoffMaxMs);
+  }
+
+  /**
+   * Rewind (or fast-forward) a consumer so it next handles the event after
+   * `afterEventId`. Events it handled before are delivered again.
+   */
+  async replay(consumerName, afterEventId) {
+    const result = await database.query(`
+      UPDATE outbox_consumer_offsets
+      SET last_event_id = $2, attempts = 0, last_error = NULL, next_attempt_at = NULL, updated_at = NOW()
+      WHERE consumer = $1
+      RETURNING *
+    `, [consumerName, afterEventId]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError('Outbox consumer not found');
+    }
+
+    logger.audit('Outbox consumer offset moved', { consumer: consumerName, afterEventId });
+    return result.rows[0];
+  }
+
+  // Hand a dead-lettered event to its consumer again, now
+  async redeliver(deadLetterId) {
+    const result = await database.query(`
+      SELECT dl.*, oe.event_type, oe.aggregate_type, oe.aggregate_id, oe.payload, oe.created_at as event_created_at
+      FROM outbox_dead_letters dl
+      JOIN outbox_events oe ON oe.id = dl.event_id
+      WHERE dl.id = $1
+    `, [deadLetterId]);
+    const deadLetter = result.rows[0];
+    if (!deadLetter) {
+      throw new NotFoundError('Dead-lettered event not found');
+    }
+    if (deadLetter.redelivered_at) {
+      throw new ConflictError('Event has already been redelivered');
+    }
+
+    const consumer = this.consumers.get(deadLetter.consumer);
+    if (!consumer) {
+      throw new NotFoundError(`Outbox consumer ${deadLetter.consumer} is not registered`);
+    }
+
+    try {
+      await consumer.handler({
+        id: deadLetter.event_id,
+        event_type: deadLetter.event_type,
+        aggregate_type: deadLetter.aggregate_type,
+        aggregate_id: deadLetter.aggregate_id,
+        payload: deadLetter.payload,
+        created_at: deadLetter.event_created_at
+      });
+    } catch (error) {
+      await database.query(`
+        UPDATE outbox_dead_letters SET attempts = attempts + 1, error = $2 WHERE id = $1
+      `, [deadLetterId, error.message]);
+      throw error;
+    }
+
+    const updated = await database.query(`
+      UPDATE outbox_dead_letters SET redelivered_at = NOW() WHERE id = $1 RETURNING *
+    `, [deadLetterId]);
+    return updated.rows[0];
+  }
+
+  // Offset, lag and retry state per consumer
+  async getStats() {
+    const result = await database.query(`
+      SELECT
+        oco.*,
+        (SELECT COUNT(*) FROM outbox_dead_letters dl WHERE dl.consumer = oco.consumer AND dl.redelivered_at IS NULL) as dead_lettered
+      FROM outbox_consumer_offsets oco
+      ORDER BY oco.consumer
+    `);
+    const latest = await database.query('SELECT COALESCE(MAX(id), 0) as latest_event_id FROM outbox_events');
+
+    const consumers = [];
+    for (const row of result.rows) {
+      // Lag counts only the event types the consumer handles
+      const registered = this.consumers.get(row.consumer);
+      const eventTypes = registered ? registered.eventTypes : [];
+      const pending = await database.query(`
+        SELECT COUNT(*) as pending FROM outbox_events WHERE id > $1 AND event_type = ANY($2)
+      `, [row.last_event_id, eventTypes]);
+
+      consumers.push({
+        consumer: row.consumer,
+        registered: Boolean(registered),
+        eventTypes,
+        lastEventId: parseInt(row.last_event_id),
+        pendingEvents: parseInt(pending.rows[0].pending),
+        attempts: row.attempts,
+        lastError: row.last_error,
+        nextAttemptAt: row.next_attempt_at,
+        leasedBy: row.lease_expires_at && new Date(row.lease_expires_at) > new Date() ? row.leased_by : null,
+        deadLettered: parseInt(row.dead_lettered)
+      });
+    }
+
+    return {
+      latestEventId: parseInt(latest.rows[0].latest_event_id),
+      consumers
+    };
+  }
+
+  // Latest events first, optionally for one aggregate or of one type
+  async listEvents({ aggregateId = null, eventType = null, limit = 50 } = {}) {
+    const params = [limit];
+    const conditions = [];
+    if (aggregateId) {
+      params.push(aggregateId);
+      conditions.push(`aggregate_id = $${params.length}`);
+    }
+    if (eventType) {
+      params.push(eventType);
+      conditions.push(`event_type = $${params.length}`);
+    }
+
+    const result = await database.query(`
+      SELECT * FROM outbox_events
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT $1
+    `, params);
+    return result.rows;
+  }
+
+  async getDeadLetters(consumerName = null, limit = 50) {
+    const params = [limit];
+    let where = 'WHERE dl.redelivered_at IS NULL';
+    if (consumerName) {
+      params.push(consumerName);
+      where += ' AND dl.consumer = $2';
+    }
+
+    const result = await database.query(`
+      SELECT dl.*, oe.event_type, oe.aggregate_type, oe.aggregate_id, oe.payload
+      FROM outbox_dead_letters dl
+      JOIN outbox_events oe ON oe.id = dl.event_id
+      ${where}
+      ORDER BY dl.created_at DESC
+      LIMIT $1
+    `, params);
+    return result.rows;
+  }
+}
+
+// Create singleton instance
+const outbox = new Outbox();
+
+module.exports = outbox;
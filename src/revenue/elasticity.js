@@ -0,0 +1,240 @@
+// Price elasticity of conversion, fitted per service from resolved price
+// quotes and cascade offers. Each observation is a price shown to a client,
+// relative to the base price it was computed from, and whether it turned
+// into an order that was not cancelled. Conversion is modelled as
+//
+//   P(convert | r) = 1 / (1 + exp(-(a + b * ln r)))
+//
+// fitted by maximum likelihood (Newton-Raphson, with a light ridge on b so
+// separated data stays finite). The elasticity at relative price r is
+// b * (1 - P(r)). The recommended price multiplier maximizes expected
+// revenue r * P(r), or expected margin (r - c) * P(r) for a cost ratio c,
+// within the pricing service's adjustment band. Confidence bounds come from
+// parameter draws from the fit's asymptotic normal distribution, with a
+// generator seeded per service so the same data gives the same bounds.
+
+const DEFAULT_ELASTICITY_POLICY = {
+  windowDays: 90,
+  minObservations: 50,
+  minOutcomes: 5,         // conversions and non-conversions each
+  minPriceSpread: 0.01,   // standard deviation of log relative prices
+  confidenceLevel: 0.9,
+  maxStep: 0.1,           // largest change recommended per run
+  band: 0.3,              // multipliers searched: 1 +/- band
+  minChange: 0.02,        // smaller changes are not worth a review
+  draws: 400
+};
+
+const RIDGE = 0.01;
+const GRID_STEP = 0.005;
+
+function round4(value) {
+  return Math.round(value * 1e4) / 1e4;
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+// mulberry32, seeded from a string
+function seededRandom(seed) {
+  let state = 0;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 2654435761) >>> 0;
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function standardNormal(random) {
+  const u = Math.max(random(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Fit the logistic model to `[{ relativePrice, converted }]`. Returns the
+ * coefficients and their covariance, or null when prices do not vary
+ * enough to identify the slope.
+ */
+function fitLogistic(observations) {
+  let a = 0;
+  let b = 0;
+  let covariance = null;
+
+  for (let iteration = 0; iteration < 50; iteration++) {
+    let ga = 0;
+    let gb = -RIDGE * b;
+    let haa = 0;
+    let hab = 0;
+    let hbb = RIDGE;
+
+    for (const { relativePrice, converted } of observations) {
+      const x = Math.log(relativePrice);
+      const p = sigmoid(a + b * x);
+      const w = p * (1 - p);
+      ga += (converted ? 1 : 0) - p;
+      gb += ((converted ? 1 : 0) - p) * x;
+      haa += w;
+      hab += w * x;
+      hbb += w * x * x;
+    }
+
+    const determinant = haa * hbb - hab * hab;
+    if (!(determinant > 1e-9)) {
+      return null;
+    }
+
+    // Inverse of the observed information matrix
+    covariance = {
+      aa: hbb / determinant,
+      ab: -hab / determinant,
+      bb: haa / determinant
+    };
+
+    const stepA = covariance.aa * ga + covariance.ab * gb;
+    const stepB = covariance.ab * ga + covariance.bb * gb;
+    a += stepA;
+    b += stepB;
+
+    if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) {
+      break;
+    }
+  }
+
+  return { a, b, covariance };
+}
+
+// The multiplier in the band that maximizes expected revenue or margin
+function optimalMultiplier(a, b, { objective, costRatio, band }) {
+  let best = 1;
+  let bestValue = -Infinity;
+
+  for (let r = 1 - band; r <= 1 + band + 1e-9; r += GRID_STEP) {
+    const p = sigmoid(a + b * Math.log(r));
+    const value = objective === 'margin' ? (r - costRatio) * p : r * p;
+    if (value > bestValue) {
+      best = r;
+      bestValue = value;
+    }
+  }
+
+  return best;
+}
+
+function expectedValue(a, b, r, { objective, costRatio }) {
+  const p = sigmoid(a + b * Math.log(r));
+  return objective === 'margin' ? (r - costRatio) * p : r * p;
+}
+
+/**
+ * Estimate a service's price elasticity and decide whether to recommend a
+ * new price level. Returns the evidence, the fitted model, the elasticity
+ * and the recommended multiplier with confidence bounds, and the decision
+ * (insufficient_evidence, consistent or recommend).
+ */
+function estimateElasticity(observations, { seed = 'elasticity', objective = 'revenue', costRatio = 0 } = {}, policy = {}) {
+  const { minObservations, minOutcomes, minPriceSpread, confidenceLevel, maxStep, band, minChange, draws } = {
+    ...DEFAULT_ELASTICITY_POLICY,
+    ...policy
+  };
+
+  const conversions = observations.filter(observation => observation.converted).length;
+  const evidence = {
+    observations: observations.length,
+    conversions,
+    conversionRate: observations.length > 0 ? round4(conversions / observations.length) : null
+  };
+
+  if (observations.length < minObservations || conversions < minOutcomes ||
+    observations.length - conversions < minOutcomes) {
+    return { ...evidence, decision: 'insufficient_evidence' };
+  }
+
+  const logPrices = observations.map(observation => Math.log(observation.relativePrice));
+  const meanLogPrice = logPrices.reduce((total, x) => total + x, 0) / logPrices.length;
+  const spread = Math.sqrt(logPrices.reduce((total, x) => total + (x - meanLogPrice) ** 2, 0) / logPrices.length);
+
+  const fit = spread >= minPriceSpread ? fitLogistic(observations) : null;
+  if (!fit) {
+    return { ...evidence, decision: 'insufficient_evidence', reason: 'No price variation' };
+  }
+
+  const options = { objective, costRatio, band };
+  const pointMultiplier = optimalMultiplier(fit.a, fit.b, options);
+
+  // Parameter draws through the Cholesky factor of the covariance
+  const random = seededRandom(seed);
+  const l11 = Math.sqrt(fit.covariance.aa);
+  const l21 = fit.covariance.ab / l11;
+  const l22 = Math.sqrt(Math.max(fit.covariance.bb - l21 * l21, 0));
+  const pAtCurrent = sigmoid(fit.a);
+  const multipliers = [];
+  const elasticities = [];
+
+  for (let i = 0; i < draws; i++) {
+    const z1 = standardNormal(random);
+    const z2 = standardNormal(random);
+    const a = fit.a + l11 * z1;
+    const b = fit.b + l21 * z1 + l22 * z2;
+    multipliers.push(optimalMultiplier(a, b, options));
+    elasticities.push(b * (1 - sigmoid(a)));
+  }
+  multipliers.sort((x, y) => x - y);
+  elasticities.sort((x, y) => x - y);
+
+  const tail = (1 - confidenceLevel) / 2;
+  const bounds = {
+    level: confidenceLevel,
+    lower: round4(quantile(multipliers, tail)),
+    upper: round4(quantile(multipliers, 1 - tail))
+  };
+
+  let decision;
+  let multiplier = 1;
+  if (bounds.lower <= 1 && bounds.upper >= 1) {
+    decision = 'consistent';
+  } else {
+    multiplier = round4(Math.min(Math.max(pointMultiplier, 1 - maxStep), 1 + maxStep));
+    decision = Math.abs(multiplier - 1) < minChange ? 'consistent' : 'recommend';
+  }
+
+  const current = expectedValue(fit.a, fit.b, 1, options);
+
+  return {
+    ...evidence,
+    model: {
+      intercept: round4(fit.a),
+      slope: round4(fit.b),
+      slopeStandardError: round4(Math.sqrt(fit.covariance.bb))
+    },
+    elasticity: {
+      atCurrentPrice: round4(fit.b * (1 - pAtCurrent)),
+      lower: round4(quantile(elasticities, tail)),
+      upper: round4(quantile(elasticities, 1 - tail))
+    },
+    objective,
+    optimalMultiplier: round4(pointMultiplier),
+    confidenceBounds: bounds,
+    expectedLift: current > 0 ? round4(expectedValue(fit.a, fit.b, multiplier, options) / current - 1) : null,
+    decision,
+    multiplier
+  };
+}
+
+module.exports = {
+  estimateElasticity,
+  fitLogistic,
+  DEFAULT_ELASTICITY_POLICY
+};
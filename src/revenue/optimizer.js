@@ -1,515 +1,271 @@
 const database = require('../database/connection');
 const redis = require('../utils/redis');
 const logger = require('../utils/logger');
-const { handleRevenueError } = require('../middleware/errorHandler');
+const { handleRevenueError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { currencyOf, isPercentageModel } = require('../pricing/models');
+const { estimateElasticity, DEFAULT_ELASTICITY_POLICY } = require('./elasticity');
+const creditManager = require('../promotions/credits');
+const { Money, ROUNDING, DEFAULT_CURRENCY } = require('../utils/money');
+
+// Namespace of the per-service advisory lock taken while queueing a price
+// recommendation (the second key is the service id's hash)
+const PRICE_RECOMMENDATION_LOCK_KEY = 424203;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
 
 class RevenueOptimizer {
   constructor() {
     this.isInitialized = false;
     this.annualRevenueTarget = 284600000; // $284.6M
-    this.dynamicPricingEnabled = process.env.DYNAMIC_PRICING_ENABLED === 'true';
     this.profitMarginTarget = 0.65; // 65% profit margin
-    this.priceAdjustmentCap = 0.3; // Max 30% price adjustment
-    this.seasonalFactors = new Map();
-    this.marketConditions = new Map();
+    this.pricingObjective = process.env.ELASTICITY_OBJECTIVE === 'margin' ? 'margin' : 'revenue';
+    this.elasticityPolicy = {
+      windowDays: parseInt(process.env.ELASTICITY_WINDOW_DAYS) || DEFAULT_ELASTICITY_POLICY.windowDays,
+      minObservations: parseInt(process.env.ELASTICITY_MIN_OBSERVATIONS) || DEFAULT_ELASTICITY_POLICY.minObservations,
+      confidenceLevel: parseFloat(process.env.ELASTICITY_CONFIDENCE_LEVEL) || DEFAULT_ELASTICITY_POLICY.confidenceLevel,
+      maxStep: parseFloat(process.env.ELASTICITY_MAX_STEP) || DEFAULT_ELASTICITY_POLICY.maxStep
+    };
   }
 
+  // Quotes come from PricingService; the optimizer tracks revenue and recommends price changes
   async initialize() {
-    try {
-      await this.loadPricingRules();
-      await this.loadSeasonalFactors();
-      await this.loadMarketConditions();
-      this.isInitialized = true;
-      logger.info('Revenue optimizer initialized successfully');
-    } catch (error) {
-      logger.error('Failed to initialize revenue optimizer:', error);
-      throw error;
-    }
+    this.isInitialized = true;
+    logger.info('Revenue optimizer initialized successfully');
   }
 
-  async loadPricingRules() {
-    try {
-      // Load dynamic pricing rules from database or cache
-      const cached = await redis.get('pricing_rules');
-      if (cached) {
-        this.pricingRules = cached;
-        return;
-      }
-
-      // Default pricing rules
-      this.pricingRules = {
-        creditScoreMultipliers: {
-          excellent: 1.0,    // 750+
-          good: 1.05,        // 650-749
-          fair: 1.1,         // 550-649
-          poor: 1.15,        // 450-549
-          bad: 1.2           // <450
-        },
-        vehicleValueMultipliers: {
-          luxury: 1.15,      // $100k+
-          premium: 1.1,      // $50k-99k
-          standard: 1.0,     // $25k-49k
-          economy: 0.95      // <$25k
-        },
-        loyaltyDiscounts: {
-          new: 0.85,         // First-time clients
-          returning: 0.95,   // 2-3 orders
-          loyal: 0.9,        // 4-10 orders
-          premium: 0.85      // 10+ orders
-        },
-        volumeDiscounts: {
-          single: 1.0,
-          bundle: 0.92,      // 2-3 services
-          package: 0.85      // 4+ services
-        },
-        urgencyPremiums: {
-          standard: 1.0,
-          expedited: 1.25,
-          emergency: 1.5
-        }
-      };
-
-      // Cache for 1 hour
-      await redis.set('pricing_rules', this.pricingRules, 3600);
-      logger.info('Pricing rules loaded and cached');
-
-    } catch (error) {
-      logger.error('Error loading pricing rules:', error);
-      throw error;
-    }
-  }
-
-  async loadSeasonalFactors() {
-    try {
-      const currentMonth = new Date().getMonth() + 1;
-      
-      // Seasonal demand factors by service category
-      this.seasonalFactors.set('financial', {
-        1: 1.2,  // January - tax season
-        2: 1.15, // February
-        3: 1.1,  // March
-        4: 1.0,  // April
-        5: 0.95, // May
-        6: 0.9,  // June
-        7: 0.9,  // July
-        8: 0.95, // August
-        9: 1.05, // September
-        10: 1.1, // October
-        11: 1.15, // November - holiday prep
-        12: 1.25  // December - year-end
-      });
-
-      this.seasonalFactors.set('inspection', {
-        1: 0.9,  // January
-        2: 0.95, // February
-        3: 1.1,  // March - spring prep
-        4: 1.2,  // April - peak season
-        5: 1.15, // May
-        6: 1.1,  // June
-        7: 1.05, // July
-        8: 1.0,  // August
-        9: 1.1,  // September
-        10: 1.15, // October
-        11: 1.0,  // November
-        12: 0.9   // December
-      });
-
-      this.seasonalFactors.set('transport', {
-        1: 0.9,  // January
-        2: 0.95, // February
-        3: 1.1,  // March
-        4: 1.15, // April
-        5: 1.2,  // May - peak moving season
-        6: 1.25, // June
-        7: 1.2,  // July
-        8: 1.15, // August
-        9: 1.1,  // September
-        10: 1.0, // October
-        11: 0.95, // November
-        12: 0.9   // December
-      });
-
-      logger.info('Seasonal factors loaded for current month:', currentMonth);
-
-    } catch (error) {
-      logger.error('Error loading seasonal factors:', error);
-      throw error;
-    }
-  }
-
-  async loadMarketConditions() {
+  /**
+   * Record an order's revenue net of promotions, in the order's currency.
+   * `amount` is the order's final price, which a promotion code has already
+   * been taken off; promotional account credit spent on the order is taken
+   * off here. Both are recorded as the promotion amount. The record and the
+   * client's lifetime value change commit together, so a caller that sees
+   * the record can treat the order's revenue as tracked.
+   */
+  async trackRevenue(orderId, amount, serviceId, clientId) {
     try {
-      // Load market conditions from external APIs or cache
-      const cached = await redis.get('market_conditions');
-      if (cached) {
-        this.marketConditions = new Map(Object.entries(cached));
-        return;
-      }
-
-      // Default market conditions
-      this.marketConditions.set('economy', {
-        factor: 1.0,
-        trend: 'stable',
-        lastUpdated: new Date().toISOString()
+      const order = await database.findById('service_orders', orderId);
+      const currency = order ? order.currency : DEFAULT_CURRENCY;
+      const promotionalCredit = await creditManager.promotionalCreditForOrder(orderId, currency);
+      const net = Money.of(amount, currency).minus(promotionalCredit);
+      const promotion = Money.of(order ? order.promotion_discount || 0 : 0, currency).plus(promotionalCredit);
+      const netAmount = net.toNumber();
+
+      const revenueRecord = await database.transaction(async (executor) => {
+        // Attribute the revenue to the cascade offer that produced this order, if any
+        const attribution = await executor.query(`
+          UPDATE cascade_triggers
+          SET revenue_generated = $1, updated_at = NOW()
+          WHERE triggered_order_id = $2
+          RETURNING experiment_variant_id
+        `, [net.toString(), orderId]);
+
+        // Create revenue record, tagged with the experiment variant that produced it
+        const record = await database.create('revenue_records', {
+          client_id: clientId,
+          service_id: serviceId,
+          order_id: orderId,
+          currency,
+          revenue_amount: net.toString(),
+          profit_amount: net.times(this.profitMarginTarget, ROUNDING.HALF_EVEN).toString(),
+          promotion_amount: promotion.toString(),
+          revenue_date: new Date(),
+          experiment_variant_id: attribution.rows[0] ? attribution.rows[0].experiment_variant_id : null
+        }, executor);
+
+        // Update client lifetime value
+        await this.updateClientLifetimeValue(clientId, net, executor);
+        return record;
       });
 
-      this.marketConditions.set('automotive', {
-        factor: 1.05,
-        trend: 'growing',
-        lastUpdated: new Date().toISOString()
-      });
+      // Clear cache to ensure fresh data
+      await redis.del(`client_profile:${clientId}`);
+      await redis.del(`revenue:${clientId}`);
 
-      this.marketConditions.set('credit', {
-        factor: 0.98,
-        trend: 'tightening',
-        lastUpdated: new Date().toISOString()
-      });
-
-      // Cache for 4 hours
-      await redis.set('market_conditions', Object.fromEntries(this.marketConditions), 14400);
-      logger.info('Market conditions loaded and cached');
-
-    } catch (error) {
-      logger.error('Error loading market conditions:', error);
-      throw error;
-    }
-  }
-
-  async calculateOptimalPrice(serviceId, clientId, options = {}) {
-    try {
-      if (!this.isInitialized) {
-        throw new Error('Revenue optimizer not initialized');
-      }
-
-      // Get service details
-      const service = await database.findById('services', serviceId);
-      if (!service) {
-        throw new Error('Service not found');
-      }
-
-      // Get client profile
-      const client = await this.getClientProfile(clientId);
-      if (!client) {
-        throw new Error('Client not found');
-      }
-
-      let basePrice = parseFloat(service.base_price);
-      let finalPrice = basePrice;
-      let adjustmentFactors = [];
-
-      // Apply dynamic pricing if enabled
-      if (this.dynamicPricingEnabled) {
-        // Credit score adjustment
-        const creditFactor = this.getCreditScoreFactor(client.credit_score);
-        finalPrice *= creditFactor;
-        adjustmentFactors.push({
-          type: 'credit_score',
-          factor: creditFactor,
-          description: `Credit score: ${client.credit_score}`
-        });
-
-        // Vehicle value adjustment
-        const vehicleFactor = this.getVehicleValueFactor(client.vehicle_value);
-        finalPrice *= vehicleFactor;
-        adjustmentFactors.push({
-          type: 'vehicle_value',
-          factor: vehicleFactor,
-          description: `Vehicle value: $${client.vehicle_value?.toLocaleString()}`
-        });
-
-        // Loyalty adjustment
-        const loyaltyFactor = this.getLoyaltyFactor(client.services_count);
-        finalPrice *= loyaltyFactor;
-        adjustmentFactors.push({
-          type: 'loyalty',
-          factor: loyaltyFactor,
-          description: `${client.services_count} previous services`
-        });
-
-        // Seasonal adjustment
-        const seasonalFactor = this.getSeasonalFactor(service.service_category);
-        finalPrice *= seasonalFactor;
-        adjustmentFactors.push({
-          type: 'seasonal',
-          factor: seasonalFactor,
-          description: `${service.service_category} seasonal demand`
-        });
-
-        // Market conditions adjustment
-        const marketFactor = this.getMarketFactor(service.service_category);
-        finalPrice *= marketFactor;
-        adjustmentFactors.push({
-          type: 'market',
-          factor: marketFactor,
-          description: `Market conditions for ${service.service_category}`
-        });
-
-        // Urgency premium
-        if (options.urgency) {
-          const urgencyFactor = this.pricingRules.urgencyPremiums[options.urgency] || 1.0;
-          finalPrice *= urgencyFactor;
-          adjustmentFactors.push({
-            type: 'urgency',
-            factor: urgencyFactor,
-            description: `${options.urgency} service`
-          });
-        }
+      // Log revenue generation
+      logger.revenueGenerated(clientId, serviceId, netAmount, orderId);
 
-        // Volume discount for multiple services
-        if (options.bundleSize && options.bundleSize > 1) {
-          const volumeFactor = this.getVolumeFactor(options.bundleSize);
-          finalPrice *= volumeFactor;
-          adjustmentFactors.push({
-            type: 'volume',
-            factor: volumeFactor,
-            description: `Bundle of ${options.bundleSize} services`
-          });
-        }
+      // Update real-time revenue metrics
+      await this.updateRevenueMetrics(serviceId, net);
+      if (promotion.isPositive()) {
+        await this.updatePromotionMetrics(promotion);
       }
 
-      // Apply price adjustment cap
-      const maxPrice = basePrice * (1 + this.priceAdjustmentCap);
-      const minPrice = basePrice * (1 - this.priceAdjustmentCap);
-      finalPrice = Math.min(Math.max(finalPrice, minPrice), maxPrice);
-
-      // Calculate profit margin
-      const estimatedCost = this.estimateServiceCost(service, client);
-      const profitMargin = (finalPrice - estimatedCost) / finalPrice;
-
-      const pricing = {
-        basePrice,
-        finalPrice: Math.round(finalPrice * 100) / 100,
-        adjustmentFactors,
-        estimatedCost,
-        profitMargin,
-        discountAmount: Math.max(0, basePrice - finalPrice),
-        premiumAmount: Math.max(0, finalPrice - basePrice),
-        totalAdjustment: (finalPrice - basePrice) / basePrice
-      };
-
-      // Log pricing calculation
-      logger.revenue('Price calculated', {
-        serviceId,
-        serviceName: service.name,
-        clientId,
-        basePrice,
-        finalPrice: pricing.finalPrice,
-        profitMargin,
-        adjustmentFactors: adjustmentFactors.length
-      });
-
-      return pricing;
+      return revenueRecord;
 
     } catch (error) {
       handleRevenueError(error);
     }
   }
 
-  getCreditScoreFactor(creditScore) {
-    if (!creditScore) return 1.0;
-    
-    if (creditScore >= 750) return this.pricingRules.creditScoreMultipliers.excellent;
-    if (creditScore >= 650) return this.pricingRules.creditScoreMultipliers.good;
-    if (creditScore >= 550) return this.pricingRules.creditScoreMultipliers.fair;
-    if (creditScore >= 450) return this.pricingRules.creditScoreMultipliers.poor;
-    return this.pricingRules.creditScoreMultipliers.bad;
-  }
-
-  getVehicleValueFactor(vehicleValue) {
-    if (!vehicleValue) return 1.0;
-    
-    if (vehicleValue >= 100000) return this.pricingRules.vehicleValueMultipliers.luxury;
-    if (vehicleValue >= 50000) return this.pricingRules.vehicleValueMultipliers.premium;
-    if (vehicleValue >= 25000) return this.pricingRules.vehicleValueMultipliers.standard;
-    return this.pricingRules.vehicleValueMultipliers.economy;
-  }
-
-  getLoyaltyFactor(servicesCount) {
-    if (!servicesCount || servicesCount === 0) return this.pricingRules.loyaltyDiscounts.new;
-    if (servicesCount <= 3) return this.pricingRules.loyaltyDiscounts.returning;
-    if (servicesCount <= 10) return this.pricingRules.loyaltyDiscounts.loyal;
-    return this.pricingRules.loyaltyDiscounts.premium;
-  }
-
-  getVolumeFactor(bundleSize) {
-    if (bundleSize >= 4) return this.pricingRules.volumeDiscounts.package;
-    if (bundleSize >= 2) return this.pricingRules.volumeDiscounts.bundle;
-    return this.pricingRules.volumeDiscounts.single;
-  }
-
-  getSeasonalFactor(serviceCategory) {
-    const currentMonth = new Date().getMonth() + 1;
-    const factors = this.seasonalFactors.get(serviceCategory);
-    return factors ? factors[currentMonth] || 1.0 : 1.0;
-  }
-
-  getMarketFactor(serviceCategory) {
-    const conditions = this.marketConditions.get(serviceCategory);
-    return conditions ? conditions.factor : 1.0;
-  }
-
-  estimateServiceCost(service, client) {
-    // Base cost estimation (35% of base price as default)
-    let baseCost = parseFloat(service.base_price) * 0.35;
-    
-    // Adjust based on service complexity
-    const complexityFactors = {
-      'financial': 1.2,
-      'legal': 1.3,
-      'inspection': 0.8,
-      'transport': 0.9,
-      'administrative': 0.7,
-      'maintenance': 1.1,
-      'parts': 0.6,
-      'purchase': 0.4,
-      'sales': 0.3,
-      'business': 1.4,
-      'support': 1.0
-    };
-
-    const complexityFactor = complexityFactors[service.service_category] || 1.0;
-    baseCost *= complexityFactor;
-
-    // Adjust for client-specific factors
-    if (client.credit_score < 600) {
-      baseCost *= 1.1; // Higher risk = higher cost
-    }
-
-    if (client.vehicle_value > 100000) {
-      baseCost *= 1.15; // Luxury vehicles require specialized handling
-    }
-
-    return Math.round(baseCost * 100) / 100;
-  }
-
-  async getClientProfile(clientId) {
+  /**
+   * Reverse the revenue recorded for a cancelled order down to the
+   * cancellation fee kept (order_refunds.fee_amount), with a negative
+   * revenue record pointing at the original. The cascade attribution and
+   * the client's lifetime value, total spent and service count are
+   * recomputed with it. A no-op if the order has no revenue recorded or
+   * was already reversed. Returns the reversal record, or null.
+   */
+  async reverseRevenue(orderId) {
     try {
-      // Try cache first
-      const cached = await redis.getRevenueData(clientId);
-      if (cached) {
-        return cached;
-      }
-
-      // Get from database
-      const client = await database.query(`
-        SELECT 
-          c.*,
-          COUNT(so.id) as services_count,
-          SUM(CASE WHEN so.status = 'completed' THEN so.final_price ELSE 0 END) as total_spent,
-          AVG(CASE WHEN so.status = 'completed' THEN so.final_price ELSE NULL END) as avg_order_value
-        FROM clients c
-        LEFT JOIN service_orders so ON c.id = so.client_id
-        WHERE c.id = $1
-        GROUP BY c.id
-      `, [clientId]);
-
-      if (client.rows.length === 0) {
+      const original = await database.query(
+        'SELECT * FROM revenue_records WHERE order_id = $1 AND reversal_of IS NULL ORDER BY created_at ASC LIMIT 1',
+        [orderId]
+      );
+      const record = original.rows[0];
+      if (!record || await database.findOne('revenue_records', { reversal_of: record.id })) {
         return null;
       }
 
-      const profile = {
-        ...client.rows[0],
-        services_count: parseInt(client.rows[0].services_count) || 0,
-        total_spent: parseFloat(client.rows[0].total_spent) || 0,
-        avg_order_value: parseFloat(client.rows[0].avg_order_value) || 0
-      };
-
-      // Cache for 1 hour
-      await redis.cacheRevenueData(clientId, profile, 3600);
-      return profile;
-
-    } catch (error) {
-      logger.error('Error getting client profile for pricing:', error);
-      return null;
-    }
-  }
-
-  async trackRevenue(orderId, amount, serviceId, clientId) {
-    try {
-      // Create revenue record
-      const revenueRecord = await database.create('revenue_records', {
-        client_id: clientId,
-        service_id: serviceId,
-        order_id: orderId,
-        revenue_amount: amount,
-        profit_amount: amount * this.profitMarginTarget,
-        revenue_date: new Date()
+      const currency = record.currency;
+      const refund = await database.findOne('order_refunds', { order_id: orderId });
+      const revenue = Money.of(record.revenue_amount, currency);
+      const kept = Money.max(Money.min(Money.of(refund ? refund.fee_amount : 0, currency), revenue), Money.zero(currency));
+      const reversed = revenue.minus(kept);
+      const share = reversed.ratioTo(revenue);
+
+      const reversal = await database.transaction(async (executor) => {
+        await executor.query(`
+          UPDATE cascade_triggers
+          SET revenue_generated = $1, updated_at = NOW()
+          WHERE triggered_order_id = $2
+        `, [kept.toString(), orderId]);
+
+        // Written even when the fee keeps all of it, so the order counts as reversed
+        const created = await database.create('revenue_records', {
+          client_id: record.client_id,
+          service_id: record.service_id,
+          order_id: orderId,
+          currency,
+          revenue_amount: reversed.negate().toString(),
+          profit_amount: Money.of(record.profit_amount, currency).times(share, ROUNDING.HALF_EVEN).negate().toString(),
+          promotion_amount: Money.of(record.promotion_amount || 0, currency).times(share, ROUNDING.HALF_EVEN).negate().toString(),
+          revenue_date: new Date(),
+          experiment_variant_id: record.experiment_variant_id,
+          reversal_of: record.id
+        }, executor);
+
+        await this.recomputeClientValue(record.client_id, executor);
+        return created;
       });
 
-      // Update client lifetime value
-      await this.updateClientLifetimeValue(clientId, amount);
+      await redis.del(`client_profile:${record.client_id}`);
+      await redis.del(`revenue:${record.client_id}`);
 
-      // Log revenue generation
-      logger.revenueGenerated(clientId, serviceId, amount, orderId);
+      logger.revenue('Service revenue reversed', {
+        orderId,
+        clientId: record.client_id,
+        revenueRecordId: record.id,
+        reversed: reversed.toNumber(),
+        kept: kept.toNumber(),
+        currency
+      });
 
-      // Update real-time revenue metrics
-      await this.updateRevenueMetrics(serviceId, amount);
+      if (reversed.isPositive()) {
+        await this.updateRevenueMetrics(record.service_id, reversed.negate());
+      }
 
-      return revenueRecord;
+      return reversal;
 
     } catch (error) {
       handleRevenueError(error);
     }
   }
 
-  async updateClientLifetimeValue(clientId, additionalRevenue) {
-    try {
-      const client = await database.findById('clients', clientId);
-      if (client) {
-        const newLifetimeValue = (client.lifetime_value || 0) + additionalRevenue;
-        const newTotalSpent = (client.total_spent || 0) + additionalRevenue;
-        
-        await database.update('clients', clientId, {
-          lifetime_value: newLifetimeValue,
-          total_spent: newTotalSpent,
-          services_count: (client.services_count || 0) + 1
-        });
-
-        // Clear cache to ensure fresh data
-        await redis.del(`client_profile:${clientId}`);
-        await redis.del(`revenue:${clientId}`);
-      }
-    } catch (error) {
-      logger.error('Error updating client lifetime value:', error);
-    }
+  /**
+   * Recompute a client's lifetime value and total spent from their revenue
+   * records in their billing currency, reversals included, and their
+   * service count from their completed orders with revenue recorded.
+   */
+  async recomputeClientValue(clientId, executor = database) {
+    await executor.query(`
+      UPDATE clients c
+      SET lifetime_value = totals.revenue,
+          total_spent = totals.revenue,
+          services_count = totals.services,
+          updated_at = NOW()
+      FROM (
+        SELECT
+          COALESCE((
+            SELECT SUM(rr.revenue_amount) FROM revenue_records rr
+            WHERE rr.client_id = $1 AND rr.currency = (SELECT currency FROM clients WHERE id = $1)
+          ), 0) as revenue,
+          (
+            SELECT COUNT(DISTINCT rr.order_id) FROM revenue_records rr
+            JOIN service_orders so ON rr.order_id = so.id
+            WHERE rr.client_id = $1 AND so.status = 'completed'
+          ) as services
+      ) totals
+      WHERE c.id = $1
+    `, [clientId]);
+  }
+
+  // Incremented in SQL: DECIMAL columns come back as strings, and
+  // concurrent completions must not overwrite each other's totals. As in
+  // recomputeClientValue, only revenue in the client's billing currency
+  // adds to their value; every order adds to their service count
+  async updateClientLifetimeValue(clientId, additionalRevenue, executor = database) {
+    await executor.query(`
+      UPDATE clients
+      SET lifetime_value = COALESCE(lifetime_value, 0) + CASE WHEN currency = $3 THEN $2::numeric ELSE 0 END,
+          total_spent = COALESCE(total_spent, 0) + CASE WHEN currency = $3 THEN $2::numeric ELSE 0 END,
+          services_count = COALESCE(services_count, 0) + 1,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [clientId, additionalRevenue.toString(), additionalRevenue.currency]);
   }
 
+  // Metrics are kept per currency; amounts in different currencies do not add up
   async updateRevenueMetrics(serviceId, amount) {
     try {
       const today = new Date().toISOString().split('T')[0];
+      const value = amount.toNumber();
       
       // Update daily metrics
-      await redis.recordMetric(`daily_revenue:${today}`, amount);
-      await redis.recordMetric(`service_revenue:${serviceId}:${today}`, amount);
+      await redis.recordMetric(`daily_revenue:${amount.currency}:${today}`, value);
+      await redis.recordMetric(`service_revenue:${serviceId}:${amount.currency}:${today}`, value);
       
       // Update monthly metrics
       const month = today.substring(0, 7);
-      await redis.recordMetric(`monthly_revenue:${month}`, amount);
+      await redis.recordMetric(`monthly_revenue:${amount.currency}:${month}`, value);
       
       // Update annual metrics
       const year = today.substring(0, 4);
-      await redis.recordMetric(`annual_revenue:${year}`, amount);
+      await redis.recordMetric(`annual_revenue:${amount.currency}:${year}`, value);
 
     } catch (error) {
       logger.error('Error updating revenue metrics:', error);
     }
   }
 
-  async getRevenueAnalytics(timeframe = '30d') {
+  async updatePromotionMetrics(amount) {
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      await redis.recordMetric(`daily_promotions:${amount.currency}:${today}`, amount.toNumber());
+      await redis.recordMetric(`monthly_promotions:${amount.currency}:${today.substring(0, 7)}`, amount.toNumber());
+    } catch (error) {
+      logger.error('Error updating promotion metrics:', error);
+    }
+  }
+
+  // Revenue in one currency; records in other currencies are not converted
+  async getRevenueAnalytics(timeframe = '30d', currency = DEFAULT_CURRENCY) {
     try {
       const query = `
         SELECT 
           DATE_TRUNC('day', revenue_date) as date,
           SUM(revenue_amount) as daily_revenue,
+          SUM(promotion_amount) as daily_promotions,
           COUNT(*) as transactions,
           AVG(revenue_amount) as avg_transaction
         FROM revenue_records
-        WHERE revenue_date >= NOW() - INTERVAL '${timeframe}'
+        WHERE revenue_date >= NOW() - INTERVAL '${timeframe}' AND currency = $1
         GROUP BY DATE_TRUNC('day', revenue_date)
         ORDER BY date DESC
       `;
 
-      const dailyData = await database.query(query);
+      const dailyData = await database.query(query, [currency]);
 
       const serviceQuery = `
         SELECT 
@@ -521,21 +277,25 @@ class RevenueOptimizer {
           AVG(rr.revenue_amount) as avg_revenue
         FROM services s
         LEFT JOIN revenue_records rr ON s.id = rr.service_id
-        WHERE rr.revenue_date >= NOW() - INTERVAL '${timeframe}'
+        WHERE rr.revenue_date >= NOW() - INTERVAL '${timeframe}' AND rr.currency = $1
         GROUP BY s.id, s.name, s.slug, s.annual_revenue_target
         ORDER BY actual_revenue DESC
       `;
 
-      const serviceData = await database.query(serviceQuery);
+      const serviceData = await database.query(serviceQuery, [currency]);
 
-      const totalRevenue = dailyData.rows.reduce((sum, row) => sum + parseFloat(row.daily_revenue), 0);
+      const revenue = Money.sum(dailyData.rows.map(row => row.daily_revenue), currency);
+      const totalRevenue = revenue.toNumber();
       const totalTransactions = dailyData.rows.reduce((sum, row) => sum + parseInt(row.transactions), 0);
+      const totalPromotions = Money.sum(dailyData.rows.map(row => row.daily_promotions || 0), currency).toNumber();
 
       return {
         timeframe,
+        currency,
         totalRevenue,
+        totalPromotions,
         totalTransactions,
-        avgTransaction: totalTransactions > 0 ? totalRevenue / totalTransactions : 0,
+        avgTransaction: totalTransactions > 0 ? revenue.dividedBy(totalTransactions).toNumber() : 0,
         dailyData: dailyData.rows,
         servicePerformance: serviceData.rows.map(row => ({
           ...row,
@@ -550,7 +310,9 @@ class RevenueOptimizer {
     } catch (error) {
       logger.error('Error getting revenue analytics:', error);
       return {
+        currency,
         totalRevenue: 0,
+        totalPromotions: 0,
         totalTransactions: 0,
         avgTransaction: 0,
         dailyData: [],
@@ -566,84 +328,261 @@ class RevenueOptimizer {
     return dailyAverage * 365;
   }
 
-  async optimizePricing() {
+  /**
+   * Fit each active service's price elasticity from the quotes and cascade
+   * offers its clients resolved in the window, and queue a recommendation
+   * for review where a different price level is expected to earn more
+   * revenue (or margin). Prices are never changed here; an admin applies a
+   * recommendation with approvePriceRecommendation().
+   */
+  async optimizePricing({ objective = this.pricingObjective } = {}) {
     try {
-      logger.info('Starting pricing optimization...');
-
-      // Get service performance data
-      const performanceQuery = `
-        SELECT 
-          s.id,
-          s.name,
-          s.base_price,
-          s.annual_revenue_target,
-          COUNT(so.id) as total_orders,
-          SUM(CASE WHEN so.status = 'completed' THEN so.final_price ELSE 0 END) as actual_revenue,
-          AVG(CASE WHEN so.status = 'completed' THEN so.final_price ELSE NULL END) as avg_price,
-          COUNT(CASE WHEN so.status = 'cancelled' THEN 1 END) as cancelled_orders
-        FROM services s
-        LEFT JOIN service_orders so ON s.id = so.service_id
-        WHERE so.created_at >= NOW() - INTERVAL '30 days'
-        GROUP BY s.id, s.name, s.base_price, s.annual_revenue_target
+      logger.info('Starting pricing optimization...', { objective, policy: this.elasticityPolicy });
+
+      // A redeemed quote or accepted offer converts unless its order was
+      // cancelled; unredeemed quotes count once they expire
+      const observationQuery = `
+        SELECT
+          pq.service_id,
+          pq.final_price / pq.base_price as relative_price,
+          (pq.status = 'redeemed' AND so.id IS NOT NULL AND so.status <> 'cancelled') as converted,
+          pq.estimated_cost / pq.base_price as cost_ratio
+        FROM price_quotes pq
+        LEFT JOIN service_orders so ON pq.order_id = so.id
+        WHERE pq.created_at >= NOW() - $1 * INTERVAL '1 day'
+          AND (pq.status = 'redeemed' OR pq.expires_at <= NOW())
+          AND pq.base_price > 0 AND pq.final_price > 0
+        UNION ALL
+        SELECT
+          co.service_id,
+          co.quoted_price / co.base_price as relative_price,
+          (co.status = 'accepted' AND so.id IS NOT NULL AND so.status <> 'cancelled') as converted,
+          NULL as cost_ratio
+        FROM cascade_offers co
+        LEFT JOIN service_orders so ON co.accepted_order_id = so.id
+        WHERE co.created_at >= NOW() - $1 * INTERVAL '1 day'
+          AND (co.status IN ('accepted', 'declined', 'expired') OR co.expires_at <= NOW())
+          AND co.base_price > 0 AND co.quoted_price > 0
       `;
 
-      const results = await database.query(performanceQuery);
+      const [services, observations] = await Promise.all([
+        database.query('SELECT * FROM services WHERE is_active = true'),
+        database.query(observationQuery, [this.elasticityPolicy.windowDays])
+      ]);
 
-      for (const service of results.rows) {
-        const cancellationRate = service.total_orders > 0 ? 
-          service.cancelled_orders / service.total_orders : 0;
-        
-        const revenueProgress = service.annual_revenue_target > 0 ? 
-          service.actual_revenue / service.annual_revenue_target : 0;
-
-        // Suggest price adjustments
-        let priceAdjustment = 1.0;
-
-        // If cancellation rate is high, consider price reduction
-        if (cancellationRate > 0.2) {
-          priceAdjustment *= 0.95;
+      const byService = new Map();
+      for (const row of observations.rows) {
+        if (!byService.has(row.service_id)) {
+          byService.set(row.service_id, []);
         }
+        byService.get(row.service_id).push(row);
+      }
 
-        // If revenue is below target, consider price increase
-        if (revenueProgress < 0.5) {
-          priceAdjustment *= 1.05;
+      const summary = { evaluated: 0, recommended: 0, insufficientEvidence: 0, consistent: 0, skipped: 0 };
+
+      for (const service of services.rows) {
+        const rows = byService.get(service.id) || [];
+        const costRatios = rows
+          .filter(row => row.cost_ratio !== null)
+          .map(row => parseFloat(row.cost_ratio));
+
+        const estimate = estimateElasticity(rows.map(row => ({
+          relativePrice: parseFloat(row.relative_price),
+          converted: row.converted
+        })), {
+          seed: service.id,
+          objective,
+          costRatio: costRatios.length > 0
+            ? costRatios.reduce((total, ratio) => total + ratio, 0) / costRatios.length
+            : 0
+        }, this.elasticityPolicy);
+        summary.evaluated++;
+
+        if (estimate.decision === 'insufficient_evidence') {
+          summary.insufficientEvidence++;
+          continue;
         }
-
-        // If revenue is well above target, consider price increase
-        if (revenueProgress > 1.2) {
-          priceAdjustment *= 1.1;
+        if (estimate.decision === 'consistent') {
+          summary.consistent++;
+          continue;
         }
 
-        // Apply optimization if significant change needed
-        if (Math.abs(priceAdjustment - 1.0) > 0.02) {
-          const newPrice = service.base_price * priceAdjustment;
-          
-          logger.info('Price optimization suggestion', {
+        try {
+          const recommendation = await this.queuePriceRecommendation(service, estimate);
+          summary.recommended++;
+
+          logger.info('Price recommendation queued', {
+            recommendationId: recommendation.id,
             serviceId: service.id,
             serviceName: service.name,
-            currentPrice: service.base_price,
-            suggestedPrice: newPrice,
-            adjustment: priceAdjustment,
-            cancellationRate,
-            revenueProgress
+            field: recommendation.field,
+            currentValue: recommendation.current_value,
+            recommendedValue: recommendation.recommended_value,
+            elasticity: estimate.elasticity.atCurrentPrice,
+            observations: estimate.observations
+          });
+        } catch (error) {
+          summary.skipped++;
+          logger.warn('Skipped price recommendation', {
+            serviceId: service.id,
+            error: error.message
           });
-
-          // Update base price if within reasonable bounds
-          if (priceAdjustment >= 0.8 && priceAdjustment <= 1.3) {
-            await database.update('services', service.id, {
-              base_price: Math.round(newPrice * 100) / 100
-            });
-          }
         }
       }
 
-      logger.info('Pricing optimization completed');
+      logger.info('Pricing optimization completed', summary);
+      return summary;
 
     } catch (error) {
-      logger.error('Error in pricing optimization:', error);
+      logger.error('Error in pricing optimization', { error: error.message });
+    }
+  }
+
+  // Percentage-priced services are tuned through their markup, others through the base price
+  priceField(service) {
+    return isPercentageModel(service) ? 'markup_percentage' : 'base_price';
+  }
+
+  // Replace any pending recommendation for the service with a new one.
+  // Every worker runs the pricing task, so runs for a service take turns
+  // under an advisory lock on it and leave a single pending recommendation.
+  async queuePriceRecommendation(service, estimate) {
+    const field = this.priceField(service);
+    const currentValue = parseFloat(service[field]);
+    // Base prices are money in the service's currency; markups are percentages
+    const scale = field === 'base_price'
+      ? (multiplier) => Money.of(service.base_price, currencyOf(service)).times(multiplier).toNumber()
+      : (multiplier) => round2(currentValue * multiplier);
+
+    return await database.transaction(async (executor) => {
+      await executor.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [PRICE_RECOMMENDATION_LOCK_KEY, service.id]);
+      await executor.query(`
+        UPDATE price_recommendations
+        SET status = 'superseded', updated_at = NOW()
+        WHERE service_id = $1 AND status = 'pending'
+      `, [service.id]);
+
+      return await database.create('price_recommendations', {
+        service_id: service.id,
+        objective: estimate.objective,
+        field,
+        current_value: currentValue,
+        recommended_value: scale(estimate.multiplier),
+        lower_bound: scale(estimate.confidenceBounds.lower),
+        upper_bound: scale(estimate.confidenceBounds.upper),
+        multiplier: estimate.multiplier,
+        elasticity: estimate.elasticity.atCurrentPrice,
+        elasticity_lower: estimate.elasticity.lower,
+        elasticity_upper: estimate.elasticity.upper,
+        observations: estimate.observations,
+        conversions: estimate.conversions,
+        expected_lift: estimate.expectedLift,
+        model: JSON.stringify({
+          ...estimate.model,
+          optimalMultiplier: estimate.optimalMultiplier,
+          confidenceLevel: estimate.confidenceBounds.level,
+          windowDays: this.elasticityPolicy.windowDays
+        })
+      }, executor);
+    });
+  }
+
+  async listPriceRecommendations(status = 'pending') {
+    const params = [];
+    let query = `
+      SELECT pr.*, s.name as service_name, s.slug as service_slug
+      FROM price_recommendations pr
+      JOIN services s ON pr.service_id = s.id
+    `;
+
+    if (status) {
+      params.push(status);
+      query += ' WHERE pr.status = $1';
+    }
+
+    query += ' ORDER BY pr.created_at DESC';
+
+    const result = await database.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Apply a pending recommendation to its service. Refused when the price
+   * has been changed since the recommendation was made; the next run
+   * re-estimates from the new price.
+   */
+  async approvePriceRecommendation(recommendationId, { reviewerId, notes = null }) {
+    const applied = await database.transaction(async (executor) => {
+      const result = await executor.query(
+        'SELECT * FROM price_recommendations WHERE id = $1 FOR UPDATE',
+        [recommendationId]
+      );
+      const recommendation = result.rows[0];
+      if (!recommendation) {
+        throw new NotFoundError('Price recommendation not found');
+      }
+      if (recommendation.status !== 'pending') {
+        throw new ConflictError(`Price recommendation is ${recommendation.status}; only pending recommendations can be approved`);
+      }
+
+      const serviceResult = await executor.query(
+        'SELECT * FROM services WHERE id = $1 FOR UPDATE',
+        [recommendation.service_id]
+      );
+      const service = serviceResult.rows[0];
+      if (!service) {
+        throw new NotFoundError('Service not found');
+      }
+      if (parseFloat(service[recommendation.field]) !== parseFloat(recommendation.current_value)) {
+        throw new ConflictError('The service price has changed since this recommendation was made');
+      }
+
+      await database.update('services', service.id, {
+        [recommendation.field]: parseFloat(recommendation.recommended_value)
+      }, executor);
+
+      return await database.update('price_recommendations', recommendationId, {
+        status: 'applied',
+        reviewed_by: reviewerId,
+        reviewed_at: new Date(),
+        review_notes: notes,
+        applied_at: new Date()
+      }, executor);
+    });
+
+    logger.revenue('Price recommendation applied', {
+      recommendationId,
+      serviceId: applied.service_id,
+      field: applied.field,
+      previousValue: applied.current_value,
+      newValue: applied.recommended_value,
+      reviewerId
+    });
+
+    return applied;
+  }
+
+  async rejectPriceRecommendation(recommendationId, { reviewerId, notes = null }) {
+    const result = await database.query(`
+      UPDATE price_recommendations
+      SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW(), review_notes = $3, updated_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `, [recommendationId, reviewerId, notes]);
+
+    if (!result.rows[0]) {
+      const recommendation = await database.findById('price_recommendations', recommendationId);
+      if (!recommendation) {
+        throw new NotFoundError('Price recommendation not found');
+      }
+      throw new ConflictError(`Price recommendation is ${recommendation.status}; only pending recommendations can be rejected`);
     }
+
+    logger.info('Price recommendation rejected', { recommendationId, reviewerId });
+    return result.rows[0];
   }
 
+  // The annual target is in the default currency, so is the projection
   async getRevenueProjection() {
     try {
       const currentDate = new Date();
@@ -654,10 +593,10 @@ class RevenueOptimizer {
       const ytdQuery = `
         SELECT SUM(revenue_amount) as ytd_revenue
         FROM revenue_records
-        WHERE EXTRACT(YEAR FROM revenue_date) = $1
+        WHERE EXTRACT(YEAR FROM revenue_date) = $1 AND currency = $2
       `;
       
-      const ytdResult = await database.query(ytdQuery, [currentYear]);
+      const ytdResult = await database.query(ytdQuery, [currentYear, DEFAULT_CURRENCY]);
       const ytdRevenue = parseFloat(ytdResult.rows[0].ytd_revenue) || 0;
 
       // Calculate projection
@@ -14,6 +14,8 @@ const errorHandler = require('./middleware/errorHandler');
 const auth = require('./middleware/auth');
 const database = require('./database/connection');
 const redis = require('./utils/redis');
+const pricingService = require('./pricing/pricingService');
+const outbox = require('./queue/outbox');
 
 // Import route modules
 const authRoutes = require('./api/auth');
@@ -24,11 +26,20 @@ const cascadeRoutes = require('./api/cascade');
 const integrationsRoutes = require('./api/integrations');
 const aiRoutes = require('./api/ai');
 const dashboardRoutes = require('./api/dashboard');
+const experimentRoutes = require('./api/experiments');
+const pricingRoutes = require('./api/pricing');
+const promotionRoutes = require('./api/promotions');
+const outboxRoutes = require('./api/outbox');
+const agentRoutes = require('./api/agents');
+const slaRoutes = require('./api/slas');
+const cancellationRoutes = require('./api/cancellations');
 
 // Import service modules
 const CascadeEngine = require('./cascade/engine');
 const RevenueOptimizer = require('./revenue/optimizer');
 const IntegrationManager = require('./integrations/manager');
+const OrderService = require('./orders/orderService');
+const { registerOrderConsumers } = require('./orders/events');
 
 // Initialize Express app
 const app = express();
@@ -89,12 +100,15 @@ app.get('/health', async (req, res) => {
     // Check Redis connection
     await redis.ping();
     
+    const cascadeEngine = app.get('cascadeEngine');
+    
     res.status(200).json({
       status: 'healthy',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       memory: process.memoryUsage(),
-      environment: process.env.NODE_ENV
+      environment: process.env.NODE_ENV,
+      cascadeRuleSetVersion: cascadeEngine ? cascadeEngine.ruleSetVersion : null
     });
   } catch (error) {
     logger.error('Health check failed:', error);
@@ -126,6 +140,13 @@ app.use('/api/cascade', auth, cascadeRoutes);
 app.use('/api/integrations', auth, integrationsRoutes);
 app.use('/api/ai', auth, aiRoutes);
 app.use('/api/dashboard', auth, dashboardRoutes);
+app.use('/api/experiments', auth, experimentRoutes);
+app.use('/api/pricing', auth, pricingRoutes);
+app.use('/api/promotions', auth, promotionRoutes);
+app.use('/api/outbox', auth, outboxRoutes);
+app.use('/api/agents', auth, agentRoutes);
+app.use('/api/slas', auth, slaRoutes);
+app.use('/api/cancellations', auth, cancellationRoutes);
 
 // WebSocket connection handling
 io.use((socket, next) => {
@@ -190,6 +211,10 @@ async function initializeServices() {
     await redis.connect();
     logger.info('Redis connected successfully');
     
+    // Initialize pricing before anything that quotes prices
+    await pricingService.initialize();
+    logger.info('Pricing service initialized');
+    
     // Initialize cascade engine
     const cascadeEngine = new CascadeEngine();
     await cascadeEngine.initialize();
@@ -202,12 +227,20 @@ async function initializeServices() {
     app.set('revenueOptimizer', revenueOptimizer);
     logger.info('Revenue optimizer initialized');
     
+    // Every order-creation path prices through the pricing service
+    app.set('orderService', new OrderService());
+    
     // Initialize integration manager
     const integrationManager = new IntegrationManager();
     await integrationManager.initialize();
     app.set('integrationManager', integrationManager);
     logger.info('Integration manager initialized');
     
+    // Deliver order events (revenue, cascades, referrals, notifications, integrations)
+    registerOrderConsumers(app);
+    await outbox.start();
+    logger.info('Outbox dispatcher initialized');
+    
     logger.info('All core services initialized successfully');
   } catch (error) {
     logger.error('Failed to initialize services:', error);
@@ -222,6 +255,9 @@ process.on('SIGINT', gracefulShutdown);
 async function gracefulShutdown(signal) {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
+  // Let the outbox dispatcher finish its in-flight batch
+  await outbox.stop();
+  
   server.close(() => {
     logger.info('HTTP server closed');
     
@@ -0,0 +1,299 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Money as an integer count of a currency's minor units (cents for USD, yen
+// for JPY), so sums, splits and Stripe amounts reconcile exactly. Amounts
+// enter from DECIMAL columns, request bodies or the pricing pipeline with
+// Money.of() and leave as decimals with toNumber() or toString(); all
+// arithmetic in between is done on Money.
+//
+// Rounding is explicit wherever a result is not a whole number of minor
+// units:
+//
+//   half_up    half away from zero; prices, fees and discounts the client
+//              sees (the default)
+//   half_even  half to even; accruals derived from other amounts (profit,
+//              averages), so rounding does not drift in one direction
+//   up, down   away from / towards zero, for bounds that must hold (a
+//              minimum-margin price is rounded up)
+//
+// Splitting an amount (allocate) never rounds: the parts always add up to
+// the whole.
+
+// ISO 4217 minor-unit exponents of the currencies services are priced in
+const CURRENCIES = {
+  USD: 2,
+  CAD: 2,
+  MXN: 2,
+  EUR: 2,
+  GBP: 2,
+  CHF: 2,
+  SEK: 2,
+  NOK: 2,
+  DKK: 2,
+  AUD: 2,
+  NZD: 2,
+  JPY: 0,
+  KRW: 0
+};
+
+const ROUNDING = {
+  HALF_UP: 'half_up',
+  HALF_EVEN: 'half_even',
+  UP: 'up',
+  DOWN: 'down'
+};
+
+const DEFAULT_CURRENCY = normalizeCurrency(process.env.PAYMENT_CURRENCY || 'USD');
+
+function normalizeCurrency(currency) {
+  const code = String(currency || '').trim().toUpperCase();
+  if (!Object.prototype.hasOwnProperty.call(CURRENCIES, code)) {
+    throw new ValidationError(`Unsupported currency ${currency}`, {
+      field: 'currency',
+      supported: Object.keys(CURRENCIES)
+    });
+  }
+  return code;
+}
+
+function isSupportedCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, String(currency || '').toUpperCase());
+}
+
+// Round a (possibly fractional) count of minor units to an integer
+function roundMinor(value, rounding = ROUNDING.HALF_UP) {
+  // Drop binary noise first: 1.005 * 100 is 100.49999999999999
+  const exact = parseFloat(value.toPrecision(12));
+  const sign = exact < 0 ? -1 : 1;
+  const magnitude = Math.abs(exact);
+  const whole = Math.floor(magnitude);
+  const fraction = magnitude - whole;
+
+  let rounded;
+  switch (rounding) {
+    case ROUNDING.HALF_UP:
+      rounded = fraction >= 0.5 ? whole + 1 : whole;
+      break;
+    case ROUNDING.HALF_EVEN:
+      rounded = fraction > 0.5 || (fraction === 0.5 && whole % 2 === 1) ? whole + 1 : whole;
+      break;
+    case ROUNDING.UP:
+      rounded = fraction > 0 ? whole + 1 : whole;
+      break;
+    case ROUNDING.DOWN:
+      rounded = whole;
+      break;
+    default:
+      throw new Error(`Unknown rounding mode ${rounding}`);
+  }
+  return sign * rounded || 0;
+}
+
+// A decimal string ("1234.5", "-0.005") in minor units, without going through a float
+function parseDecimal(text, exponent, rounding) {
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text.trim());
+  if (!match || (match[2] === '' && !match[3])) {
+    return null;
+  }
+
+  const sign = match[1] === '-' ? -1 : 1;
+  const fraction = (match[3] || '').padEnd(exponent, '0');
+  const minor = parseInt((match[2] || '0') + fraction.slice(0, exponent), 10);
+  const rest = fraction.slice(exponent);
+
+  const remainder = rest ? parseFloat(`0.${rest}`) : 0;
+  return sign * roundMinor(minor + remainder, rounding) || 0;
+}
+
+class Money {
+  constructor(minor, currency) {
+    if (!Number.isSafeInteger(minor)) {
+      throw new Error(`Money amounts are whole minor units, got ${minor}`);
+    }
+    this.minor = minor;
+    this.currency = currency;
+    Object.freeze(this);
+  }
+
+  /**
+   * Money from a decimal amount: a number, a numeric string (DECIMAL
+   * columns arrive as strings) or Money. Amounts finer than the currency's
+   * minor unit are rounded with `rounding`.
+   */
+  static of(amount, currency = DEFAULT_CURRENCY, rounding = ROUNDING.HALF_UP) {
+    const code = normalizeCurrency(currency);
+    if (amount instanceof Money) {
+      Money.assertCurrency(amount, code);
+      return amount;
+    }
+
+    const exponent = CURRENCIES[code];
+    let minor = null;
+    if (typeof amount === 'string') {
+      minor = parseDecimal(amount, exponent, rounding);
+    } else if (typeof amount === 'number' && Number.isFinite(amount)) {
+      minor = roundMinor(amount * 10 ** exponent, rounding);
+    }
+    if (minor === null) {
+      throw new ValidationError(`Invalid money amount ${amount}`, { field: 'amount' });
+    }
+    return new Money(minor, code);
+  }
+
+  static fromMinor(minor, currency = DEFAULT_CURRENCY) {
+    return new Money(minor, normalizeCurrency(currency));
+  }
+
+  static zero(currency = DEFAULT_CURRENCY) {
+    return new Money(0, normalizeCurrency(currency));
+  }
+
+  // Decimal amounts or Money of one currency, added up
+  static sum(amounts, currency = DEFAULT_CURRENCY) {
+    return amounts.reduce((total, amount) => total.plus(Money.of(amount, currency)), Money.zero(currency));
+  }
+
+  static min(a, b) {
+    return a.lessThan(b) ? a : b;
+  }
+
+  static max(a, b) {
+    return a.greaterThan(b) ? a : b;
+  }
+
+  static assertCurrency(money, currency) {
+    if (money.currency !== currency) {
+      throw new Error(`Currency mismatch: ${money.currency} and ${currency}`);
+    }
+  }
+
+  get exponent() {
+    return CURRENCIES[this.currency];
+  }
+
+  plus(other) {
+    Money.assertCurrency(other, this.currency);
+    return new Money(this.minor + other.minor, this.currency);
+  }
+
+  minus(other) {
+    Money.assertCurrency(other, this.currency);
+    return new Money(this.minor - other.minor, this.currency);
+  }
+
+  times(factor, rounding = ROUNDING.HALF_UP) {
+    return new Money(roundMinor(this.minor * factor, rounding), this.currency);
+  }
+
+  // `percent` of this amount (15 for 15%)
+  percentage(percent, rounding = ROUNDING.HALF_UP) {
+    return this.times(percent / 100, rounding);
+  }
+
+  dividedBy(divisor, rounding = ROUNDING.HALF_EVEN) {
+    return new Money(roundMinor(this.minor / divisor, rounding), this.currency);
+  }
+
+  // The ratio of two amounts of the same currency
+  ratioTo(other) {
+    Money.assertCurrency(other, this.currency);
+    return other.minor === 0 ? 0 : this.minor / other.minor;
+  }
+
+  /**
+   * Split this amount in proportion to `weights` (largest remainder), so
+   * the parts add up to exactly this amount. All-zero weights split evenly.
+   */
+  allocate(weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const shares = total > 0 ? weights : weights.map(() => 1);
+    const shareTotal = total > 0 ? total : weights.length;
+
+    const sign = this.minor < 0 ? -1 : 1;
+    const magnitude = Math.abs(this.minor);
+    const exact = shares.map(share => (magnitude * share) / shareTotal);
+    const parts = exact.map(value => Math.floor(value));
+    let remainder = magnitude - parts.reduce((sum, part) => sum + part, 0);
+
+    const order = exact
+      .map((value, index) => ({ index, fraction: value - parts[index] }))
+      .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+    for (let i = 0; remainder > 0; i = (i + 1) % order.length, remainder--) {
+      parts[order[i].index] += 1;
+    }
+
+    return parts.map(part => new Money(sign * part || 0, this.currency));
+  }
+
+  negate() {
+    return new Money(-this.minor || 0, this.currency);
+  }
+
+  // Held between `min` and `max`; either bound may be null
+  clamp(min = null, max = null) {
+    let value = this;
+    if (min && value.lessThan(min)) value = min;
+    if (max && value.greaterThan(max)) value = max;
+    return value;
+  }
+
+  compare(other) {
+    Money.assertCurrency(other, this.currency);
+    return Math.sign(this.minor - other.minor);
+  }
+
+  equals(other) {
+    return other instanceof Money && other.currency === this.currency && other.minor === this.minor;
+  }
+
+  lessThan(other) {
+    return this.compare(other) < 0;
+  }
+
+  greaterThan(other) {
+    return this.compare(other) > 0;
+  }
+
+  isZero() {
+    return this.minor === 0;
+  }
+
+  isPositive() {
+    return this.minor > 0;
+  }
+
+  isNegative() {
+    return this.minor < 0;
+  }
+
+  // The amount in minor units, as Stripe takes it
+  toMinorUnits() {
+    return this.minor;
+  }
+
+  // The decimal amount; exact to the minor unit, for JSON and DECIMAL columns
+  toNumber() {
+    return this.minor / 10 ** this.exponent;
+  }
+
+  // Fixed-point decimal ("1234.50", "-0.05", "1200" for JPY)
+  toString() {
+    const magnitude = String(Math.abs(this.minor)).padStart(this.exponent + 1, '0');
+    const whole = magnitude.slice(0, magnitude.length - this.exponent);
+    const fraction = magnitude.slice(magnitude.length - this.exponent);
+    return `${this.minor < 0 ? '-' : ''}${whole}${this.exponent > 0 ? `.${fraction}` : ''}`;
+  }
+
+  toJSON() {
+    return { amount: this.toNumber(), currency: this.currency };
+  }
+}
+
+module.exports = {
+  Money,
+  ROUNDING,
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  isSupportedCurrency
+};
@@ -4,6 +4,7 @@ const logger = require('./logger');
 class RedisConnection {
   constructor() {
     this.client = null;
+    this.subscriber = null;
     this.isConnected = false;
     this.connectionOptions = {
       host: process.env.REDIS_HOST || 'localhost',
@@ -61,6 +62,10 @@ class RedisConnection {
   }
 
   async disconnect() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
     if (this.client) {
       await this.client.quit();
       this.isConnected = false;
@@ -328,14 +333,14 @@ class RedisConnection {
     return await this.get(key);
   }
 
-  // Service cascade cache
-  async cacheCascadeRules(serviceId, rules, ttl = 7200) {
-    const key = `cascade:${serviceId}`;
-    return await this.set(key, rules, ttl);
+  // Service cascade rule sets, keyed by rule-set version
+  async cacheCascadeRules(version, ruleSet, ttl = 7200) {
+    const key = `cascade:ruleset:${version}`;
+    return await this.set(key, ruleSet, ttl);
   }
 
-  async getCascadeRules(serviceId) {
-    const key = `cascade:${serviceId}`;
+  async getCascadeRules(version) {
+    const key = `cascade:ruleset:${version}`;
     return await this.get(key);
   }
 
@@ -372,6 +377,18 @@ class RedisConnection {
     return await this.lrange(key, 0, limit - 1);
   }
 
+  // Set `key` unless it is already set; true if this call set it. Errors
+  // are thrown, not swallowed, so a caller using this to act once retries
+  // rather than skipping the action
+  async setIfAbsent(key, ttl) {
+    try {
+      return await this.client.set(key, '1', { NX: true, EX: ttl }) === 'OK';
+    } catch (error) {
+      logger.error(`Redis SET NX error for key ${key}:`, error);
+      throw error;
+    }
+  }
+
   // Performance metrics
   async recordMetric(metric, value, timestamp = Date.now()) {
     const key = `metrics:${metric}`;
@@ -409,6 +426,43 @@ class RedisConnection {
     }
   }
 
+  // Pub/sub
+  async publish(channel, message) {
+    try {
+      return await this.client.publish(channel, JSON.stringify(message));
+    } catch (error) {
+      logger.error(`Redis PUBLISH error for channel ${channel}:`, error);
+      return 0;
+    }
+  }
+
+  // Subscriptions need their own connection, so one is opened on first use.
+  // Messages are JSON objects; anything else, or a listener error, is
+  // logged and dropped, as nothing above the client's message handler
+  // would catch it
+  async subscribe(channel, listener) {
+    if (!this.subscriber) {
+      this.subscriber = this.client.duplicate();
+      this.subscriber.on('error', (error) => {
+        logger.error('Redis subscriber error:', error);
+      });
+      await this.subscriber.connect();
+    }
+
+    await this.subscriber.subscribe(channel, (message) => {
+      try {
+        const payload = JSON.parse(message);
+        if (!payload || typeof payload !== 'object') {
+          logger.warn(`Redis message on channel ${channel} is not an object, dropped`, { message });
+          return;
+        }
+        listener(payload);
+      } catch (error) {
+        logger.error(`Redis message on channel ${channel} dropped:`, { message, error: error.message });
+      }
+    });
+  }
+
   // Clear cache patterns
   async clearPattern(pattern) {
     try {
@@ -251,7 +251,7 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['pending', 'in_progress', 'completed', 'cancelled'],
+              enum: ['pending', 'in_progress', 'completed', 'cancelled', 'failed'],
               description: 'Order status'
             },
             service: {
@@ -284,6 +284,69 @@ const options = {
                 }
               }
             },
+            assignment: {
+              type: 'object',
+              properties: {
+                region: {
+                  type: 'string',
+                  description: 'Where the service is performed'
+                },
+                assignedTo: {
+                  type: 'string',
+                  format: 'uuid',
+                  description: 'Agent working the order'
+                },
+                assignedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
+            sla: {
+              type: 'object',
+              properties: {
+                urgency: {
+                  type: 'string',
+                  enum: ['standard', 'expedited', 'emergency']
+                },
+                status: {
+                  type: 'string',
+                  enum: ['on_track', 'at_risk', 'breached', 'met'],
+                  description: 'Where the order stands against its SLA'
+                },
+                startDueAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'When work must have started'
+                },
+                completeDueAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'When work must be completed, once started'
+                }
+              }
+            },
+            refund: {
+              type: 'object',
+              nullable: true,
+              description: 'Cancellation fee and refund of a cancelled order',
+              properties: {
+                feeAmount: {
+                  type: 'number'
+                },
+                refundAmount: {
+                  type: 'number'
+                },
+                refundMethod: {
+                  type: 'string',
+                  enum: ['original', 'credit']
+                },
+                status: {
+                  type: 'string',
+                  enum: ['pending', 'refunded', 'none']
+                }
+              }
+            },
             notes: {
               type: 'string',
               description: 'Order notes'
@@ -496,6 +559,34 @@ const options = {
         name: 'Cascade',
         description: 'Service cascade engine endpoints'
       },
+      {
+        name: 'Experiments',
+        description: 'Cascade and pricing experiment endpoints'
+      },
+      {
+        name: 'Pricing',
+        description: 'Pricing rule set, guardrail and price recommendation administration endpoints'
+      },
+      {
+        name: 'Promotions',
+        description: 'Promotion code, gift certificate, referral and account credit endpoints'
+      },
+      {
+        name: 'Outbox',
+        description: 'Event outbox delivery, replay and dead-letter endpoints'
+      },
+      {
+        name: 'Agents',
+        description: 'Agent order queues, assignment profiles and workload endpoints'
+      },
+      {
+        name: 'SLA',
+        description: 'Service level definitions and escalated order endpoints'
+      },
+      {
+        name: 'Cancellations',
+        description: 'Cancellation policy and refund endpoints'
+      },
       {
         name: 'Clients',
         description: 'Client management endpoints'
@@ -0,0 +1,136 @@
+require('dotenv').config();
+
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const database = require('../database/connection');
+const redis = require('../utils/redis');
+const jobQueue = require('../queue/jobQueue');
+const CascadeEngine = require('../cascade/engine');
+const RevenueOptimizer = require('../revenue/optimizer');
+const offerManager = require('../cascade/offers');
+const pricingService = require('../pricing/pricingService');
+const assignmentManager = require('../orders/assignment');
+const slaManager = require('../orders/sla');
+
+// Drains the cascade job queue outside the HTTP server, expires stale
+// cascade offers, re-learns rule conversion rates, queues price
+// recommendations for review, assigns orders left unassigned and escalates
+// orders at risk of missing their SLA. Run one
+// or more of these alongside the API replicas; leases in the queue keep
+// them from processing the same job concurrently.
+
+let cascadeEngine = null;
+let expiryTask = null;
+let optimizationTask = null;
+let pricingTask = null;
+let assignmentTask = null;
+let slaTask = null;
+
+async function startWorker() {
+  try {
+    await database.initialize();
+    await redis.connect();
+    await pricingService.initialize();
+
+    cascadeEngine = new CascadeEngine();
+    await cascadeEngine.initialize();
+
+    jobQueue.process(cascadeEngine.queueName, async (job) => {
+      logger.cascade('Processing cascade job', {
+        jobId: job.id,
+        attempt: job.attempts,
+        clientId: job.payload.clientId
+      });
+      await cascadeEngine.processCascadeJob(job.payload);
+    }, {
+      pollIntervalMs: parseInt(process.env.CASCADE_WORKER_POLL_MS) || 1000
+    });
+
+    // Expire unanswered cascade offers every hour
+    expiryTask = cron.schedule('0 * * * *', async () => {
+      try {
+        await offerManager.expireOffers();
+      } catch (error) {
+        logger.error('Error expiring cascade offers', { error: error.message });
+      }
+    });
+
+    // Re-estimate cascade conversion rates daily at 03:30
+    optimizationTask = cron.schedule('30 3 * * *', async () => {
+      await cascadeEngine.optimizeCascadeRules();
+    });
+
+    // Re-estimate price elasticities weekly, Monday at 04:00
+    const revenueOptimizer = new RevenueOptimizer();
+    await revenueOptimizer.initialize();
+    pricingTask = cron.schedule('0 4 * * 1', async () => {
+      await revenueOptimizer.optimizePricing();
+    });
+
+    // Assign orders created while every eligible agent was at capacity
+    assignmentTask = cron.schedule('*/5 * * * *', async () => {
+      try {
+        await assignmentManager.assignPending();
+      } catch (error) {
+        logger.error('Error assigning pending orders', { error: error.message });
+      }
+    });
+
+    // Flag orders at risk of missing, or past, their SLA deadlines every minute
+    slaTask = cron.schedule('* * * * *', async () => {
+      try {
+        await slaManager.check();
+      } catch (error) {
+        logger.error('Error checking order SLAs', { error: error.message });
+      }
+    });
+
+    logger.info('Cascade worker started');
+  } catch (error) {
+    logger.error('Failed to start cascade worker:', error);
+    process.exit(1);
+  }
+}
+
+async function gracefulShutdown(signal) {
+  logger.info(`Cascade worker received ${signal}. Finishing in-flight job...`);
+
+  // Force shutdown after 30 seconds; an unfinished job is redelivered
+  setTimeout(() => {
+    logger.error('Forced cascade worker shutdown after timeout');
+    process.exit(1);
+  }, 30000).unref();
+
+  try {
+    if (expiryTask) {
+      expiryTask.stop();
+    }
+    if (optimizationTask) {
+      optimizationTask.stop();
+    }
+    if (pricingTask) {
+      pricingTask.stop();
+    }
+    if (assignmentTask) {
+      assignmentTask.stop();
+    }
+    if (slaTask) {
+      slaTask.stop();
+    }
+    if (cascadeEngine) {
+      await jobQueue.stop(cascadeEngine.queueName);
+    }
+    await database.close();
+    await redis.disconnect();
+    logger.info('Cascade worker shutdown completed');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during cascade worker shutdown:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', gracefulShutdown);
+process.on('SIGINT', gracefulShutdown);
+
+startWorker();
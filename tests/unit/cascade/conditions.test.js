@@ -0,0 +1,108 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { ValidationError } = require('../../../src/middleware/errorHandler');
+const {
+  compileConditions,
+  evaluateExpression,
+  buildConditionContext
+} = require('../../../src/cascade/conditions');
+
+describe('compileConditions', () => {
+  it('treats missing and empty conditions as always passing', () => {
+    expect(compileConditions(null)).toEqual({ all: [] });
+    expect(compileConditions(undefined)).toEqual({ all: [] });
+    expect(compileConditions({})).toEqual({ all: [] });
+  });
+
+  it('normalizes legacy comparison keys and flags into an "all" expression', () => {
+    expect(compileConditions({
+      min_credit_score: 500,
+      journey_stage: 'purchase',
+      financing_needed: true,
+      issues_found: false
+    })).toEqual({
+      all: [
+        { field: 'client.credit_score', op: 'gte', value: 500 },
+        { field: 'client.journey_stage', op: 'eq', value: 'purchase' },
+        { predicate: 'financing_needed' }
+      ]
+    });
+  });
+
+  it('parses conditions stored as a JSON string', () => {
+    expect(compileConditions('{"min_total_spent": 1000}')).toEqual({
+      all: [{ field: 'history.total_spent', op: 'gte', value: 1000 }]
+    });
+  });
+
+  it('rejects unknown legacy keys, naming the path', () => {
+    expect(() => compileConditions({ min_credit_score: 500, favourite_colour: 'red' }))
+      .toThrow(ValidationError);
+    expect(() => compileConditions({ favourite_colour: 'red' }))
+      .toThrow('Invalid cascade condition at conditions.favourite_colour: unknown condition "favourite_colour"');
+  });
+
+  it('rejects legacy flags that are not booleans', () => {
+    expect(() => compileConditions({ financing_needed: 'yes' }))
+      .toThrow('flag "financing_needed" must be a boolean');
+  });
+
+  it('rejects unknown keys, scopes, operators and predicates in expressions', () => {
+    expect(() => compileConditions({ all: [{ field: 'client.credit_score', op: 'gte', value: 1, unit: 'pts' }] }))
+      .toThrow('Invalid cascade condition at conditions.all[0]: unknown keys unit');
+    expect(() => compileConditions({ field: 'dealer.region', value: 'west' }))
+      .toThrow('field must start with one of');
+    expect(() => compileConditions({ field: 'client.credit_score', op: 'between', value: 1 }))
+      .toThrow('unknown operator "between"');
+    expect(() => compileConditions({ any: [{ not: { predicate: 'wants_coffee' } }] }))
+      .toThrow('Invalid cascade condition at conditions.any[0].not: unknown predicate "wants_coffee"');
+  });
+
+  it('checks operator value types', () => {
+    expect(() => compileConditions({ field: 'client.credit_score', op: 'gte', value: '500' }))
+      .toThrow('"gte" expects a numeric value');
+    expect(() => compileConditions({ field: 'client.client_type', op: 'in', value: 'business' }))
+      .toThrow('"in" expects an array value');
+    expect(compileConditions({ field: 'vehicle.vin', op: 'exists' }))
+      .toEqual({ field: 'vehicle.vin', op: 'exists', value: true });
+  });
+
+  it('rejects malformed documents', () => {
+    expect(() => compileConditions('{not json')).toThrow('not valid JSON');
+    expect(() => compileConditions([])).toThrow('expected an object');
+    expect(() => compileConditions({ all: {} })).toThrow('"all" expects an array');
+    expect(() => compileConditions({ not: { predicate: 'issues_found' }, any: [] }))
+      .toThrow('cannot be combined with other keys');
+  });
+});
+
+describe('evaluateExpression', () => {
+  const client = { credit_score: 620, client_type: 'individual', vehicles: [] };
+
+  it('explains the outcome of every node', () => {
+    const context = buildConditionContext(client, { service_data: '{"issues_found": ["brakes"]}' });
+    const result = evaluateExpression(compileConditions({
+      all: [
+        { field: 'client.credit_score', op: 'gte', value: 600 },
+        { not: { predicate: 'business_financing_needed' } },
+        { any: [{ predicate: 'issues_found' }, { field: 'vehicle.make', op: 'eq', value: 'Bentley' }] }
+      ]
+    }), context);
+
+    expect(result.passed).toBe(true);
+    expect(result.all[0]).toEqual({
+      field: 'client.credit_score', op: 'gte', value: 600, actual: 620, passed: true
+    });
+    expect(result.all[2].any[1]).toMatchObject({ actual: null, passed: false });
+  });
+
+  it('fails numeric comparisons on missing values', () => {
+    const context = buildConditionContext({ vehicles: [] });
+    const result = evaluateExpression(compileConditions({ min_credit_score: 0 }), context);
+    expect(result.passed).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../../../src/database/connection', () => ({}));
+
+const fatiguePolicy = require('../../../src/cascade/fatigue');
+const { parseQuietHours, parseChannelCaps } = require('../../../src/cascade/fatigue');
+
+const MINUTE = 60 * 1000;
+
+describe('parseQuietHours', () => {
+  it('reads a start and end hour', () => {
+    expect(parseQuietHours('21-8')).toEqual({ start: 21, end: 8 });
+    expect(parseQuietHours('13-17')).toEqual({ start: 13, end: 17 });
+  });
+
+  it('disables quiet hours for empty, malformed or zero-length windows', () => {
+    expect(parseQuietHours('')).toBeNull();
+    expect(parseQuietHours('late-early')).toBeNull();
+    expect(parseQuietHours('22')).toBeNull();
+    expect(parseQuietHours('9-9')).toBeNull();
+  });
+});
+
+describe('parseChannelCaps', () => {
+  it('reads daily and weekly caps per channel', () => {
+    expect(parseChannelCaps('in_app:5/20,email:1/3, sms:1/2')).toEqual({
+      in_app: { daily: 5, weekly: 20 },
+      email: { daily: 1, weekly: 3 },
+      sms: { daily: 1, weekly: 2 }
+    });
+  });
+
+  it('leaves missing limits uncapped', () => {
+    expect(parseChannelCaps('email:2,sms:/4,in_app')).toEqual({
+      email: { daily: 2, weekly: null },
+      sms: { daily: null, weekly: 4 },
+      in_app: { daily: null, weekly: null }
+    });
+    expect(parseChannelCaps('')).toEqual({});
+    expect(parseChannelCaps(undefined)).toEqual({});
+  });
+});
+
+describe('FatiguePolicy.quietHoursDelay', () => {
+  const { quietHours, timezone } = fatiguePolicy;
+
+  afterEach(() => {
+    fatiguePolicy.quietHours = quietHours;
+    fatiguePolicy.timezone = timezone;
+  });
+
+  describe('with a window crossing midnight', () => {
+    beforeEach(() => {
+      fatiguePolicy.quietHours = parseQuietHours('21-8');
+      fatiguePolicy.timezone = 'America/New_York';
+    });
+
+    it('holds offers from the start of quiet hours until they end', () => {
+      // 21:00 and 22:30 EST
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T02:00:00Z'))).toBe(11 * 60 * MINUTE);
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T03:30:00Z'))).toBe((9 * 60 + 30) * MINUTE);
+    });
+
+    it('counts across midnight to the end hour', () => {
+      // 00:15 and 07:30 EST
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T05:15:00Z'))).toBe((7 * 60 + 45) * MINUTE);
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T12:30:00Z'))).toBe(30 * MINUTE);
+    });
+
+    it('does not hold offers outside quiet hours', () => {
+      // 08:00 and 20:59 EST
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T13:00:00Z'))).toBe(0);
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-16T01:59:00Z'))).toBe(0);
+    });
+
+    it('follows the time zone\'s daylight saving time', () => {
+      // 21:30 EDT, which is 20:30 in standard time
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-07-15T01:30:00Z'))).toBe((10 * 60 + 30) * MINUTE);
+    });
+
+    it('reads the hour in the configured time zone', () => {
+      fatiguePolicy.timezone = 'Asia/Tokyo';
+
+      // 22:30 in New York is 12:30 in Tokyo
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T03:30:00Z'))).toBe(0);
+      // 23:00 in Tokyo
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T14:00:00Z'))).toBe(9 * 60 * MINUTE);
+    });
+  });
+
+  describe('with a same-day window', () => {
+    beforeEach(() => {
+      fatiguePolicy.quietHours = parseQuietHours('13-17');
+      fatiguePolicy.timezone = 'UTC';
+    });
+
+    it('holds offers until the end hour', () => {
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T13:00:00Z'))).toBe(4 * 60 * MINUTE);
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T16:45:00Z'))).toBe(15 * MINUTE);
+    });
+
+    it('does not hold offers before or after the window', () => {
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T12:59:00Z'))).toBe(0);
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T17:00:00Z'))).toBe(0);
+      expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T23:30:00Z'))).toBe(0);
+    });
+  });
+
+  it('never holds offers without quiet hours', () => {
+    fatiguePolicy.quietHours = parseQuietHours('');
+
+    expect(fatiguePolicy.quietHoursDelay(new Date('2026-01-15T03:30:00Z'))).toBe(0);
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  cascade: jest.fn()
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  publish: jest.fn()
+}));
+
+// Postgres as far as rule-set versions go: a SERIAL drawn on insert,
+// visible on commit, and transaction-scoped advisory locks. A transaction
+// can be held open after its last query with `holdCommit`.
+jest.mock('../../../src/database/connection', () => {
+  const state = { serial: 4, committed: [], lock: Promise.resolve(), held: [] };
+
+  return {
+    state,
+    holdCommit() {
+      let release;
+      state.held.push(new Promise(resolve => { release = resolve; }));
+      return release;
+    },
+    async transaction(callback) {
+      const gate = state.held.shift();
+      const drawn = [];
+      let unlock = null;
+
+      const client = {
+        query: jest.fn(async (sql) => {
+          if (sql.includes('pg_advisory_xact_lock')) {
+            const previous = state.lock;
+            state.lock = new Promise(resolve => { unlock = resolve; });
+            await previous;
+            return { rows: [] };
+          }
+          if (sql.includes('INSERT INTO cascade_rule_sets')) {
+            state.serial += 1;
+            drawn.push(state.serial);
+            return { rows: [{ version: state.serial }] };
+          }
+          return { rows: [] };
+        })
+      };
+
+      const result = await callback(client);
+      await gate;
+      state.committed.push(...drawn);
+      if (unlock) unlock();
+      return result;
+    }
+  };
+});
+
+const database = require('../../../src/database/connection');
+const redis = require('../../../src/utils/redis');
+const ruleManager = require('../../../src/cascade/rules');
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RuleManager.commit', () => {
+  it('commits and announces rule-set versions in the order they are drawn', async () => {
+    const commitA = database.holdCommit();
+    const changeA = ruleManager.commit('update', {}, async () => ({ id: 'rule-a' }));
+    await settle();
+
+    // A has drawn version 5 and not committed; B's change waits for it
+    const changeB = ruleManager.commit('update', {}, async () => ({ id: 'rule-b' }));
+    await settle();
+    expect(database.state.serial).toBe(5);
+    expect(database.state.committed).toEqual([]);
+    expect(redis.publish).not.toHaveBeenCalled();
+
+    commitA();
+    await Promise.all([changeA, changeB]);
+
+    // Any instance that loads version 6 therefore sees version 5's change
+    expect(database.state.committed).toEqual([5, 6]);
+    expect(redis.publish.mock.calls.map(([, change]) => change.version)).toEqual([5, 6]);
+    expect(redis.publish.mock.calls[0][1]).toMatchObject({ ruleIds: ['rule-a'], changeType: 'update' });
+  });
+
+  it('does not draw a version for a change that touched no rules', async () => {
+    redis.publish.mockClear();
+    const serial = database.state.serial;
+
+    await expect(ruleManager.commit('reorder', {}, async () => [])).resolves.toEqual([]);
+    expect(database.state.serial).toBe(serial);
+    expect(redis.publish).not.toHaveBeenCalled();
+  });
+});
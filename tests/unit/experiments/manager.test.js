@@ -0,0 +1,70 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  audit: jest.fn()
+}));
+
+jest.mock('../../../src/database/connection', () => ({}));
+
+const experimentManager = require('../../../src/experiments/manager');
+
+function experiment(overrides = {}) {
+  return {
+    id: '3f2b6c1e-8d4a-4e7b-9c0f-5a1d2e3f4b6c',
+    traffic_allocation: '1.00',
+    variants: [
+      { id: 'control', key: 'control', weight: 1 },
+      { id: 'treatment', key: 'treatment', weight: 1 }
+    ],
+    ...overrides
+  };
+}
+
+const clientIds = Array.from({ length: 2000 }, (_, i) => `client-${i}`);
+
+describe('ExperimentManager.assignVariant', () => {
+  it('always gives a client the same variant', () => {
+    const first = clientIds.map(clientId => experimentManager.assignVariant(experiment(), clientId).key);
+    const second = clientIds.map(clientId => experimentManager.assignVariant(experiment(), clientId).key);
+
+    expect(second).toEqual(first);
+  });
+
+  it('assigns independently per experiment', () => {
+    const other = experiment({ id: '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d' });
+    const differing = clientIds.filter(clientId =>
+      experimentManager.assignVariant(experiment(), clientId).key !== experimentManager.assignVariant(other, clientId).key);
+
+    expect(differing.length).toBeGreaterThan(clientIds.length * 0.4);
+    expect(differing.length).toBeLessThan(clientIds.length * 0.6);
+  });
+
+  it('splits clients by variant weight', () => {
+    const weighted = experiment({
+      variants: [
+        { id: 'control', key: 'control', weight: 3 },
+        { id: 'treatment', key: 'treatment', weight: 1 }
+      ]
+    });
+    const treated = clientIds.filter(clientId => experimentManager.assignVariant(weighted, clientId).key === 'treatment');
+
+    expect(treated.length / clientIds.length).toBeGreaterThan(0.2);
+    expect(treated.length / clientIds.length).toBeLessThan(0.3);
+  });
+
+  it('leaves clients outside the traffic allocation out, consistently', () => {
+    const partial = experiment({ traffic_allocation: '0.25' });
+    const excluded = clientIds.filter(clientId => experimentManager.assignVariant(partial, clientId) === null);
+
+    expect(excluded.length / clientIds.length).toBeGreaterThan(0.7);
+    expect(excluded.length / clientIds.length).toBeLessThan(0.8);
+    expect(excluded.every(clientId => experimentManager.assignVariant(partial, clientId) === null)).toBe(true);
+
+    // Widening the allocation keeps included clients in their variant
+    const full = experiment();
+    const included = clientIds.filter(clientId => !excluded.includes(clientId));
+    expect(included.every(clientId =>
+      experimentManager.assignVariant(partial, clientId).key === experimentManager.assignVariant(full, clientId).key)).toBe(true);
+  });
+});
@@ -0,0 +1,93 @@
+const { analyzeExperiment, normalCdf, normalQuantile } = require('../../../src/experiments/stats');
+
+function variant(overrides) {
+  return { id: overrides.key, name: overrides.key, isControl: false, revenue: 0, revenueSquared: 0, ...overrides };
+}
+
+// 10% vs 13% conversion on 1000 exposures each
+const conversionVariants = [
+  variant({ key: 'control', isControl: true, exposures: 1000, conversions: 100 }),
+  variant({ key: 'treatment', exposures: 1000, conversions: 130 })
+];
+
+// Revenue per exposure: mean 10 (variance 25) vs mean 12 (variance 36), 100 exposures each
+const revenueVariants = [
+  variant({ key: 'control', isControl: true, exposures: 100, conversions: 50, revenue: 1000, revenueSquared: 12475 }),
+  variant({ key: 'treatment', exposures: 100, conversions: 50, revenue: 1200, revenueSquared: 17964 })
+];
+
+describe('normal distribution', () => {
+  it('matches standard table values', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 7);
+    expect(normalCdf(1.959964)).toBeCloseTo(0.975, 6);
+    expect(normalCdf(-2.575829)).toBeCloseTo(0.005, 6);
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+    expect(normalQuantile(0.995)).toBeCloseTo(2.575829, 5);
+    expect(normalQuantile(0.95)).toBeCloseTo(1.644854, 5);
+  });
+});
+
+describe('analyzeExperiment', () => {
+  it('summarizes every variant and compares only treatments with the control', () => {
+    const [control, treatment] = analyzeExperiment(revenueVariants);
+
+    expect(control).toMatchObject({ key: 'control', conversionRate: 0.5, revenue: 1000, revenuePerExposure: 10 });
+    expect(control.comparedToControl).toBeUndefined();
+    expect(treatment).toMatchObject({ key: 'treatment', revenuePerExposure: 12 });
+  });
+
+  it('compares conversion with a two-proportion z-test', () => {
+    const { conversion } = analyzeExperiment(conversionVariants)[1].comparedToControl;
+
+    // z = 0.03 / sqrt(0.115 * 0.885 * 2 / 1000) = 2.1027
+    expect(conversion.lift).toBe(0.3);
+    expect(conversion.difference).toBe(0.03);
+    expect(conversion.pValue).toBeCloseTo(0.0355, 4);
+    expect(conversion.significant).toBe(true);
+    expect(conversion.confidenceInterval).toEqual({ level: 0.95, lower: 0.0021, upper: 0.0579 });
+  });
+
+  it('compares revenue per exposure with Welch\'s test', () => {
+    const { revenuePerExposure } = analyzeExperiment(revenueVariants)[1].comparedToControl;
+
+    // z = 2 / sqrt(25 / 100 + 36 / 100) = 2.5607
+    expect(revenuePerExposure.lift).toBe(0.2);
+    expect(revenuePerExposure.difference).toBe(2);
+    expect(revenuePerExposure.pValue).toBeCloseTo(0.0104, 4);
+    expect(revenuePerExposure.significant).toBe(true);
+    expect(revenuePerExposure.confidenceInterval).toEqual({ level: 0.95, lower: 0.47, upper: 3.53 });
+  });
+
+  it('widens the intervals with the significance threshold', () => {
+    const { conversion } = analyzeExperiment(conversionVariants, { alpha: 0.01 })[1].comparedToControl;
+    const revenue = analyzeExperiment(revenueVariants, { alpha: 0.01 })[1].comparedToControl.revenuePerExposure;
+
+    // Not significant at 1%, and the 99% interval includes no difference
+    expect(conversion.significant).toBe(false);
+    expect(conversion.confidenceInterval).toEqual({ level: 0.99, lower: -0.0067, upper: 0.0667 });
+
+    // p = 0.0104: still just outside 1%, and its 99% interval just reaches 0
+    expect(revenue.significant).toBe(false);
+    expect(revenue.confidenceInterval).toEqual({ level: 0.99, lower: -0.01, upper: 4.01 });
+  });
+
+  it('reports no comparison without exposures', () => {
+    const [, treatment] = analyzeExperiment([
+      variant({ key: 'control', isControl: true, exposures: 0, conversions: 0 }),
+      variant({ key: 'treatment', exposures: 1, conversions: 1, revenue: 100, revenueSquared: 10000 })
+    ]);
+
+    expect(treatment.comparedToControl.conversion).toEqual({ lift: null, difference: null, pValue: null, significant: false });
+    expect(treatment.comparedToControl.revenuePerExposure).toEqual({ lift: null, difference: null, pValue: null, significant: false });
+  });
+
+  it('finds nothing between identical variants', () => {
+    const { conversion } = analyzeExperiment([
+      conversionVariants[0],
+      variant({ key: 'treatment', exposures: 1000, conversions: 100 })
+    ])[1].comparedToControl;
+
+    expect(conversion.pValue).toBeCloseTo(1, 6);
+    expect(conversion.significant).toBe(false);
+  });
+});
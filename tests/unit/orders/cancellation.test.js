@@ -0,0 +1,148 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  revenue: jest.fn(),
+  audit: jest.fn()
+}));
+
+jest.mock('../../../src/database/connection', () => ({}));
+jest.mock('../../../src/promotions/credits', () => ({}));
+jest.mock('../../../src/orders/checkout', () => ({}));
+
+const { ValidationError } = require('../../../src/middleware/errorHandler');
+const cancellationManager = require('../../../src/orders/cancellation');
+const { cancellationStage, DEFAULT_CANCELLATION_POLICY } = require('../../../src/orders/cancellation');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('cancellationStage', () => {
+  const now = new Date('2026-03-02T12:00:00Z');
+  const placed = (hoursAgo) => new Date(now.getTime() - hoursAgo * HOUR).toISOString();
+
+  it('cancels pending orders free within the free window', () => {
+    expect(cancellationStage({ status: 'pending', created_at: placed(1) }, DEFAULT_CANCELLATION_POLICY, now))
+      .toBe('free');
+    expect(cancellationStage({ status: 'pending', created_at: placed(24) }, DEFAULT_CANCELLATION_POLICY, now))
+      .toBe('free');
+  });
+
+  it('charges the pending fee after the free window', () => {
+    expect(cancellationStage({ status: 'pending', created_at: placed(25) }, DEFAULT_CANCELLATION_POLICY, now))
+      .toBe('pending');
+    expect(cancellationStage({ status: 'pending', created_at: placed(1) }, { freeWindowMinutes: 0 }, now))
+      .toBe('pending');
+  });
+
+  it('charges failed orders as started and completed ones by their own fee', () => {
+    expect(cancellationStage({ status: 'in_progress' }, DEFAULT_CANCELLATION_POLICY, now)).toBe('started');
+    expect(cancellationStage({ status: 'failed' }, DEFAULT_CANCELLATION_POLICY, now)).toBe('started');
+    expect(cancellationStage({ status: 'completed' }, DEFAULT_CANCELLATION_POLICY, now)).toBe('completed');
+  });
+
+  it('rejects orders that are already cancelled', () => {
+    expect(() => cancellationStage({ status: 'cancelled' }, DEFAULT_CANCELLATION_POLICY, now))
+      .toThrow(ValidationError);
+  });
+});
+
+describe('CancellationManager.quote', () => {
+  const now = new Date('2026-03-02T12:00:00Z');
+
+  // Answers the service, policy and bundle lookups quote makes
+  function executorFor({ service = { pricing_model: 'flat' }, policy = null, paymentIntentId = 'pi_123' } = {}) {
+    return {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM services')) return { rows: [service] };
+        if (sql.includes('FROM cancellation_policies')) return { rows: policy ? [policy] : [] };
+        if (sql.includes('FROM order_bundles')) return { rows: [{ payment_intent_id: paymentIntentId }] };
+        throw new Error(`Unexpected query: ${sql}`);
+      })
+    };
+  }
+
+  function order(overrides = {}) {
+    return {
+      id: 'order-1',
+      service_id: 'service-1',
+      status: 'in_progress',
+      currency: 'USD',
+      final_price: '1080.00',
+      underlying_amount: null,
+      credit_applied: '80.00',
+      payment_status: 'paid',
+      bundle_id: 'bundle-1',
+      created_at: '2026-03-01T09:00:00Z',
+      ...overrides
+    };
+  }
+
+  it('charges the stage fee and refunds credit before the payment', async () => {
+    const quote = await cancellationManager.quote(order(), { now }, executorFor());
+
+    expect(quote.stage).toBe('started');
+    expect(quote.feePercent).toBe(50);
+    expect(quote.amountPaid.toString()).toBe('1080.00');
+    expect(quote.fee.toString()).toBe('540.00');
+    expect(quote.refund.toString()).toBe('540.00');
+    expect(quote.creditRestored.toString()).toBe('80.00');
+    expect(quote.cashRefund.toString()).toBe('460.00');
+    expect(quote.refundMethod).toBe('original');
+  });
+
+  it('uses the service policy over the built-in terms', async () => {
+    const policy = {
+      id: 'policy-1',
+      free_window_minutes: 60,
+      pending_fee_percent: '15.00',
+      started_fee_percent: '75.00',
+      completed_fee_percent: '100.00',
+      refund_method: 'credit'
+    };
+    const quote = await cancellationManager.quote(order({ status: 'pending' }), { now }, executorFor({ policy }));
+
+    expect(quote.stage).toBe('pending');
+    expect(quote.policy.policyId).toBe('policy-1');
+    expect(quote.fee.toString()).toBe('162.00');
+    expect(quote.refund.toString()).toBe('918.00');
+    expect(quote.refundMethod).toBe('credit');
+  });
+
+  it('refunds everything when the fee is waived or the order is in its free window', async () => {
+    const waived = await cancellationManager.quote(order(), { now, waiveFee: true }, executorFor());
+    expect(waived.feeWaived).toBe(true);
+    expect(waived.fee.isZero()).toBe(true);
+    expect(waived.refund.toString()).toBe('1080.00');
+
+    const free = await cancellationManager.quote(
+      order({ status: 'pending', created_at: '2026-03-02T11:00:00Z' }), { now }, executorFor()
+    );
+    expect(free.stage).toBe('free');
+    expect(free.refund.toString()).toBe('1080.00');
+  });
+
+  it('refunds the passed-through cost of cost-plus orders', async () => {
+    const quote = await cancellationManager.quote(
+      order({ underlying_amount: '20000.00' }), { now }, executorFor({ service: { pricing_model: 'cost_plus' } })
+    );
+
+    expect(quote.amountPaid.toString()).toBe('21080.00');
+    expect(quote.fee.toString()).toBe('540.00');
+    expect(quote.cashRefund.toString()).toBe('20460.00');
+  });
+
+  it('never refunds more than was paid', async () => {
+    const quote = await cancellationManager.quote(
+      order({ payment_status: 'pending', credit_applied: '100.00' }), { now }, executorFor()
+    );
+
+    expect(quote.amountPaid.toString()).toBe('100.00');
+    expect(quote.refund.isZero()).toBe(true);
+    expect(quote.creditRestored.isZero()).toBe(true);
+  });
+
+  it('rejects unknown refund methods', async () => {
+    await expect(cancellationManager.quote(order(), { now, refundMethod: 'cheque' }, executorFor()))
+      .rejects.toThrow('Unknown refund method cheque');
+  });
+});
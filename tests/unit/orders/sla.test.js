@@ -0,0 +1,120 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  audit: jest.fn()
+}));
+
+jest.mock('../../../src/database/connection', () => ({}));
+jest.mock('../../../src/queue/outbox', () => ({}));
+jest.mock('../../../src/promotions/credits', () => ({}));
+jest.mock('../../../src/orders/events', () => ({ ORDER_EVENTS: {} }));
+
+const slaManager = require('../../../src/orders/sla');
+const { assess, DEFAULT_SLAS } = require('../../../src/orders/sla');
+
+const MINUTE = 60 * 1000;
+
+describe('assess', () => {
+  // A 100 minute window due at noon, at risk from 80% of it (11:40)
+  const due = new Date('2026-03-02T12:00:00Z');
+  const at = (time) => new Date(`2026-03-02T${time}:00Z`);
+
+  it('is on track until the at-risk share of the window has passed', () => {
+    expect(assess(due, 100, 0.8, at('10:20'))).toBeNull();
+    expect(assess(due, 100, 0.8, at('11:39'))).toBeNull();
+  });
+
+  it('is at risk from then until the due time', () => {
+    expect(assess(due, 100, 0.8, at('11:40'))).toBe('at_risk');
+    expect(assess(due, 100, 0.8, at('12:00'))).toBe('at_risk');
+  });
+
+  it('is breached once the due time has passed', () => {
+    expect(assess(due, 100, 0.8, new Date(due.getTime() + 1))).toBe('breached');
+    expect(assess(due.toISOString(), 100, 0.8, at('13:00'))).toBe('breached');
+  });
+
+  it('follows the at-risk ratio', () => {
+    expect(assess(due, 100, 0.5, at('11:10'))).toBe('at_risk');
+    expect(assess(due, 100, 1, at('11:59'))).toBeNull();
+  });
+});
+
+describe('SlaManager.missedAt', () => {
+  const startDue = '2026-03-02T12:00:00Z';
+  const completeDue = '2026-03-04T12:00:00Z';
+
+  it('reports a late start against the response clock', () => {
+    expect(slaManager.missedAt(
+      { status: 'pending', start_due_at: startDue },
+      { status: 'in_progress', started_at: '2026-03-02T12:30:00Z' }
+    )).toBe('response');
+  });
+
+  it('reports a late completion against the resolution clock', () => {
+    expect(slaManager.missedAt(
+      { status: 'in_progress', complete_due_at: completeDue },
+      { status: 'completed', completed_at: '2026-03-05T09:00:00Z' }
+    )).toBe('resolution');
+  });
+
+  it('is null when the clock was left in time', () => {
+    expect(slaManager.missedAt(
+      { status: 'pending', start_due_at: startDue },
+      { status: 'in_progress', started_at: '2026-03-02T11:00:00Z' }
+    )).toBeNull();
+    expect(slaManager.missedAt(
+      { status: 'in_progress', complete_due_at: completeDue },
+      { status: 'completed', completed_at: '2026-03-04T12:00:00Z' }
+    )).toBeNull();
+  });
+
+  it('is null while the same clock keeps running', () => {
+    expect(slaManager.missedAt(
+      { status: 'in_progress', complete_due_at: completeDue },
+      { status: 'failed', completed_at: null }
+    )).toBeNull();
+  });
+
+  it('is null for orders without a due time or clock', () => {
+    expect(slaManager.missedAt(
+      { status: 'pending', start_due_at: null },
+      { status: 'in_progress', started_at: '2026-03-09T00:00:00Z' }
+    )).toBeNull();
+    expect(slaManager.missedAt(
+      { status: 'completed' },
+      { status: 'cancelled', cancelled_at: '2026-03-09T00:00:00Z' }
+    )).toBeNull();
+  });
+
+  it('does not count cancelling a pending order as a late start', () => {
+    expect(slaManager.missedAt(
+      { status: 'pending', start_due_at: startDue },
+      { status: 'cancelled', started_at: null }
+    )).toBeNull();
+  });
+});
+
+describe('SlaManager.transitionChanges', () => {
+  const sla = { ...DEFAULT_SLAS.expedited };
+
+  it('starts the resolution clock when work starts', () => {
+    const startedAt = new Date('2026-03-02T10:00:00Z');
+    expect(slaManager.transitionChanges(
+      { sla, sla_status: 'at_risk', complete_due_at: null },
+      'in_progress',
+      { started_at: startedAt }
+    )).toEqual({
+      complete_due_at: new Date(startedAt.getTime() + sla.resolutionMinutes * MINUTE),
+      sla_status: 'on_track'
+    });
+  });
+
+  it('marks the SLA met on completion unless it was breached', () => {
+    expect(slaManager.transitionChanges({ sla, sla_status: 'at_risk' }, 'completed', {}))
+      .toEqual({ sla_status: 'met' });
+    expect(slaManager.transitionChanges({ sla, sla_status: 'breached' }, 'completed', {}))
+      .toEqual({});
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { ValidationError, AuthorizationError, ConflictError } = require('../../../src/middleware/errorHandler');
+const {
+  ORDER_STATUSES,
+  isFinal,
+  isActive,
+  allowedTransitions,
+  assertTransition
+} = require('../../../src/orders/states');
+
+describe('order transitions', () => {
+  it('lets clients only cancel their pending orders', () => {
+    expect(allowedTransitions('pending', 'client')).toEqual(['cancelled']);
+    expect(allowedTransitions('in_progress', 'client')).toEqual([]);
+    expect(allowedTransitions('completed', 'client')).toEqual([]);
+  });
+
+  it('lets staff work orders but only admins cancel started or completed ones', () => {
+    expect(allowedTransitions('in_progress', 'agent')).toEqual(['completed', 'failed']);
+    expect(allowedTransitions('failed', 'agent')).toEqual(['in_progress']);
+    expect(allowedTransitions('in_progress', 'admin')).toEqual(['completed', 'failed', 'cancelled']);
+    expect(allowedTransitions('completed', 'super_admin')).toEqual(['cancelled']);
+    expect(allowedTransitions('completed', 'agent')).toEqual([]);
+  });
+
+  it('returns the transition a role may make', () => {
+    expect(assertTransition('pending', 'in_progress', 'agent')).toEqual({ roles: ['agent', 'admin', 'super_admin'] });
+    expect(assertTransition('pending', 'cancelled', 'client', { reason: 'Changed plans' }))
+      .toMatchObject({ requires: ['reason'] });
+  });
+
+  it('rejects roles the transition is not open to', () => {
+    expect(() => assertTransition('in_progress', 'cancelled', 'agent', { reason: 'No show' }))
+      .toThrow(AuthorizationError);
+    expect(() => assertTransition('pending', 'in_progress', 'client'))
+      .toThrow('Only agent, admin, super_admin can move an order from pending to in_progress');
+  });
+
+  it('rejects transitions the lifecycle does not have', () => {
+    expect(() => assertTransition('pending', 'completed', 'admin'))
+      .toThrow('Order cannot go from pending to completed');
+    expect(() => assertTransition('cancelled', 'pending', 'super_admin'))
+      .toThrow('Order is cancelled and can no longer change status');
+    expect(() => assertTransition('in_progress', 'in_progress', 'agent'))
+      .toThrow(ConflictError);
+  });
+
+  it('requires a reason to fail or cancel', () => {
+    expect(() => assertTransition('in_progress', 'failed', 'agent'))
+      .toThrow(ValidationError);
+    expect(() => assertTransition('pending', 'cancelled', 'client', { reason: '   ' }))
+      .toThrow('A reason is required to move an order to cancelled');
+  });
+});
+
+describe('order statuses', () => {
+  it('has cancelled as its only final status', () => {
+    expect(ORDER_STATUSES.filter(isFinal)).toEqual(['cancelled']);
+  });
+
+  it('counts unfinished work as active', () => {
+    expect(ORDER_STATUSES.filter(isActive)).toEqual(['pending', 'in_progress', 'failed']);
+  });
+});
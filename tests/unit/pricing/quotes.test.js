@@ -0,0 +1,152 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  revenue: jest.fn(),
+  security: jest.fn()
+}));
+
+jest.mock('../../../src/database/connection', () => ({
+  findById: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../../src/pricing/pricingService', () => ({
+  getClientProfile: jest.fn(),
+  currencyFor: jest.fn(),
+  quote: jest.fn()
+}));
+
+const database = require('../../../src/database/connection');
+const pricingService = require('../../../src/pricing/pricingService');
+const logger = require('../../../src/utils/logger');
+const { ConflictError, NotFoundError } = require('../../../src/middleware/errorHandler');
+const quoteManager = require('../../../src/pricing/quotes');
+
+function buildQuote(overrides = {}) {
+  const quote = {
+    id: 'a9f1c3e2-5b7d-4e8f-9a0b-1c2d3e4f5a6b',
+    client_id: 'client-1',
+    service_id: 'service-1',
+    urgency: 'standard',
+    bundle_size: 1,
+    underlying_amount: null,
+    currency: 'USD',
+    base_price: 1200,
+    final_price: 1080,
+    discount_amount: 120,
+    adjustment_factors: [{ type: 'loyalty', factor: 0.9, description: 'Loyal client discount' }],
+    pricing_rule_set_id: 'rule-set-3',
+    expires_at: new Date(Date.now() + 30 * 60 * 1000),
+    ...overrides
+  };
+  quote.signature = quoteManager.sign(quote);
+  return quote;
+}
+
+describe('QuoteManager signatures', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env, PRICE_QUOTE_SECRET: 'quote-secret' };
+  });
+
+  afterEach(() => {
+    process.env = env;
+    jest.clearAllMocks();
+  });
+
+  it('verifies a quote it signed', () => {
+    expect(quoteManager.verify(buildQuote())).toBe(true);
+  });
+
+  it('verifies a quote after the database round trip', () => {
+    const quote = buildQuote();
+    const stored = {
+      ...quote,
+      bundle_size: '1',
+      base_price: '1200.00',
+      final_price: '1080.00',
+      discount_amount: '120.00',
+      adjustment_factors: [{ type: 'loyalty', factor: '0.9000', description: 'Loyal client discount' }],
+      expires_at: quote.expires_at.toISOString()
+    };
+
+    expect(quoteManager.verify(stored)).toBe(true);
+  });
+
+  it('rejects a quote whose terms were changed', () => {
+    const quote = buildQuote();
+
+    expect(quoteManager.verify({ ...quote, final_price: 980 })).toBe(false);
+    expect(quoteManager.verify({ ...quote, client_id: 'client-2' })).toBe(false);
+    expect(quoteManager.verify({ ...quote, expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000) })).toBe(false);
+    expect(quoteManager.verify({ ...quote, adjustment_factors: [] })).toBe(false);
+  });
+
+  it('rejects missing, malformed and foreign signatures', () => {
+    const quote = buildQuote();
+
+    expect(quoteManager.verify({ ...quote, signature: null })).toBe(false);
+    expect(quoteManager.verify({ ...quote, signature: 'not-hex' })).toBe(false);
+
+    process.env.PRICE_QUOTE_SECRET = 'another-secret';
+    expect(quoteManager.verify(quote)).toBe(false);
+  });
+
+  it('falls back to the JWT secret and requires one of them', () => {
+    delete process.env.PRICE_QUOTE_SECRET;
+    process.env.JWT_SECRET = 'jwt-secret';
+    expect(quoteManager.verify(buildQuote())).toBe(true);
+
+    delete process.env.JWT_SECRET;
+    expect(() => buildQuote()).toThrow('PRICE_QUOTE_SECRET environment variable is required');
+  });
+
+  it('refuses to redeem a tampered quote', async () => {
+    database.findById.mockResolvedValue({ ...buildQuote(), final_price: '1.00' });
+
+    await expect(quoteManager.redeem('a9f1c3e2-5b7d-4e8f-9a0b-1c2d3e4f5a6b', {
+      clientId: 'client-1',
+      serviceId: 'service-1'
+    })).rejects.toThrow(ConflictError);
+    expect(logger.security).toHaveBeenCalledWith('Price quote failed signature verification', expect.any(Object));
+    expect(database.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('QuoteManager.issue', () => {
+  const env = process.env;
+  const service = { id: 'service-1', currency: 'USD' };
+
+  beforeEach(() => {
+    process.env = { ...env, PRICE_QUOTE_SECRET: 'quote-secret' };
+    pricingService.getClientProfile.mockResolvedValue({ id: 'client-1', currency: 'EUR' });
+    pricingService.currencyFor.mockReturnValue('EUR');
+  });
+
+  afterEach(() => {
+    process.env = env;
+    jest.clearAllMocks();
+  });
+
+  it('reuses only a quote in the currency the client is quoted in now', async () => {
+    const open = buildQuote({ currency: 'EUR' });
+    database.query.mockResolvedValue({ rows: [open] });
+
+    await expect(quoteManager.issue(service, 'client-1')).resolves.toBe(open);
+
+    const [sql, params] = database.query.mock.calls[0];
+    expect(sql).toContain('currency = $6');
+    expect(params[5]).toBe('EUR');
+    expect(pricingService.currencyFor).toHaveBeenCalledWith(service, { id: 'client-1', currency: 'EUR' });
+    expect(pricingService.quote).not.toHaveBeenCalled();
+  });
+
+  it('requires a client profile', async () => {
+    pricingService.getClientProfile.mockResolvedValue(null);
+
+    await expect(quoteManager.issue(service, 'client-1')).rejects.toThrow(NotFoundError);
+    expect(database.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+jest.mock('../../../src/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../../../src/utils/redis', () => ({
+  client: {
+    eval: jest.fn(),
+    set: jest.fn(),
+    zAdd: jest.fn(),
+    zRem: jest.fn(),
+    del: jest.fn(),
+    rPush: jest.fn()
+  }
+}));
+
+const redis = require('../../../src/utils/redis');
+const jobQueue = require('../../../src/queue/jobQueue');
+
+describe('JobQueue backoff', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('doubles the delay with each attempt', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(jobQueue.getBackoffDelay(1)).toBe(jobQueue.backoffBaseMs);
+    expect(jobQueue.getBackoffDelay(2)).toBe(jobQueue.backoffBaseMs * 2);
+    expect(jobQueue.getBackoffDelay(4)).toBe(jobQueue.backoffBaseMs * 8);
+  });
+
+  it('adds up to one base delay of jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999);
+
+    const delay = jobQueue.getBackoffDelay(2);
+    expect(delay).toBeGreaterThan(jobQueue.backoffBaseMs * 2);
+    expect(delay).toBeLessThan(jobQueue.backoffBaseMs * 3);
+  });
+
+  it('caps the delay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    expect(jobQueue.getBackoffDelay(30)).toBe(jobQueue.backoffMaxMs);
+  });
+
+  it('reschedules a failed job after the backoff delay', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const job = { id: 'job-1', attempts: 2, maxAttempts: 5, lastError: null };
+
+    await jobQueue.fail('cascade', job, new Error('timeout'));
+
+    expect(redis.client.set).toHaveBeenCalledWith(
+      'queue:cascade:job:job-1',
+      JSON.stringify({ ...job, lastError: 'timeout' })
+    );
+    expect(redis.client.zAdd).toHaveBeenCalledWith('queue:cascade:scheduled', {
+      score: 1000000 + jobQueue.backoffBaseMs * 2,
+      value: 'job-1'
+    });
+    expect(redis.client.rPush).not.toHaveBeenCalled();
+  });
+
+  it('dead-letters a job that has used its attempts', async () => {
+    const job = { id: 'job-2', attempts: 5, maxAttempts: 5, lastError: null };
+
+    await jobQueue.fail('cascade', job, new Error('timeout'));
+
+    expect(redis.client.rPush).toHaveBeenCalledWith('queue:cascade:dead', expect.any(String));
+    expect(JSON.parse(redis.client.rPush.mock.calls[0][1])).toMatchObject({ id: 'job-2', lastError: 'timeout' });
+    expect(redis.client.zRem).toHaveBeenCalledWith('queue:cascade:scheduled', 'job-2');
+    expect(redis.client.del).toHaveBeenCalledWith('queue:cascade:job:job-2');
+    expect(redis.client.zAdd).not.toHaveBeenCalled();
+  });
+});
+
+describe('JobQueue.enqueue', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('writes the job and its schedule entry in one script call', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    redis.client.eval.mockResolvedValue('enqueued');
+
+    const result = await jobQueue.enqueue('cascade', { orderId: 'order-1' }, { jobId: 'job-1', delayMs: 5000 });
+
+    expect(result).toEqual({ jobId: 'job-1', enqueued: true });
+    expect(redis.client.eval).toHaveBeenCalledTimes(1);
+    const [script, { keys, arguments: args }] = redis.client.eval.mock.calls[0];
+    expect(script).toContain("'SET', KEYS[2], ARGV[1], 'NX'");
+    expect(script).toContain("'ZADD', KEYS[3], ARGV[2], ARGV[3]");
+    expect(keys).toEqual(['queue:cascade:completed:job-1', 'queue:cascade:job:job-1', 'queue:cascade:scheduled']);
+    expect(args[1]).toBe('1005000');
+    expect(args[2]).toBe('job-1');
+    expect(JSON.parse(args[0])).toMatchObject({ id: 'job-1', payload: { orderId: 'order-1' }, attempts: 0 });
+
+    // Nothing is written outside the script
+    expect(redis.client.set).not.toHaveBeenCalled();
+    expect(redis.client.zAdd).not.toHaveBeenCalled();
+  });
+
+  it('skips job ids that are pending or completed', async () => {
+    redis.client.eval.mockResolvedValueOnce('pending').mockResolvedValueOnce('completed');
+
+    await expect(jobQueue.enqueue('cascade', {}, { jobId: 'job-1' })).resolves.toEqual({ jobId: 'job-1', enqueued: false });
+    await expect(jobQueue.enqueue('cascade', {}, { jobId: 'job-1' })).resolves.toEqual({ jobId: 'job-1', enqueued: false });
+  });
+
+  it('leaves no half-written job when Redis fails', async () => {
+    redis.client.eval.mockRejectedValue(new Error('Connection lost'));
+
+    await expect(jobQueue.enqueue('cascade', {}, { jobId: 'job-1' })).rejects.toThrow('Connection lost');
+    expect(redis.client.set).not.toHaveBeenCalled();
+    expect(redis.client.zAdd).not.toHaveBeenCalled();
+  });
+
+  it('requires a job id', async () => {
+    await expect(jobQueue.enqueue('cascade', {})).rejects.toThrow('Job id is required for idempotent enqueue');
+  });
+});
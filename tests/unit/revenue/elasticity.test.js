@@ -0,0 +1,111 @@
+const { estimateElasticity, fitLogistic } = require('../../../src/revenue/elasticity');
+
+// `perPrice` observations at each relative price, converting at the rate of
+// the logistic model with intercept `a` and slope `b` on the log price
+function observations(prices, perPrice, a, b) {
+  const result = [];
+  for (const relativePrice of prices) {
+    const converted = Math.round(perPrice / (1 + Math.exp(-(a + b * Math.log(relativePrice)))));
+    for (let i = 0; i < perPrice; i++) {
+      result.push({ relativePrice, converted: i < converted });
+    }
+  }
+  return result;
+}
+
+const PRICES = [0.8, 0.9, 1, 1.1, 1.2];
+
+describe('estimateElasticity evidence gates', () => {
+  it('needs enough observations', () => {
+    const result = estimateElasticity(observations(PRICES, 9, 0, -2));
+
+    expect(result).toEqual({ observations: 45, conversions: expect.any(Number), conversionRate: expect.any(Number), decision: 'insufficient_evidence' });
+  });
+
+  it('needs enough conversions and enough non-conversions', () => {
+    const rarelyConverts = observations(PRICES, 20, -5, -2);
+    const alwaysConverts = PRICES.flatMap(relativePrice =>
+      Array.from({ length: 20 }, (_, i) => ({ relativePrice, converted: i > 0 || relativePrice !== 1 })));
+
+    expect(rarelyConverts.filter(o => o.converted).length).toBeLessThan(5);
+    expect(estimateElasticity(rarelyConverts).decision).toBe('insufficient_evidence');
+    expect(estimateElasticity(alwaysConverts)).toMatchObject({ conversions: 99, decision: 'insufficient_evidence' });
+  });
+
+  it('needs the price to have varied', () => {
+    const result = estimateElasticity(observations([1], 100, 0, -2));
+
+    expect(result).toMatchObject({ observations: 100, conversionRate: 0.5, decision: 'insufficient_evidence', reason: 'No price variation' });
+    expect(result.model).toBeUndefined();
+  });
+});
+
+describe('fitLogistic', () => {
+  it('recovers the slope of the model that generated the data', () => {
+    const fit = fitLogistic(observations(PRICES, 200, 0, -8));
+
+    expect(fit.a).toBeCloseTo(0, 1);
+    expect(fit.b).toBeCloseTo(-8, 0);
+    expect(fit.covariance.bb).toBeGreaterThan(0);
+  });
+
+  it('stays finite on perfectly separated data', () => {
+    const separated = [];
+    for (let i = 0; i < 40; i++) {
+      separated.push({ relativePrice: 0.9, converted: true }, { relativePrice: 1.1, converted: false });
+    }
+
+    const fit = fitLogistic(separated);
+    expect(Number.isFinite(fit.a)).toBe(true);
+    expect(Number.isFinite(fit.b)).toBe(true);
+    expect(fit.b).toBeLessThan(0);
+    expect(Number.isFinite(fit.covariance.bb)).toBe(true);
+
+    const result = estimateElasticity(separated, { seed: 'service-1' });
+    expect(Number.isFinite(result.elasticity.atCurrentPrice)).toBe(true);
+    expect(Number.isFinite(result.confidenceBounds.lower)).toBe(true);
+  });
+});
+
+describe('estimateElasticity recommendations', () => {
+  it('gives the same bounds for the same data and seed', () => {
+    const data = observations(PRICES, 40, 0, -4);
+
+    const first = estimateElasticity(data, { seed: 'service-1' });
+    const second = estimateElasticity(data, { seed: 'service-1' });
+    expect(second).toEqual(first);
+
+    const otherSeed = estimateElasticity(data, { seed: 'service-2' }, { draws: 50 });
+    const otherSeedAgain = estimateElasticity(data, { seed: 'service-2' }, { draws: 50 });
+    expect(otherSeedAgain.confidenceBounds).toEqual(otherSeed.confidenceBounds);
+    expect(otherSeedAgain.elasticity).toEqual(otherSeed.elasticity);
+  });
+
+  it('clamps the recommended change to maxStep', () => {
+    // Revenue peaks near 0.785 of the current price
+    const data = observations(PRICES, 200, 0, -8);
+
+    const result = estimateElasticity(data, { seed: 'service-1' });
+    expect(result.optimalMultiplier).toBeCloseTo(0.785, 2);
+    expect(result.confidenceBounds.upper).toBeLessThan(1);
+    expect(result).toMatchObject({ decision: 'recommend', multiplier: 0.9 });
+
+    expect(estimateElasticity(data, { seed: 'service-1' }, { maxStep: 0.05 }).multiplier).toBe(0.95);
+    expect(estimateElasticity(data, { seed: 'service-1' }, { maxStep: 0.5 }).multiplier).toBe(result.optimalMultiplier);
+  });
+
+  it('clamps price rises too', () => {
+    const result = estimateElasticity(observations(PRICES, 200, 0, -1), { seed: 'service-1' });
+
+    expect(result.confidenceBounds.lower).toBeGreaterThan(1);
+    expect(result).toMatchObject({ decision: 'recommend', multiplier: 1.1 });
+  });
+
+  it('keeps the price when revenue already peaks there', () => {
+    const result = estimateElasticity(observations(PRICES, 200, 0, -2), { seed: 'service-1' });
+
+    expect(result.confidenceBounds.lower).toBeLessThanOrEqual(1);
+    expect(result.confidenceBounds.upper).toBeGreaterThanOrEqual(1);
+    expect(result).toMatchObject({ decision: 'consistent', multiplier: 1 });
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const { ValidationError } = require('../../../src/middleware/errorHandler');
+const { Money, ROUNDING } = require('../../../src/utils/money');
+
+describe('Money.of', () => {
+  it('parses numbers and DECIMAL strings into minor units', () => {
+    expect(Money.of(1234.5, 'USD').toMinorUnits()).toBe(123450);
+    expect(Money.of('1234.50', 'usd').toMinorUnits()).toBe(123450);
+    expect(Money.of('-0.05', 'EUR').toMinorUnits()).toBe(-5);
+    expect(Money.of(1200, 'JPY').toMinorUnits()).toBe(1200);
+  });
+
+  it('rounds sub-minor amounts half up by default, without float noise', () => {
+    expect(Money.of(1.005, 'USD').toMinorUnits()).toBe(101);
+    expect(Money.of('1.005', 'USD').toMinorUnits()).toBe(101);
+    expect(Money.of('-1.005', 'USD').toMinorUnits()).toBe(-101);
+    expect(Money.of('1200.5', 'JPY').toMinorUnits()).toBe(1201);
+  });
+
+  it('rounds with the requested mode', () => {
+    expect(Money.of('0.125', 'USD', ROUNDING.HALF_EVEN).toMinorUnits()).toBe(12);
+    expect(Money.of('0.135', 'USD', ROUNDING.HALF_EVEN).toMinorUnits()).toBe(14);
+    expect(Money.of('0.121', 'USD', ROUNDING.UP).toMinorUnits()).toBe(13);
+    expect(Money.of('0.129', 'USD', ROUNDING.DOWN).toMinorUnits()).toBe(12);
+    expect(Money.of('-0.121', 'USD', ROUNDING.UP).toMinorUnits()).toBe(-13);
+  });
+
+  it('rejects invalid amounts and unsupported currencies', () => {
+    expect(() => Money.of('12,50', 'USD')).toThrow(ValidationError);
+    expect(() => Money.of(NaN, 'USD')).toThrow('Invalid money amount');
+    expect(() => Money.of(10, 'XYZ')).toThrow('Unsupported currency XYZ');
+  });
+
+  it('does not mix currencies', () => {
+    expect(() => Money.of(1, 'USD').plus(Money.of(1, 'EUR'))).toThrow('Currency mismatch');
+    expect(() => Money.of(Money.of(1, 'USD'), 'EUR')).toThrow('Currency mismatch');
+  });
+});
+
+describe('Money arithmetic', () => {
+  it('takes percentages, rounding half up by default', () => {
+    expect(Money.of('1080.00', 'USD').percentage(10).toString()).toBe('108.00');
+    expect(Money.of('0.25', 'USD').percentage(10).toString()).toBe('0.03');
+    expect(Money.of('0.25', 'USD').percentage(10, ROUNDING.DOWN).toString()).toBe('0.02');
+    expect(Money.of('999', 'JPY').percentage(15).toString()).toBe('150');
+  });
+
+  it('multiplies and divides with the given rounding', () => {
+    expect(Money.of('10.00', 'USD').times(0.333).toString()).toBe('3.33');
+    expect(Money.of('0.05', 'USD').dividedBy(2).toString()).toBe('0.02');
+    expect(Money.of('0.07', 'USD').dividedBy(2).toString()).toBe('0.04');
+  });
+
+  it('allocates without losing a minor unit', () => {
+    const parts = Money.of('100.00', 'USD').allocate([1, 1, 1]);
+    expect(parts.map(part => part.toString())).toEqual(['33.34', '33.33', '33.33']);
+    expect(Money.sum(parts, 'USD').toString()).toBe('100.00');
+    expect(Money.of('-0.05', 'USD').allocate([0, 0]).map(part => part.toMinorUnits())).toEqual([-3, -2]);
+  });
+
+  it('compares and bounds amounts', () => {
+    const fee = Money.of('50.00', 'USD');
+    const paid = Money.of('30.00', 'USD');
+
+    expect(Money.max(paid.minus(fee), Money.zero('USD')).isZero()).toBe(true);
+    expect(Money.min(fee, paid)).toBe(paid);
+    expect(fee.compare(paid)).toBe(1);
+    expect(fee.clamp(null, paid)).toBe(paid);
+    expect(paid.ratioTo(fee)).toBe(0.6);
+    expect(paid.negate().isNegative()).toBe(true);
+  });
+});
+
+describe('Money output', () => {
+  it('formats decimals for each currency exponent', () => {
+    expect(Money.fromMinor(5, 'USD').toString()).toBe('0.05');
+    expect(Money.fromMinor(-123450, 'USD').toString()).toBe('-1234.50');
+    expect(Money.fromMinor(1200, 'JPY').toString()).toBe('1200');
+    expect(Money.of('1234.5', 'USD').toNumber()).toBe(1234.5);
+    expect(JSON.parse(JSON.stringify(Money.of(19.99, 'GBP')))).toEqual({ amount: 19.99, currency: 'GBP' });
+  });
+
+  it('gives Stripe amounts in minor units', () => {
+    expect(Money.of('19.99', 'USD').toMinorUnits()).toBe(1999);
+    expect(Money.of('1999', 'KRW').toMinorUnits()).toBe(1999);
+    expect(Money.sum(['0.10', '0.20'], 'USD').toMinorUnits()).toBe(30);
+  });
+});